@@ -0,0 +1,69 @@
+#!/usr/bin/env bash
+# Schema migration runner (PostgreSQL / Supabase)
+#
+#   DATABASE_URL=postgres://... ./data/migrate.sh             apply pending migrations
+#   DATABASE_URL=postgres://... ./data/migrate.sh --status    list applied / pending versions
+#   DATABASE_URL=postgres://... ./data/migrate.sh --baseline  mark schema.sql as applied (projects that already ran it by hand)
+#   DATABASE_URL=postgres://... ./data/migrate.sh --stand-in  plain local Postgres: load stand-in.sql (auth schema, roles) first
+#
+# Versions: data/schema.sql is "0000_baseline", followed by data/migrations/NNNN_name.sql in file name order.
+# Each file runs in a single transaction together with its schema_migrations row, so a failed
+# migration leaves nothing behind and is retried on the next run.
+set -euo pipefail
+
+DIR="$(cd "$(dirname "$0")" && pwd)"
+: "${DATABASE_URL:?DATABASE_URL is not set}"
+PSQL=(psql "$DATABASE_URL" -X -q -v ON_ERROR_STOP=1)
+MODE="${1:-apply}"
+
+if [ "$MODE" = "--stand-in" ]; then
+    "${PSQL[@]}" -f "$DIR/stand-in.sql"
+    MODE=apply
+fi
+
+"${PSQL[@]}" <<'SQL'
+CREATE TABLE IF NOT EXISTS public.schema_migrations (
+    version text PRIMARY KEY,
+    applied_at timestamp with time zone NOT NULL DEFAULT now()
+);
+-- Not for API clients (public tables are exposed through PostgREST)
+ALTER TABLE public.schema_migrations ENABLE ROW LEVEL SECURITY;
+SQL
+
+# "version file" lines in apply order
+list_migrations() {
+    echo "0000_baseline $DIR/schema.sql"
+    for f in "$DIR"/migrations/[0-9][0-9][0-9][0-9]_*.sql; do
+        [ -e "$f" ] && echo "$(basename "$f" .sql) $f"
+    done
+}
+
+APPLIED="$("${PSQL[@]}" -tA -c "SELECT version FROM public.schema_migrations ORDER BY version")"
+is_applied() { grep -qxF "$1" <<< "$APPLIED"; }
+
+case "$MODE" in
+    --status)
+        while read -r version file; do
+            if is_applied "$version"; then echo "applied  $version"; else echo "pending  $version"; fi
+        done < <(list_migrations)
+        ;;
+    --baseline)
+        "${PSQL[@]}" -c "INSERT INTO public.schema_migrations (version) VALUES ('0000_baseline') ON CONFLICT DO NOTHING"
+        echo "Marked 0000_baseline as applied."
+        ;;
+    apply)
+        count=0
+        while read -r version file; do
+            is_applied "$version" && continue
+            echo "Applying $version ..."
+            "${PSQL[@]}" --single-transaction -f "$file" \
+                -c "INSERT INTO public.schema_migrations (version) VALUES ('$version')" < /dev/null
+            count=$((count + 1))
+        done < <(list_migrations)
+        echo "Done. $count migration(s) applied."
+        ;;
+    *)
+        echo "Unknown option: $MODE (use --status, --baseline or --stand-in)" >&2
+        exit 1
+        ;;
+esac
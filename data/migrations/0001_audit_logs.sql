@@ -0,0 +1,38 @@
+-- 0001: audit_logs - action log written by App.logAction
+-- One row per user action (role changes, imports, restores, offline replay ...).
+-- Full row snapshots are kept separately in change_history.
+CREATE TABLE IF NOT EXISTS public.audit_logs (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    action_type text NOT NULL,  -- 'INSERT', 'UPDATE', 'DELETE', 'UPDATE_ROLE', 'ICS_IMPORT', 'RESTORE' ...
+    target_table text,
+    target_id text,             -- bigint ids and user uuids alike
+    details jsonb,
+    "timestamp" timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- Projects that created the table by hand stored the payload in a text column named "changes"
+ALTER TABLE public.audit_logs ADD COLUMN IF NOT EXISTS details jsonb;
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'audit_logs' AND column_name = 'changes'
+  ) THEN
+    UPDATE public.audit_logs SET details = changes::jsonb WHERE details IS NULL AND changes IS NOT NULL;
+    ALTER TABLE public.audit_logs DROP COLUMN changes;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_timestamp ON public.audit_logs("timestamp" DESC);
+
+ALTER TABLE public.audit_logs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users Insert Own Audit Logs" ON public.audit_logs;
+CREATE POLICY "Users Insert Own Audit Logs" ON public.audit_logs FOR INSERT TO authenticated
+    WITH CHECK (user_id = (select auth.uid()));
+DROP POLICY IF EXISTS "Admins Read Audit Logs" ON public.audit_logs;
+CREATE POLICY "Admins Read Audit Logs" ON public.audit_logs FOR SELECT TO authenticated
+    USING (is_admin());
+
+GRANT SELECT, INSERT ON public.audit_logs TO authenticated;
@@ -0,0 +1,9 @@
+-- 0002: Recurring schedules (App.expandSchedules / App.expandSchoolDaySeries)
+-- A series is one row with an RRULE; edited or moved occurrences are detached rows pointing at it.
+ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS rrule text;            -- RFC 5545 RRULE (e.g. 'FREQ=WEEKLY;INTERVAL=2;UNTIL=20260715'), null = single event
+ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS exdates date[] DEFAULT '{}'; -- Excluded occurrence dates of a recurring series
+ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS series_id bigint REFERENCES public.schedules(id) ON DELETE CASCADE; -- Detached occurrence -> its series
+ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS recurrence_date date;  -- Original occurrence date replaced by a detached occurrence
+ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS recurrence_options jsonb; -- School-day rules: {"mode": "calendar"|"schoolday", "policy": "skip"|"shift", "exams": bool}, null = plain RRULE
+
+CREATE INDEX IF NOT EXISTS idx_schedules_series ON public.schedules(series_id);
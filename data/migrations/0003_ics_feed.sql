@@ -0,0 +1,226 @@
+-- 0003: iCalendar feed for calendar app subscriptions (RFC 5545)
+-- URL: <SUPABASE_URL>/rest/v1/rpc/ics_feed?p_year=2026&p_dept_id=3&apikey=<ANON_KEY>
+-- Subscribers are anonymous, so only 'public' schedules are exported.
+-- UIDs match the browser export (App.buildCalendarExport) so both stay in sync.
+
+-- PostgREST media type handler: returning this domain serves the body as text/calendar
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'text/calendar') THEN
+    CREATE DOMAIN public."text/calendar" AS text;
+  END IF;
+END $$;
+
+CREATE OR REPLACE FUNCTION public.ics_escape(p_text text)
+RETURNS text
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT replace(replace(replace(replace(coalesce(p_text, ''), E'\\', E'\\\\'), ';', E'\\;'), ',', E'\\,'), E'\n', E'\\n');
+$$;
+
+-- Fold at 75 octets (UTF-8), continuation lines start with a single space
+CREATE OR REPLACE FUNCTION public.ics_line(p_line text)
+RETURNS text
+LANGUAGE plpgsql IMMUTABLE
+AS $$
+DECLARE
+  v_out text := '';
+  v_chunk text := '';
+  v_limit integer := 75;
+  c text;
+BEGIN
+  FOREACH c IN ARRAY regexp_split_to_array(p_line, '') LOOP
+    IF octet_length(v_chunk || c) > v_limit THEN
+      v_out := v_out || v_chunk || E'\r\n ';
+      v_chunk := c;
+      v_limit := 74;
+    ELSE
+      v_chunk := v_chunk || c;
+    END IF;
+  END LOOP;
+  RETURN v_out || v_chunk || E'\r\n';
+END;
+$$;
+
+-- Mirrors App.isSchoolDay / getSchoolDayBlockers: weekends, holidays and vacations (optionally exams) are days off.
+-- Only saved basic_schedules are consulted (the browser falls back to calculated holidays for unsaved years).
+CREATE OR REPLACE FUNCTION public.is_school_day(p_date date, p_skip_exams boolean DEFAULT false)
+RETURNS boolean
+LANGUAGE sql STABLE
+SET search_path = public
+AS $$
+  SELECT extract(isodow FROM p_date) < 6
+     AND NOT EXISTS (
+       SELECT 1 FROM basic_schedules b
+        WHERE p_date BETWEEN b.start_date AND coalesce(b.end_date, b.start_date)
+          AND (b.is_holiday OR b.type IN ('holiday', 'vacation') OR (p_skip_exams AND b.type = 'exam'))
+     );
+$$;
+
+-- Occurrence dates of a school-day aware series (see App.expandSchoolDaySeries).
+-- Only rules created by the schedule modal are handled: FREQ=DAILY (school days), WEEKLY and MONTHLY.
+CREATE OR REPLACE FUNCTION public.school_day_occurrences(
+  p_start date,
+  p_rrule text,
+  p_options jsonb,
+  p_exdates date[],
+  p_to date
+)
+RETURNS SETOF date
+LANGUAGE plpgsql STABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_freq text := substring(p_rrule FROM 'FREQ=([A-Z]+)');
+  v_interval integer := greatest(coalesce(substring(p_rrule FROM 'INTERVAL=([0-9]+)')::integer, 1), 1);
+  v_until date := to_date(substring(p_rrule FROM 'UNTIL=([0-9]{8})'), 'YYYYMMDD');
+  v_last date := least(coalesce(v_until, p_to), p_to);
+  v_exams boolean := coalesce((p_options->>'exams')::boolean, false);
+  v_policy text := coalesce(p_options->>'policy', 'skip');
+  v_exdates date[] := coalesce(p_exdates, '{}');
+  v_d date;
+  v_n integer := 0;
+  v_step integer := 0;
+BEGIN
+  IF p_options->>'mode' = 'schoolday' THEN
+    -- Every Nth school day counted from the series start
+    v_d := p_start;
+    WHILE v_d <= v_last LOOP
+      IF is_school_day(v_d, v_exams) THEN
+        IF v_n % v_interval = 0 AND NOT v_d = ANY(v_exdates) THEN
+          RETURN NEXT v_d;
+        END IF;
+        v_n := v_n + 1;
+      END IF;
+      v_d := v_d + 1;
+    END LOOP;
+    RETURN;
+  END IF;
+
+  LOOP
+    v_d := CASE v_freq WHEN 'MONTHLY' THEN (p_start + make_interval(months => v_step * v_interval))::date
+                       ELSE p_start + v_step * v_interval * 7 END;
+    EXIT WHEN v_d > v_last OR v_step > 1000;
+    v_step := v_step + 1;
+    -- Months without the start day are skipped, not clamped (same as the RRULE expansion)
+    CONTINUE WHEN v_freq = 'MONTHLY' AND extract(day FROM v_d) <> extract(day FROM p_start);
+
+    IF NOT is_school_day(v_d, v_exams) THEN
+      CONTINUE WHEN v_policy = 'skip';
+      v_n := 0;
+      WHILE NOT is_school_day(v_d, v_exams) AND v_n < 30 LOOP
+        v_d := v_d + 1;
+        v_n := v_n + 1;
+      END LOOP;
+    END IF;
+
+    CONTINUE WHEN v_d = ANY(v_exdates);
+    RETURN NEXT v_d;
+  END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.ics_feed(
+  p_year integer DEFAULT NULL,
+  p_dept_id bigint DEFAULT NULL,
+  p_basic boolean DEFAULT true,
+  p_env boolean DEFAULT true
+)
+RETURNS public."text/calendar"
+LANGUAGE plpgsql STABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_year integer := coalesce(p_year,
+    CASE WHEN extract(month FROM current_date) < 3
+         THEN extract(year FROM current_date)::integer - 1
+         ELSE extract(year FROM current_date)::integer END);
+  v_start date := make_date(v_year, 3, 1);
+  v_end date := make_date(v_year + 1, 3, 1) - 1;
+  v_stamp text := to_char(now() AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"');
+  v_out text;
+  r record;
+BEGIN
+  v_out := ics_line('BEGIN:VCALENDAR')
+        || ics_line('VERSION:2.0')
+        || ics_line('PRODID:-//GOELink//School Calendar//KO')
+        || ics_line('CALSCALE:GREGORIAN')
+        || ics_line('METHOD:PUBLISH')
+        || ics_line('X-WR-CALNAME:' || ics_escape(coalesce(
+             (SELECT full_name_kr FROM settings WHERE academic_year = v_year LIMIT 1), 'GOELink') || ' ' || v_year || '학년도'))
+        || ics_line('X-WR-TIMEZONE:Asia/Seoul');
+
+  FOR r IN
+    -- Basic schedules (terms / vacations / exams / holidays / major events)
+    SELECT 'basic-' || b.id AS uid, b.start_date, coalesce(b.end_date, b.start_date) AS end_date,
+           b.name AS summary, NULL::text AS description,
+           CASE WHEN b.is_holiday OR b.type = 'holiday' THEN '공휴일' ELSE '학사일정' END AS categories,
+           NULL::timestamptz AS updated_at, NULL::text AS rrule, NULL::date[] AS exdates
+      FROM basic_schedules b
+     WHERE p_basic AND b.academic_year = v_year
+       AND b.start_date BETWEEN v_start AND v_end
+    UNION ALL
+    -- Env events (keep in sync with App.FIXED_ENV_EVENTS)
+    SELECT 'env-' || to_char(e.d, 'YYYYMMDD'), e.d, e.d, e.name, NULL, '환경 기념일', NULL, NULL, NULL
+      FROM (
+        SELECT make_date(CASE WHEN split_part(v.mmdd, '-', 1)::integer < 3 THEN v_year + 1 ELSE v_year END,
+                         split_part(v.mmdd, '-', 1)::integer, split_part(v.mmdd, '-', 2)::integer) AS d,
+               v.name
+          FROM (VALUES
+            ('02-02', '세계 습지의 날'), ('03-22', '세계 물의 날'), ('04-05', '식목일'),
+            ('04-22', '지구의 날'), ('05-22', '생물종다양성 보존의 날'), ('06-05', '환경의 날'),
+            ('08-22', '에너지의 날'), ('09-06', '자원순환의 날'), ('09-16', '세계 오존층 보호의 날')
+          ) AS v(mmdd, name)
+      ) e
+     WHERE p_env
+    UNION ALL
+    -- Public user schedules
+    SELECT 'schedule-' || s.id, s.start_date, s.end_date, s.title, s.description,
+           coalesce(d.dept_name, s.dept_name, ''), s.updated_at, s.rrule, s.exdates
+      FROM schedules s
+      LEFT JOIN departments d ON d.id = s.dept_id
+     WHERE s.visibility = 'public'
+       AND s.start_date <= v_end
+       AND (s.end_date >= v_start OR s.rrule IS NOT NULL) -- Series are expanded by the subscriber
+       AND (s.rrule IS NULL OR s.recurrence_options IS NULL)
+       AND (p_dept_id IS NULL OR s.dept_id = p_dept_id)
+    UNION ALL
+    -- School-day series have no RRULE equivalent: one event per occurrence
+    SELECT 'schedule-' || s.id || '-' || to_char(o.d, 'YYYYMMDD'), o.d, o.d + (s.end_date - s.start_date),
+           s.title, s.description, coalesce(d.dept_name, s.dept_name, ''), s.updated_at, NULL, NULL
+      FROM schedules s
+      LEFT JOIN departments d ON d.id = s.dept_id
+     CROSS JOIN LATERAL school_day_occurrences(s.start_date, s.rrule, s.recurrence_options, s.exdates, v_end) AS o(d)
+     WHERE s.visibility = 'public'
+       AND s.rrule IS NOT NULL AND s.recurrence_options IS NOT NULL
+       AND s.start_date <= v_end
+       AND o.d + (s.end_date - s.start_date) >= v_start
+       AND (p_dept_id IS NULL OR s.dept_id = p_dept_id)
+    ORDER BY 2
+  LOOP
+    v_out := v_out
+          || ics_line('BEGIN:VEVENT')
+          || ics_line('UID:' || r.uid || '@goelink')
+          || ics_line('DTSTAMP:' || v_stamp)
+          || ics_line('DTSTART;VALUE=DATE:' || to_char(r.start_date, 'YYYYMMDD'))
+          || ics_line('DTEND;VALUE=DATE:' || to_char(r.end_date + 1, 'YYYYMMDD'))
+          || ics_line('SUMMARY:' || ics_escape(r.summary))
+          || CASE WHEN coalesce(r.description, '') <> '' THEN ics_line('DESCRIPTION:' || ics_escape(r.description)) ELSE '' END
+          || CASE WHEN r.categories <> '' THEN ics_line('CATEGORIES:' || ics_escape(r.categories)) ELSE '' END
+          || CASE WHEN r.rrule IS NOT NULL THEN ics_line('RRULE:' || r.rrule) ELSE '' END
+          || CASE WHEN coalesce(cardinality(r.exdates), 0) > 0
+                  THEN ics_line('EXDATE;VALUE=DATE:' || (SELECT string_agg(to_char(x, 'YYYYMMDD'), ',') FROM unnest(r.exdates) x))
+                  ELSE '' END
+          || CASE WHEN r.updated_at IS NOT NULL
+                  THEN ics_line('LAST-MODIFIED:' || to_char(r.updated_at AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"'))
+                  ELSE '' END
+          || ics_line('CLASS:PUBLIC')
+          || ics_line('TRANSP:TRANSPARENT')
+          || ics_line('END:VEVENT');
+  END LOOP;
+
+  RETURN v_out || ics_line('END:VCALENDAR');
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.ics_feed(integer, bigint, boolean, boolean) TO anon, authenticated;
@@ -0,0 +1,18 @@
+-- 0004: Realtime (App.initRealtime) - other users' changes are applied live.
+-- Clients receive row changes only for rows their SELECT policies allow.
+-- Projects without the supabase_realtime publication (plain Postgres) are left alone.
+DO $$
+DECLARE
+  t text;
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    FOREACH t IN ARRAY ARRAY['schedules', 'basic_schedules', 'departments'] LOOP
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+         WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+      ) THEN
+        EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+      END IF;
+    END LOOP;
+  END IF;
+END $$;
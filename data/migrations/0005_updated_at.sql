@@ -0,0 +1,29 @@
+-- 0005: updated_at maintained by the server
+-- Clients compare updated_at to detect rows changed by someone else
+-- (App.updateVersioned for schedule edits, App.resolveAdminConflicts for settings, App.replayOfflineQueue).
+ALTER TABLE public.departments ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone DEFAULT now();
+
+CREATE OR REPLACE FUNCTION public.set_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_schedules_updated_at ON public.schedules;
+CREATE TRIGGER trg_schedules_updated_at
+  BEFORE UPDATE ON public.schedules
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS trg_settings_updated_at ON public.settings;
+CREATE TRIGGER trg_settings_updated_at
+  BEFORE UPDATE ON public.settings
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS trg_departments_updated_at ON public.departments;
+CREATE TRIGGER trg_departments_updated_at
+  BEFORE UPDATE ON public.departments
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
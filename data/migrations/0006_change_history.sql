@@ -0,0 +1,62 @@
+-- 0006: Change history (일정·학사일정·부서·학교 정보)
+-- Full before/after snapshots of every mutation, written by triggers so bulk imports and
+-- offline replays are covered too. Read by App.loadAuditLogs / App.bindScheduleHistory,
+-- restored by App.restoreHistoryVersion (upsert of old_data).
+CREATE TABLE IF NOT EXISTS public.change_history (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    table_name text NOT NULL,
+    row_id text NOT NULL,
+    action text NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+    old_data jsonb,        -- null for INSERT
+    new_data jsonb,        -- null for DELETE
+    changed_by uuid,       -- auth.uid() of the writer (null for SQL console / service role)
+    changed_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_history_row ON public.change_history(table_name, row_id);
+CREATE INDEX IF NOT EXISTS idx_change_history_at ON public.change_history(changed_at DESC);
+
+ALTER TABLE public.change_history ENABLE ROW LEVEL SECURITY;
+
+-- Only the trigger writes (SECURITY DEFINER); admins read everything, signed-in users read schedule history
+DROP POLICY IF EXISTS "Admins Read History" ON public.change_history;
+CREATE POLICY "Admins Read History" ON public.change_history FOR SELECT TO authenticated
+    USING (is_admin());
+DROP POLICY IF EXISTS "Authenticated Read Schedule History" ON public.change_history;
+CREATE POLICY "Authenticated Read Schedule History" ON public.change_history FOR SELECT TO authenticated
+    USING (table_name = 'schedules' AND (select auth.uid()) IS NOT NULL);
+
+CREATE OR REPLACE FUNCTION public.record_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  -- updated_at-only touches are not a change
+  IF TG_OP = 'UPDATE' AND (to_jsonb(NEW) - 'updated_at') = (to_jsonb(OLD) - 'updated_at') THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.change_history (table_name, row_id, action, old_data, new_data, changed_by)
+  VALUES (
+    TG_TABLE_NAME,
+    CASE WHEN TG_OP = 'DELETE' THEN OLD.id::text ELSE NEW.id::text END,
+    TG_OP,
+    CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END,
+    CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END,
+    auth.uid()
+  );
+  RETURN NULL;
+END;
+$$;
+
+DO $$
+DECLARE
+  t text;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['schedules', 'basic_schedules', 'departments', 'settings'] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS trg_%s_history ON public.%I', t, t);
+    EXECUTE format('CREATE TRIGGER trg_%s_history AFTER INSERT OR UPDATE OR DELETE ON public.%I
+                    FOR EACH ROW EXECUTE FUNCTION public.record_change()', t, t);
+  END LOOP;
+END $$;
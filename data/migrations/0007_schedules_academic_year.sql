@@ -0,0 +1,36 @@
+-- 0007: schedules.academic_year (selected by App.repairOrphanedSchedules)
+-- Academic year runs March - February, so January / February belong to the previous year.
+ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS academic_year integer;
+
+CREATE OR REPLACE FUNCTION public.academic_year_of(d date)
+RETURNS integer
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT CASE WHEN extract(month FROM d) < 3 THEN extract(year FROM d)::int - 1 ELSE extract(year FROM d)::int END;
+$$;
+
+-- Derived from start_date, so clients never have to send it
+CREATE OR REPLACE FUNCTION public.set_schedule_academic_year()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.academic_year := public.academic_year_of(NEW.start_date);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_schedules_academic_year ON public.schedules;
+CREATE TRIGGER trg_schedules_academic_year
+  BEFORE INSERT OR UPDATE OF start_date ON public.schedules
+  FOR EACH ROW EXECUTE FUNCTION public.set_schedule_academic_year();
+
+-- Backfill without touching updated_at (open editors would see a conflict) or flooding change_history
+ALTER TABLE public.schedules DISABLE TRIGGER trg_schedules_updated_at;
+ALTER TABLE public.schedules DISABLE TRIGGER trg_schedules_history;
+UPDATE public.schedules SET academic_year = public.academic_year_of(start_date)
+ WHERE academic_year IS DISTINCT FROM public.academic_year_of(start_date);
+ALTER TABLE public.schedules ENABLE TRIGGER trg_schedules_updated_at;
+ALTER TABLE public.schedules ENABLE TRIGGER trg_schedules_history;
+
+CREATE INDEX IF NOT EXISTS idx_schedules_academic_year ON public.schedules(academic_year);
@@ -0,0 +1,88 @@
+-- 0008: Server-side schedule visibility (mirrors App.isScheduleVisible)
+--   public   : everyone, including anonymous visitors
+--   internal : active staff (pending / rejected / guest accounts only see public rows)
+--   dept     : admins and members of the schedule's department
+--   private  : admins and the author
+-- Accounts with the 'dept' role only see their own department's rows, whatever the visibility.
+-- A 'dept' account belongs to the department whose dept_id_en equals its e-mail prefix
+-- (same rule as App.syncUser); matching on dept_id_en keeps it valid across academic years.
+
+CREATE OR REPLACE FUNCTION public.is_active_staff()
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.user_roles
+     WHERE user_id = auth.uid()
+       AND (role = 'admin' OR (status = 'active' AND role <> 'guest'))
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_dept_member(p_dept_id bigint)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+      FROM public.user_roles u
+      JOIN public.departments d ON d.id = p_dept_id
+     WHERE u.user_id = auth.uid()
+       AND u.role = 'dept'
+       AND u.status = 'active'
+       AND d.dept_id_en IS NOT NULL
+       AND d.dept_id_en = split_part(u.email, '@', 1)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_read_schedule(p_visibility text, p_dept_id bigint, p_author_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_role text;
+  v_status text;
+  v_visibility text := coalesce(p_visibility, 'public');
+BEGIN
+  SELECT role, status INTO v_role, v_status FROM public.user_roles WHERE user_id = auth.uid();
+
+  IF v_role = 'admin' THEN
+    RETURN true;
+  END IF;
+
+  -- Anonymous, pending, rejected and guest accounts
+  IF v_role IS NULL OR v_role = 'guest' OR v_status IS DISTINCT FROM 'active' THEN
+    RETURN v_visibility = 'public';
+  END IF;
+
+  IF v_role = 'dept' AND NOT public.is_dept_member(p_dept_id) THEN
+    RETURN false;
+  END IF;
+
+  RETURN CASE v_visibility
+    WHEN 'private' THEN p_author_id IS NOT NULL AND p_author_id = auth.uid()
+    WHEN 'dept' THEN public.is_dept_member(p_dept_id)
+    ELSE true -- public / internal
+  END;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_active_staff() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.is_dept_member(bigint) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.can_read_schedule(text, bigint, uuid) TO anon, authenticated;
+
+DROP POLICY IF EXISTS "Public Read Schedules" ON public.schedules;
+DROP POLICY IF EXISTS "Visibility Read Schedules" ON public.schedules;
+CREATE POLICY "Visibility Read Schedules" ON public.schedules FOR SELECT TO public
+    USING (public.can_read_schedule(visibility, dept_id, author_id));
+
+-- Schedule history follows the same rules (checked against the newest snapshot of the row)
+DROP POLICY IF EXISTS "Authenticated Read Schedule History" ON public.change_history;
+CREATE POLICY "Authenticated Read Schedule History" ON public.change_history FOR SELECT TO authenticated
+    USING (
+        table_name = 'schedules'
+        AND public.can_read_schedule(
+            coalesce(new_data, old_data) ->> 'visibility',
+            (coalesce(new_data, old_data) ->> 'dept_id')::bigint,
+            (coalesce(new_data, old_data) ->> 'author_id')::uuid
+        )
+    );
@@ -0,0 +1,98 @@
+-- 0009: Role-aware write policies (mirrors App.canAddSchedule / openScheduleModal)
+--   schedules  insert : active admin / head / head_teacher, or a 'dept' account for its own department
+--              update / delete : the same roles on any row ('dept' accounts: own department only)
+--   settings, departments, basic_schedules : admins only
+--   user_roles : users may touch their own login metadata, never their own role or status
+-- Pending, rejected and guest accounts cannot write anything.
+
+-- head_teacher is used by the client but was missing from the check constraint
+ALTER TABLE public.user_roles DROP CONSTRAINT IF EXISTS user_roles_role_check;
+ALTER TABLE public.user_roles ADD CONSTRAINT user_roles_role_check
+    CHECK (role IN ('admin', 'teacher', 'dept', 'head', 'head_teacher', 'guest'));
+
+-- Admins count regardless of status (same as is_admin()); everyone else must be active
+CREATE OR REPLACE FUNCTION public.is_active_role(p_roles text[])
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.user_roles
+     WHERE user_id = auth.uid()
+       AND role = ANY (p_roles)
+       AND (role = 'admin' OR status = 'active')
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_write_schedule(p_dept_id bigint)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT public.is_active_role(ARRAY['admin', 'head', 'head_teacher'])
+      OR (public.is_active_role(ARRAY['dept']) AND public.is_dept_member(p_dept_id));
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_active_role(text[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.can_write_schedule(bigint) TO anon, authenticated;
+
+-- schedules
+DROP POLICY IF EXISTS "Authenticated Insert Schedules" ON public.schedules;
+DROP POLICY IF EXISTS "Owner Update Schedules" ON public.schedules;
+DROP POLICY IF EXISTS "Owner Delete Schedules" ON public.schedules;
+DROP POLICY IF EXISTS "Role Insert Schedules" ON public.schedules;
+DROP POLICY IF EXISTS "Role Update Schedules" ON public.schedules;
+DROP POLICY IF EXISTS "Role Delete Schedules" ON public.schedules;
+
+CREATE POLICY "Role Insert Schedules" ON public.schedules FOR INSERT TO authenticated
+    WITH CHECK (public.can_write_schedule(dept_id));
+CREATE POLICY "Role Update Schedules" ON public.schedules FOR UPDATE TO authenticated
+    USING (public.can_write_schedule(dept_id)) WITH CHECK (public.can_write_schedule(dept_id));
+CREATE POLICY "Role Delete Schedules" ON public.schedules FOR DELETE TO authenticated
+    USING (public.can_write_schedule(dept_id));
+
+-- settings
+DROP POLICY IF EXISTS "Admin Write Settings" ON public.settings;
+DROP POLICY IF EXISTS "Admin Insert Settings" ON public.settings;
+DROP POLICY IF EXISTS "Admin Manage Settings" ON public.settings;
+CREATE POLICY "Admin Manage Settings" ON public.settings FOR ALL TO authenticated
+    USING (public.is_active_role(ARRAY['admin'])) WITH CHECK (public.is_active_role(ARRAY['admin']));
+
+-- departments
+DROP POLICY IF EXISTS "Admin Write Departments" ON public.departments;
+DROP POLICY IF EXISTS "Admin Update Departments" ON public.departments;
+DROP POLICY IF EXISTS "Admin Delete Departments" ON public.departments;
+DROP POLICY IF EXISTS "Admin Manage Departments" ON public.departments;
+CREATE POLICY "Admin Manage Departments" ON public.departments FOR ALL TO authenticated
+    USING (public.is_active_role(ARRAY['admin'])) WITH CHECK (public.is_active_role(ARRAY['admin']));
+
+-- basic_schedules
+DROP POLICY IF EXISTS "Authenticated Insert Basic Schedules" ON public.basic_schedules;
+DROP POLICY IF EXISTS "Authenticated Update Basic Schedules" ON public.basic_schedules;
+DROP POLICY IF EXISTS "Authenticated Delete Basic Schedules" ON public.basic_schedules;
+DROP POLICY IF EXISTS "Admin Manage Basic Schedules" ON public.basic_schedules;
+CREATE POLICY "Admin Manage Basic Schedules" ON public.basic_schedules FOR ALL TO authenticated
+    USING (public.is_active_role(ARRAY['admin'])) WITH CHECK (public.is_active_role(ARRAY['admin']));
+
+-- user_roles: self-registration starts as a pending teacher
+DROP POLICY IF EXISTS "Users Insert Own Role Meta" ON public.user_roles;
+CREATE POLICY "Users Insert Own Role Meta" ON public.user_roles FOR INSERT TO authenticated
+    WITH CHECK (user_id = (select auth.uid()) AND role = 'teacher' AND status = 'pending');
+
+-- "Users Update Own Role Meta" cannot tell columns apart, so role / status changes are guarded here
+CREATE OR REPLACE FUNCTION public.guard_user_role_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF (NEW.role IS DISTINCT FROM OLD.role OR NEW.status IS DISTINCT FROM OLD.status)
+     AND auth.uid() IS NOT NULL AND NOT public.is_admin() THEN
+    RAISE EXCEPTION '권한 또는 승인 상태는 관리자만 변경할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_user_roles_guard ON public.user_roles;
+CREATE TRIGGER trg_user_roles_guard
+  BEFORE UPDATE ON public.user_roles
+  FOR EACH ROW EXECUTE FUNCTION public.guard_user_role_change();
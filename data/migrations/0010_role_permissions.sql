@@ -0,0 +1,107 @@
+-- 0010: Permission matrix (role -> permission), edited in the admin view (App.loadPermissionMatrix)
+-- Admins implicitly hold every permission; other roles need an active account and a row here.
+-- Keys and defaults must match App.PERMISSIONS / App.DEFAULT_ROLE_PERMISSIONS.
+CREATE TABLE IF NOT EXISTS public.role_permissions (
+    role text NOT NULL,
+    permission text NOT NULL,
+    PRIMARY KEY (role, permission)
+);
+
+ALTER TABLE public.role_permissions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public Read Role Permissions" ON public.role_permissions;
+CREATE POLICY "Public Read Role Permissions" ON public.role_permissions FOR SELECT TO public USING (true);
+DROP POLICY IF EXISTS "Admin Manage Role Permissions" ON public.role_permissions;
+CREATE POLICY "Admin Manage Role Permissions" ON public.role_permissions FOR ALL TO authenticated
+    USING (is_admin()) WITH CHECK (is_admin());
+
+GRANT SELECT ON public.role_permissions TO anon, authenticated;
+GRANT INSERT, DELETE ON public.role_permissions TO authenticated;
+
+-- Defaults = the behaviour that used to be hard-coded in the client
+INSERT INTO public.role_permissions (role, permission) VALUES
+    ('teacher', 'print.dept_list'),
+    ('dept', 'schedule.create'),
+    ('dept', 'schedule.edit_dept'),
+    ('dept', 'print.dept_list'),
+    ('head', 'schedule.create'),
+    ('head', 'schedule.edit_any'),
+    ('head', 'print.select'),
+    ('head', 'print.dept_list'),
+    ('head_teacher', 'schedule.create'),
+    ('head_teacher', 'schedule.edit_any'),
+    ('head_teacher', 'print.select'),
+    ('head_teacher', 'print.dept_list')
+ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.has_permission(p_permission text)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT public.is_admin() OR EXISTS (
+    SELECT 1
+      FROM public.user_roles u
+      JOIN public.role_permissions rp ON rp.role = u.role
+     WHERE u.user_id = auth.uid()
+       AND u.status = 'active'
+       AND rp.permission = p_permission
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.has_permission(text) TO anon, authenticated;
+
+-- Schedule writes (0009) now follow the matrix
+CREATE OR REPLACE FUNCTION public.can_write_schedule(p_dept_id bigint)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT public.has_permission('schedule.edit_any')
+      OR (public.has_permission('schedule.edit_dept') AND public.is_dept_member(p_dept_id));
+$$;
+
+-- 'dept' accounts may only create schedules for their own department
+DROP POLICY IF EXISTS "Role Insert Schedules" ON public.schedules;
+CREATE POLICY "Role Insert Schedules" ON public.schedules FOR INSERT TO authenticated
+    WITH CHECK (
+        public.has_permission('schedule.create')
+        AND (NOT public.is_active_role(ARRAY['dept']) OR public.is_dept_member(dept_id))
+    );
+
+DROP POLICY IF EXISTS "Admin Manage Settings" ON public.settings;
+CREATE POLICY "Admin Manage Settings" ON public.settings FOR ALL TO authenticated
+    USING (public.has_permission('admin.settings')) WITH CHECK (public.has_permission('admin.settings'));
+
+DROP POLICY IF EXISTS "Admin Manage Departments" ON public.departments;
+CREATE POLICY "Admin Manage Departments" ON public.departments FOR ALL TO authenticated
+    USING (public.has_permission('admin.settings')) WITH CHECK (public.has_permission('admin.settings'));
+
+-- The Excel upload writes academic calendar rows as well
+DROP POLICY IF EXISTS "Admin Manage Basic Schedules" ON public.basic_schedules;
+CREATE POLICY "Admin Manage Basic Schedules" ON public.basic_schedules FOR ALL TO authenticated
+    USING (public.has_permission('admin.settings') OR public.has_permission('excel.import'))
+    WITH CHECK (public.has_permission('admin.settings') OR public.has_permission('excel.import'));
+
+DROP POLICY IF EXISTS "Admins can update all" ON public.user_roles;
+CREATE POLICY "Admins can update all" ON public.user_roles FOR UPDATE TO authenticated
+    USING (public.has_permission('admin.users'));
+
+-- Role / status changes need admin.users; granting or revoking 'admin' stays with admins
+CREATE OR REPLACE FUNCTION public.guard_user_role_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+  IF (NEW.role IS DISTINCT FROM OLD.role OR NEW.status IS DISTINCT FROM OLD.status)
+     AND NOT public.has_permission('admin.users') THEN
+    RAISE EXCEPTION '권한 또는 승인 상태는 관리자만 변경할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  IF (NEW.role = 'admin' OR OLD.role = 'admin') AND NEW.role IS DISTINCT FROM OLD.role AND NOT public.is_admin() THEN
+    RAISE EXCEPTION '관리자 권한은 관리자만 부여하거나 해제할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,82 @@
+-- 0011: Users may belong to several departments (assigned in the admin user list, App.updateDeptMembership)
+-- Membership is keyed by department code (dept_id_en, or dept_name when no code is set) rather than
+-- departments.id, so it carries over to the next academic year's department rows.
+CREATE TABLE IF NOT EXISTS public.department_members (
+    user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    dept_code text NOT NULL,
+    created_at timestamptz DEFAULT now(),
+    PRIMARY KEY (user_id, dept_code)
+);
+
+ALTER TABLE public.department_members ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Read Department Members" ON public.department_members;
+CREATE POLICY "Read Department Members" ON public.department_members FOR SELECT TO authenticated
+    USING (user_id = auth.uid() OR public.has_permission('admin.users'));
+DROP POLICY IF EXISTS "Admin Manage Department Members" ON public.department_members;
+CREATE POLICY "Admin Manage Department Members" ON public.department_members FOR ALL TO authenticated
+    USING (public.has_permission('admin.users')) WITH CHECK (public.has_permission('admin.users'));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.department_members TO authenticated;
+
+-- Existing 'dept' accounts: account ID (email prefix) = departments.dept_id_en
+INSERT INTO public.department_members (user_id, dept_code)
+SELECT DISTINCT u.user_id, d.dept_id_en
+  FROM public.user_roles u
+  JOIN public.departments d ON d.dept_id_en = split_part(u.email, '@', 1)
+ WHERE u.role = 'dept'
+ON CONFLICT DO NOTHING;
+
+-- Any active account with a membership row counts as a member; the email-prefix link stays for 'dept' accounts
+CREATE OR REPLACE FUNCTION public.is_dept_member(p_dept_id bigint)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+      FROM public.user_roles u
+      JOIN public.departments d ON d.id = p_dept_id
+     WHERE u.user_id = auth.uid()
+       AND (u.role = 'admin' OR u.status = 'active')
+       AND (
+            EXISTS (
+                SELECT 1 FROM public.department_members m
+                 WHERE m.user_id = u.user_id
+                   AND m.dept_code = coalesce(d.dept_id_en, d.dept_name)
+            )
+         OR (u.role = 'dept' AND d.dept_id_en IS NOT NULL AND d.dept_id_en = split_part(u.email, '@', 1))
+       )
+  );
+$$;
+
+-- Dept-privacy: members of the department read 'dept' schedules whatever their role
+CREATE OR REPLACE FUNCTION public.can_read_schedule(p_visibility text, p_dept_id bigint, p_author_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_role text;
+  v_status text;
+  v_visibility text := coalesce(p_visibility, 'public');
+BEGIN
+  SELECT role, status INTO v_role, v_status FROM public.user_roles WHERE user_id = auth.uid();
+
+  IF v_role = 'admin' THEN
+    RETURN true;
+  END IF;
+
+  IF v_role IS NULL OR v_role = 'guest' OR v_status IS DISTINCT FROM 'active' THEN
+    RETURN v_visibility = 'public';
+  END IF;
+
+  IF v_role = 'dept' AND NOT public.is_dept_member(p_dept_id) THEN
+    RETURN false;
+  END IF;
+
+  RETURN CASE v_visibility
+    WHEN 'private' THEN p_author_id IS NOT NULL AND p_author_id = auth.uid()
+    WHEN 'dept' THEN public.is_dept_member(p_dept_id)
+    ELSE true
+  END;
+END;
+$$;
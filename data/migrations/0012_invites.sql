@@ -0,0 +1,79 @@
+-- 0012: Invite links (App.createInvite). An admin issues a single-use, expiring token for a role
+-- (and optionally a department); the invitee signs up at ?invite=<token> and redeem_invite() activates
+-- the account directly, skipping the 'pending' approval step.
+CREATE TABLE IF NOT EXISTS public.invites (
+    token text PRIMARY KEY,
+    role text NOT NULL CHECK (role IN ('teacher', 'dept', 'head', 'head_teacher')),
+    dept_code text,
+    note text,
+    created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at timestamptz DEFAULT now(),
+    expires_at timestamptz NOT NULL,
+    used_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    used_at timestamptz
+);
+
+ALTER TABLE public.invites ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admin Manage Invites" ON public.invites;
+CREATE POLICY "Admin Manage Invites" ON public.invites FOR ALL TO authenticated
+    USING (public.has_permission('admin.users')) WITH CHECK (public.has_permission('admin.users'));
+
+GRANT SELECT, INSERT, DELETE ON public.invites TO authenticated;
+
+-- Shown on the signup page before an account exists (no token listing for anon)
+CREATE OR REPLACE FUNCTION public.invite_info(p_token text)
+RETURNS TABLE (role text, dept_code text, expires_at timestamptz)
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT i.role, i.dept_code, i.expires_at
+    FROM public.invites i
+   WHERE i.token = p_token
+     AND i.used_at IS NULL
+     AND i.expires_at > now();
+$$;
+
+-- Called by the freshly signed-up user. The row is replaced rather than updated so the
+-- role guard trigger (users may not change their own role) does not apply.
+CREATE OR REPLACE FUNCTION public.redeem_invite(p_token text)
+RETURNS text
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_invite public.invites%ROWTYPE;
+  v_status text;
+  v_email text;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION '로그인 후 초대를 사용할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_invite FROM public.invites WHERE token = p_token FOR UPDATE;
+  IF NOT FOUND OR v_invite.used_at IS NOT NULL OR v_invite.expires_at <= now() THEN
+    RAISE EXCEPTION '만료되었거나 이미 사용된 초대 링크입니다.' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT status INTO v_status FROM public.user_roles WHERE user_id = auth.uid();
+  IF v_status IS NOT NULL AND v_status <> 'pending' THEN
+    RAISE EXCEPTION '이미 등록된 계정에는 초대를 사용할 수 없습니다.' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT email INTO v_email FROM auth.users WHERE id = auth.uid();
+
+  DELETE FROM public.user_roles WHERE user_id = auth.uid();
+  INSERT INTO public.user_roles (user_id, email, role, status, last_login)
+  VALUES (auth.uid(), v_email, v_invite.role, 'active', now());
+
+  IF v_invite.dept_code IS NOT NULL THEN
+    INSERT INTO public.department_members (user_id, dept_code)
+    VALUES (auth.uid(), v_invite.dept_code)
+    ON CONFLICT DO NOTHING;
+  END IF;
+
+  UPDATE public.invites SET used_by = auth.uid(), used_at = now() WHERE token = p_token;
+  RETURN v_invite.role;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.invite_info(text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.redeem_invite(text) TO authenticated;
@@ -0,0 +1,112 @@
+-- 0013: Deactivating departing staff (App.openDeactivateModal)
+-- deactivate_user() bans the auth login (auth.users.banned_until), sets status 'inactive' (RLS helpers already
+-- require 'active') and hands their schedules over, all in one transaction. reactivate_user() undoes the lock.
+ALTER TABLE public.user_roles ADD COLUMN IF NOT EXISTS deactivated_at timestamptz;
+ALTER TABLE public.user_roles ADD COLUMN IF NOT EXISTS deactivated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- Either p_new_owner (a user) or p_dept_id (a department) receives the schedules, or neither.
+-- Department handover: each schedule moves to that department's row in the schedule's own academic year
+-- (falling back to p_dept_id), loses its author, and 'private' becomes 'dept' so it stays reachable.
+CREATE OR REPLACE FUNCTION public.deactivate_user(
+    p_user_id uuid,
+    p_new_owner uuid DEFAULT NULL,
+    p_dept_id bigint DEFAULT NULL,
+    p_reason text DEFAULT NULL
+)
+RETURNS integer
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_target public.user_roles%ROWTYPE;
+  v_dept_code text;
+  v_count integer := 0;
+BEGIN
+  IF NOT public.has_permission('admin.users') THEN
+    RAISE EXCEPTION '사용자 승인·권한 관리 권한이 없습니다.' USING ERRCODE = '42501';
+  END IF;
+  IF p_user_id = auth.uid() THEN
+    RAISE EXCEPTION '본인 계정은 비활성화할 수 없습니다.' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT * INTO v_target FROM public.user_roles WHERE user_id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '사용자를 찾을 수 없습니다.' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_target.role = 'admin' AND NOT public.is_admin() THEN
+    RAISE EXCEPTION '관리자 계정은 관리자만 비활성화할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  IF p_new_owner IS NOT NULL AND p_dept_id IS NOT NULL THEN
+    RAISE EXCEPTION '사용자와 부서 중 하나에만 이관할 수 있습니다.' USING ERRCODE = 'P0001';
+  END IF;
+  IF p_new_owner IS NOT NULL AND NOT EXISTS (
+       SELECT 1 FROM public.user_roles WHERE user_id = p_new_owner AND status = 'active' AND user_id <> p_user_id
+     ) THEN
+    RAISE EXCEPTION '일정을 넘겨받을 사용자가 승인된 계정이 아닙니다.' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF p_new_owner IS NOT NULL THEN
+    UPDATE public.schedules SET author_id = p_new_owner WHERE author_id = p_user_id;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+  ELSIF p_dept_id IS NOT NULL THEN
+    SELECT coalesce(dept_id_en, dept_name) INTO v_dept_code FROM public.departments WHERE id = p_dept_id;
+    IF v_dept_code IS NULL THEN
+      RAISE EXCEPTION '부서를 찾을 수 없습니다.' USING ERRCODE = 'P0002';
+    END IF;
+    UPDATE public.schedules s
+       SET dept_id = coalesce((
+               SELECT d.id FROM public.departments d
+                WHERE d.academic_year = s.academic_year
+                  AND coalesce(d.dept_id_en, d.dept_name) = v_dept_code
+                ORDER BY d.id
+                LIMIT 1
+           ), p_dept_id),
+           author_id = NULL,
+           visibility = CASE WHEN s.visibility = 'private' THEN 'dept' ELSE s.visibility END
+     WHERE s.author_id = p_user_id;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+  END IF;
+
+  DELETE FROM public.department_members WHERE user_id = p_user_id;
+  UPDATE auth.users SET banned_until = 'infinity' WHERE id = p_user_id;
+  UPDATE public.user_roles
+     SET status = 'inactive', deactivated_at = now(), deactivated_by = auth.uid()
+   WHERE user_id = p_user_id;
+
+  INSERT INTO public.audit_logs (user_id, action_type, target_table, target_id, details)
+  VALUES (auth.uid(), 'DEACTIVATE_USER', 'user_roles', p_user_id::text, jsonb_build_object(
+      'email', v_target.email,
+      'previous_status', v_target.status,
+      'transferred', v_count,
+      'new_owner', p_new_owner,
+      'dept_id', p_dept_id,
+      'reason', p_reason
+  ));
+
+  RETURN v_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.reactivate_user(p_user_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT public.has_permission('admin.users') THEN
+    RAISE EXCEPTION '사용자 승인·권한 관리 권한이 없습니다.' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE auth.users SET banned_until = NULL WHERE id = p_user_id;
+  UPDATE public.user_roles
+     SET status = 'active', deactivated_at = NULL, deactivated_by = NULL
+   WHERE user_id = p_user_id AND status = 'inactive';
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '비활성 계정이 아닙니다.' USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO public.audit_logs (user_id, action_type, target_table, target_id, details)
+  VALUES (auth.uid(), 'REACTIVATE_USER', 'user_roles', p_user_id::text, NULL);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.deactivate_user(uuid, uuid, bigint, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.reactivate_user(uuid) TO authenticated;
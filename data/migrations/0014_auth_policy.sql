@@ -0,0 +1,15 @@
+-- 0014: Login policy, set by admins in the admin view (App.saveAuthPolicy).
+-- Read from the newest academic year's settings row (App.applyAuthPolicy).
+--   session_persistence : 'choice'     - "로그인 상태 유지" checkbox on the login form
+--                         'session'    - always sessionStorage (signed out when the tab closes)
+--                         'persistent' - always localStorage
+--   idle_timeout_minutes: sign out after this many minutes without interaction (0 = never)
+ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS session_persistence text NOT NULL DEFAULT 'choice';
+ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS idle_timeout_minutes integer NOT NULL DEFAULT 0;
+
+ALTER TABLE public.settings DROP CONSTRAINT IF EXISTS settings_session_persistence_check;
+ALTER TABLE public.settings ADD CONSTRAINT settings_session_persistence_check
+    CHECK (session_persistence IN ('choice', 'session', 'persistent'));
+ALTER TABLE public.settings DROP CONSTRAINT IF EXISTS settings_idle_timeout_minutes_check;
+ALTER TABLE public.settings ADD CONSTRAINT settings_idle_timeout_minutes_check
+    CHECK (idle_timeout_minutes >= 0);
@@ -0,0 +1,7 @@
+-- 0015: Legal minimum instructional days (수업일수) per academic year, edited on the admin form.
+-- App.renderInstructionDays warns when the counted days (plus proposed 재량휴업일) drop below it.
+ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS min_instruction_days integer NOT NULL DEFAULT 190;
+
+ALTER TABLE public.settings DROP CONSTRAINT IF EXISTS settings_min_instruction_days_check;
+ALTER TABLE public.settings ADD CONSTRAINT settings_min_instruction_days_check
+    CHECK (min_instruction_days > 0);
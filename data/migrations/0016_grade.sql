@@ -0,0 +1,35 @@
+-- 0016: Grade (학년) dimension. NULL = the whole school; 1..grade_count = one grade only.
+-- Grade rows are shown only when the calendar / weekly / department views are filtered to that grade
+-- (or to 전체 학년, labelled), and a grade's holidays only block that grade's exams (App.transformEvents).
+ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS grade_count smallint NOT NULL DEFAULT 3;
+ALTER TABLE public.basic_schedules ADD COLUMN IF NOT EXISTS grade smallint;
+ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS grade smallint;
+
+ALTER TABLE public.settings DROP CONSTRAINT IF EXISTS settings_grade_count_check;
+ALTER TABLE public.settings ADD CONSTRAINT settings_grade_count_check
+    CHECK (grade_count BETWEEN 1 AND 6);
+ALTER TABLE public.basic_schedules DROP CONSTRAINT IF EXISTS basic_schedules_grade_check;
+ALTER TABLE public.basic_schedules ADD CONSTRAINT basic_schedules_grade_check
+    CHECK (grade IS NULL OR grade BETWEEN 1 AND 6);
+ALTER TABLE public.schedules DROP CONSTRAINT IF EXISTS schedules_grade_check;
+ALTER TABLE public.schedules ADD CONSTRAINT schedules_grade_check
+    CHECK (grade IS NULL OR grade BETWEEN 1 AND 6);
+
+-- The seniors' second exam was a separate code before grades existed
+UPDATE public.basic_schedules SET grade = 3 WHERE code = 'EXAM_3_2_2' AND grade IS NULL;
+
+-- One grade's holidays / vacations / exams are not days off for the school (series expansion for the
+-- public ICS feed). The client additionally applies a graded series' own grade rows (App.getSchoolDayBlockers).
+CREATE OR REPLACE FUNCTION public.is_school_day(p_date date, p_skip_exams boolean DEFAULT false)
+RETURNS boolean
+LANGUAGE sql STABLE
+SET search_path = public
+AS $$
+  SELECT extract(isodow FROM p_date) < 6
+     AND NOT EXISTS (
+       SELECT 1 FROM basic_schedules b
+        WHERE p_date BETWEEN b.start_date AND coalesce(b.end_date, b.start_date)
+          AND b.grade IS NULL
+          AND (b.is_holiday OR b.type IN ('holiday', 'vacation') OR (p_skip_exams AND b.type = 'exam'))
+     );
+$$;
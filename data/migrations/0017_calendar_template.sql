@@ -0,0 +1,3 @@
+-- 0017: Per-school basic schedule structure (기본 학사 일정 구조), edited on the admin form.
+-- NULL keeps the built-in high school preset (js/utils/calendar-templates.js); basic_schedules.code follows the template.
+ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS calendar_template jsonb;
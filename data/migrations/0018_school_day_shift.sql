@@ -0,0 +1,70 @@
+-- 0018: school_day_occurrences() 'shift' policy searches for the next school day up to the end of the
+-- academic year instead of 30 days, so an occurrence in a long vacation still lands on the first day back.
+-- Occurrences with no school day left in the year are dropped, and several occurrences shifted onto the
+-- same day collapse into one. App.findNextSchoolDay / App.expandSchoolDaySeries follow the same rule.
+CREATE OR REPLACE FUNCTION public.school_day_occurrences(
+  p_start date,
+  p_rrule text,
+  p_options jsonb,
+  p_exdates date[],
+  p_to date
+)
+RETURNS SETOF date
+LANGUAGE plpgsql STABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_freq text := substring(p_rrule FROM 'FREQ=([A-Z]+)');
+  v_interval integer := greatest(coalesce(substring(p_rrule FROM 'INTERVAL=([0-9]+)')::integer, 1), 1);
+  v_until date := to_date(substring(p_rrule FROM 'UNTIL=([0-9]{8})'), 'YYYYMMDD');
+  v_last date := least(coalesce(v_until, p_to), p_to);
+  v_exams boolean := coalesce((p_options->>'exams')::boolean, false);
+  v_policy text := coalesce(p_options->>'policy', 'skip');
+  v_exdates date[] := coalesce(p_exdates, '{}');
+  v_d date;
+  v_prev date;
+  v_year_end date;
+  v_n integer := 0;
+  v_step integer := 0;
+BEGIN
+  IF p_options->>'mode' = 'schoolday' THEN
+    -- Every Nth school day counted from the series start
+    v_d := p_start;
+    WHILE v_d <= v_last LOOP
+      IF is_school_day(v_d, v_exams) THEN
+        IF v_n % v_interval = 0 AND NOT v_d = ANY(v_exdates) THEN
+          RETURN NEXT v_d;
+        END IF;
+        v_n := v_n + 1;
+      END IF;
+      v_d := v_d + 1;
+    END LOOP;
+    RETURN;
+  END IF;
+
+  LOOP
+    v_d := CASE v_freq WHEN 'MONTHLY' THEN (p_start + make_interval(months => v_step * v_interval))::date
+                       ELSE p_start + v_step * v_interval * 7 END;
+    EXIT WHEN v_d > v_last OR v_step > 1000;
+    v_step := v_step + 1;
+    -- Months without the start day are skipped, not clamped (same as the RRULE expansion)
+    CONTINUE WHEN v_freq = 'MONTHLY' AND extract(day FROM v_d) <> extract(day FROM p_start);
+
+    IF v_policy <> 'keep' AND NOT is_school_day(v_d, v_exams) THEN
+      CONTINUE WHEN v_policy = 'skip';
+      -- Next school day up to the end of the academic year (last day of February); none = dropped
+      v_year_end := make_date(extract(year FROM v_d)::integer + CASE WHEN extract(month FROM v_d) >= 3 THEN 1 ELSE 0 END, 3, 1) - 1;
+      LOOP
+        v_d := v_d + 1;
+        EXIT WHEN v_d > v_year_end OR is_school_day(v_d, v_exams);
+      END LOOP;
+      CONTINUE WHEN v_d > v_year_end;
+    END IF;
+
+    -- Dates only grow, so occurrences shifted onto the same day are adjacent: keep one
+    CONTINUE WHEN v_d = v_prev OR v_d = ANY(v_exdates);
+    v_prev := v_d;
+    RETURN NEXT v_d;
+  END LOOP;
+END;
+$$;
@@ -0,0 +1,50 @@
+-- 0019: A 'dept' account belongs to the department whose dept_id_en is its login e-mail prefix.
+-- The prefix now comes from auth.users.email: user_roles.email is a copy users may write themselves
+-- ("Users Update Own Role Meta"), so changing it must not move an account into another department.
+CREATE OR REPLACE FUNCTION public.is_dept_member(p_dept_id bigint)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+      FROM public.user_roles u
+      JOIN auth.users a ON a.id = u.user_id
+      JOIN public.departments d ON d.id = p_dept_id
+     WHERE u.user_id = auth.uid()
+       AND (u.role = 'admin' OR u.status = 'active')
+       AND (
+            EXISTS (
+                SELECT 1 FROM public.department_members m
+                 WHERE m.user_id = u.user_id
+                   AND m.dept_code = coalesce(d.dept_id_en, d.dept_name)
+            )
+         OR (u.role = 'dept' AND d.dept_id_en IS NOT NULL AND d.dept_id_en = split_part(a.email, '@', 1))
+       )
+  );
+$$;
+
+-- Role / status changes need admin.users; granting or revoking 'admin' stays with admins.
+-- Only admins edit e-mail; everyone else may only sync it to their login address (App.syncUser).
+CREATE OR REPLACE FUNCTION public.guard_user_role_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+  IF (NEW.role IS DISTINCT FROM OLD.role OR NEW.status IS DISTINCT FROM OLD.status)
+     AND NOT public.has_permission('admin.users') THEN
+    RAISE EXCEPTION '권한 또는 승인 상태는 관리자만 변경할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  IF (NEW.role = 'admin' OR OLD.role = 'admin') AND NEW.role IS DISTINCT FROM OLD.role AND NOT public.is_admin() THEN
+    RAISE EXCEPTION '관리자 권한은 관리자만 부여하거나 해제할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  IF NEW.email IS DISTINCT FROM OLD.email AND NOT public.is_admin()
+     AND NEW.email IS DISTINCT FROM (SELECT a.email FROM auth.users a WHERE a.id = NEW.user_id) THEN
+    RAISE EXCEPTION '이메일은 관리자만 변경할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,28 @@
+-- 0020: Admin accounts are changed by admins only. Holders of admin.users ("Admins can update all")
+-- could still set an admin's status to 'pending' / 'rejected'; deactivate_user() already refuses them.
+CREATE OR REPLACE FUNCTION public.guard_user_role_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+  IF OLD.role = 'admin' AND NOT public.is_admin() THEN
+    RAISE EXCEPTION '관리자 계정은 관리자만 변경할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  IF (NEW.role IS DISTINCT FROM OLD.role OR NEW.status IS DISTINCT FROM OLD.status)
+     AND NOT public.has_permission('admin.users') THEN
+    RAISE EXCEPTION '권한 또는 승인 상태는 관리자만 변경할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  IF NEW.role = 'admin' AND NEW.role IS DISTINCT FROM OLD.role AND NOT public.is_admin() THEN
+    RAISE EXCEPTION '관리자 권한은 관리자만 부여하거나 해제할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  IF NEW.email IS DISTINCT FROM OLD.email AND NOT public.is_admin()
+     AND NEW.email IS DISTINCT FROM (SELECT a.email FROM auth.users a WHERE a.id = NEW.user_id) THEN
+    RAISE EXCEPTION '이메일은 관리자만 변경할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,49 @@
+-- 0021: Invites for a known address (App.importUsersCsv) carry it in invites.email, and redeem_invite()
+-- only accepts an account signed up with that address. Otherwise anyone holding a link from the
+-- downloaded CSV could claim its role and department. NULL = any address (links from App.createInvite).
+ALTER TABLE public.invites ADD COLUMN IF NOT EXISTS email text;
+
+-- Called by the freshly signed-up user. The row is replaced rather than updated so the
+-- role guard trigger (users may not change their own role) does not apply.
+CREATE OR REPLACE FUNCTION public.redeem_invite(p_token text)
+RETURNS text
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_invite public.invites%ROWTYPE;
+  v_status text;
+  v_email text;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION '로그인 후 초대를 사용할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_invite FROM public.invites WHERE token = p_token FOR UPDATE;
+  IF NOT FOUND OR v_invite.used_at IS NOT NULL OR v_invite.expires_at <= now() THEN
+    RAISE EXCEPTION '만료되었거나 이미 사용된 초대 링크입니다.' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT status INTO v_status FROM public.user_roles WHERE user_id = auth.uid();
+  IF v_status IS NOT NULL AND v_status <> 'pending' THEN
+    RAISE EXCEPTION '이미 등록된 계정에는 초대를 사용할 수 없습니다.' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT email INTO v_email FROM auth.users WHERE id = auth.uid();
+  IF v_invite.email IS NOT NULL AND lower(v_invite.email) IS DISTINCT FROM lower(v_email) THEN
+    RAISE EXCEPTION '초대받은 이메일로 가입한 계정만 이 초대 링크를 사용할 수 있습니다.' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM public.user_roles WHERE user_id = auth.uid();
+  INSERT INTO public.user_roles (user_id, email, role, status, last_login)
+  VALUES (auth.uid(), v_email, v_invite.role, 'active', now());
+
+  IF v_invite.dept_code IS NOT NULL THEN
+    INSERT INTO public.department_members (user_id, dept_code)
+    VALUES (auth.uid(), v_invite.dept_code)
+    ON CONFLICT DO NOTHING;
+  END IF;
+
+  UPDATE public.invites SET used_by = auth.uid(), used_at = now() WHERE token = p_token;
+  RETURN v_invite.role;
+END;
+$$;
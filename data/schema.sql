@@ -1,6 +1,9 @@
 -- [Clone Schema for Pogokhi]
 -- Based on js/app.js reverse engineering + fix_rls.sql optimizations
 -- TABLES: user_roles, basic_schedules, settings, departments, schedules, error_logs
+--
+-- Baseline (version 0000_baseline). Schema changes from here on are numbered files in
+-- data/migrations/, applied in order by data/migrate.sh and tracked in public.schema_migrations.
 
 -- crypt() 함수 사용을 위해 암호화 확장기능 활성화
 CREATE EXTENSION IF NOT EXISTS pgcrypto;
@@ -0,0 +1,44 @@
+-- [Stand-in] Supabase pieces the schema relies on, for a plain local PostgreSQL (14+).
+-- Loaded by `data/migrate.sh --stand-in`. Never run this against a Supabase project.
+-- auth.uid() reads the same settings PostgREST sets (as Supabase's does), so policies can be tried with:
+--   SET request.jwt.claims = '{"sub": "<user uuid>", "role": "authenticated"}'; SET ROLE authenticated;
+-- data/tests/*.sql run on a database built this way.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    CREATE ROLE anon NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+    CREATE ROLE service_role NOLOGIN BYPASSRLS;
+  END IF;
+  -- schema.sql sets default privileges FOR ROLE postgres
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'postgres') THEN
+    CREATE ROLE postgres NOLOGIN;
+  END IF;
+END $$;
+
+CREATE SCHEMA IF NOT EXISTS auth;
+GRANT USAGE ON SCHEMA auth TO anon, authenticated, service_role;
+
+CREATE TABLE IF NOT EXISTS auth.users (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    email text,
+    raw_user_meta_data jsonb DEFAULT '{}'::jsonb,
+    banned_until timestamp with time zone,
+    created_at timestamp with time zone DEFAULT now()
+);
+ALTER TABLE auth.users ADD COLUMN IF NOT EXISTS banned_until timestamp with time zone;
+
+CREATE OR REPLACE FUNCTION auth.uid()
+RETURNS uuid
+LANGUAGE sql STABLE
+AS $$
+  SELECT coalesce(
+    nullif(current_setting('request.jwt.claim.sub', true), ''),
+    nullif(current_setting('request.jwt.claims', true), '')::jsonb ->> 'sub'
+  )::uuid;
+$$;
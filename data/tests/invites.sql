@@ -0,0 +1,55 @@
+-- [Test] redeem_invite (data/migrations/0012 / 0021): an invite issued for an address only works for
+-- an account signed up with it; invites without an address work for anyone.
+-- Run like data/tests/schedule_visibility.sql:
+--   psql postgres:///pogok_test -X -q -v ON_ERROR_STOP=1 -f data/tests/invites.sql
+-- Everything runs in one transaction that is rolled back; the first mismatch raises an error.
+
+BEGIN;
+
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-000000000001', 'admin@test.school'),
+  ('00000000-0000-0000-0000-000000000007', 'teacher@test.school'),
+  ('00000000-0000-0000-0000-00000000000c', 'stranger@test.school');
+
+INSERT INTO public.invites (token, role, dept_code, email, expires_at) VALUES
+  ('for-teacher', 'head', 'math', 'Teacher@test.school', now() + interval '1 day'),
+  ('for-anyone', 'teacher', NULL, NULL, now() + interval '1 day');
+
+-- Someone else holding the teacher's link
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000c", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+DO $$
+BEGIN
+  PERFORM public.redeem_invite('for-teacher');
+  RAISE EXCEPTION 'stranger redeemed an invite issued for teacher@test.school';
+EXCEPTION WHEN insufficient_privilege THEN
+  RAISE NOTICE 'ok  invite for another address rejected';
+END;
+$$;
+DO $$
+BEGIN
+  IF public.redeem_invite('for-anyone') <> 'teacher' THEN
+    RAISE EXCEPTION 'open invite gave the wrong role';
+  END IF;
+  RAISE NOTICE 'ok  open invite redeemed';
+END;
+$$;
+RESET ROLE;
+
+-- The invited address (case-insensitive)
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000007", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+DO $$
+BEGIN
+  IF public.redeem_invite('for-teacher') <> 'head' THEN
+    RAISE EXCEPTION 'invite gave the wrong role';
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM public.department_members WHERE user_id = auth.uid() AND dept_code = 'math') THEN
+    RAISE EXCEPTION 'invite did not add the department';
+  END IF;
+  RAISE NOTICE 'ok  invite redeemed by its address';
+END;
+$$;
+RESET ROLE;
+
+ROLLBACK;
@@ -0,0 +1,236 @@
+-- [Test] Who reads which schedules and schedule history (can_read_schedule, data/migrations/0008 / 0011 / 0019).
+-- Expectations follow App.isScheduleVisible, i.e. what the calendar promises each account:
+--   public   : everyone, including anonymous visitors
+--   internal : active staff
+--   dept     : admins and members of the schedule's department
+--   private  : admins and the author
+--   'dept' role accounts only ever see their own department's rows
+-- Run against a throwaway database built with the stand-in:
+--   createdb pogok_test
+--   DATABASE_URL=postgres:///pogok_test ./data/migrate.sh --stand-in
+--   psql postgres:///pogok_test -X -q -v ON_ERROR_STOP=1 -f data/tests/schedule_visibility.sql
+-- Everything runs in one transaction that is rolled back; the first mismatch raises an error.
+-- Update the expectations here whenever a migration rewrites can_read_schedule or the history policies.
+
+BEGIN;
+
+-- Compares what the current role / JWT reads with the expected schedule titles.
+-- Schedule history is compared by the title in the row's newest snapshot; other_history = sees
+-- history of other tables (basic_schedules, settings ...), which only admins do.
+CREATE FUNCTION pg_temp.expect(p_label text, p_schedules text[], p_history text[], p_other_history boolean)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_schedules text[];
+  v_history text[];
+  v_other boolean;
+BEGIN
+  SELECT coalesce(array_agg(title ORDER BY title), '{}') INTO v_schedules FROM public.schedules;
+  SELECT coalesce(array_agg(DISTINCT coalesce(new_data, old_data) ->> 'title' ORDER BY coalesce(new_data, old_data) ->> 'title'), '{}')
+    INTO v_history FROM public.change_history WHERE table_name = 'schedules';
+  SELECT EXISTS (SELECT 1 FROM public.change_history WHERE table_name <> 'schedules') INTO v_other;
+
+  p_schedules := coalesce((SELECT array_agg(t ORDER BY t) FROM unnest(p_schedules) t), '{}');
+  p_history := coalesce((SELECT array_agg(t ORDER BY t) FROM unnest(p_history) t), '{}');
+
+  IF v_schedules <> p_schedules THEN
+    RAISE EXCEPTION '% schedules: expected %, got %', p_label, p_schedules, v_schedules;
+  END IF;
+  IF v_history <> p_history THEN
+    RAISE EXCEPTION '% schedule history: expected %, got %', p_label, p_history, v_history;
+  END IF;
+  IF v_other <> p_other_history THEN
+    RAISE EXCEPTION '% other history: expected %, got %', p_label, p_other_history, v_other;
+  END IF;
+  RAISE NOTICE 'ok  %', p_label;
+END;
+$$;
+GRANT EXECUTE ON FUNCTION pg_temp.expect(text, text[], text[], boolean) TO anon, authenticated;
+
+-- Accounts: one per role / status. 'dept' accounts belong to the department whose
+-- dept_id_en is their e-mail prefix; anyone else through department_members.
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-000000000001', 'admin@test.school'),
+  ('00000000-0000-0000-0000-000000000002', 'head@test.school'),
+  ('00000000-0000-0000-0000-000000000003', 'head-teacher@test.school'),
+  ('00000000-0000-0000-0000-000000000004', 'math@test.school'),
+  ('00000000-0000-0000-0000-000000000005', 'science@test.school'),
+  ('00000000-0000-0000-0000-000000000006', 'member@test.school'),
+  ('00000000-0000-0000-0000-000000000007', 'teacher@test.school'),
+  ('00000000-0000-0000-0000-000000000008', 'pending@test.school'),
+  ('00000000-0000-0000-0000-000000000009', 'rejected@test.school'),
+  ('00000000-0000-0000-0000-00000000000a', 'inactive@test.school'),
+  ('00000000-0000-0000-0000-00000000000b', 'guest@test.school');
+
+-- on_auth_user_created registered everyone as a pending teacher
+UPDATE public.user_roles u SET role = v.role, status = v.status
+  FROM (VALUES
+    ('00000000-0000-0000-0000-000000000001'::uuid, 'admin', 'active'),
+    ('00000000-0000-0000-0000-000000000002'::uuid, 'head', 'active'),
+    ('00000000-0000-0000-0000-000000000003'::uuid, 'head_teacher', 'active'),
+    ('00000000-0000-0000-0000-000000000004'::uuid, 'dept', 'active'),
+    ('00000000-0000-0000-0000-000000000005'::uuid, 'dept', 'active'),
+    ('00000000-0000-0000-0000-000000000006'::uuid, 'teacher', 'active'),
+    ('00000000-0000-0000-0000-000000000007'::uuid, 'teacher', 'active'),
+    ('00000000-0000-0000-0000-000000000008'::uuid, 'teacher', 'pending'),
+    ('00000000-0000-0000-0000-000000000009'::uuid, 'teacher', 'rejected'),
+    ('00000000-0000-0000-0000-00000000000a'::uuid, 'teacher', 'inactive'),
+    ('00000000-0000-0000-0000-00000000000b'::uuid, 'guest', 'active')
+  ) AS v(user_id, role, status)
+ WHERE u.user_id = v.user_id;
+
+INSERT INTO public.departments (id, academic_year, dept_name, dept_id_en) VALUES
+  (9001, 2026, '수학과', 'math'),
+  (9002, 2026, '과학과', 'science');
+
+INSERT INTO public.department_members (user_id, dept_code) VALUES
+  ('00000000-0000-0000-0000-000000000006', 'math');
+
+INSERT INTO public.schedules (title, start_date, end_date, dept_id, visibility, author_id) VALUES
+  ('math public',           '2026-04-01', '2026-04-01', 9001, 'public',   '00000000-0000-0000-0000-000000000007'),
+  ('math internal',         '2026-04-02', '2026-04-02', 9001, 'internal', '00000000-0000-0000-0000-000000000007'),
+  ('math dept',             '2026-04-03', '2026-04-03', 9001, 'dept',     '00000000-0000-0000-0000-000000000006'),
+  ('math private (teacher)', '2026-04-04', '2026-04-04', 9001, 'private', '00000000-0000-0000-0000-000000000007'),
+  ('math private (member)', '2026-04-05', '2026-04-05', 9001, 'private',  '00000000-0000-0000-0000-000000000006'),
+  ('science public',        '2026-04-06', '2026-04-06', 9002, 'public',   '00000000-0000-0000-0000-000000000005'),
+  ('science internal',      '2026-04-07', '2026-04-07', 9002, 'internal', '00000000-0000-0000-0000-000000000005'),
+  ('science dept',          '2026-04-08', '2026-04-08', 9002, 'dept',     '00000000-0000-0000-0000-000000000005'),
+  ('math dept (deleted)',   '2026-04-09', '2026-04-09', 9001, 'dept',     '00000000-0000-0000-0000-000000000006');
+
+-- A deleted row only lives on in its history
+DELETE FROM public.schedules WHERE title = 'math dept (deleted)';
+
+-- History of a non-schedule table
+INSERT INTO public.basic_schedules (academic_year, type, name, start_date, end_date)
+VALUES (2026, 'event', '입학식', '2026-03-02', '2026-03-02');
+
+
+-- Admin: everything
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000001", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('admin',
+  ARRAY['math public', 'math internal', 'math dept', 'math private (teacher)', 'math private (member)',
+        'science public', 'science internal', 'science dept'],
+  ARRAY['math public', 'math internal', 'math dept', 'math private (teacher)', 'math private (member)',
+        'science public', 'science internal', 'science dept', 'math dept (deleted)'],
+  true);
+RESET ROLE;
+
+-- Head / head teacher: public + internal, no department or other people's private rows
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000002", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('head',
+  ARRAY['math public', 'math internal', 'science public', 'science internal'],
+  ARRAY['math public', 'math internal', 'science public', 'science internal'],
+  false);
+RESET ROLE;
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000003", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('head_teacher',
+  ARRAY['math public', 'math internal', 'science public', 'science internal'],
+  ARRAY['math public', 'math internal', 'science public', 'science internal'],
+  false);
+RESET ROLE;
+
+-- Department account (math): its own department only, including 'dept' rows
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000004", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('dept account (math)',
+  ARRAY['math public', 'math internal', 'math dept'],
+  ARRAY['math public', 'math internal', 'math dept', 'math dept (deleted)'],
+  false);
+RESET ROLE;
+
+-- Department account (science): not a math member, so no math rows at all
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000005", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('dept account (science, math non-member)',
+  ARRAY['science public', 'science internal', 'science dept'],
+  ARRAY['science public', 'science internal', 'science dept'],
+  false);
+RESET ROLE;
+
+-- Teacher in department_members for math: math 'dept' rows and their own private row
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000006", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('dept member (teacher)',
+  ARRAY['math public', 'math internal', 'math dept', 'math private (member)', 'science public', 'science internal'],
+  ARRAY['math public', 'math internal', 'math dept', 'math private (member)', 'science public', 'science internal',
+        'math dept (deleted)'],
+  false);
+RESET ROLE;
+
+-- Teacher without membership: public + internal + their own private row
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000007", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('teacher (non-member)',
+  ARRAY['math public', 'math internal', 'math private (teacher)', 'science public', 'science internal'],
+  ARRAY['math public', 'math internal', 'math private (teacher)', 'science public', 'science internal'],
+  false);
+RESET ROLE;
+
+-- Pending / rejected / inactive / guest accounts: public rows only
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000008", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('pending', ARRAY['math public', 'science public'], ARRAY['math public', 'science public'], false);
+RESET ROLE;
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000009", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('rejected', ARRAY['math public', 'science public'], ARRAY['math public', 'science public'], false);
+RESET ROLE;
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000a", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('inactive', ARRAY['math public', 'science public'], ARRAY['math public', 'science public'], false);
+RESET ROLE;
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('guest', ARRAY['math public', 'science public'], ARRAY['math public', 'science public'], false);
+RESET ROLE;
+
+-- Anonymous visitor (calendar without login): public schedules, no history
+SELECT set_config('request.jwt.claims', '{"role": "anon"}', true);
+SET LOCAL ROLE anon;
+SELECT pg_temp.expect('anon', ARRAY['math public', 'science public'], ARRAY[]::text[], false);
+RESET ROLE;
+
+-- Department accounts cannot move themselves into another department through user_roles.email (0019)
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000004", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+DO $$
+BEGIN
+  UPDATE public.user_roles SET email = 'science@test.school' WHERE user_id = auth.uid();
+  RAISE EXCEPTION 'dept account (math) changed its own e-mail';
+EXCEPTION WHEN insufficient_privilege THEN
+  RAISE NOTICE 'ok  dept account (math) e-mail change rejected';
+END;
+$$;
+RESET ROLE;
+
+-- Even with a stale or forged copy in user_roles, the login address decides
+SELECT set_config('request.jwt.claims', '', true);
+UPDATE public.user_roles SET email = 'science@test.school' WHERE user_id = '00000000-0000-0000-0000-000000000004';
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000004", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect('dept account (math, user_roles.email = science)',
+  ARRAY['math public', 'math internal', 'math dept'],
+  ARRAY['math public', 'math internal', 'math dept', 'math dept (deleted)'],
+  false);
+DO $$
+DECLARE v_rows integer;
+BEGIN
+  UPDATE public.schedules SET title = 'pwned' WHERE dept_id = 9002;
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+  IF v_rows <> 0 THEN
+    RAISE EXCEPTION 'dept account (math) updated % science schedules', v_rows;
+  END IF;
+  RAISE NOTICE 'ok  dept account (math) cannot write science schedules';
+END;
+$$;
+RESET ROLE;
+
+ROLLBACK;
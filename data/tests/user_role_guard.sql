@@ -0,0 +1,86 @@
+-- [Test] Who may change user_roles rows (guard_user_role_change, data/migrations/0010 / 0019 / 0020).
+-- A head granted admin.users approves staff but cannot touch admin accounts; users cannot change
+-- their own role, status or e-mail. Run like data/tests/schedule_visibility.sql:
+--   psql postgres:///pogok_test -X -q -v ON_ERROR_STOP=1 -f data/tests/user_role_guard.sql
+-- Everything runs in one transaction that is rolled back; the first mismatch raises an error.
+
+BEGIN;
+
+-- Runs p_sql as the current role / JWT; p_allowed = whether the guard lets it through
+CREATE FUNCTION pg_temp.expect_update(p_label text, p_sql text, p_allowed boolean)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_rows integer;
+BEGIN
+  BEGIN
+    EXECUTE p_sql;
+    GET DIAGNOSTICS v_rows = ROW_COUNT;
+    IF NOT p_allowed THEN
+      RAISE EXCEPTION '% : expected rejection, % row(s) changed', p_label, v_rows;
+    END IF;
+    IF v_rows = 0 THEN
+      RAISE EXCEPTION '% : expected a change, no rows matched', p_label;
+    END IF;
+  EXCEPTION WHEN insufficient_privilege THEN
+    IF p_allowed THEN
+      RAISE EXCEPTION '% : rejected (%)', p_label, SQLERRM;
+    END IF;
+  END;
+  RAISE NOTICE 'ok  %', p_label;
+END;
+$$;
+GRANT EXECUTE ON FUNCTION pg_temp.expect_update(text, text, boolean) TO authenticated;
+
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-000000000001', 'admin@test.school'),
+  ('00000000-0000-0000-0000-000000000002', 'head@test.school'),
+  ('00000000-0000-0000-0000-000000000007', 'teacher@test.school'),
+  ('00000000-0000-0000-0000-000000000008', 'pending@test.school');
+
+UPDATE public.user_roles u SET role = v.role, status = v.status
+  FROM (VALUES
+    ('00000000-0000-0000-0000-000000000001'::uuid, 'admin', 'active'),
+    ('00000000-0000-0000-0000-000000000002'::uuid, 'head', 'active'),
+    ('00000000-0000-0000-0000-000000000007'::uuid, 'teacher', 'active'),
+    ('00000000-0000-0000-0000-000000000008'::uuid, 'teacher', 'pending')
+  ) AS v(user_id, role, status)
+ WHERE u.user_id = v.user_id;
+
+INSERT INTO public.role_permissions (role, permission) VALUES ('head', 'admin.users') ON CONFLICT DO NOTHING;
+
+-- Head with admin.users
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000002", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect_update('head approves a pending teacher',
+  $q$UPDATE public.user_roles SET status = 'active' WHERE user_id = '00000000-0000-0000-0000-000000000008'$q$, true);
+SELECT pg_temp.expect_update('head rejects the admin',
+  $q$UPDATE public.user_roles SET status = 'rejected' WHERE user_id = '00000000-0000-0000-0000-000000000001'$q$, false);
+SELECT pg_temp.expect_update('head sets the admin back to pending',
+  $q$UPDATE public.user_roles SET status = 'pending' WHERE user_id = '00000000-0000-0000-0000-000000000001'$q$, false);
+SELECT pg_temp.expect_update('head demotes the admin',
+  $q$UPDATE public.user_roles SET role = 'teacher' WHERE user_id = '00000000-0000-0000-0000-000000000001'$q$, false);
+SELECT pg_temp.expect_update('head grants admin',
+  $q$UPDATE public.user_roles SET role = 'admin' WHERE user_id = '00000000-0000-0000-0000-000000000007'$q$, false);
+RESET ROLE;
+
+-- Teacher on their own row
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000007", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect_update('teacher records last_login',
+  $q$UPDATE public.user_roles SET email = 'teacher@test.school', last_login = now() WHERE user_id = auth.uid()$q$, true);
+SELECT pg_temp.expect_update('teacher promotes themselves',
+  $q$UPDATE public.user_roles SET role = 'head' WHERE user_id = auth.uid()$q$, false);
+SELECT pg_temp.expect_update('teacher changes their e-mail',
+  $q$UPDATE public.user_roles SET email = 'math@test.school' WHERE user_id = auth.uid()$q$, false);
+RESET ROLE;
+
+-- Admin
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-000000000001", "role": "authenticated"}', true);
+SET LOCAL ROLE authenticated;
+SELECT pg_temp.expect_update('admin promotes the head to admin',
+  $q$UPDATE public.user_roles SET role = 'admin' WHERE user_id = '00000000-0000-0000-0000-000000000002'$q$, true);
+RESET ROLE;
+
+ROLLBACK;
@@ -14,13 +14,21 @@ const App = {
         departments: [],
         templates: {},
         cache: {
-            schedules: null,
+            schedulesByMonth: {}, // { 'YYYY-MM': single schedules overlapping that month }
+            scheduleSeries: null, // Recurring series (rrule), loaded once since they may start long before the view
             departments: null,
             basicSchedules: {},
         },
+        _scheduleRequests: {}, // In-flight month / series fetches
+        _scheduleGen: 0, // Bumped by clearCache so late responses are dropped
         _lastFetchId: 0,
         _syncPromise: null,
         _authInitialized: false,
+        authPolicy: { session_persistence: 'choice', idle_timeout_minutes: 0 }, // Newest settings row (applyAuthPolicy)
+        gradeFilter: parseInt(localStorage.getItem('calendar-grade-filter')) || null, // 학년 filter (null = 전체 학년)
+        gradeCount: 3, // settings.grade_count of the last fetched year
+        _lastActivity: Date.now(),
+        _idleTimer: null,
     },
 
     debug: function () {
@@ -68,6 +76,17 @@ const App = {
         return `${y}-${m}-${day}`;
     },
 
+    // Whole days from dateStr a to dateStr b
+    diffDays: function (a, b) {
+        return Math.round((this.parseLocal(b) - this.parseLocal(a)) / 86400000);
+    },
+
+    shiftDate: function (dateStr, days) {
+        const d = this.parseLocal(dateStr);
+        d.setDate(d.getDate() + days);
+        return this.formatLocal(d);
+    },
+
     isSchoolDay: function (d, parsedHolidays = null) {
         const day = d.getDay(); // Local day (0-6)
         if (day === 0 || day === 6) return false; // Weekend
@@ -84,33 +103,55 @@ const App = {
         // Fixed Holidays
         if (this.currentFixedHolidays && this.currentFixedHolidays[dStr]) return false;
         // Variable Holidays
-        if (this.currentVariableHolidays && this.currentVariableHolidays.some(h => h.date === dStr)) return false;
+        if (this.currentVariableHolidays && this.currentVariableHolidays.some(h => h.date === dStr && !h.grade)) return false;
 
         return true;
     },
 
+    // Academic year (March - February) a 'YYYY-MM-DD' belongs to
+    academicYearOf: function (dateStr) {
+        const [y, m] = dateStr.split('-').map(Number);
+        return m < 3 ? y - 1 : y;
+    },
+
+    // The school day before startDateStr, searching back to the start of its academic year; null if there is none
     findPrevSchoolDay: function (startDateStr, parsedHolidays = null) {
-        let d = this.parseLocal(startDateStr);
+        const limit = this.parseLocal(`${this.academicYearOf(startDateStr)}-03-01`);
+        const d = this.parseLocal(startDateStr);
         d.setDate(d.getDate() - 1);
-        let safety = 0;
-        while (safety < 30) {
+        while (d >= limit) {
             if (this.isSchoolDay(d, parsedHolidays)) return this.formatLocal(d);
             d.setDate(d.getDate() - 1);
-            safety++;
         }
-        return startDateStr;
+        return null;
     },
 
+    // The school day after endDateStr, searching up to the end of its academic year (a whole
+    // winter vacation included); null if there is none. Same bound as school_day_occurrences() in SQL.
     findNextSchoolDay: function (endDateStr, parsedHolidays = null) {
-        let d = this.parseLocal(endDateStr);
+        const ay = this.academicYearOf(endDateStr);
+        const limit = new Date(ay + 1, 2, 0);
+        const d = this.parseLocal(endDateStr);
         d.setDate(d.getDate() + 1);
-        let safety = 0;
-        while (safety < 30) {
+        while (d <= limit) {
             if (this.isSchoolDay(d, parsedHolidays)) return this.formatLocal(d);
             d.setDate(d.getDate() + 1);
-            safety++;
         }
-        return endDateStr;
+        return null;
+    },
+
+    /**
+     * Year-anchored term dates: the 1st semester opens on the first school day from March 2
+     * (March 1 is 삼일절) and winter vacation runs to the last day of February.
+     * holidays: { 'YYYY-MM-DD': name } (e.g. calculateMergedHolidays)
+     */
+    computeYearStartDates: function (year, holidays = {}) {
+        const y = parseInt(year);
+        const d = new Date(y, 2, 2);
+        while (d.getDay() === 0 || d.getDay() === 6 || holidays[this.formatLocal(d)]) {
+            d.setDate(d.getDate() + 1);
+        }
+        return { sem1Start: this.formatLocal(d), winterEnd: this.formatLocal(new Date(y + 1, 2, 0)) };
     },
 
     // Clear Cache
@@ -119,7 +160,10 @@ const App = {
         this.state.user = null;
         this.state.role = null;
         this.state.status = null;
-        this.state.cache.schedules = null;
+        this.state.cache.schedulesByMonth = {};
+        this.state.cache.scheduleSeries = null;
+        this.state._scheduleRequests = {};
+        this.state._scheduleGen++;
         this.state.cache.departments = null;
         this.state.cache.basicSchedules = {};
         console.log("🧹 Cache cleared & Auth State Reset");
@@ -130,6 +174,12 @@ const App = {
         console.log("GOELink Initializing...");
 
         try {
+            // Invite (?invite=<token>) and password recovery (#...type=recovery) links;
+            // read before Supabase consumes the hash and before the URL is cleaned below
+            const inviteToken = new URLSearchParams(window.location.search).get('invite');
+            if (inviteToken) this.state.inviteToken = inviteToken;
+            if (/type=recovery/.test(window.location.hash)) this.state.passwordRecovery = true;
+
             // 1. Initialize Supabase
             if (window.SupabaseClient) {
                 const initialized = await window.SupabaseClient.init();
@@ -143,8 +193,15 @@ const App = {
             // 2. Check Auth State
             await this.checkAuth();
 
+            // 2.1 Live updates from other users (patches the caches in place)
+            this.initRealtime();
+
+            // 2.2 Offline support (service worker + replay of queued writes)
+            this.initOffline();
+
             // 2.5 Load Initial Settings (for Dynamic Title etc)
             const settings = await this.fetchSettings();
+            this.applyAuthPolicy(settings);
 
 
             // Check if settings exist (fresh project check)
@@ -175,6 +232,8 @@ const App = {
                     initialView = hashView;
                 }
             }
+            if (this.state.inviteToken) initialView = 'signup';
+            if (this.state.passwordRecovery) initialView = 'password_reset';
 
             // Replace current state (initial load) - Keep URL clean
             // If we loaded from a hash, we consume it and clean the URL
@@ -277,6 +336,11 @@ const App = {
         window.SupabaseClient.supabase.auth.onAuthStateChange(async (event, session) => {
             console.log(`[Auth] Event: ${event}`);
 
+            if (event === 'PASSWORD_RECOVERY') {
+                this.state.passwordRecovery = true;
+                if (this.state.viewMode !== 'password_reset') this.navigate('password_reset', true);
+            }
+
             if (session) {
                 await this.syncUser(session.user);
             } else {
@@ -287,8 +351,9 @@ const App = {
             await this.handleGating(session, 'onAuthStateChange');
 
             this.updateAuthUI(session);
+            this.refreshIdleWatch();
 
-            if (session && this.state.viewMode === 'login') {
+            if (session && (this.state.viewMode === 'login' || this.state.viewMode === 'signup')) {
                 this.navigate('calendar');
             }
         });
@@ -338,14 +403,19 @@ const App = {
             // [SECURITY FIX] If unauthorized (pending/rejected), REJECT ALL ACCESS.
             // Rule: Logout FIRST, then move to pending screen.
             console.warn(`[Auth GATING] User ${session.user.email} is ${status}. Logging out and redirecting to pending.`);
-            
+            this.state.blockedStatus = status; // The pending page explains deactivated accounts differently
+
+            await this.clearOfflineData();
             await window.SupabaseClient.supabase.auth.signOut();
+            await this.resetRealtime();
             this.clearCache();
             this.navigate('pending');
         } else {
             // [SUCCESS] Authorized! 
+            // Writes queued offline before an idle sign-out are saved once their author is back
+            if (navigator.onLine) this.replayOfflineQueue();
             // EMERGENCY REDIRECT: If they are authorized but stuck on the 'pending' page, pull them out.
-            if (this.state.viewMode === 'pending' || this.state.viewMode === 'login') {
+            if (this.state.viewMode === 'pending' || this.state.viewMode === 'login' || this.state.viewMode === 'signup') {
                 console.log(`[Auth GATING] Authorized user found on ${this.state.viewMode} page. Redirecting to calendar.`);
                 this.navigate('calendar');
             }
@@ -370,6 +440,9 @@ const App = {
         const self = this;
         this.state._syncPromise = (async () => {
             try {
+                // 0. Invite accepted on the signup page (kept until the first signed-in sync)
+                await self.redeemStoredInvite();
+
                 // 1. Fetch current role/status
                 const { data, error } = await window.SupabaseClient.supabase
                     .from('user_roles')
@@ -411,15 +484,8 @@ const App = {
 
                 self.state.user = authUser;
                 self.state._authInitialized = true;
-
-                if (self.state.role === 'dept') {
-                    const prefix = authUser.email.split('@')[0];
-                    if (!self.state.departments || self.state.departments.length === 0) {
-                        self.state.departments = await self.fetchDepartments();
-                    }
-                    const dept = self.state.departments.find(d => d.dept_id_en === prefix);
-                    self.state.myDeptId = dept ? dept.id : null;
-                }
+                await self.loadRolePermissions();
+                await self.loadMyDepartments(authUser);
 
                 console.log(`[Auth Sync] Complete: ${authUser.email} | Role: ${self.state.role} | Status: ${self.state.status}`);
 
@@ -473,7 +539,7 @@ const App = {
                 console.warn(`[Auth Warning] User "${userEmail}" has an admin-like email but role is "${role}". Admin button will NOT be shown.`);
             }
 
-            const adminBtn = isAdmin
+            const adminBtn = this.canAccessAdmin()
                 ? `<button id="btn-admin" class="text-sm px-3 py-1 border border-purple-200 text-purple-700 rounded bg-purple-50 hover:bg-purple-100">관리자</button>`
                 : '';
 
@@ -485,13 +551,17 @@ const App = {
         if (logoutBtn) {
             logoutBtn.onclick = async () => {
                 if (!confirm('로그아웃 하시겠습니까?')) return;
+                const queued = await this.countQueuedWrites();
+                if (queued > 0 && !confirm(`아직 서버에 저장되지 않은 오프라인 변경 ${queued}건이 있습니다. 로그아웃하면 삭제됩니다. 계속하시겠습니까?`)) return;
+                await this.clearOfflineData();
                 await window.SupabaseClient.supabase.auth.signOut();
+                await this.resetRealtime();
                 this.clearCache();
                 window.location.replace(window.location.pathname + '#calendar');
             };
         }
 
-        if (isAdmin) {
+        if (this.canAccessAdmin()) {
             const btnAdmin = document.getElementById('btn-admin');
             if (btnAdmin) {
                 btnAdmin.onclick = () => this.navigate('admin');
@@ -515,20 +585,250 @@ const App = {
     }
     },
 
+    // --- Permissions (role_permissions, data/migrations/0010) ---
+
+    PERMISSIONS: [
+        { key: 'schedule.create', label: '일정 등록' },
+        { key: 'schedule.edit_dept', label: '소속 부서 일정 수정·삭제' },
+        { key: 'schedule.edit_any', label: '모든 일정 수정·삭제' },
+        { key: 'print.select', label: '캘린더 인쇄 항목 선택' },
+        { key: 'print.dept_list', label: '부서별 일정 인쇄' },
+        { key: 'excel.import', label: '엑셀·캘린더 파일 일괄 등록' },
+        { key: 'history.restore', label: '변경 이력 조회·복원' },
+        { key: 'admin.settings', label: '학교 정보·학사일정·부서 설정' },
+        { key: 'admin.users', label: '사용자 승인·권한 관리' }
+    ],
+
+    // Editable roles (admin always holds every permission)
+    PERMISSION_ROLES: [
+        { key: 'teacher', label: '일반' },
+        { key: 'dept', label: '부서' },
+        { key: 'head', label: '부장' },
+        { key: 'head_teacher', label: 'Head Teacher' }
+    ],
+
+    // Used until role_permissions is loaded (and if it cannot be)
+    DEFAULT_ROLE_PERMISSIONS: {
+        teacher: ['print.dept_list'],
+        dept: ['schedule.create', 'schedule.edit_dept', 'print.dept_list'],
+        head: ['schedule.create', 'schedule.edit_any', 'print.select', 'print.dept_list'],
+        head_teacher: ['schedule.create', 'schedule.edit_any', 'print.select', 'print.dept_list']
+    },
+
+    loadRolePermissions: async function () {
+        try {
+            const { data, error } = await window.SupabaseClient.supabase
+                .from('role_permissions')
+                .select('role, permission');
+            if (error) throw error;
+            const map = {};
+            (data || []).forEach(r => {
+                (map[r.role] = map[r.role] || []).push(r.permission);
+            });
+            this.state.rolePermissions = map;
+        } catch (e) {
+            console.warn('Failed to load role permissions, using defaults:', e);
+            this.state.rolePermissions = null;
+        }
+        return this.state.rolePermissions;
+    },
+
+    // Single permission check for the UI (the server enforces the same matrix via has_permission())
+    can: function (permission) {
+        if (!this.state.user) return false;
+
+        const role = String(this.state.role || '').trim().toLowerCase();
+        const status = String(this.state.status || '').trim().toLowerCase();
+        if (role === 'admin') return true;
+        if (status !== 'active') return false;
+
+        const grants = this.state.rolePermissions || this.DEFAULT_ROLE_PERMISSIONS;
+        return (grants[role] || []).includes(permission);
+    },
+
+    canAccessAdmin: function () {
+        return ['admin.settings', 'admin.users', 'excel.import', 'history.restore'].some(p => this.can(p));
+    },
+
     // Helper: Check if current user has permission to add/edit schedules
     canAddSchedule: function () {
-        // [SECURITY] Strict check: Must have a logged-in user object
-        if (!this.state.user) return false;
+        return this.can('schedule.create');
+    },
+
+    // Edit / delete an existing schedule (dept scoped permission needs a matching department)
+    canEditSchedule: function (schedule) {
+        if (this.can('schedule.edit_any')) return true;
+        if (!this.can('schedule.edit_dept') || !this.hasMyDept()) return false;
+        return !schedule || this.isMyDept(schedule.dept_id);
+    },
+
+    // --- Department Membership (department_members, data/migrations/0011) ---
+
+    // Departments are stored per academic year; membership is kept per department code so it carries over
+    deptCode: function (dept) {
+        return dept ? (dept.dept_id_en || dept.dept_name || null) : null;
+    },
+
+    // department_members rows + the legacy rule for 'dept' accounts (e-mail prefix === dept_id_en)
+    loadMyDepartments: async function (authUser) {
+        const codes = [];
+        if (this.state.role === 'dept') codes.push(authUser.email.split('@')[0]);
+        try {
+            const { data, error } = await window.SupabaseClient.supabase
+                .from('department_members')
+                .select('dept_code')
+                .eq('user_id', authUser.id);
+            if (error) throw error;
+            (data || []).forEach(m => codes.push(m.dept_code));
+        } catch (e) {
+            console.warn('Failed to load department membership:', e);
+        }
+        this.state.myDeptCodes = [...new Set(codes)];
+        return this.state.myDeptCodes;
+    },
+
+    hasMyDept: function () {
+        return (this.state.myDeptCodes || []).length > 0;
+    },
+
+    // My departments among the given department rows (default: the year being viewed)
+    myDepartments: function (departments = this.state.departments) {
+        const codes = this.state.myDeptCodes || [];
+        return (departments || []).filter(d => codes.includes(this.deptCode(d)));
+    },
+
+    isMyDept: function (deptId) {
+        if (!deptId || !this.hasMyDept()) return false;
+        const match = (d) => String(d.id) === String(deptId);
+        const dept = (this.state.departments || []).find(match)
+            || (this.state.cache.departments || []).find(match)
+            || (this.state.allDepartmentsCached || []).find(match);
+        return !!dept && this.state.myDeptCodes.includes(this.deptCode(dept));
+    },
 
+    // Why the server refused a write, in terms of the current account (policies: data/migrations/0009)
+    permissionDeniedMessage: function (table = 'schedules') {
         const role = String(this.state.role || '').trim().toLowerCase();
         const status = String(this.state.status || '').trim().toLowerCase();
-        const isAdmin = role === 'admin';
-        const isActive = status === 'active';
 
-        // Allowed roles: admin, head, head_teacher, dept
-        const isAuthorizedRole = ['admin', 'head', 'head_teacher', 'dept'].includes(role);
+        if (!this.state.user) return '로그인이 필요합니다.';
+        if (role !== 'admin' && status !== 'active') return '계정이 아직 승인되지 않아 저장할 수 없습니다. 관리자에게 승인을 요청하세요.';
+        if (['user_roles', 'department_members', 'invites'].includes(table)) return '사용자 승인·권한 관리 권한이 없습니다.';
+        if (table !== 'schedules') return this.can('admin.settings') ? '서버에서 권한을 확인하지 못했습니다. 다시 로그인한 뒤 시도해주세요.' : '학교 정보·부서·학사일정 설정 권한이 없습니다.';
+        if (role === 'dept' && this.can('schedule.edit_dept')) return '부서 계정은 소속 부서의 일정만 등록·수정·삭제할 수 있습니다.';
+        if (this.can('schedule.edit_any')) return '서버에서 권한을 확인하지 못했습니다. 다시 로그인한 뒤 시도해주세요.';
+        return '일정 등록·수정 권한이 없습니다. 관리자에게 권한을 요청하세요.';
+    },
+
+    // Supabase write error -> message for alert(); RLS refusals get the role specific explanation
+    describeWriteError: function (error, table = 'schedules') {
+        if (!error) return '알 수 없는 오류';
+        if (error.permission || error.code === '42501' || /row-level security|permission denied/i.test(error.message || '')) {
+            return this.permissionDeniedMessage(table);
+        }
+        return error.message || '알 수 없는 오류';
+    },
+
+    // UPDATE / DELETE that RLS filtered out return no error, just no rows
+    assertRowsAffected: function (rows, table = 'schedules') {
+        if (rows && rows.length > 0) return rows;
+        const denied = new Error(this.permissionDeniedMessage(table));
+        denied.permission = true;
+        throw denied;
+    },
+
+    // Helper: Check if current user may see a schedule row (shared by all views & exports)
+    // Enforced on the server by can_read_schedule() (data/migrations/0008) - keep both in sync.
+    // ownDeptOnly: false skips the 'dept' role scoping (department matrix: every department's column)
+    isScheduleVisible: function (s, { ownDeptOnly = true } = {}) {
+        const isAdmin = this.state.role === 'admin';
+
+        // GUEST VISIBILITY CHECK: Only show 'public' (also pending / rejected / guest accounts)
+        const isActiveStaff = !!this.state.user && (isAdmin || (this.state.status === 'active' && this.state.role !== 'guest'));
+        if (!isActiveStaff && (s.visibility || 'public') !== 'public') return false;
+
+        const deptIdKey = s.dept_id ? String(s.dept_id) : null;
+
+        // [STRICT PRIVATE CHECK]
+        // If visibility is 'private', only Admin or Creator can see it.
+        if (s.visibility === 'private') {
+            // [FIX] schedules store the creator in author_id (user_id kept for legacy rows)
+            const creatorId = s.author_id || s.user_id;
+            const isCreator = this.state.user && creatorId && String(creatorId) === String(this.state.user.id);
+            if (!isAdmin && !isCreator) return false;
+        }
+
+        // [STRICT DEPT SCOPING]
+        // For users with 'dept' role, ONLY show schedules belonging to their department.
+        // This applies to ALL visibility levels (internal, public, etc) for this role.
+        if (ownDeptOnly && this.state.role === 'dept') {
+            const isMyDept = this.isMyDept(deptIdKey);
+            if (!isMyDept) return false;
+        }
+
+        // [STRICT DEPT PRIVACY]
+        // If visibility is 'dept', ONLY Admin or Member of that Dept can see it (any role, see department_members).
+        if (s.visibility === 'dept') {
+            const isMyDept = this.isMyDept(deptIdKey);
+            if (!isAdmin && !isMyDept) return false;
+        }
+
+        return true;
+    },
+
+    // --- Grade (학년) dimension: rows with grade NULL belong to the whole school ---
+
+    // Row applies to the selected grade (everything applies when 전체 학년 is selected)
+    appliesToGrade: function (row, grade = this.state.gradeFilter) {
+        return !row.grade || !grade || parseInt(row.grade) === parseInt(grade);
+    },
+
+    // School-wide rows plus the given grade's: what actually holds for that grade (holidays, vacations)
+    rowsForGrade: function (rows, grade = this.state.gradeFilter) {
+        return (rows || []).filter(r => !r.grade || (grade && parseInt(r.grade) === parseInt(grade)));
+    },
+
+    // '[3학년] title' while 전체 학년 is shown, unless the title already says so
+    gradeTitle: function (title, grade) {
+        if (!grade || this.state.gradeFilter || (title || '').startsWith(`${grade}학년`)) return title;
+        return `[${grade}학년] ${title}`;
+    },
+
+    gradeOptionsHtml: function (selected = null, allLabel = '전체 학년') {
+        let html = `<option value="">${allLabel}</option>`;
+        for (let g = 1; g <= (this.state.gradeCount || 3); g++) {
+            html += `<option value="${g}" ${parseInt(selected) === g ? 'selected' : ''}>${g}학년</option>`;
+        }
+        return html;
+    },
+
+    // Toolbar <select> shared by the calendar, weekly list and department views
+    bindGradeFilter: function (selectId, onChange) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        if (this.state.gradeFilter > (this.state.gradeCount || 3)) this.state.gradeFilter = null;
+        select.innerHTML = this.gradeOptionsHtml(this.state.gradeFilter);
+        select.onchange = () => {
+            this.state.gradeFilter = parseInt(select.value) || null;
+            if (this.state.gradeFilter) localStorage.setItem('calendar-grade-filter', this.state.gradeFilter);
+            else localStorage.removeItem('calendar-grade-filter');
+            onChange();
+        };
+    },
+
+    // Helper: Title normalization used for admin-event deduplication
+    normalizeTitle: function (s) {
+        return (s || '').normalize('NFC').replace(/[\s\(\)\[\]\{\}\-\.~!@#$%^&*_=+|;:'",.<>?/]/g, '').toLowerCase();
+    },
 
-        return (isAdmin || (isActive && isAuthorizedRole));
+    // Helper: Escape text from external sources (files, feeds) before injecting into innerHTML
+    escapeHtml: function (s) {
+        return String(s == null ? '' : s)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     },
 
     updateAccessControls: function () {
@@ -609,8 +909,7 @@ const App = {
                 }
             } else if (viewName === 'admin') {
                 // Check Admin Auth (Simple client-side check, real security via RLS)
-                const currentRole = String(this.state.role || '').trim().toLowerCase();
-                if (!this.state.user || currentRole !== 'admin') {
+                if (!this.canAccessAdmin()) {
                     alert("접근 권한이 없습니다.");
                     this.navigate('calendar', true);
                     return;
@@ -646,6 +945,26 @@ const App = {
                 console.error("Failed to load login page", e);
                 container.innerHTML = "<p class='text-red-500'>페이지를 불러올 수 없습니다.</p>";
             }
+        } else if (viewName === 'signup') {
+            try {
+                const response = await fetch('pages/signup.html');
+                const html = await response.text();
+                container.innerHTML = html;
+                this.initSignupView();
+            } catch (e) {
+                console.error("Failed to load signup page", e);
+                container.innerHTML = "<p class='text-red-500'>페이지를 불러올 수 없습니다.</p>";
+            }
+        } else if (viewName === 'password_reset') {
+            try {
+                const response = await fetch('pages/password-reset.html');
+                const html = await response.text();
+                container.innerHTML = html;
+                this.initPasswordResetView();
+            } catch (e) {
+                console.error("Failed to load password reset page", e);
+                container.innerHTML = "<p class='text-red-500'>페이지를 불러올 수 없습니다.</p>";
+            }
         }
 
         // [HEADER SYNC] Move view-specific buttons (e.g., Calendar btn) to global header for unified layout
@@ -687,21 +1006,73 @@ const App = {
         }
     },
 
+    LOGIN_DOMAIN: 'goe.edu', // Default domain for short IDs
+
+    toLoginEmail: function (id) {
+        const value = String(id || '').trim();
+        // Auto-append domain if not present
+        return value.includes('@') ? value : `${value}@${this.LOGIN_DOMAIN}`;
+    },
+
     initLoginView: function () {
         const form = document.getElementById('login-form');
         const errorMsg = document.getElementById('login-error');
-        const DOMAIN = 'goe.edu'; // Default domain for short IDs
+        const resetForm = document.getElementById('reset-request-form');
+
+        const btnShowReset = document.getElementById('btn-show-reset');
+        const btnBackToLogin = document.getElementById('btn-back-to-login');
+        if (btnShowReset && resetForm) {
+            btnShowReset.onclick = () => {
+                form.classList.add('hidden');
+                resetForm.classList.remove('hidden');
+                document.getElementById('reset-email').value = document.getElementById('email').value;
+            };
+        }
+        if (btnBackToLogin && resetForm) {
+            btnBackToLogin.onclick = () => {
+                resetForm.classList.add('hidden');
+                form.classList.remove('hidden');
+            };
+        }
+
+        if (resetForm) {
+            resetForm.onsubmit = async (e) => {
+                e.preventDefault();
+                const email = this.toLoginEmail(document.getElementById('reset-email').value);
+                const btn = document.getElementById('btn-reset-request-submit');
+                const msg = document.getElementById('reset-request-message');
+
+                btn.disabled = true;
+                try {
+                    const { error } = await window.SupabaseClient.supabase.auth.resetPasswordForEmail(email, {
+                        redirectTo: window.location.origin + window.location.pathname
+                    });
+                    if (error) throw error;
+                    msg.className = 'text-xs mb-4 text-green-600';
+                    msg.textContent = `${email} 주소로 재설정 링크를 보냈습니다. 메일을 받을 수 없는 계정이면 관리자에게 문의하세요.`;
+                } catch (err) {
+                    console.error("Password reset request failed:", err);
+                    msg.className = 'text-xs mb-4 text-red-500';
+                    msg.textContent = '재설정 링크 발송 실패: ' + (err.message || err);
+                } finally {
+                    btn.disabled = false;
+                }
+            };
+        }
+
+        // "로그인 상태 유지" only when the admin leaves it to the user
+        const rememberRow = document.getElementById('remember-me-row');
+        const persistence = this.state.authPolicy.session_persistence;
+        if (rememberRow) rememberRow.classList.toggle('hidden', persistence !== 'choice');
 
         form.onsubmit = async (e) => {
             e.preventDefault();
-            let email = document.getElementById('email').value.trim();
+            const email = this.toLoginEmail(document.getElementById('email').value);
             const password = document.getElementById('password').value;
             const btn = document.getElementById('btn-login-submit');
+            const remember = document.getElementById('remember-me');
 
-            // Auto-append domain if not present
-            if (!email.includes('@')) {
-                email = `${email}@${DOMAIN}`;
-            }
+            window.SupabaseClient.setPersistent(persistence === 'persistent' || (persistence === 'choice' && !!(remember && remember.checked)));
 
             btn.disabled = true;
             btn.innerHTML = '로그인 중...';
@@ -722,7 +1093,9 @@ const App = {
                 // But onAuthStateChange will trigger syncUser.
                 // However, we want to immediately redirect to pending if needed.
             } catch (err) {
-                errorMsg.textContent = '로그인 실패: 이메일 또는 비밀번호를 확인하세요.';
+                errorMsg.textContent = /banned/i.test(err.message || '')
+                    ? '비활성화된 계정입니다. 관리자에게 문의하세요.'
+                    : '로그인 실패: 이메일 또는 비밀번호를 확인하세요.';
                 errorMsg.classList.remove('hidden');
                 btn.disabled = false;
                 btn.innerHTML = '로그인';
@@ -730,11 +1103,275 @@ const App = {
         };
     },
 
+    // --- Login Policy (session persistence / idle timeout, data/migrations/0014) ---
+
+    IDLE_WARNING_SECONDS: 60,
+    IDLE_ACTIVITY_KEY: 'pogok_last_activity', // Shared by tabs of a persistent session
+
+    applyAuthPolicy: function (settings) {
+        const data = settings || {};
+        this.state.authPolicy = {
+            session_persistence: data.session_persistence || 'choice',
+            idle_timeout_minutes: parseInt(data.idle_timeout_minutes) || 0
+        };
+        // A forced mode also moves an existing session (e.g. remembered before the policy changed)
+        if (this.state.authPolicy.session_persistence === 'session') window.SupabaseClient.setPersistent(false);
+        if (this.state.authPolicy.session_persistence === 'persistent') window.SupabaseClient.setPersistent(true);
+        this.refreshIdleWatch();
+    },
+
+    // Start / stop the idle timer for the current user and policy
+    refreshIdleWatch: function () {
+        const minutes = this.state.authPolicy.idle_timeout_minutes;
+        const active = !!this.state.user && minutes > 0;
+
+        if (!active) {
+            if (this.state._idleTimer) clearInterval(this.state._idleTimer);
+            this.state._idleTimer = null;
+            this.showIdleWarning(null);
+            return;
+        }
+        if (this.state._idleTimer) return;
+
+        if (!this._idleListenersBound) {
+            this._idleListenersBound = true;
+            ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'].forEach(type => {
+                document.addEventListener(type, () => this.touchActivity(), { capture: true, passive: true });
+            });
+            const btnContinue = document.getElementById('btn-idle-continue');
+            if (btnContinue) btnContinue.onclick = () => this.touchActivity();
+        }
+
+        this.touchActivity();
+        this.state._idleTimer = setInterval(() => this.checkIdle(), 1000);
+    },
+
+    touchActivity: function () {
+        const now = Date.now();
+        // Throttle the shared timestamp; mousemove fires constantly
+        if (now - this.state._lastActivity > 5000) localStorage.setItem(this.IDLE_ACTIVITY_KEY, String(now));
+        this.state._lastActivity = now;
+    },
+
+    checkIdle: async function () {
+        const limit = this.state.authPolicy.idle_timeout_minutes * 60 * 1000;
+        if (!this.state.user || limit <= 0) return this.refreshIdleWatch();
+
+        const shared = parseInt(localStorage.getItem(this.IDLE_ACTIVITY_KEY)) || 0;
+        const last = Math.max(this.state._lastActivity, shared);
+        const remaining = Math.ceil((limit - (Date.now() - last)) / 1000);
+
+        if (remaining > this.IDLE_WARNING_SECONDS) return this.showIdleWarning(null);
+        if (remaining > 0) return this.showIdleWarning(remaining, await this.countQueuedWrites());
+
+        clearInterval(this.state._idleTimer);
+        this.state._idleTimer = null;
+        this.showIdleWarning(null);
+        console.log('[Auth] Idle timeout - signing out');
+        // Nobody is there to confirm: queued offline writes stay for this user's next login (replayed on reconnect)
+        const queued = await this.countQueuedWrites();
+        await this.clearOfflineData(true);
+        await window.SupabaseClient.supabase.auth.signOut();
+        await this.resetRealtime();
+        this.clearCache();
+        alert(`${this.state.authPolicy.idle_timeout_minutes}분 동안 사용하지 않아 자동으로 로그아웃되었습니다.`
+            + (queued > 0 ? `\n저장되지 않은 오프라인 변경 ${queued}건은 다시 로그인하면 저장됩니다.` : ''));
+        this.navigate('calendar', true);
+    },
+
+    showIdleWarning: function (seconds, queued = 0) {
+        const box = document.getElementById('idle-warning');
+        if (!box) return;
+        box.classList.toggle('hidden', seconds === null);
+        if (seconds !== null) {
+            document.getElementById('idle-warning-text').textContent = `사용하지 않아 ${seconds}초 후 자동으로 로그아웃됩니다.`
+                + (queued > 0 ? ` (저장 대기 중인 오프라인 변경 ${queued}건)` : '');
+        }
+    },
+
+    saveAuthPolicy: async function () {
+        const persistence = document.getElementById('setting-session-persistence').value;
+        const minutes = Math.max(0, parseInt(document.getElementById('setting-idle-timeout').value) || 0);
+
+        try {
+            // The newest academic year's row is the one applied at startup
+            const { data: latest, error: findErr } = await window.SupabaseClient.supabase
+                .from('settings')
+                .select('id, academic_year')
+                .order('academic_year', { ascending: false })
+                .limit(1);
+            if (findErr) throw findErr;
+            if (!latest || latest.length === 0) {
+                alert('학교 정보를 먼저 저장해 주세요.');
+                return;
+            }
+
+            const { data, error } = await window.SupabaseClient.supabase
+                .from('settings')
+                .update({ session_persistence: persistence, idle_timeout_minutes: minutes })
+                .eq('id', latest[0].id)
+                .select('*');
+            if (error) throw error;
+            this.assertRowsAffected(data, 'settings');
+
+            this.logAction('UPDATE_AUTH_POLICY', 'settings', latest[0].id, { session_persistence: persistence, idle_timeout_minutes: minutes });
+            this.applyAuthPolicy(data[0]);
+            alert('보안 설정이 저장되었습니다.');
+        } catch (e) {
+            console.error("Save Auth Policy Error:", e);
+            alert('보안 설정 저장 실패: ' + this.describeWriteError(e, 'settings'));
+        }
+    },
+
+    // --- Invites / Signup / Password Reset ---
+
+    INVITE_STORAGE_KEY: 'pogok_invite_token',
+
+    roleLabel: function (role) {
+        if (role === 'admin') return '관리자';
+        const r = this.PERMISSION_ROLES.find(r => r.key === role);
+        return r ? r.label : role;
+    },
+
+    deptNameByCode: function (code) {
+        const all = [...(this.state.departments || []), ...(this.state.cache.departments || [])];
+        const d = all.find(d => this.deptCode(d) === code);
+        return d ? d.dept_name : code;
+    },
+
+    initSignupView: async function () {
+        const info = document.getElementById('signup-invite-info');
+        const form = document.getElementById('signup-form');
+        const errorMsg = document.getElementById('signup-error');
+        const token = this.state.inviteToken;
+
+        if (this.state.user) {
+            info.className = 'bg-amber-50 border border-amber-100 rounded-lg p-4 mb-6 text-sm text-amber-800';
+            info.textContent = '이미 로그인되어 있습니다. 로그아웃한 뒤 초대 링크를 다시 열어 주세요.';
+            return;
+        }
+
+        let invite = null;
+        if (token) {
+            const { data, error } = await window.SupabaseClient.supabase.rpc('invite_info', { p_token: token });
+            if (error) console.error("Invite lookup failed:", error);
+            invite = (data || [])[0] || null;
+        }
+
+        if (!invite) {
+            info.className = 'bg-red-50 border border-red-100 rounded-lg p-4 mb-6 text-sm text-red-700';
+            info.textContent = '만료되었거나 이미 사용된 초대 링크입니다. 관리자에게 새 링크를 요청하세요.';
+            return;
+        }
+
+        if (invite.dept_code && !this.state.cache.departments) {
+            try { await this.fetchDepartments(); } catch (e) { /* name falls back to the code */ }
+        }
+        const deptText = invite.dept_code ? ` · 소속: ${this.escapeHtml(this.deptNameByCode(invite.dept_code))}` : '';
+        info.innerHTML = `권한: <b>${this.escapeHtml(this.roleLabel(invite.role))}</b>${deptText}<br>
+            <span class="text-xs text-purple-600">${new Date(invite.expires_at).toLocaleString()}까지 유효</span>`;
+        form.classList.remove('hidden');
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const email = this.toLoginEmail(document.getElementById('signup-email').value);
+            const password = document.getElementById('signup-password').value;
+            const confirmPw = document.getElementById('signup-password-confirm').value;
+            const btn = document.getElementById('btn-signup-submit');
+
+            errorMsg.classList.add('hidden');
+            if (password !== confirmPw) {
+                errorMsg.textContent = '비밀번호가 일치하지 않습니다.';
+                errorMsg.classList.remove('hidden');
+                return;
+            }
+
+            btn.disabled = true;
+            btn.innerHTML = '가입 중...';
+
+            // Redeemed by syncUser once signed in (right away, or after e-mail confirmation + login)
+            localStorage.setItem(this.INVITE_STORAGE_KEY, token);
+            this.clearCache();
+
+            try {
+                const { data, error } = await window.SupabaseClient.supabase.auth.signUp({ email, password });
+                if (error) throw error;
+
+                this.state.inviteToken = null;
+                if (!data.session) {
+                    info.className = 'bg-green-50 border border-green-100 rounded-lg p-4 mb-6 text-sm text-green-800';
+                    info.textContent = '가입 신청이 완료되었습니다. 메일의 인증 링크를 누른 뒤 로그인하면 초대받은 권한으로 등록됩니다.';
+                    form.classList.add('hidden');
+                }
+                // With a session, onAuthStateChange runs syncUser (redeems the invite) and leaves this page
+            } catch (err) {
+                localStorage.removeItem(this.INVITE_STORAGE_KEY);
+                console.error("Signup failed:", err);
+                errorMsg.textContent = '가입 실패: ' + (err.message || err);
+                errorMsg.classList.remove('hidden');
+                btn.disabled = false;
+                btn.innerHTML = '가입하기';
+            }
+        };
+    },
+
+    redeemStoredInvite: async function () {
+        const token = localStorage.getItem(this.INVITE_STORAGE_KEY);
+        if (!token) return;
+        localStorage.removeItem(this.INVITE_STORAGE_KEY);
+
+        const { error } = await window.SupabaseClient.supabase.rpc('redeem_invite', { p_token: token });
+        if (error) {
+            console.error("[Auth Sync] Invite redeem failed:", error);
+            alert('초대 링크를 적용하지 못했습니다: ' + (error.message || error) + '\n관리자의 승인을 기다리거나 새 링크를 요청하세요.');
+        }
+    },
+
+    initPasswordResetView: function () {
+        const form = document.getElementById('password-reset-form');
+        const errorMsg = document.getElementById('password-reset-error');
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const password = document.getElementById('new-password').value;
+            const confirmPw = document.getElementById('new-password-confirm').value;
+            const btn = document.getElementById('btn-password-reset-submit');
+
+            errorMsg.classList.add('hidden');
+            if (password !== confirmPw) {
+                errorMsg.textContent = '비밀번호가 일치하지 않습니다.';
+                errorMsg.classList.remove('hidden');
+                return;
+            }
+
+            btn.disabled = true;
+            try {
+                const { error } = await window.SupabaseClient.supabase.auth.updateUser({ password });
+                if (error) throw error;
+                this.state.passwordRecovery = false;
+                alert('비밀번호가 변경되었습니다.');
+                this.navigate('calendar', true);
+            } catch (err) {
+                console.error("Password update failed:", err);
+                errorMsg.textContent = '비밀번호 변경 실패: ' + (err.message || err) + ' (링크가 만료되었으면 다시 요청하세요.)';
+                errorMsg.classList.remove('hidden');
+                btn.disabled = false;
+            }
+        };
+    },
+
     initPendingView: function () {
+        if (this.state.blockedStatus === 'inactive') {
+            document.getElementById('pending-title').textContent = '비활성화된 계정';
+            document.getElementById('pending-message').innerHTML = '전출 등으로 비활성화된 계정입니다.<br>다시 사용하려면 관리자에게 문의하세요.';
+        }
+
         const btnReturn = document.getElementById('btn-return-main');
         if (btnReturn) {
             btnReturn.onclick = async () => {
+                await this.clearOfflineData();
                 await window.SupabaseClient.supabase.auth.signOut();
+                await this.resetRealtime();
                 this.clearCache();
                 this.navigate('calendar');
             };
@@ -772,8 +1409,8 @@ const App = {
                 if (el.dataset.manual === 'true') return;
 
                 el.value = val;
-                // Dispatch event so cascading formulas trigger
-                el.dispatchEvent(new Event('change'));
+                // Dispatch event so cascading formulas trigger (bubbles to the delegated period listeners)
+                el.dispatchEvent(new Event('change', { bubbles: true }));
             }
         };
 
@@ -803,30 +1440,15 @@ const App = {
                 if (inp.value) holidayDates.push(inp.value);
             });
 
-            // 1. 1st Semester Start: First weekday of March
-            // March 1st is fixed holiday (Sam-il-jeol)
-            let d = new Date(year, 2, 1);
-            d.setDate(2); // Start searching from March 2nd
-
-            const isNonSchoolDay = (dateObj) => {
-                const day = dateObj.getDay();
-                if (day === 0 || day === 6) return true; // Weekend
-                const dateStr = formatDate(dateObj);
-                const mmdd = dateStr.split('-').slice(1).join('');
-                if (this.currentFixedHolidays && this.currentFixedHolidays[mmdd]) return true; // Fixed holiday
-                if (holidayDates.includes(dateStr)) return true; // Variable/Manual holiday
-                return false;
-            };
-
-            while (isNonSchoolDay(d)) {
-                d.setDate(d.getDate() + 1);
-            }
-            setVal('sched-sem1-start', formatDate(d));
+            const holidays = { ...(this.currentFixedHolidays || {}) };
+            holidayDates.forEach(date => { holidays[date] = true; });
 
-            // 2. Winter Vacation End: Last day of February of the NEXT year
-            const febYear = parseInt(year) + 1;
-            let lastFeb = new Date(febYear, 2, 0);
-            setVal('sched-winter-end', formatDate(lastFeb));
+            const { sem1Start, winterEnd } = this.computeYearStartDates(year, holidays);
+            const template = this.state.calendarTemplate || window.CalendarTemplates.resolve(null);
+            const firstSemester = template.periods.find(p => p.semester);
+            if (firstSemester) setVal(this.periodInputId(firstSemester.code), sem1Start);
+            const yearEndVac = window.CalendarTemplates.yearEndVacation(template, code => !!document.getElementById(this.periodInputId(code))?.value);
+            if (yearEndVac) setVal(this.periodInputId(yearEndVac.code, 'end'), winterEnd);
         };
 
         this.triggerSmartCalc = () => {
@@ -834,35 +1456,77 @@ const App = {
             if (y) triggerYearSmartCalc(y);
         };
 
-        // --- Manual Override Tracker ---
-        // Any manual input by the user on these fields should set the manual flag
-        const schedIds = [
-            'sched-sem1-start', 'sched-summer-start-ceremony', 'sched-summer-start',
-            'sched-summer-end', 'sched-sem2-start', 'sched-winter-start-ceremony',
-            'sched-winter-start', 'sched-winter-end', 'sched-spring-sem-start',
-            'sched-spring-start-ceremony', 'sched-spring-start', 'sched-spring-end'
-        ];
-        schedIds.forEach(id => {
-            document.getElementById(id)?.addEventListener('input', (e) => {
-                e.target.dataset.manual = 'true';
+        // --- Basic Schedule Periods (generated from the calendar template) ---
+        const periodsForm = document.getElementById('basic-periods-form');
+        if (periodsForm) {
+            // Any manual input by the user on a period field sets the manual flag
+            periodsForm.addEventListener('input', (e) => {
+                if (e.target.classList.contains('period-input')) e.target.dataset.manual = 'true';
+            });
+
+            // Alert for readonly (auto-filled) fields
+            periodsForm.addEventListener('click', (e) => {
+                const el = e.target;
+                if (!el.classList.contains('period-input') || !el.readOnly || el.dataset.manual === 'true') return;
+                const hintName = el.dataset.hint || "기간";
+                if (confirm(`${hintName}을(를) 입력하면 자동으로 입력됩니다. 수동 입력하시겠습니까?`)) {
+                    el.readOnly = false;
+                    el.dataset.manual = 'true';
+                    el.classList.remove('bg-gray-100');
+                    el.classList.add('bg-white');
+                    el.focus();
+                }
             });
-        });
 
-        // --- Manual Override Handler (Alert for Readonly fields) ---
-        document.querySelectorAll('input[readonly][data-hint]').forEach(el => {
-            el.addEventListener('click', () => {
-                if (el.readOnly && el.dataset.manual !== 'true') {
-                    const hintName = el.dataset.hint || "기간";
-                    if (confirm(`${hintName}을(를) 입력하면 자동으로 입력됩니다. 수동 입력하시겠습니까?`)) {
-                        el.readOnly = false;
-                        el.dataset.manual = 'true';
-                        el.classList.remove('bg-gray-100');
-                        el.classList.add('bg-white');
-                        el.focus();
+            // Date cascading: the school day before / after another period (holiday aware)
+            periodsForm.addEventListener('change', (e) => {
+                const el = e.target;
+                if (!el.classList.contains('period-input')) return;
+                const { code, edge } = el.dataset;
+                const val = el.value;
+                const ay = parseInt(yearSelect ? yearSelect.value : currentSelectedYear);
+                const ayStart = `${ay}-03-01`;
+                const ayEnd = this.formatLocal(new Date(ay + 1, 2, 0));
+
+                (this.state.calendarTemplate?.periods || []).forEach(p => {
+                    if (!p.auto || p.auto.from !== code || (p.auto.edge || 'start') !== edge) return;
+                    let target = '';
+                    if (val) {
+                        target = (p.auto.dir === 'next' ? this.findNextSchoolDay(val) : this.findPrevSchoolDay(val)) || '';
+                        // e.g. the day after 겨울방학 is the next year's 1학기, not 봄 개학
+                        if (target < ayStart || target > ayEnd) target = '';
                     }
+                    setVal(this.periodInputId(p.code), target);
+                });
+
+                const period = (this.state.calendarTemplate?.periods || []).find(p => p.code === code);
+                if (period && period.untilYearEnd && edge === 'start' && val) {
+                    // Default the end to the last day of February
+                    setVal(this.periodInputId(code, 'end'), ayEnd);
                 }
+
+                this.renderInstructionDays();
             });
+        }
+
+        document.getElementById('btn-apply-template-preset')?.addEventListener('click', () => {
+            const key = document.getElementById('calendar-template-preset').value;
+            const preset = window.CalendarTemplates.presets[key];
+            if (!preset) return;
+            if (!confirm(`'${preset.name}' 구조를 적용하시겠습니까?\n새 구조에 없는 항목은 저장할 때 삭제됩니다.`)) return;
+            this.applyCalendarTemplate(window.CalendarTemplates.resolve(preset));
+        });
+        document.getElementById('btn-edit-template')?.addEventListener('click', () => {
+            const editor = document.getElementById('calendar-template-editor');
+            editor.classList.toggle('hidden');
+            if (!editor.classList.contains('hidden')) this.renderCalendarTemplateEditor();
         });
+        document.getElementById('btn-add-template-period')?.addEventListener('click', () => {
+            this.syncCalendarTemplateEditor();
+            this.state.templateDraft.push({ group: '', code: '', name: '', type: 'event' });
+            this.renderCalendarTemplateEditor(true);
+        });
+        document.getElementById('btn-apply-template-edit')?.addEventListener('click', () => this.applyCalendarTemplateEdit());
 
         // 1. Department Management (General)
         // Note: Department Rendering is handled by populateAdminForm to ensure state sync.
@@ -931,6 +1595,9 @@ const App = {
             };
         }
 
+        const btnRollover = document.getElementById('btn-open-rollover');
+        if (btnRollover) btnRollover.onclick = () => this.openRolloverModal();
+
         // School Level Sync (KR -> EN)
         const krLevelSelect = document.getElementById('setting-school-level-kr');
         const enLevelSelect = document.getElementById('setting-school-level-en');
@@ -967,42 +1634,6 @@ const App = {
         // --- Shared Date Logic (Holiday Aware) ---
         // Moved to App methods (this.parseLocal, etc.)
 
-        // Date Cascading Listeners (Updated to use Smart Logic)
-        document.getElementById('sched-summer-start')?.addEventListener('change', (e) => {
-            setVal('sched-summer-start-ceremony', this.findPrevSchoolDay(e.target.value));
-        });
-        document.getElementById('sched-summer-end')?.addEventListener('change', (e) => {
-            setVal('sched-sem2-start', this.findNextSchoolDay(e.target.value));
-        });
-        document.getElementById('sched-winter-start')?.addEventListener('change', (e) => {
-            setVal('sched-winter-start-ceremony', this.findPrevSchoolDay(e.target.value));
-        });
-        document.getElementById('sched-winter-end')?.addEventListener('change', (e) => {
-            const val = e.target.value;
-            if (!val) return;
-            // Special check for Spring Sem Start
-            const nextDay = this.findNextSchoolDay(val);
-            const nDate = this.parseLocal(nextDay);
-
-            // If next school day is March, it's Term 1 Start, not Spring Sem Start
-            if (nDate.getMonth() === 2) {
-                setVal('sched-spring-sem-start', '');
-            } else {
-                setVal('sched-spring-sem-start', nextDay);
-            }
-        });
-        document.getElementById('sched-spring-start')?.addEventListener('change', (e) => {
-            const val = e.target.value;
-            setVal('sched-spring-start-ceremony', this.findPrevSchoolDay(val));
-
-            if (val) {
-                const d = this.parseLocal(val);
-                // Default Spring Vac End to Last day of Feb
-                const lastFeb = new Date(d.getFullYear(), 2, 0);
-                setVal('sched-spring-end', this.formatLocal(lastFeb));
-            }
-        });
-
         // Variable Holidays Container
         const container = document.getElementById('variable-holidays-container');
         if (container) {
@@ -1023,6 +1654,30 @@ const App = {
             };
         }
 
+        document.getElementById('setting-grade-count')?.addEventListener('change', (e) => {
+            this.state.gradeCount = Math.min(6, Math.max(1, parseInt(e.target.value) || 3));
+            e.target.value = this.state.gradeCount;
+            this.syncMajorEventsFromUI();
+            this.syncVariableHolidaysFromUI();
+            this.renderMajorEvents(this.currentMajorEvents || []);
+            this.renderVariableHolidays(this.currentVariableHolidays || []);
+        });
+
+        // Instructional day counter / 재량휴업일 planner
+        document.getElementById('btn-add-discretionary')?.addEventListener('click', () => this.addDiscretionaryCandidate());
+        document.getElementById('btn-apply-discretionary')?.addEventListener('click', () => this.applyDiscretionaryCandidates());
+        document.getElementById('btn-recount-instruction-days')?.addEventListener('click', () => this.renderInstructionDays());
+        document.getElementById('setting-min-instruction-days')?.addEventListener('change', () => this.renderInstructionDays());
+
+        const holidayImportInput = document.getElementById('holiday-import-input');
+        if (holidayImportInput) {
+            holidayImportInput.onchange = (e) => {
+                const file = e.target.files[0];
+                e.target.value = ''; // Same file can be picked again
+                if (file) this.openHolidayImportModal(file);
+            };
+        }
+
         // Major Events Container
         const majorContainer = document.getElementById('major-events-container');
         if (majorContainer) {
@@ -1067,8 +1722,27 @@ const App = {
             };
         }
 
+        // Login policy (newest settings row, see applyAuthPolicy)
+        const persistenceSelect = document.getElementById('setting-session-persistence');
+        const idleInput = document.getElementById('setting-idle-timeout');
+        if (persistenceSelect) persistenceSelect.value = this.state.authPolicy.session_persistence;
+        if (idleInput) idleInput.value = this.state.authPolicy.idle_timeout_minutes;
+        const btnSaveAuthPolicy = document.getElementById('btn-save-auth-policy');
+        if (btnSaveAuthPolicy) btnSaveAuthPolicy.onclick = () => this.saveAuthPolicy();
+
+        // Sections follow the permission matrix ('admin.permissions' is never granted, so admins only)
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            el.classList.toggle('hidden', !this.can(el.dataset.permission));
+        });
+
         // Load Admin Users List
-        this.loadAdminUsers();
+        if (this.can('admin.users')) {
+            this.initUserManagement();
+            this.loadAdminUsers();
+            this.initInviteForm();
+        }
+        if (this.can('history.restore')) this.loadAuditLogs();
+        if (this.can('admin.permissions')) this.loadPermissionMatrix();
     },
 
     populateAdminForm: async function (settings, targetYear) {
@@ -1083,6 +1757,9 @@ const App = {
 
             // Refresh Departments for this year to avoid duplicates/stale data
             this.state.departments = await this.fetchDepartments(y);
+
+            // Versions the form was built from (compared again on save)
+            this.state.adminSnapshot = await this.fetchAdminVersions(y);
         }
 
         // --- Helper for setting values ---
@@ -1100,6 +1777,10 @@ const App = {
         setVal('setting-school-level-kr', data.level_kr || '');
         setVal('setting-school-level-en', data.level_en || '');
 
+        // Grades (학년 수): options of the grade selects below
+        this.state.gradeCount = data.grade_count || 3;
+        setVal('setting-grade-count', this.state.gradeCount);
+
         // 3. Departments
         const deptList = document.getElementById('admin-dept-list');
         if (deptList) {
@@ -1248,60 +1929,32 @@ const App = {
             alert(`${targetY}학년도 학사일정 데이터가 없습니다.\n"학년도 및 기본 학사 일정 저장 버튼"을 누르면, 새 학년도가 시작됩니다.`);
         }
 
-        // Clear fields first
-        const clearInputs = ['sched-sem1-start', 'sched-summer-start', 'sched-summer-start-ceremony', 'sched-summer-end',
-            'sched-sem2-start', 'sched-winter-start-ceremony', 'sched-winter-start', 'sched-winter-end',
-            'sched-spring-start-ceremony', 'sched-spring-vac-start', 'sched-spring-end', 'sched-spring-start', 'sched-spring-sem-start'];
-        clearInputs.forEach(id => setVal(id, ''));
-
         this.currentFixedHolidays = {};
         this.currentVariableHolidays = [];
         this.currentMajorEvents = [];
 
-        // Mapping Code -> DOM
-        const codeMap = {
-            'TERM1_START': 'sched-sem1-start',
-            'SUMMER_VAC': { s: 'sched-summer-start', e: 'sched-summer-end' },
-            'SUMMER_VAC_CEREMONY': 'sched-summer-start-ceremony',
-            'TERM2_START': 'sched-sem2-start',
-            'WINTER_VAC_CEREMONY': 'sched-winter-start-ceremony',
-            'WINTER_VAC': { s: 'sched-winter-start', e: 'sched-winter-end' },
-            'SPRING_VAC_CEREMONY': 'sched-spring-start-ceremony',
-            'SPRING_VAC': { s: 'sched-spring-start', e: 'sched-spring-end' },
-            'SPRING_SEM_START': 'sched-spring-sem-start'
-        };
+        // Periods come from the school's calendar template. Coded rows it doesn't know stay on the form
+        // (묶음 '기타') so saving doesn't delete them.
+        const template = window.CalendarTemplates.resolve(data.calendar_template);
+        const periodValues = {};
+        schedules.forEach(row => {
+            if (!row.code) return;
+            periodValues[row.code] = { start: row.start_date, end: row.end_date };
+            if (template.periods.some(p => p.code === row.code)) return;
+            template.periods.push({
+                group: '기타', code: row.code, name: row.name,
+                type: window.CalendarTemplates.TYPES[row.type] ? row.type : 'event',
+                range: !!(row.end_date && row.end_date !== row.start_date), grade: row.grade || null
+            });
+        });
+        this.state.calendarTemplate = template;
+        this.renderCalendarTemplateName();
+        this.renderBasicPeriodsForm(periodValues);
 
         // Parse Rows
         schedules.forEach(row => {
-            // System Codes
             if (row.code) {
-                if (row.type === 'exam') {
-                    // Exams (EXAM_X_X)
-                    const doms = {
-                        'EXAM_1_1': { s: 'sched-exam-1-1-start', e: 'sched-exam-1-1-end' },
-                        'EXAM_1_2': { s: 'sched-exam-1-2-start', e: 'sched-exam-1-2-end' },
-                        'EXAM_2_1': { s: 'sched-exam-2-1-start', e: 'sched-exam-2-1-end' },
-                        'EXAM_2_2': { s: 'sched-exam-2-2-start', e: 'sched-exam-2-2-end' },
-                        'EXAM_3_2_2': { s: 'sched-exam-3-2-2-start', e: 'sched-exam-3-2-2-end' }
-                    };
-                    if (doms[row.code]) {
-                        setVal(doms[row.code].s, row.start_date);
-                        setVal(doms[row.code].e, row.end_date);
-                        // Store ID for system codes as well in a hidden map if needed?
-                        // Actually, we can just fetch all IDs for the year during Save.
-                    }
-                } else {
-                    // Terms/Vac
-                    const target = codeMap[row.code];
-                    if (target) {
-                        if (typeof target === 'string') {
-                            setVal(target, row.start_date);
-                        } else {
-                            setVal(target.s, row.start_date);
-                            setVal(target.e, row.end_date);
-                        }
-                    }
-                }
+                // Periods: filled above
             } else {
                 // No Code -> Collections
                 if (row.type === 'holiday') {
@@ -1347,7 +2000,7 @@ const App = {
         this.renderFixedHolidays(this.currentFixedHolidays);
 
         // 2. Identify Variables (In DB but not in Standard)
-        const variableRows = schedules.filter(r => r.type === 'holiday');
+        const variableRows = schedules.filter(r => r.type === 'holiday' && !r.code);
         const ayStart = `${targetY}-03-01`;
         const ayEnd = `${parseInt(targetY) + 1}-02 - 29`;
 
@@ -1357,8 +2010,8 @@ const App = {
 
             // Check if this date/name exists in standard
             const standardName = standardFixed[r.start_date];
-            if (!standardName) {
-                this.currentVariableHolidays.push({ id: r.id, date: r.start_date, name: r.name });
+            if (r.grade || !standardName || !standardName.split(', ').includes(r.name)) {
+                this.currentVariableHolidays.push({ id: r.id, date: r.start_date, name: r.name, grade: r.grade || null });
             }
         });
         this.currentVariableHolidays.sort((a, b) => a.date.localeCompare(b.date));
@@ -1366,8 +2019,8 @@ const App = {
 
         // --- Auto-Fill Term 1 Start if Missing (Dynamic) ---
         // Using targetY + Holidays (Fixed+Variable) we just loaded/calc'd
-        const t1Code = schedules.find(r => r.code === 'TERM1_START');
-        if (!t1Code) {
+        const firstSemester = template.periods.find(p => p.semester);
+        if (firstSemester && !schedules.some(r => r.code === firstSemester.code)) {
             const y = parseInt(targetY);
             // Start search from March 1st (Local)
             let d = new Date(y, 2, 1); // March 1st
@@ -1380,7 +2033,7 @@ const App = {
                 safety++;
             }
             const t1Start = this.formatLocal(d);
-            setVal('sched-sem1-start', t1Start);
+            setVal(this.periodInputId(firstSemester.code), t1Start);
         }
 
         // 3. Major Events (No Code, Type=event)
@@ -1388,13 +2041,175 @@ const App = {
         const majorRows = schedules.filter(r => r.type === 'event' && !r.code);
         majorRows.forEach(r => {
             if (r.start_date < ayStart || r.start_date > ayEnd) return;
-            this.currentMajorEvents.push({ id: r.id, start: r.start_date, end: r.end_date, name: r.name });
+            this.currentMajorEvents.push({ id: r.id, start: r.start_date, end: r.end_date, name: r.name, grade: r.grade || null });
         });
         this.currentMajorEvents.sort((a, b) => a.start.localeCompare(b.start));
         this.renderMajorEvents(this.currentMajorEvents);
 
         // 4. Env Events (Fixed)
         this.renderFixedEnvEvents();
+
+        // 5. Instructional days (재량휴업일 candidates belong to the year that was shown)
+        setVal('setting-min-instruction-days', data.min_instruction_days || 190);
+        this.state.discretionaryCandidates = [];
+        this.renderInstructionDays();
+    },
+
+    // --- Calendar Template (기본 학사 일정 구조, js/utils/calendar-templates.js) ---
+    periodInputId: function (code, edge = 'start') {
+        return `period-${code}-${edge}`;
+    },
+
+    renderCalendarTemplateName: function () {
+        const nameEl = document.getElementById('calendar-template-name');
+        if (nameEl) nameEl.textContent = this.state.calendarTemplate?.name || '';
+
+        const presetSelect = document.getElementById('calendar-template-preset');
+        if (presetSelect && !presetSelect.options.length) {
+            presetSelect.innerHTML = Object.entries(window.CalendarTemplates.presets)
+                .map(([key, preset]) => `<option value="${key}">${this.escapeHtml(preset.name)}</option>`).join('');
+        }
+    },
+
+    // values: { code: { start, end } } (default: what is on the form now)
+    renderBasicPeriodsForm: function (values) {
+        const container = document.getElementById('basic-periods-form');
+        if (!container || !this.state.calendarTemplate) return;
+        if (!values) {
+            values = {};
+            this.readBasicPeriodsForm().forEach(v => { values[v.period.code] = v; });
+        }
+
+        const periods = this.state.calendarTemplate.periods;
+        const groups = [];
+        periods.forEach(p => {
+            const name = p.group || '기타';
+            let group = groups.find(g => g.name === name);
+            if (!group) groups.push(group = { name, periods: [] });
+            group.periods.push(p);
+        });
+
+        const colors = ['blue', 'indigo', 'green', 'red', 'amber', 'teal'];
+        const nameOf = (code) => (periods.find(p => p.code === code) || {}).name || '기간';
+        const input = (p, edge, color) => {
+            const value = (values[p.code] || {})[edge] || '';
+            const hint = edge === 'end' ? (p.untilYearEnd ? '학년도' : '') : (p.auto && p.auto.lock ? nameOf(p.auto.from) : '');
+            const cls = hint
+                ? 'bg-gray-100 focus:outline-none'
+                : `bg-white focus:ring-2 focus:ring-${color}-200 focus:border-${color}-500`;
+            return `<input type="date" id="${this.periodInputId(p.code, edge)}" data-code="${p.code}" data-edge="${edge}"
+                ${hint ? `data-hint="${this.escapeHtml(hint)}" readonly` : ''} value="${value}" min="2000-01-01" max="2100-12-31"
+                class="period-input w-full border rounded-lg px-3 py-2 text-sm ${cls} transition-colors">`;
+        };
+
+        container.innerHTML = groups.map((group, gi) => {
+            const color = colors[gi % colors.length];
+            const fields = group.periods.map(p => `
+                <div class="${p.range ? 'md:col-span-6' : 'md:col-span-3'}">
+                    <label class="block text-sm font-medium text-gray-700 mb-1">${this.escapeHtml(p.name)}${p.range ? ' 기간' : ''}${p.grade ? ` (${p.grade}학년)` : ''}</label>
+                    ${p.range ? `
+                    <div class="flex items-center gap-2">
+                        ${input(p, 'start', color)}
+                        <span class="text-gray-500 font-bold">~</span>
+                        ${input(p, 'end', color)}
+                    </div>` : input(p, 'start', color)}
+                </div>`).join('');
+            return `
+            <div class="mb-4">
+                <h3 class="font-semibold text-gray-700 mb-2 border-l-4 border-${color}-500 pl-2">${this.escapeHtml(group.name)}</h3>
+                <div class="grid grid-cols-1 md:grid-cols-12 gap-4 bg-gray-50 p-4 rounded-lg">${fields}
+                </div>
+            </div>`;
+        }).join('');
+    },
+
+    // [{ period, start, end }] in template order
+    readBasicPeriodsForm: function () {
+        const getVal = (id) => document.getElementById(id)?.value || '';
+        return (this.state.calendarTemplate?.periods || []).map(p => ({
+            period: p,
+            start: getVal(this.periodInputId(p.code)),
+            end: p.range ? getVal(this.periodInputId(p.code, 'end')) : ''
+        }));
+    },
+
+    // Switch the form to another structure, keeping the dates of codes both have
+    applyCalendarTemplate: function (template) {
+        const values = {};
+        this.readBasicPeriodsForm().forEach(v => { values[v.period.code] = v; });
+        this.state.calendarTemplate = template;
+        this.renderCalendarTemplateName();
+        this.renderBasicPeriodsForm(values);
+        if (!document.getElementById('calendar-template-editor')?.classList.contains('hidden')) {
+            this.renderCalendarTemplateEditor();
+        }
+        this.renderInstructionDays();
+    },
+
+    renderCalendarTemplateEditor: function (keepDraft = false) {
+        const tbody = document.getElementById('calendar-template-body');
+        if (!tbody) return;
+        if (!keepDraft) this.state.templateDraft = JSON.parse(JSON.stringify(this.state.calendarTemplate.periods));
+
+        const typeOptions = (selected) => Object.entries(window.CalendarTemplates.TYPES)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+        const cell = 'border rounded px-1 py-0.5 w-full';
+
+        tbody.innerHTML = this.state.templateDraft.map((p, i) => `
+            <tr data-index="${i}">
+                <td class="px-1 py-1"><input type="text" class="tpl-group ${cell}" value="${this.escapeHtml(p.group || '')}"></td>
+                <td class="px-1 py-1"><input type="text" class="tpl-name ${cell}" value="${this.escapeHtml(p.name || '')}"></td>
+                <td class="px-1 py-1"><input type="text" class="tpl-code ${cell} font-mono uppercase" value="${this.escapeHtml(p.code || '')}" placeholder="CODE"></td>
+                <td class="px-1 py-1"><select class="tpl-type ${cell} bg-white">${typeOptions(p.type)}</select></td>
+                <td class="px-1 py-1 text-center"><input type="checkbox" class="tpl-range rounded" ${p.range ? 'checked' : ''}></td>
+                <td class="px-1 py-1 text-center"><input type="checkbox" class="tpl-semester rounded" ${p.semester ? 'checked' : ''}></td>
+                <td class="px-1 py-1"><select class="tpl-grade ${cell} bg-white">${this.gradeOptionsHtml(p.grade)}</select></td>
+                <td class="px-1 py-1 text-center">
+                    <button type="button" class="btn-del-tpl text-red-300 hover:text-red-500" title="삭제">
+                        <span class="material-symbols-outlined text-base">delete</span>
+                    </button>
+                </td>
+            </tr>`).join('');
+
+        tbody.querySelectorAll('.btn-del-tpl').forEach(btn => {
+            btn.onclick = () => {
+                this.syncCalendarTemplateEditor();
+                this.state.templateDraft.splice(parseInt(btn.closest('tr').dataset.index), 1);
+                this.renderCalendarTemplateEditor(true);
+            };
+        });
+    },
+
+    syncCalendarTemplateEditor: function () {
+        document.querySelectorAll('#calendar-template-body tr').forEach(tr => {
+            const p = this.state.templateDraft[parseInt(tr.dataset.index)];
+            p.group = tr.querySelector('.tpl-group').value.trim();
+            p.name = tr.querySelector('.tpl-name').value.trim();
+            p.code = tr.querySelector('.tpl-code').value.trim().toUpperCase();
+            p.type = tr.querySelector('.tpl-type').value;
+            p.range = tr.querySelector('.tpl-range').checked;
+            p.semester = tr.querySelector('.tpl-semester').checked;
+            p.grade = parseInt(tr.querySelector('.tpl-grade').value) || null;
+        });
+    },
+
+    applyCalendarTemplateEdit: function () {
+        this.syncCalendarTemplateEditor();
+        const template = { name: '사용자 지정', periods: this.state.templateDraft };
+        const errors = window.CalendarTemplates.validate(template);
+        if (errors.length > 0) {
+            alert(`학사 일정 구조를 적용할 수 없습니다.\n\n${errors.join('\n')}`);
+            return;
+        }
+
+        // Auto rules / aliases stay with codes that are kept (and with the periods they point to)
+        const codes = new Set(template.periods.map(p => p.code));
+        template.periods.forEach(p => {
+            if (p.auto && !codes.has(p.auto.from)) delete p.auto;
+            if (!p.range) delete p.untilYearEnd;
+            if (!p.grade) delete p.grade;
+        });
+        this.applyCalendarTemplate(JSON.parse(JSON.stringify(template)));
     },
 
     renderFixedHolidays: function (holidays) {
@@ -1436,95 +2251,10 @@ const App = {
 
     /**
      * Calculates all holidays for the given academic year, including Lunar and Alternative holidays.
+     * Rules (dates, spans, substitute policies, per-year overrides): js/utils/holiday-rules.js
      */
     calculateMergedHolidays: function (academicYear) {
-        const year = parseInt(academicYear);
-        const baseHolidays = {
-            "0301": "삼일절", "0501": "근로자의날", "0505": "어린이날",
-            "0606": "현충일", "0717": "제헌절", "0815": "광복절", "1003": "개천절",
-            "1009": "한글날", "1225": "성탄절", "0101": "신정"
-        };
-        const results = {}; // key: YYYY-MM-DD, value: name
-
-        // 1. Add Base Fixed Holidays
-        Object.entries(baseHolidays).forEach(([mmdd, name]) => {
-            const mm = parseInt(mmdd.substring(0, 2));
-            const y = (mm < 3) ? year + 1 : year;
-            results[`${y}-${mmdd.substring(0, 2)}-${mmdd.substring(2, 4)}`] = name;
-        });
-
-        // 2. Add Lunar Holidays
-        // Buddha's Birthday
-        const solarBuddha = this.getSolarFromLunar(year, "0408");
-        if (solarBuddha) results[solarBuddha] = (results[solarBuddha] ? results[solarBuddha] + ", " : "") + "부처님오신날";
-
-        // Lunar New Year & Chuseok with Eve/After days
-        const addLunarSpan = (lmmdd, mainName) => {
-            // Academic year start is March. Lunar New Year (0101) always falls in Jan/Feb of the NEXT calendar year.
-            const targetCalYear = (lmmdd === "0101") ? year + 1 : year;
-            const mainSolar = this.getSolarFromLunar(targetCalYear, lmmdd);
-            if (mainSolar) {
-                const eve = this.adjustSolarDate(mainSolar, -1);
-                const after = this.adjustSolarDate(mainSolar, 1);
-                results[eve] = (results[eve] ? results[eve] + ", " : "") + `${mainName} 연휴`;
-                results[mainSolar] = (results[mainSolar] ? results[mainSolar] + ", " : "") + mainName;
-                results[after] = (results[after] ? results[after] + ", " : "") + `${mainName} 연휴`;
-            }
-        };
-        addLunarSpan("0101", "설날");
-        addLunarSpan("0815", "추석");
-
-        // 3. Calculate Alternative Holidays (Substitute)
-        // Rule: 
-        // - 설날, 추석, 어린이날: 일요일 또는 다른 공휴일과 겹칠 경우 (단, 설날/추석은 토요일 겹침 무시)
-        // - 국경일(3.1, 8.15, 10.3, 10.9), 성탄절, 부처님오신날: 토요일 또는 일요일과 겹칠 경우
-        const isEligibleForSub = (name) => {
-            if (["삼일절", "광복절", "개천절", "한글날", "성탄절", "부처님오신날"].includes(name)) return "weekend";
-            if (["어린이날"].includes(name)) return "all"; // Sat, Sun, or other holiday
-            if (["설날", "설날 연휴", "추석", "추석 연휴"].includes(name)) return "sunday";
-            return null;
-        };
-
-        const sortedDays = Object.keys(results).sort();
-        const substitutes = {};
-
-        sortedDays.forEach(dateStr => {
-            const names = results[dateStr].split(", ");
-            names.forEach(name => {
-                const type = isEligibleForSub(name);
-                if (!type) return;
-
-                const d = this.parseLocal(dateStr);
-                const dayNum = d.getDay(); // 0:Sun, 6:Sat
-                let needsSub = false;
-
-                if (type === "weekend" && (dayNum === 0 || dayNum === 6)) needsSub = true;
-                else if (type === "sunday" && dayNum === 0) needsSub = true;
-                else if (type === "all") {
-                    // Weekend OR Overlap with another holiday (names.length > 1)
-                    if (dayNum === 0 || dayNum === 6 || names.length > 1) needsSub = true;
-                }
-
-                if (needsSub) {
-                    let subDate = this.adjustSolarDate(dateStr, 1);
-                    let safety = 0;
-                    while (safety < 30) {
-                        const sd = this.parseLocal(subDate);
-                        const sNum = sd.getDay();
-                        // Next non-weekend and non-existing holiday
-                        // [FIX] Ensure subDate matches keys without spaces if needed, but now spaces are gone
-                        if (sNum !== 0 && sNum !== 6 && !results[subDate] && !substitutes[subDate]) {
-                            substitutes[subDate] = `대체공휴일(${name})`;
-                            break;
-                        }
-                        subDate = this.adjustSolarDate(subDate, 1);
-                        safety++;
-                    }
-                }
-            });
-        });
-
-        return { ...results, ...substitutes };
+        return window.HolidayEngine.calculate(academicYear, (year, mmdd) => this.getSolarFromLunar(year, mmdd));
     },
 
     adjustSolarDate: (solarStr, days) => {
@@ -1553,6 +2283,7 @@ const App = {
                             class="holiday-date border rounded-lg px-3 py-2 text-sm w-[150px] focus:ring-2 focus:ring-purple-200 transition-colors" />
                         <input type="text" value="${item.name || ''}" placeholder="명칭" 
                             class="holiday-name flex-grow border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-purple-200 min-w-0 transition-colors" />
+                        <select class="holiday-grade border rounded-lg px-2 py-2 text-sm bg-white shrink-0">${this.gradeOptionsHtml(item.grade)}</select>
                         <button type="button" class="btn-del-hol text-red-300 hover:text-red-500 flex items-center shrink-0 ml-1">
                             <span class="material-symbols-outlined text-xl">delete</span>
                         </button>
@@ -1580,7 +2311,7 @@ const App = {
                         </button>
                     </div>
                 </div>
-                <span class="text-sm text-gray-500">${item.name}</span>
+                <span class="text-sm text-gray-500">${item.grade ? `[${item.grade}학년] ` : ''}${item.name}</span>
 `;
 
                 div.onclick = (e) => {
@@ -1613,12 +2344,14 @@ const App = {
         Array.from(container.children).forEach((div, i) => {
             const dateInput = div.querySelector('.holiday-date');
             const nameInput = div.querySelector('.holiday-name');
+            const gradeInput = div.querySelector('.holiday-grade');
 
             if (dateInput && nameInput) {
                 newList.push({
                     id: div.dataset.id || undefined, // Use undefined for omission
                     date: dateInput.value,
                     name: nameInput.value,
+                    grade: gradeInput ? (parseInt(gradeInput.value) || null) : null,
                     isEditing: true
                 });
             } else {
@@ -1630,6 +2363,359 @@ const App = {
         this.currentVariableHolidays = newList;
     },
 
+    /**
+     * Holiday dataset (elections, 임시공휴일) -> [{ date: 'YYYY-MM-DD', name }]
+     * JSON: [{ date, name }], { 'YYYY-MM-DD': name } or the data.go.kr 특일정보 response (locdate / dateName / isHoliday)
+     * CSV: date + name columns (header optional), .ics: all-day VEVENTs
+     */
+    parseHolidayDataset: function (text, fileName = '') {
+        const toDate = (v) => {
+            const digits = String(v == null ? '' : v).replace(/[^0-9]/g, '');
+            return digits.length === 8 ? `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}` : null;
+        };
+        const rows = [];
+        const push = (date, name) => {
+            const d = toDate(date);
+            const n = String(name == null ? '' : name).trim();
+            if (d && n) rows.push({ date: d, name: n });
+        };
+
+        const trimmed = String(text || '').trim();
+        if (/\.ics$/i.test(fileName) || /^BEGIN:VCALENDAR/i.test(trimmed)) {
+            window.ICal.toOccurrences(window.ICal.parse(trimmed)).forEach(r => {
+                for (let d = r.start; d <= r.end; d = this.shiftDate(d, 1)) push(d, r.summary);
+            });
+        } else if (/\.json$/i.test(fileName) || /^[[{]/.test(trimmed)) {
+            let data = JSON.parse(trimmed);
+            const items = data && data.response && data.response.body && data.response.body.items;
+            if (items) data = [].concat(items.item || []);
+            if (Array.isArray(data)) {
+                data.forEach(item => {
+                    if (!item || item.isHoliday === 'N') return;
+                    push(item.date || item.locdate || item.start_date, item.name || item.dateName || item.title);
+                });
+            } else if (data && typeof data === 'object') {
+                Object.entries(data).forEach(([date, name]) => push(date, name));
+            }
+        } else {
+            const lines = window.Helpers.parseCsv(trimmed);
+            const header = (lines[0] || []).map(h => String(h).trim().toLowerCase());
+            let dateCol = header.findIndex(h => ['date', 'locdate', '날짜', '일자'].includes(h));
+            let nameCol = header.findIndex(h => ['name', 'datename', '명칭', '이름', '휴일명'].includes(h));
+            if (dateCol >= 0 && nameCol >= 0) {
+                lines.shift();
+            } else {
+                dateCol = 0;
+                nameCol = 1;
+            }
+            lines.forEach(line => push(line[dateCol], line[nameCol]));
+        }
+        return rows;
+    },
+
+    openHolidayImportModal: async function (file) {
+        const academicYear = parseInt(document.getElementById('setting-academic-year')?.value) || this.state.currentYear;
+        const ayStart = `${academicYear}-03-01`;
+        const ayEnd = this.formatLocal(new Date(academicYear + 1, 2, 0));
+
+        let dataset;
+        try {
+            dataset = this.parseHolidayDataset(window.Helpers.decodeText(await file.arrayBuffer()), file.name);
+        } catch (e) {
+            console.error("Holiday dataset parse failed", e);
+            alert('휴일 자료를 읽을 수 없습니다. (' + e.message + ')');
+            return;
+        }
+        if (dataset.length === 0) {
+            alert('파일에서 날짜와 이름이 있는 휴일을 찾을 수 없습니다.');
+            return;
+        }
+
+        // Current holidays of the year: saved rows + the calculated / unsaved ones on the form
+        const { data: saved, error } = await window.SupabaseClient.supabase
+            .from('basic_schedules')
+            .select('name, start_date, end_date')
+            .eq('academic_year', academicYear)
+            .eq('type', 'holiday');
+        if (error) {
+            alert('현재 휴일을 불러오지 못했습니다: ' + error.message);
+            return;
+        }
+        this.syncVariableHolidaysFromUI();
+        const current = {}; // date -> [names]
+        const addCurrent = (date, name) => { if (date && name) (current[date] = current[date] || []).push(name); };
+        (saved || []).forEach(r => {
+            for (let d = r.start_date; d <= (r.end_date || r.start_date); d = this.shiftDate(d, 1)) addCurrent(d, r.name);
+        });
+        Object.entries(this.currentFixedHolidays || {}).forEach(([date, name]) => name.split(', ').forEach(n => addCurrent(date, n)));
+        (this.currentVariableHolidays || []).forEach(h => addCurrent(h.date, h.name));
+
+        // Diff
+        const seen = new Set();
+        const additions = [];
+        const renamed = [];
+        let same = 0;
+        let outside = 0;
+        dataset.forEach(h => {
+            const key = `${h.date}|${this.normalizeTitle(h.name)}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            if (h.date < ayStart || h.date > ayEnd) return outside++;
+
+            const names = current[h.date];
+            if (!names) additions.push(h);
+            else if (names.some(n => this.normalizeTitle(n) === this.normalizeTitle(h.name))) same++;
+            else renamed.push({ ...h, current: names.join(', ') });
+        });
+        additions.sort((a, b) => a.date.localeCompare(b.date));
+
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['holiday-import']) {
+                const response = await fetch('pages/modal-holiday-import.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                this.state.templates['holiday-import'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['holiday-import'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load holiday import modal", e);
+            alert('휴일 가져오기 창을 불러올 수 없습니다. (' + e.message + ')');
+            return;
+        }
+
+        const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
+        const list = document.getElementById('holiday-import-list');
+        const chkAll = document.getElementById('holiday-import-all');
+        const btnSubmit = document.getElementById('btn-holiday-import-submit');
+
+        document.getElementById('btn-holiday-import-close').onclick = () => this.closeModal();
+        document.getElementById('btn-holiday-import-cancel').onclick = () => this.closeModal();
+        document.getElementById('holiday-import-file').textContent = file.name;
+        document.getElementById('holiday-import-year').textContent = academicYear;
+        document.getElementById('holiday-import-summary').innerHTML = [
+            `새 휴일 <b class="text-purple-700">${additions.length}</b>건`,
+            `이미 등록됨 ${same}건`,
+            renamed.length ? `이름이 다른 기존 휴일 ${renamed.length}건 (변경하지 않음)` : '',
+            outside ? `${academicYear}학년도 기간 밖 ${outside}건 (제외)` : ''
+        ].filter(Boolean).map(t => `<li>${t}</li>`).join('');
+
+        list.innerHTML = additions.map((h, i) => `
+            <li class="px-2 py-1.5 flex items-center gap-2">
+                <input type="checkbox" data-idx="${i}" checked class="holiday-import-check rounded text-purple-600">
+                <span class="w-28 text-gray-600">${h.date} (${dayNames[this.parseLocal(h.date).getDay()]})</span>
+                <span class="flex-grow">${this.escapeHtml(h.name)}</span>
+            </li>`).join('') || '<li class="px-2 py-3 text-center text-gray-400">새로 추가할 휴일이 없습니다.</li>';
+
+        if (renamed.length > 0) {
+            document.getElementById('holiday-import-renamed-wrap').classList.remove('hidden');
+            document.getElementById('holiday-import-renamed-count').textContent = renamed.length;
+            document.getElementById('holiday-import-renamed').innerHTML = renamed
+                .map(h => `<li>${h.date}: ${this.escapeHtml(h.current)} ← ${this.escapeHtml(h.name)}</li>`).join('');
+        }
+
+        const checks = () => [...list.querySelectorAll('.holiday-import-check')];
+        const updateButton = () => {
+            const n = checks().filter(cb => cb.checked).length;
+            btnSubmit.disabled = n === 0;
+            chkAll.checked = n > 0 && n === checks().length;
+        };
+        list.onchange = updateButton;
+        chkAll.onchange = () => {
+            checks().forEach(cb => { cb.checked = chkAll.checked; });
+            updateButton();
+        };
+        updateButton();
+
+        btnSubmit.onclick = async () => {
+            const chosen = checks().filter(cb => cb.checked).map(cb => additions[cb.dataset.idx]);
+            if (chosen.length === 0) return;
+
+            btnSubmit.disabled = true;
+            try {
+                const { data, error: insErr } = await window.SupabaseClient.supabase
+                    .from('basic_schedules')
+                    .insert(chosen.map(h => ({
+                        academic_year: academicYear,
+                        type: 'holiday',
+                        code: null,
+                        name: h.name,
+                        start_date: h.date,
+                        end_date: h.date,
+                        is_holiday: true
+                    })))
+                    .select('id, name, start_date');
+                if (insErr) throw insErr;
+
+                this.logAction('HOLIDAY_IMPORT', 'basic_schedules', null, { academic_year: academicYear, file: file.name, count: data.length });
+                this.state.cache.basicSchedules = {};
+
+                // Show them as saved variable holidays without reloading the (possibly edited) form
+                this.syncVariableHolidaysFromUI();
+                data.forEach(r => this.currentVariableHolidays.push({ id: r.id, date: r.start_date, name: r.name }));
+                this.currentVariableHolidays.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+                this.renderVariableHolidays(this.currentVariableHolidays);
+                if (this.triggerSmartCalc) this.triggerSmartCalc();
+
+                this.closeModal();
+                alert(`휴일 ${data.length}건을 추가했습니다.`);
+            } catch (e) {
+                console.error("Holiday Import Error:", e);
+                alert('휴일 추가 실패: ' + this.describeWriteError(e, 'basic_schedules'));
+                btnSubmit.disabled = false;
+            }
+        };
+    },
+
+    /**
+     * 수업일수 from basic_schedules-shaped rows: days from the first 학기 개학 (the template's semester
+     * periods) to the end of February that isSchoolDay accepts and that are not inside a school-wide vacation.
+     * extraHolidays: proposed 'YYYY-MM-DD' days off.
+     * Returns { total, semesters: [{ label, days }], months: [{ month: 'YYYY-MM', days }] }, null before any 학기 starts.
+     */
+    countInstructionDays: function (academicYear, basics, extraHolidays = [], template = this.state.calendarTemplate) {
+        basics = this.rowsForGrade(basics, null);
+        const semesterCodes = (template || window.CalendarTemplates.resolve(null)).periods.filter(p => p.semester).map(p => p.code);
+        const starts = basics.filter(b => semesterCodes.includes(b.code) && b.start_date)
+            .sort((a, b) => a.start_date.localeCompare(b.start_date));
+        if (starts.length === 0) return null;
+        const year = parseInt(academicYear);
+
+        const holidays = [
+            ...basics.filter(b => (b.is_holiday || b.type === 'holiday') && b.start_date)
+                .map(b => ({ is_holiday: true, start_date: b.start_date, end_date: b.end_date || b.start_date })),
+            ...extraHolidays.map(date => ({ is_holiday: true, start_date: date, end_date: date }))
+        ];
+        const vacations = basics.filter(b => b.type === 'vacation' && b.start_date);
+
+        const months = [];
+        for (let i = 0; i < 12; i++) months.push({ month: this.formatLocal(new Date(year, 2 + i, 1)).slice(0, 7), days: 0 });
+        const semesters = starts.map((b, i) => ({ label: `${i + 1}학기`, days: 0 }));
+        let total = 0;
+
+        const last = this.formatLocal(new Date(year + 1, 2, 0));
+        for (let d = starts[0].start_date; d <= last; d = this.shiftDate(d, 1)) {
+            if (vacations.some(v => v.start_date <= d && (v.end_date || v.start_date) >= d)) continue;
+            if (!this.isSchoolDay(this.parseLocal(d), holidays)) continue;
+            total++;
+            const month = months.find(m => m.month === d.slice(0, 7));
+            if (month) month.days++;
+            semesters[starts.filter(b => b.start_date <= d).length - 1].days++;
+        }
+        return { total, semesters, months };
+    },
+
+    // Template periods / holidays as currently entered on the admin form (saved or not)
+    adminFormBasics: function () {
+        this.syncVariableHolidaysFromUI();
+        return [
+            ...this.readBasicPeriodsForm().map(({ period, start, end }) => ({
+                type: period.type, code: period.code, start_date: start, end_date: period.range ? end : null,
+                is_holiday: period.type === 'holiday', grade: period.grade || null
+            })),
+            ...Object.keys(this.currentFixedHolidays || {}).map(date => ({ type: 'holiday', is_holiday: true, start_date: date })),
+            ...(this.currentVariableHolidays || []).filter(h => h.date && !h.grade).map(h => ({ type: 'holiday', is_holiday: true, start_date: h.date }))
+        ].filter(r => r.start_date);
+    },
+
+    renderInstructionDays: function () {
+        const body = document.getElementById('instruction-days-body');
+        if (!body) return;
+        const year = parseInt(document.getElementById('setting-academic-year')?.value) || this.state.currentYear;
+        const candidates = this.state.discretionaryCandidates || [];
+        const minDays = parseInt(document.getElementById('setting-min-instruction-days')?.value) || 190;
+        const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
+
+        // Candidate list
+        document.getElementById('discretionary-candidates').innerHTML = candidates.map((c, i) => `
+            <div class="flex items-center justify-between bg-orange-50 border border-orange-100 px-3 py-1 rounded">
+                <span>${c.date} (${dayNames[this.parseLocal(c.date).getDay()]}) ${this.escapeHtml(c.name)}</span>
+                <button type="button" onclick="window.App.removeDiscretionaryCandidate(${i})" class="text-red-300 hover:text-red-500">
+                    <span class="material-symbols-outlined text-lg">close</span>
+                </button>
+            </div>`).join('');
+        document.getElementById('btn-apply-discretionary').classList.toggle('hidden', candidates.length === 0);
+
+        const basics = this.adminFormBasics();
+        const now = this.countInstructionDays(year, basics);
+        const warning = document.getElementById('instruction-days-warning');
+        if (!now) {
+            body.innerHTML = '<tr><td colspan="3" class="px-2 py-3 text-center text-gray-400">1학기 개학일을 입력하면 계산됩니다.</td></tr>';
+            warning.classList.add('hidden');
+            return;
+        }
+        const after = this.countInstructionDays(year, basics, candidates.map(c => c.date));
+
+        const row = (label, a, b, strong = false) => `
+            <tr class="${strong ? 'font-bold bg-gray-50' : ''}">
+                <td class="px-2 py-1">${label}</td>
+                <td class="px-2 py-1 text-right">${a}</td>
+                <td class="px-2 py-1 text-right ${b < a ? 'text-orange-600' : ''}">${b}</td>
+            </tr>`;
+        body.innerHTML = [
+            ...now.semesters.map((s, i) => row(s.label, s.days, after.semesters[i].days, true)),
+            ...now.months.map((m, i) => row(`${parseInt(m.month.slice(5))}월`, m.days, after.months[i].days)),
+            row('합계', now.total, after.total, true)
+        ].join('');
+
+        const messages = [];
+        if (now.total < minDays) messages.push(`현재 수업일수 ${now.total}일: 법정 최소 ${minDays}일보다 ${minDays - now.total}일 부족합니다.`);
+        else if (after.total < minDays) messages.push(`검토 중인 재량휴업일을 넣으면 ${after.total}일로 법정 최소 ${minDays}일보다 ${minDays - after.total}일 부족합니다.`);
+        warning.innerHTML = messages.join('<br>');
+        warning.classList.toggle('hidden', messages.length === 0);
+    },
+
+    addDiscretionaryCandidate: function () {
+        const dateInput = document.getElementById('discretionary-date');
+        const nameInput = document.getElementById('discretionary-name');
+        const date = dateInput.value;
+        const name = nameInput.value.trim() || '재량휴업일';
+        if (!date) return;
+
+        const year = parseInt(document.getElementById('setting-academic-year')?.value) || this.state.currentYear;
+        if (date < `${year}-03-01` || date > this.formatLocal(new Date(year + 1, 2, 0))) {
+            alert(`${year}학년도 기간(3월 1일 ~ 다음 해 2월 말)의 날짜를 선택하세요.`);
+            return;
+        }
+        const candidates = this.state.discretionaryCandidates || (this.state.discretionaryCandidates = []);
+        if (candidates.some(c => c.date === date)) return;
+
+        // Only a day that is currently counted changes anything
+        const basics = this.adminFormBasics();
+        const before = this.countInstructionDays(year, basics, candidates.map(c => c.date));
+        const after = this.countInstructionDays(year, basics, [...candidates.map(c => c.date), date]);
+        if (before && after && before.total === after.total) {
+            alert(`${date}은(는) 이미 수업일이 아닙니다. (주말·공휴일·방학 또는 1학기 개학 전)`);
+            return;
+        }
+
+        candidates.push({ date, name });
+        candidates.sort((a, b) => a.date.localeCompare(b.date));
+        dateInput.value = '';
+        this.renderInstructionDays();
+    },
+
+    removeDiscretionaryCandidate: function (idx) {
+        (this.state.discretionaryCandidates || []).splice(idx, 1);
+        this.renderInstructionDays();
+    },
+
+    // Candidates -> variable holidays on the form (stored with '학년도 및 기본 학사 일정 저장')
+    applyDiscretionaryCandidates: function () {
+        const candidates = this.state.discretionaryCandidates || [];
+        if (candidates.length === 0) return;
+
+        this.syncVariableHolidaysFromUI();
+        if (!this.currentVariableHolidays) this.currentVariableHolidays = [];
+        candidates.forEach(c => this.currentVariableHolidays.push({ date: c.date, name: c.name }));
+        this.currentVariableHolidays.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        this.renderVariableHolidays(this.currentVariableHolidays);
+
+        this.state.discretionaryCandidates = [];
+        this.renderInstructionDays();
+        alert(`재량휴업일 ${candidates.length}일을 비정기휴무일 목록에 추가했습니다.\n'학년도 및 기본 학사 일정 저장'을 눌러야 저장됩니다.`);
+    },
+
     renderMajorEvents: function (list) {
         const container = document.getElementById('major-events-container');
         if (!container) return;
@@ -1664,6 +2750,7 @@ const App = {
                     
                         <input type="text" value="${item.name || ''}" placeholder="행사명" 
                             class="event-name flex-grow border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-200 min-w-0 transition-colors" />
+                        <select class="event-grade border rounded-lg px-2 py-2 text-sm bg-white shrink-0">${this.gradeOptionsHtml(item.grade)}</select>
                         
                         <button type="button" class="btn-del-major text-red-400 hover:text-red-600 shrink-0 ml-1">
                             <span class="material-symbols-outlined text-xl">delete</span>
@@ -1690,7 +2777,7 @@ const App = {
                         </button>
                     </div>
                 </div>
-                <span class="text-sm text-gray-500">${item.name}</span>
+                <span class="text-sm text-gray-500">${item.grade ? `[${item.grade}학년] ` : ''}${item.name}</span>
 `;
 
                 div.onclick = (e) => {
@@ -1756,6 +2843,7 @@ const App = {
             const nameInput = div.querySelector('.event-name');
             const startInput = div.querySelector('.event-start');
             const endInput = div.querySelector('.event-end');
+            const gradeInput = div.querySelector('.event-grade');
 
             if (nameInput && startInput) {
                 newList.push({
@@ -1763,6 +2851,7 @@ const App = {
                     start: startInput.value,
                     end: (endInput && endInput.value) ? endInput.value : '',
                     name: nameInput.value,
+                    grade: gradeInput ? (parseInt(gradeInput.value) || null) : null,
                     isEditing: true
                 });
             } else {
@@ -1795,7 +2884,7 @@ const App = {
 
     handleSaveSchoolInfo: async function () {
         const { data: { session } } = await window.SupabaseClient.supabase.auth.getSession();
-        if (!session || this.state.role !== 'admin') {
+        if (!session || !this.can('admin.settings')) {
             alert('세션이 만료되었거나 관리자 권한이 없습니다. 다시 로그인해 주세요.');
             if (!session) this.navigate('login');
             return;
@@ -1857,7 +2946,7 @@ const App = {
             .upsert(payload);
 
         if (error) {
-            alert('학교 정보 저장 실패: ' + error.message);
+            alert('학교 정보 저장 실패: ' + this.describeWriteError(error, 'settings'));
         } else {
             this.clearCache();
             alert('학교 정보가 성공적으로 저장되었습니다.');
@@ -1865,6 +2954,120 @@ const App = {
         }
     },
 
+    // Settings row + all department rows (active and inactive) of a year, as currently stored
+    fetchAdminVersions: async function (year) {
+        const supabase = window.SupabaseClient.supabase;
+        try {
+            const [settingsRes, deptRes] = await Promise.all([
+                supabase.from('settings').select('*').eq('academic_year', year).maybeSingle(),
+                supabase.from('departments').select('*').eq('academic_year', year)
+            ]);
+            if (settingsRes.error) throw settingsRes.error;
+            if (deptRes.error) throw deptRes.error;
+            return { year: parseInt(year), settings: settingsRes.data || null, departments: deptRes.data || [] };
+        } catch (e) {
+            console.warn('Failed to load admin versions:', e);
+            return null;
+        }
+    },
+
+    /**
+     * Compare the settings / departments the admin form was built from with the server.
+     * On conflict show the diff and apply the choice to settingsPayload / deptPayload in place.
+     * Returns false if the admin cancelled.
+     */
+    resolveAdminConflicts: async function (academicYear, settingsPayload, deptPayload) {
+        const snapshot = this.state.adminSnapshot;
+        if (!snapshot || snapshot.year !== academicYear) return true;
+        const fresh = await this.fetchAdminVersions(academicYear);
+        if (!fresh) return true;
+
+        const rows = [];
+        const str = (v) => (v === null || v === undefined) ? '' : String(v);
+
+        // 1. School info
+        const snapSettings = snapshot.settings || {};
+        const serverSettings = fresh.settings || {};
+        if (str(snapSettings.updated_at) !== str(serverSettings.updated_at)) {
+            [
+                { key: 'school_name', label: '학교명' },
+                { key: 'name_en', label: '학교명 (영문)' },
+                { key: 'level_kr', label: '학교급' },
+                { key: 'level_en', label: '학교급 (영문)' }
+            ].forEach(f => {
+                const server = str(serverSettings[f.key]);
+                const local = str(settingsPayload[f.key]);
+                if (server === local) return;
+                rows.push({
+                    key: `settings:${f.key}`, label: f.label, server, local,
+                    prefer: local !== str(snapSettings[f.key]) ? 'local' : 'server'
+                });
+            });
+        }
+
+        // 2. Departments (changed, added or deleted by someone else)
+        const deptLabel = (d) => d ? `${d.dept_name} · ${d.dept_short || '-'} · ${d.dept_color || ''}${d.is_active === false ? ' (미사용)' : ''}` : '(삭제됨)';
+        const byId = (list) => new Map(list.filter(d => d.id).map(d => [String(d.id), d]));
+        const snapDepts = byId(snapshot.departments);
+        const serverDepts = byId(fresh.departments);
+        const localDepts = byId(deptPayload);
+
+        new Set([...snapDepts.keys(), ...serverDepts.keys()]).forEach(id => {
+            const before = snapDepts.get(id);
+            const server = serverDepts.get(id);
+            if (before && server && str(before.updated_at) === str(server.updated_at)) return;
+            const local = localDepts.get(id);
+            if (deptLabel(server) === deptLabel(local)) return;
+            rows.push({
+                key: `dept:${id}`,
+                label: (server || before).dept_name,
+                server: deptLabel(server),
+                local: deptLabel(local),
+                prefer: before && deptLabel(local) !== deptLabel(before) ? 'local' : 'server'
+            });
+        });
+
+        if (rows.length === 0) return true;
+
+        const choice = await this.openConflictModal({
+            title: '학교 정보 저장 충돌',
+            message: `편집하는 동안 다른 관리자가 ${academicYear}학년도 설정을 변경했습니다. 저장할 내용을 선택해주세요.`,
+            rows
+        });
+        if (!choice) return false;
+        if (choice.mode !== 'merge') return true;
+
+        Object.entries(choice.picks).forEach(([key, side]) => {
+            if (side !== 'server') return;
+            const [kind, id] = key.split(':');
+            if (kind === 'settings') {
+                settingsPayload[id] = serverSettings[id] ?? null;
+                return;
+            }
+            const server = serverDepts.get(id);
+            const idx = deptPayload.findIndex(d => String(d.id) === id);
+            if (!server) {
+                if (idx !== -1) deptPayload.splice(idx, 1); // Stay deleted
+                return;
+            }
+            const row = {
+                id: server.id,
+                academic_year: academicYear,
+                dept_name: server.dept_name,
+                dept_short: server.dept_short,
+                dept_id_en: server.dept_id_en,
+                dept_color: server.dept_color,
+                sort_order: server.sort_order,
+                is_active: server.is_active
+            };
+            if (idx !== -1) deptPayload[idx] = row;
+            else deptPayload.push(row);
+        });
+
+        settingsPayload.full_name_kr = settingsPayload.school_name ? (settingsPayload.school_name + (settingsPayload.level_kr || '')) : null;
+        return true;
+    },
+
     handleSaveSettings: async function () {
         const btnSave = document.getElementById('btn-save-settings');
         const originalBtnText = btnSave ? btnSave.innerHTML : '저장';
@@ -1876,7 +3079,7 @@ const App = {
 
         try {
             const { data: { session } } = await window.SupabaseClient.supabase.auth.getSession();
-            if (!session || this.state.role !== 'admin') {
+            if (!session || !this.can('admin.settings')) {
                 throw new Error('세션이 만료되었거나 관리자 권한이 없습니다.');
             }
 
@@ -1892,18 +3095,18 @@ const App = {
                 return val || '';
             };
 
-            // Variable Holidays Array -> Object
+            // Variable Holidays (one per date and grade)
             this.syncVariableHolidaysFromUI();
             const variableHolidays = {};
             if (this.currentVariableHolidays) {
                 this.currentVariableHolidays.forEach(h => {
                     if (h.date && h.name) {
-                        variableHolidays[h.date] = h.name;
+                        variableHolidays[`${h.date}|${h.grade || ''}`] = h;
                     }
                 });
             }
 
-            // Major Events: Consolidate User Events + Exams into Array
+            // Major Events
             this.syncMajorEventsFromUI();
 
             const finalMajorEvents = [];
@@ -1916,35 +3119,13 @@ const App = {
                             type: 'event',
                             start: e.start,
                             end: e.end || e.start,
-                            name: e.name
+                            name: e.name,
+                            grade: e.grade || null
                         });
                     }
                 });
             }
 
-            // 2. Exams Input
-            const examDefinitions = [
-                { code: 'EXAM_1_1', title: '1학기 1차지필', s: 'sched-exam-1-1-start', e: 'sched-exam-1-1-end' },
-                { code: 'EXAM_1_2', title: '1학기 2차지필', s: 'sched-exam-1-2-start', e: 'sched-exam-1-2-end' },
-                { code: 'EXAM_2_1', title: '2학기 1차지필', s: 'sched-exam-2-1-start', e: 'sched-exam-2-1-end' },
-                { code: 'EXAM_2_2', title: '2학기 2차지필', s: 'sched-exam-2-2-start', e: 'sched-exam-2-2-end' },
-                { code: 'EXAM_3_2_2', title: '3학년 2학기 2차지필', s: 'sched-exam-3-2-2-start', e: 'sched-exam-3-2-2-end' }
-            ];
-
-            examDefinitions.forEach(def => {
-                const sVal = getVal(def.s);
-                const eVal = getVal(def.e);
-                if (sVal && eVal) {
-                    finalMajorEvents.push({
-                        type: 'exam',
-                        code: def.code,
-                        title: def.title,
-                        start: sVal,
-                        end: eVal
-                    });
-                }
-            });
-
             // Department Config Collection
             const generalDepts = [];
             document.querySelectorAll('#admin-dept-list .dept-row').forEach(row => {
@@ -1962,6 +3143,47 @@ const App = {
             });
 
 
+            // Department Payload (General + Special)
+            const deptPayload = [];
+
+            // 1. General
+            generalDepts.forEach((d, i) => {
+                const payload = {
+                    academic_year: academicYear,
+                    dept_name: d.name,
+                    dept_short: d.nickname,
+                    dept_id_en: d.deptIdEn,
+                    dept_color: d.color,
+                    sort_order: i,
+                    is_active: true
+                };
+                if (d.id) payload.id = d.id; // Keep existing ID
+                deptPayload.push(payload);
+            });
+
+            // 2. Special
+            document.querySelectorAll('.special-dept-row').forEach((row, i) => {
+                const id = row.dataset.id; // DB UUID or empty
+                const name = row.dataset.name; // e.g. "행정실"
+                const nickname = row.querySelector('.special-dept-nickname').value;
+                const idInp = row.querySelector('.special-dept-id-input');
+                const deptIdEn = idInp ? idInp.value.trim() : null;
+                const color = row.querySelector('.special-dept-color').value;
+                const active = row.querySelector('.special-dept-check').checked;
+
+                const payload = {
+                    academic_year: academicYear,
+                    dept_name: name,
+                    dept_short: nickname,
+                    dept_id_en: deptIdEn,
+                    dept_color: color,
+                    sort_order: 100 + i,
+                    is_active: active
+                };
+                if (id) payload.id = id;
+                deptPayload.push(payload);
+            });
+
             // Prepare DB Payload (School Info ONLY)
             const schoolNameKR = getVal('setting-school-name-kr').trim();
             const schoolNameEN = getVal('setting-school-name-en').trim();
@@ -1985,7 +3207,10 @@ const App = {
                 full_name_kr: schoolNameKR ? (schoolNameKR + getVal('setting-school-level-kr')) : null,
                 name_en: schoolNameEN || null,
                 level_kr: getVal('setting-school-level-kr'),
-                level_en: getVal('setting-school-level-en')
+                level_en: getVal('setting-school-level-en'),
+                min_instruction_days: Math.max(1, parseInt(getVal('setting-min-instruction-days')) || 190),
+                grade_count: Math.min(6, Math.max(1, parseInt(getVal('setting-grade-count')) || 3)),
+                calendar_template: this.state.calendarTemplate || null
             };
 
             if (existing) settingsPayload.id = existing.id;
@@ -1995,6 +3220,16 @@ const App = {
                 delete settingsPayload.id;
             }
 
+            // Someone else saved this year while the form was open -> let the admin pick per field
+            const resolved = await this.resolveAdminConflicts(academicYear, settingsPayload, deptPayload);
+            if (!resolved) {
+                if (btnSave) {
+                    btnSave.disabled = false;
+                    btnSave.innerHTML = originalBtnText;
+                }
+                return;
+            }
+
             const { error: settingsError } = await window.SupabaseClient.supabase
                 .from('settings')
                 .upsert(settingsPayload);
@@ -2011,18 +3246,20 @@ const App = {
 
             const dbBasicsList = dbBasics || [];
 
-            // Helper to match existing records
-            const findExistingId = (type, code, name, start) => {
-                if (code) {
-                    const found = dbBasicsList.find(r => r.code === code);
-                    if (found) return found.id;
-                }
-                const found = dbBasicsList.find(r => r.type === type && r.name === name && r.start_date === start);
-                return found ? found.id : undefined;
+            // Helper to match existing records: the same day for one grade and for the whole school
+            // (or for two grades) are separate rows, and each DB row is matched once
+            const claimedIds = new Set();
+            const findExistingId = (type, code, name, start, grade) => {
+                const sameGrade = (r) => (parseInt(r.grade) || null) === (parseInt(grade) || null);
+                const found = (code && dbBasicsList.find(r => !claimedIds.has(r.id) && r.code === code && sameGrade(r)))
+                    || dbBasicsList.find(r => !claimedIds.has(r.id) && r.type === type && r.name === name && r.start_date === start && sameGrade(r));
+                if (!found) return undefined;
+                claimedIds.add(found.id);
+                return found.id;
             };
 
             const basicRows = [];
-            const addRow = (type, code, name, start, end = null, is_holiday = false) => {
+            const addRow = (type, code, name, start, end = null, is_holiday = false, grade = null) => {
                 if (!start) return;
                 const row = {
                     academic_year: academicYear,
@@ -2031,9 +3268,10 @@ const App = {
                     name,
                     start_date: start,
                     end_date: end || start,
-                    is_holiday
+                    is_holiday,
+                    grade
                 };
-                const existingId = findExistingId(type, code, name, start);
+                const existingId = findExistingId(type, code, name, start, grade);
                 if (existingId && existingId !== 'null' && existingId !== 'undefined') {
                     row.id = existingId;
                 }
@@ -2041,16 +3279,11 @@ const App = {
             };
 
             // A. Flatten all data to rows
-            // 1. Terms & Vacations
-            addRow('term', 'TERM1_START', '1학기 개학', getVal('sched-sem1-start'));
-            addRow('vacation', 'SUMMER_VAC', '여름방학', getVal('sched-summer-start'), getVal('sched-summer-end'));
-            addRow('event', 'SUMMER_VAC_CEREMONY', '여름방학식', getVal('sched-summer-start-ceremony'));
-            addRow('term', 'TERM2_START', '2학기 개학', getVal('sched-sem2-start'));
-            addRow('event', 'WINTER_VAC_CEREMONY', '겨울방학식', getVal('sched-winter-start-ceremony'));
-            addRow('vacation', 'WINTER_VAC', '겨울방학', getVal('sched-winter-start'), getVal('sched-winter-end'));
-            addRow('event', 'SPRING_VAC_CEREMONY', '봄방학식', getVal('sched-spring-start-ceremony'));
-            addRow('vacation', 'SPRING_VAC', '봄방학', getVal('sched-spring-start'), getVal('sched-spring-end'));
-            addRow('term', 'SPRING_SEM_START', '봄 개학', getVal('sched-spring-sem-start'));
+            // 1. Template Periods (terms, vacations, ceremonies, exams ...); a range needs both dates
+            this.readBasicPeriodsForm().forEach(({ period: p, start, end }) => {
+                if (p.range && !end) return;
+                addRow(p.type, p.code, p.name, start, p.range ? end : null, p.type === 'holiday', p.grade || null);
+            });
 
             // 2. Fixed Holidays
             if (this.currentFixedHolidays) {
@@ -2061,21 +3294,14 @@ const App = {
 
             // 3. Variable Holidays
             if (variableHolidays) {
-                Object.entries(variableHolidays).forEach(([date, name]) => {
-                    addRow('holiday', null, name, date, null, true);
+                Object.values(variableHolidays).forEach(h => {
+                    addRow('holiday', null, h.name, h.date, null, true, h.grade || null);
                 });
             }
 
-            // 4. Exams
-            examDefinitions.forEach(def => {
-                const s = getVal(def.s);
-                const e = getVal(def.e);
-                if (s && e) addRow('exam', def.code, def.title, s, e);
-            });
-
-            // 5. Major Events
+            // 4. Major Events
             finalMajorEvents.forEach(ev => {
-                if (ev.type !== 'exam') addRow('event', null, ev.name, ev.start, ev.end);
+                addRow('event', null, ev.name, ev.start, ev.end, false, ev.grade);
             });
 
             // B. Identify Deletions
@@ -2128,46 +3354,6 @@ const App = {
 
             const dbIds = (dbDepts || []).map(d => d.id);
 
-            const deptPayload = [];
-
-            // 1. General
-            generalDepts.forEach((d, i) => {
-                const payload = {
-                    academic_year: academicYear,
-                    dept_name: d.name,
-                    dept_short: d.nickname,
-                    dept_id_en: d.deptIdEn,
-                    dept_color: d.color,
-                    sort_order: i,
-                    is_active: true
-                };
-                if (d.id) payload.id = d.id; // Keep existing ID
-                deptPayload.push(payload);
-            });
-
-            // 2. Special
-            document.querySelectorAll('.special-dept-row').forEach((row, i) => {
-                const id = row.dataset.id; // DB UUID or empty
-                const name = row.dataset.name; // e.g. "행정실"
-                const nickname = row.querySelector('.special-dept-nickname').value;
-                const idInp = row.querySelector('.special-dept-id-input');
-                const deptIdEn = idInp ? idInp.value.trim() : null;
-                const color = row.querySelector('.special-dept-color').value;
-                const active = row.querySelector('.special-dept-check').checked;
-
-                const payload = {
-                    academic_year: academicYear,
-                    dept_name: name,
-                    dept_short: nickname,
-                    dept_id_en: deptIdEn,
-                    dept_color: color,
-                    sort_order: 100 + i,
-                    is_active: active
-                };
-                if (id) payload.id = id;
-                deptPayload.push(payload);
-            });
-
             // 3. Deletions: IDs in DB but NOT in current payload
             const payloadIds = deptPayload.filter(p => p.id).map(p => p.id);
             const toDelete = dbIds.filter(id => !payloadIds.includes(id));
@@ -2216,7 +3402,7 @@ const App = {
 
         } catch (err) {
             console.error(err);
-            alert('저장 실패: ' + (err.message || '알 수 없는 오류'));
+            alert('저장 실패: ' + this.describeWriteError(err, 'settings'));
 
             if (btnSave) {
                 btnSave.disabled = false;
@@ -2369,37 +3555,629 @@ const App = {
 
             if (error) throw error;
 
-            if (users && users.length > 0) {
-                listContainer.innerHTML = users.map(u => `
-                <div class="flex items-center justify-between p-2 border rounded hover:bg-gray-50">
+            // Department membership (several departments per user)
+            const { data: members, error: memberErr } = await window.SupabaseClient.supabase
+                .from('department_members')
+                .select('user_id, dept_code');
+            if (memberErr) console.warn('Failed to load department members:', memberErr);
+            const codesByUser = {};
+            (members || []).forEach(m => {
+                (codesByUser[m.user_id] = codesByUser[m.user_id] || []).push(m.dept_code);
+            });
+
+            this.state.adminUsers = users || [];
+            this.state.adminUserDeptCodes = codesByUser;
+            // Drop selections of users that no longer exist
+            const ids = new Set(this.state.adminUsers.map(u => u.user_id));
+            this.state.adminUserSelection = new Set([...(this.state.adminUserSelection || [])].filter(id => ids.has(id)));
+
+            this.renderAdminUsers();
+            this.renderStaleUsers();
+        } catch (e) {
+            console.error("Load Users Failed:", e);
+            listContainer.innerHTML = "<p class='text-red-500 text-center py-4'>데이터 로딩 실패</p>";
+        }
+    },
+
+    // Search box + role / status / last login filters
+    filterAdminUsers: function (users) {
+        const val = (id) => (document.getElementById(id) || {}).value || '';
+        const query = val('user-search').trim().toLowerCase();
+        const role = val('user-filter-role');
+        const status = val('user-filter-status');
+        const login = val('user-filter-login');
+        const DAY = 24 * 60 * 60 * 1000;
+        const now = Date.now();
+
+        return users.filter(u => {
+            if (query && !String(u.email || '').toLowerCase().includes(query)) return false;
+            if (role && u.role !== role) return false;
+            if (status && u.status !== status) return false;
+            const last = u.last_login ? new Date(u.last_login).getTime() : null;
+            if (login === 'recent30' && !(last && now - last <= 30 * DAY)) return false;
+            if (login === 'stale90' && !(last && now - last >= 90 * DAY)) return false;
+            if (login === 'never' && last) return false;
+            return true;
+        });
+    },
+
+    renderAdminUsers: function () {
+        const listContainer = document.getElementById('admin-user-list');
+        if (!listContainer) return;
+
+        const users = this.filterAdminUsers(this.state.adminUsers || []);
+        const codesByUser = this.state.adminUserDeptCodes || {};
+        const selection = this.state.adminUserSelection || new Set();
+
+        const depts = (this.state.departments || []).filter(d => this.deptCode(d));
+        const renderMembership = (u) => {
+            const prefix = (u.email || '').split('@')[0];
+            const codes = codesByUser[u.user_id] || [];
+            const isLinked = (code) => u.role === 'dept' && code === prefix; // Legacy: account ID = dept_id_en
+            const names = depts.filter(d => codes.includes(this.deptCode(d)) || isLinked(this.deptCode(d))).map(d => d.dept_name);
+            return `
+                <details class="mt-1 text-xs">
+                    <summary class="cursor-pointer text-gray-500 hover:text-purple-600">소속: ${names.length > 0 ? this.escapeHtml(names.join(', ')) : '없음'}</summary>
+                    <div class="mt-1 grid grid-cols-2 gap-x-3 gap-y-0.5 pl-2">
+                        ${depts.map(d => {
+                            const code = this.deptCode(d);
+                            const linked = isLinked(code);
+                            return `<label class="flex items-center gap-1 ${linked ? 'text-gray-400' : 'cursor-pointer'}" ${linked ? 'title="계정 ID로 연결된 부서"' : ''}>
+                                <input type="checkbox" class="rounded text-purple-600" ${codes.includes(code) || linked ? 'checked' : ''} ${linked ? 'disabled' : ''}
+                                    onchange="window.App.updateDeptMembership('${u.user_id}', '${encodeURIComponent(code)}', this.checked)">
+                                ${this.escapeHtml(d.dept_name)}
+                            </label>`;
+                        }).join('')}
+                    </div>
+                </details>`;
+        };
+
+        if (users.length > 0) {
+            listContainer.innerHTML = users.map(u => `
+            <div class="flex items-start justify-between p-2 border rounded hover:bg-gray-50">
+                    <div class="flex items-start gap-2">
+                        <input type="checkbox" class="user-select mt-1 rounded text-purple-600" data-user-id="${u.user_id}" ${selection.has(u.user_id) ? 'checked' : ''}>
                         <div>
-                            <div class="font-bold text-sm text-gray-800">${u.email.split('@')[0]}</div>
-                            <div class="text-xs text-gray-500">최근 접속: ${new Date(u.last_login).toLocaleDateString()}</div>
-                        </div>
-                        <div class="flex items-center gap-2">
-                            <select onchange="window.App.updateUserRole('${u.user_id}', this.value)" class="text-xs border rounded p-1 ${u.role === 'admin' ? 'bg-purple-100 text-purple-700' : (u.role === 'head' ? 'bg-blue-100 text-blue-700' : (u.role === 'dept' ? 'bg-indigo-100 text-indigo-700' : 'bg-white'))}">
-                                <option value="teacher" ${u.role === "teacher" ? "selected" : ""}>일반 (Teacher)</option>
-                                <option value="dept" ${u.role === "dept" ? "selected" : ""}>부서 (Dept)</option>
-                                <option value="head" ${u.role === "head" ? "selected" : ""}>부장 (Head)</option>
-                                <option value="admin" ${u.role === "admin" ? "selected" : ""}>관리자 (Admin)</option>
-                            </select>
-                            <select onchange="window.App.updateUserStatus('${u.user_id}', this.value)" class="text-xs border rounded p-1 ${u.status === 'active' ? 'bg-green-100 text-green-700' : 'bg-gray-100'}">
-                                <option value="pending" ${u.status === "pending" ? "selected" : ""}>대기</option>
-                                <option value="active" ${u.status === "active" ? "selected" : ""}>승인</option>
-                                <option value="rejected" ${u.status === "rejected" ? "selected" : ""}>거부</option>
-                            </select>
+                            <div class="font-bold text-sm text-gray-800">${this.escapeHtml((u.email || '').split('@')[0])}</div>
+                            <div class="text-xs text-gray-500">최근 접속: ${u.last_login ? new Date(u.last_login).toLocaleDateString() : '-'}</div>
+                            ${renderMembership(u)}
                         </div>
                     </div>
-    `).join('');
+                    <div class="flex items-center gap-2">
+                        <select onchange="window.App.updateUserRole('${u.user_id}', this.value)" class="text-xs border rounded p-1 ${u.role === 'admin' ? 'bg-purple-100 text-purple-700' : (u.role === 'head' ? 'bg-blue-100 text-blue-700' : (u.role === 'dept' ? 'bg-indigo-100 text-indigo-700' : 'bg-white'))}">
+                            <option value="teacher" ${u.role === "teacher" ? "selected" : ""}>일반 (Teacher)</option>
+                            <option value="dept" ${u.role === "dept" ? "selected" : ""}>부서 (Dept)</option>
+                            <option value="head" ${u.role === "head" ? "selected" : ""}>부장 (Head)</option>
+                            <option value="admin" ${u.role === "admin" ? "selected" : ""}>관리자 (Admin)</option>
+                        </select>
+                        <select onchange="window.App.updateUserStatus('${u.user_id}', this.value)" class="text-xs border rounded p-1 ${u.status === 'active' ? 'bg-green-100 text-green-700' : 'bg-gray-100'}">
+                            <option value="pending" ${u.status === "pending" ? "selected" : ""}>대기</option>
+                            <option value="active" ${u.status === "active" ? "selected" : ""}>승인</option>
+                            <option value="rejected" ${u.status === "rejected" ? "selected" : ""}>거부</option>
+                            <option value="inactive" ${u.status === "inactive" ? "selected" : ""}>비활성</option>
+                        </select>
+                    </div>
+                </div>
+`).join('');
+        } else {
+            const filtered = (this.state.adminUsers || []).length > 0;
+            listContainer.innerHTML = `<p class='text-gray-400 text-center py-4'>${filtered ? '조건에 맞는 사용자가 없습니다.' : '사용자가 없습니다.'}</p>`;
+        }
+
+        listContainer.querySelectorAll('.user-select').forEach(cb => {
+            cb.onchange = () => {
+                if (cb.checked) selection.add(cb.dataset.userId);
+                else selection.delete(cb.dataset.userId);
+                this.updateUserSelectionUI();
+            };
+        });
+        this.updateUserSelectionUI();
+    },
+
+    updateUserSelectionUI: function () {
+        const selection = this.state.adminUserSelection || new Set();
+        const visible = this.filterAdminUsers(this.state.adminUsers || []);
+        const count = document.getElementById('user-selected-count');
+        const selectAll = document.getElementById('user-select-all');
+        const btnApply = document.getElementById('btn-user-bulk-apply');
+
+        if (count) count.textContent = `${selection.size}명 선택`;
+        if (selectAll) selectAll.checked = visible.length > 0 && visible.every(u => selection.has(u.user_id));
+        if (btnApply) btnApply.disabled = selection.size === 0;
+    },
+
+    // Toolbar of the users panel (bound once per admin view load)
+    initUserManagement: function () {
+        this.state.adminUserSelection = new Set();
+
+        ['user-search', 'user-filter-role', 'user-filter-status', 'user-filter-login'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el[id === 'user-search' ? 'oninput' : 'onchange'] = () => this.renderAdminUsers();
+        });
+
+        const selectAll = document.getElementById('user-select-all');
+        if (selectAll) {
+            selectAll.onchange = () => {
+                const selection = this.state.adminUserSelection;
+                this.filterAdminUsers(this.state.adminUsers || []).forEach(u => {
+                    if (selectAll.checked) selection.add(u.user_id);
+                    else selection.delete(u.user_id);
+                });
+                this.renderAdminUsers();
+            };
+        }
+
+        const btnApply = document.getElementById('btn-user-bulk-apply');
+        if (btnApply) {
+            btnApply.onclick = async () => {
+                const action = document.getElementById('user-bulk-action').value;
+                if (!action) return alert('일괄 작업을 선택하세요.');
+                const [field, value] = action.split(':');
+                btnApply.disabled = true;
+                await this.bulkUpdateUsers({ [field]: value });
+            };
+        }
+
+        const csvInput = document.getElementById('user-csv-input');
+        if (csvInput) {
+            csvInput.onchange = async () => {
+                const file = csvInput.files[0];
+                csvInput.value = ''; // Same file can be picked again
+                if (file) await this.importUsersCsv(file);
+            };
+        }
+
+        const btnExport = document.getElementById('btn-user-csv-export');
+        if (btnExport) btnExport.onclick = () => this.exportUsersCsv();
+
+        const staleThreshold = document.getElementById('stale-threshold');
+        if (staleThreshold) staleThreshold.onchange = () => this.renderStaleUsers();
+    },
+
+    // "Inactive since": accounts not seen for the chosen number of days (never logged in counts too)
+    renderStaleUsers: function () {
+        const listContainer = document.getElementById('admin-stale-list');
+        if (!listContainer) return;
+
+        const DAY = 24 * 60 * 60 * 1000;
+        const days = parseInt((document.getElementById('stale-threshold') || {}).value) || 180;
+        const selfId = this.state.user && this.state.user.id;
+        const users = this.state.adminUsers || [];
+        const sinceDays = (u) => u.last_login ? Math.floor((Date.now() - new Date(u.last_login).getTime()) / DAY) : null;
+
+        const stale = users
+            .filter(u => u.status !== 'inactive' && u.user_id !== selfId)
+            .filter(u => { const n = sinceDays(u); return n === null || n >= days; })
+            .sort((a, b) => (a.last_login || '').localeCompare(b.last_login || ''));
+
+        listContainer.innerHTML = stale.length === 0
+            ? "<p class='text-gray-400 text-center py-2 text-xs'>해당하는 계정이 없습니다.</p>"
+            : stale.map(u => {
+                const n = sinceDays(u);
+                return `
+                <div class="flex items-center justify-between p-2 border rounded">
+                    <div class="text-xs">
+                        <div class="font-bold text-gray-800">${this.escapeHtml((u.email || '').split('@')[0])} <span class="font-normal text-gray-500">${this.escapeHtml(this.roleLabel(u.role))}</span></div>
+                        <div class="text-gray-500">${n === null ? '접속 기록 없음' : `마지막 접속 ${new Date(u.last_login).toLocaleDateString()} (${n}일 전)`}</div>
+                    </div>
+                    <button onclick="window.App.openDeactivateModal('${u.user_id}')" class="text-xs text-red-600 border border-red-200 px-2 py-1 rounded hover:bg-red-50">비활성화</button>
+                </div>`;
+            }).join('');
+
+        const inactive = users.filter(u => u.status === 'inactive');
+        const countEl = document.getElementById('admin-inactive-count');
+        const inactiveList = document.getElementById('admin-inactive-list');
+        if (countEl) countEl.textContent = inactive.length;
+        if (inactiveList) {
+            inactiveList.innerHTML = inactive.map(u => `
+                <div class="flex items-center justify-between text-gray-600">
+                    <span>${this.escapeHtml((u.email || '').split('@')[0])}${u.deactivated_at ? ` · ${new Date(u.deactivated_at).toLocaleDateString()} 비활성화` : ''}</span>
+                    <button onclick="window.App.updateUserStatus('${u.user_id}', 'active')" class="text-purple-600 hover:underline">다시 활성화</button>
+                </div>`).join('') || '<p class="text-gray-400">없음</p>';
+        }
+    },
+
+    openDeactivateModal: async function (userId) {
+        const user = (this.state.adminUsers || []).find(u => u.user_id === userId);
+        if (!user) return;
+        if (this.state.user && userId === this.state.user.id) {
+            alert('본인 계정은 비활성화할 수 없습니다.');
+            return this.renderAdminUsers();
+        }
+
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['deactivate']) {
+                const response = await fetch('pages/modal-deactivate.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                this.state.templates['deactivate'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['deactivate'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load deactivate modal", e);
+            alert('비활성화 창을 불러올 수 없습니다. (' + e.message + ')');
+            return this.renderAdminUsers();
+        }
+
+        const close = () => {
+            this.closeModal();
+            this.renderAdminUsers(); // Reset the status select if it opened this
+        };
+        document.getElementById('btn-deactivate-close').onclick = close;
+        document.getElementById('btn-deactivate-cancel').onclick = close;
+        document.getElementById('deactivate-user-email').textContent = user.email;
+
+        const ownerSelect = document.getElementById('deactivate-new-owner');
+        ownerSelect.innerHTML = (this.state.adminUsers || [])
+            .filter(u => u.status === 'active' && u.user_id !== userId)
+            .sort((a, b) => (a.email || '').localeCompare(b.email || ''))
+            .map(u => `<option value="${u.user_id}">${this.escapeHtml(u.email)} (${this.escapeHtml(this.roleLabel(u.role))})</option>`)
+            .join('');
+
+        // Default department: the one the departing user belonged to
+        const codes = (this.state.adminUserDeptCodes || {})[userId] || [];
+        const deptSelect = document.getElementById('deactivate-dept');
+        deptSelect.innerHTML = (this.state.departments || [])
+            .map(d => `<option value="${d.id}" ${codes.includes(this.deptCode(d)) ? 'selected' : ''}>${this.escapeHtml(d.dept_name)}</option>`)
+            .join('');
+
+        const { count, error: countErr } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .select('id', { count: 'exact', head: true })
+            .eq('author_id', userId);
+        document.getElementById('deactivate-schedule-count').textContent = countErr
+            ? ''
+            : `작성한 일정: ${count || 0}건`;
+
+        const btnSubmit = document.getElementById('btn-deactivate-submit');
+        btnSubmit.onclick = async () => {
+            const mode = document.querySelector('input[name="deactivate-transfer"]:checked').value;
+            const newOwner = mode === 'user' ? ownerSelect.value : null;
+            const deptId = mode === 'dept' ? parseInt(deptSelect.value) : null;
+            if ((mode === 'user' && !newOwner) || (mode === 'dept' && !deptId)) {
+                alert('일정을 넘겨받을 대상을 선택하세요.');
+                return;
+            }
+            if (!confirm(`${user.email} 계정을 비활성화하시겠습니까?`)) return;
+
+            btnSubmit.disabled = true;
+            const { data: transferred, error } = await window.SupabaseClient.supabase.rpc('deactivate_user', {
+                p_user_id: userId,
+                p_new_owner: newOwner,
+                p_dept_id: deptId,
+                p_reason: document.getElementById('deactivate-reason').value.trim() || null
+            });
+
+            if (error) {
+                console.error("Deactivate Error:", error);
+                alert("비활성화 실패: " + this.describeWriteError(error, 'user_roles'));
+                btnSubmit.disabled = false;
+                return;
+            }
+
+            this.closeModal();
+            this.invalidateSchedules(); // author / department of their schedules changed
+            alert(`계정을 비활성화했습니다.${mode !== 'none' ? ` (일정 ${transferred || 0}건 이관)` : ''}`);
+            await this.loadAdminUsers();
+        };
+    },
+
+    bulkUpdateUsers: async function (patch) {
+        const selection = this.state.adminUserSelection || new Set();
+        const selfId = this.state.user && this.state.user.id;
+        // Admin accounts, your own account and deactivated accounts are changed one at a time only
+        const targets = (this.state.adminUsers || []).filter(u => selection.has(u.user_id) && u.role !== 'admin' && u.status !== 'inactive' && u.user_id !== selfId);
+        const skipped = selection.size - targets.length;
+
+        if (targets.length === 0) {
+            alert('변경할 수 있는 사용자가 없습니다. (관리자·본인·비활성 계정은 일괄 변경에서 제외됩니다.)');
+            this.updateUserSelectionUI();
+            return;
+        }
+
+        const label = patch.status
+            ? (patch.status === 'active' ? '승인' : '거부')
+            : `권한을 '${this.roleLabel(patch.role)}'(으)로 변경`;
+        if (!confirm(`${targets.length}명을 ${label}하시겠습니까?${skipped > 0 ? `\n(관리자·본인·비활성 계정 ${skipped}명 제외)` : ''}`)) {
+            this.updateUserSelectionUI();
+            return;
+        }
+
+        try {
+            const { data, error } = await window.SupabaseClient.supabase
+                .from('user_roles')
+                .update(patch)
+                .in('user_id', targets.map(u => u.user_id))
+                .select('user_id');
+            if (error) throw error;
+            this.assertRowsAffected(data, 'user_roles');
+
+            this.logAction('BULK_UPDATE_USERS', 'user_roles', null, { ...patch, user_ids: data.map(r => r.user_id) });
+            if (data.length < targets.length) alert(`${targets.length}명 중 ${data.length}명만 변경되었습니다.`);
+            this.state.adminUserSelection = new Set();
+        } catch (e) {
+            console.error("Bulk User Update Error:", e);
+            alert("일괄 변경 실패: " + this.describeWriteError(e, 'user_roles'));
+        }
+        await this.loadAdminUsers();
+    },
+
+    // CSV role column: key (teacher/dept/head/head_teacher) or its Korean label; admin is never granted by import
+    parseRoleInput: function (value) {
+        const v = String(value || '').trim();
+        if (!v) return null;
+        const found = this.PERMISSION_ROLES.find(r => r.key === v.toLowerCase() || r.label === v);
+        return found ? found.key : undefined;
+    },
+
+    /**
+     * Staff CSV (email, role, department). Existing accounts are approved with the given role and
+     * departments; staff without an account get an invite link for their address only (downloaded as a CSV afterwards).
+     * Admin and deactivated accounts are reported and skipped, as in bulkUpdateUsers.
+     */
+    importUsersCsv: async function (file) {
+        const rows = window.Helpers.parseCsv(window.Helpers.decodeText(await file.arrayBuffer()));
+        if (rows.length > 0 && /^(e-?mail|이메일|아이디)$/i.test(String(rows[0][0]).trim())) rows.shift();
+
+        const depts = (this.state.departments || []).filter(d => this.deptCode(d));
+        const findDept = (v) => depts.find(d => d.dept_name === v || this.deptCode(d).toLowerCase() === v.toLowerCase());
+        const usersByEmail = {};
+        (this.state.adminUsers || []).forEach(u => { if (u.email) usersByEmail[u.email.toLowerCase()] = u; });
+
+        const updates = [];
+        const invites = [];
+        const errors = [];
+        rows.forEach((r, i) => {
+            const line = i + 1;
+            const rawEmail = String(r[0] || '').trim();
+            if (!rawEmail) return errors.push(`${line}행: 이메일 없음`);
+            const email = this.toLoginEmail(rawEmail).toLowerCase();
+
+            const role = this.parseRoleInput(r[1]);
+            if (role === undefined) return errors.push(`${line}행: 알 수 없는 권한 '${r[1]}'`);
+
+            const deptNames = String(r[2] || '').split(/[;|]/).map(v => v.trim()).filter(Boolean);
+            const unknown = deptNames.filter(n => !findDept(n));
+            if (unknown.length > 0) return errors.push(`${line}행: 알 수 없는 부서 '${unknown.join(', ')}'`);
+            const deptCodes = deptNames.map(n => this.deptCode(findDept(n)));
+
+            const user = usersByEmail[email];
+            if (user) {
+                if (user.role === 'admin') return errors.push(`${line}행: 관리자 계정(${email})은 가져오기로 변경하지 않습니다.`);
+                // Reactivation lifts the login ban (reactivate_user), so it stays a one-at-a-time action
+                if (user.status === 'inactive') return errors.push(`${line}행: 비활성 계정(${email})은 사용자 목록에서 재활성화한 뒤 가져오세요.`);
+                updates.push({ user, role: role || user.role, deptCodes });
             } else {
-                listContainer.innerHTML = "<p class='text-gray-400 text-center py-4'>사용자가 없습니다.</p>";
+                invites.push({ email, role: role || 'teacher', deptCodes });
+            }
+        });
+
+        if (updates.length === 0 && invites.length === 0) {
+            alert('가져올 행이 없습니다.' + (errors.length > 0 ? '\n\n' + errors.slice(0, 10).join('\n') : ''));
+            return;
+        }
+
+        const multiDeptInvites = invites.filter(v => v.deptCodes.length > 1).length;
+        const summary = [
+            `기존 계정 승인·갱신: ${updates.length}명`,
+            `초대 링크 생성: ${invites.length}명`,
+            multiDeptInvites > 0 ? `  (초대 링크에는 첫 번째 부서만 지정됩니다: ${multiDeptInvites}명)` : null,
+            errors.length > 0 ? `건너뜀: ${errors.length}행\n  ${errors.slice(0, 10).join('\n  ')}${errors.length > 10 ? '\n  ...' : ''}` : null
+        ].filter(Boolean).join('\n');
+        if (!confirm(`CSV 가져오기\n\n${summary}\n\n진행하시겠습니까?`)) return;
+
+        const supabase = window.SupabaseClient.supabase;
+        const failures = [];
+
+        // Same role -> one request
+        const byRole = {};
+        updates.forEach(u => { (byRole[u.role] = byRole[u.role] || []).push(u.user.user_id); });
+        let updated = 0;
+        for (const [role, ids] of Object.entries(byRole)) {
+            try {
+                const { data, error } = await supabase.from('user_roles').update({ role, status: 'active' }).in('user_id', ids).select('user_id');
+                if (error) throw error;
+                this.assertRowsAffected(data, 'user_roles');
+                updated += data.length;
+                if (data.length < ids.length) failures.push(`권한 변경(${this.roleLabel(role)}): ${ids.length}명 중 ${data.length}명만 변경되었습니다.`);
+            } catch (e) {
+                failures.push(`권한 변경(${this.roleLabel(role)}): ${this.describeWriteError(e, 'user_roles')}`);
             }
+        }
+
+        const memberRows = updates.flatMap(u => u.deptCodes.map(code => ({ user_id: u.user.user_id, dept_code: code })));
+        if (memberRows.length > 0) {
+            const { error } = await supabase.from('department_members').upsert(memberRows);
+            if (error) failures.push(`소속 부서: ${this.describeWriteError(error, 'department_members')}`);
+        }
+
+        let inviteRows = [];
+        if (invites.length > 0) {
+            const expiresAt = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString();
+            inviteRows = invites.map(v => ({
+                token: this.newInviteToken(),
+                role: v.role,
+                dept_code: v.deptCodes[0] || null,
+                email: v.email, // redeem_invite only accepts this address (0021)
+                created_by: this.state.user.id,
+                expires_at: expiresAt
+            }));
+            const { error } = await supabase.from('invites').insert(inviteRows);
+            if (error) {
+                failures.push(`초대 링크: ${this.describeWriteError(error, 'invites')}`);
+                inviteRows = [];
+            }
+        }
+
+        this.logAction('IMPORT_USERS_CSV', 'user_roles', null, { updated, invited: inviteRows.length, skipped: errors.length });
+
+        if (inviteRows.length > 0) {
+            window.Helpers.downloadCsv(`초대링크_${this.formatLocal(new Date())}.csv`, [
+                ['email', 'role', 'department', 'invite_link', 'expires_at'],
+                ...inviteRows.map(r => [r.email, r.role, r.dept_code ? this.deptNameByCode(r.dept_code) : '', this.inviteUrl(r.token), new Date(r.expires_at).toLocaleString()])
+            ]);
+        }
+
+        alert(failures.length > 0
+            ? 'CSV 가져오기 중 일부 실패:\n' + failures.join('\n')
+            : `CSV 가져오기 완료\n\n${summary}${inviteRows.length > 0 ? '\n\n초대 링크 목록을 CSV로 내려받았습니다.' : ''}`);
+
+        await this.loadAdminUsers();
+        await this.loadInvites();
+    },
+
+    exportUsersCsv: function () {
+        const users = this.filterAdminUsers(this.state.adminUsers || []);
+        const codesByUser = this.state.adminUserDeptCodes || {};
+        const statusLabels = { pending: '대기', active: '승인', rejected: '거부', inactive: '비활성' };
+
+        window.Helpers.downloadCsv(`사용자목록_${this.formatLocal(new Date())}.csv`, [
+            ['email', 'role', 'status', 'department', 'last_login'],
+            ...users.map(u => [
+                u.email,
+                u.role,
+                statusLabels[u.status] || u.status,
+                (codesByUser[u.user_id] || []).map(code => this.deptNameByCode(code)).join(';'),
+                u.last_login ? new Date(u.last_login).toLocaleString() : ''
+            ])
+        ]);
+    },
+
+    newInviteToken: function () {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    inviteUrl: function (token) {
+        return `${window.location.origin}${window.location.pathname}?invite=${encodeURIComponent(token)}`;
+    },
+
+    initInviteForm: function () {
+        const deptSelect = document.getElementById('invite-dept');
+        if (deptSelect) {
+            deptSelect.innerHTML = '<option value="">소속 부서 없음</option>' + (this.state.departments || [])
+                .filter(d => this.deptCode(d))
+                .map(d => `<option value="${this.escapeHtml(this.deptCode(d))}">${this.escapeHtml(d.dept_name)}</option>`)
+                .join('');
+        }
+        const btnCreate = document.getElementById('btn-create-invite');
+        if (btnCreate) btnCreate.onclick = () => this.createInvite();
+        this.loadInvites();
+    },
+
+    loadInvites: async function () {
+        const listContainer = document.getElementById('admin-invite-list');
+        if (!listContainer) return;
+
+        try {
+            const { data: invites, error } = await window.SupabaseClient.supabase
+                .from('invites')
+                .select('*')
+                .order('created_at', { ascending: false })
+                .limit(50);
+            if (error) throw error;
+
+            const now = new Date();
+            if (!invites || invites.length === 0) {
+                listContainer.innerHTML = "<p class='text-gray-400 text-center py-2 text-xs'>발급한 초대 링크가 없습니다.</p>";
+                return;
+            }
+            listContainer.innerHTML = invites.map(inv => {
+                const expired = new Date(inv.expires_at) <= now;
+                const state = inv.used_at
+                    ? `<span class="text-green-600">사용됨 (${new Date(inv.used_at).toLocaleDateString()})</span>`
+                    : (expired ? '<span class="text-gray-400">만료</span>' : `<span class="text-purple-600">${new Date(inv.expires_at).toLocaleDateString()}까지</span>`);
+                const usable = !inv.used_at && !expired;
+                return `
+                <div class="flex items-center justify-between p-2 border rounded ${usable ? '' : 'bg-gray-50'}">
+                    <div class="text-xs">
+                        <div class="font-bold text-gray-800">${this.escapeHtml(this.roleLabel(inv.role))}${inv.dept_code ? ' · ' + this.escapeHtml(this.deptNameByCode(inv.dept_code)) : ''}${inv.note ? ' <span class="font-normal text-gray-500">(' + this.escapeHtml(inv.note) + ')</span>' : ''}</div>
+                        ${inv.email ? `<div class="text-gray-500">${this.escapeHtml(inv.email)} 전용</div>` : ''}
+                        <div>${state}</div>
+                    </div>
+                    <div class="flex gap-1">
+                        ${usable ? `<button onclick="window.App.copyInviteLink('${encodeURIComponent(inv.token)}')" class="text-xs bg-blue-50 border border-blue-200 text-blue-700 px-2 py-1 rounded hover:bg-blue-100">링크 복사</button>` : ''}
+                        ${inv.used_at ? '' : `<button onclick="window.App.revokeInvite('${encodeURIComponent(inv.token)}')" class="text-xs text-red-500 border border-red-200 px-2 py-1 rounded hover:bg-red-50">삭제</button>`}
+                    </div>
+                </div>`;
+            }).join('');
         } catch (e) {
-            console.error("Load Users Failed:", e);
-            listContainer.innerHTML = "<p class='text-red-500 text-center py-4'>데이터 로딩 실패</p>";
+            console.error("Load Invites Failed:", e);
+            listContainer.innerHTML = "<p class='text-red-500 text-center py-2 text-xs'>데이터 로딩 실패</p>";
         }
     },
 
+    createInvite: async function () {
+        const role = document.getElementById('invite-role').value;
+        const deptCode = document.getElementById('invite-dept').value || null;
+        const days = parseInt(document.getElementById('invite-expiry').value) || 7;
+        const note = document.getElementById('invite-note').value.trim() || null;
+
+        const token = this.newInviteToken();
+        const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+        const { error } = await window.SupabaseClient.supabase
+            .from('invites')
+            .insert({ token, role, dept_code: deptCode, note, created_by: this.state.user.id, expires_at: expiresAt });
+
+        if (error) {
+            console.error("Invite Create Error:", error);
+            alert("초대 링크 생성 실패: " + this.describeWriteError(error, 'invites'));
+            return;
+        }
+
+        this.logAction('CREATE_INVITE', 'invites', null, { role, dept_code: deptCode, expires_at: expiresAt });
+        document.getElementById('invite-note').value = '';
+        await this.loadInvites();
+        await this.copyInviteLink(encodeURIComponent(token));
+    },
+
+    copyInviteLink: async function (encodedToken) {
+        const url = this.inviteUrl(decodeURIComponent(encodedToken));
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('초대 링크를 복사했습니다.\n' + url);
+        } catch (e) {
+            prompt('초대 링크를 복사하세요.', url);
+        }
+    },
+
+    revokeInvite: async function (encodedToken) {
+        if (!confirm('이 초대 링크를 삭제하시겠습니까? 삭제하면 링크로 가입할 수 없습니다.')) return;
+        try {
+            const { data, error } = await window.SupabaseClient.supabase
+                .from('invites')
+                .delete()
+                .eq('token', decodeURIComponent(encodedToken))
+                .select('token');
+            if (error) throw error;
+            this.assertRowsAffected(data, 'invites');
+            this.logAction('REVOKE_INVITE', 'invites', null, {});
+        } catch (e) {
+            console.error("Invite Revoke Error:", e);
+            alert("초대 링크 삭제 실패: " + this.describeWriteError(e, 'invites'));
+        }
+        await this.loadInvites();
+    },
+
+    updateDeptMembership: async function (userId, encodedCode, isMember) {
+        const deptCode = decodeURIComponent(encodedCode);
+        const supabase = window.SupabaseClient.supabase;
+        const { error } = isMember
+            ? await supabase.from('department_members').upsert({ user_id: userId, dept_code: deptCode })
+            : await supabase.from('department_members').delete().eq('user_id', userId).eq('dept_code', deptCode);
+
+        if (error) {
+            console.error("Membership Update Error:", error);
+            alert("소속 부서 변경 실패: " + this.describeWriteError(error, 'department_members'));
+        } else {
+            this.logAction(isMember ? 'ADD_DEPT_MEMBER' : 'REMOVE_DEPT_MEMBER', 'department_members', userId, { dept_code: deptCode });
+            if (this.state.user && userId === this.state.user.id) await this.loadMyDepartments(this.state.user);
+        }
+        await this.loadAdminUsers();
+    },
+
     updateUserRole: async function (userId, newRole) {
         // [UX] Apply immediately without confirmation
         const { data, error } = await window.SupabaseClient.supabase
@@ -2424,6 +4202,19 @@ const App = {
     },
 
     updateUserStatus: async function (userId, newStatus) {
+        // Deactivation needs a handover decision; leaving 'inactive' lifts the login ban first
+        if (newStatus === 'inactive') return this.openDeactivateModal(userId);
+        const user = (this.state.adminUsers || []).find(u => u.user_id === userId);
+        if (user && user.status === 'inactive') {
+            const { error: reErr } = await window.SupabaseClient.supabase.rpc('reactivate_user', { p_user_id: userId });
+            if (reErr) {
+                console.error("Reactivate Error:", reErr);
+                alert("재활성화 실패: " + this.describeWriteError(reErr, 'user_roles'));
+                return this.loadAdminUsers();
+            }
+            if (newStatus === 'active') return this.loadAdminUsers();
+        }
+
         // [UX] Apply immediately without confirmation
         const { data, error, count } = await window.SupabaseClient.supabase
             .from('user_roles')
@@ -2447,37 +4238,316 @@ const App = {
         }
     },
 
+    // --- Change History (change_history, filled by DB triggers) ---
+
+    HISTORY_TABLE_LABELS: { schedules: '일정', basic_schedules: '학사일정', departments: '부서', settings: '학교 정보' },
+    HISTORY_ACTION_LABELS: { INSERT: '등록', UPDATE: '수정', DELETE: '삭제' },
+    HISTORY_FIELD_LABELS: {
+        title: '제목', name: '이름', start_date: '시작일', end_date: '종료일', dept_id: '부서', dept_name: '부서명',
+        visibility: '공개 범위', description: '설명', is_printable: '인쇄', weekend: '휴일 표시', rrule: '반복',
+        exdates: '제외 날짜', recurrence_options: '반복 옵션', type: '구분', code: '코드', is_holiday: '휴일',
+        dept_short: '약칭', dept_id_en: '부서 ID', dept_color: '색상', sort_order: '순서', is_active: '사용',
+        school_name: '학교명', full_name_kr: '표시 이름', name_en: '학교명 (영문)', level_kr: '학교급', level_en: '학교급 (영문)',
+        academic_year: '학년도', author_id: '작성자', grade: '학년', grade_count: '학년 수',
+        calendar_template: '학사 일정 구조'
+    },
+
+    fetchChangeHistory: async function ({ table = null, rowId = null, userId = null, action = null, from = null, to = null, limit = 100 } = {}) {
+        let query = window.SupabaseClient.supabase
+            .from('change_history')
+            .select('*')
+            .order('changed_at', { ascending: false })
+            .limit(limit);
+        if (table) query = query.eq('table_name', table);
+        if (rowId !== null) query = query.eq('row_id', String(rowId));
+        if (userId) query = query.eq('changed_by', userId);
+        if (action) query = query.eq('action', action);
+        if (from) query = query.gte('changed_at', from);
+        if (to) query = query.lt('changed_at', this.shiftDate(to, 1));
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    },
+
+    // user_id -> email prefix, for "who" in history entries
+    loadUserNames: async function () {
+        if (this.state.userNames) return this.state.userNames;
+        const { data, error } = await window.SupabaseClient.supabase.from('user_roles').select('user_id, email');
+        if (error) throw error;
+        this.state.userNames = Object.fromEntries((data || []).map(u => [u.user_id, (u.email || '').split('@')[0]]));
+        return this.state.userNames;
+    },
+
+    // Changed fields of one history entry: [{ label, before, after }]
+    describeHistoryChange: function (entry) {
+        const before = entry.old_data || {};
+        const after = entry.new_data || {};
+        const fmt = (v) => {
+            if (v === null || v === undefined || v === '') return '-';
+            return typeof v === 'object' ? JSON.stringify(v) : String(v);
+        };
+        const ignore = ['id', 'created_at', 'updated_at'];
+        const keys = entry.action === 'UPDATE'
+            ? [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(k => !ignore.includes(k) && fmt(before[k]) !== fmt(after[k]))
+            : [];
+        return keys.map(k => ({ label: this.HISTORY_FIELD_LABELS[k] || k, before: fmt(before[k]), after: fmt(after[k]) }));
+    },
+
+    renderHistoryEntry: function (entry, names, canRestore) {
+        const row = entry.new_data || entry.old_data || {};
+        const subject = row.title || row.name || row.dept_name || row.school_name || `#${entry.row_id}`;
+        const who = entry.changed_by ? (names[entry.changed_by] || '알 수 없음') : '시스템';
+        const color = { INSERT: 'bg-green-100 text-green-700', UPDATE: 'bg-blue-100 text-blue-700', DELETE: 'bg-red-100 text-red-700' }[entry.action] || 'bg-gray-100';
+        const changes = this.describeHistoryChange(entry);
+
+        let restoreBtn = '';
+        if (canRestore && entry.old_data) {
+            const label = entry.action === 'DELETE' ? '삭제 취소' : '변경 전으로 복원';
+            restoreBtn = `<button class="btn-history-restore text-purple-600 hover:underline font-bold" data-history-id="${entry.id}">${label}</button>`;
+        }
+
+        return `
+            <div class="border-b last:border-0 pb-2 mb-2">
+                <div class="flex justify-between items-center gap-2 mb-1">
+                    <div class="flex items-center gap-1 min-w-0">
+                        <span class="font-bold px-2 py-0.5 rounded ${color}">${this.HISTORY_ACTION_LABELS[entry.action] || entry.action}</span>
+                        <span class="text-gray-500">${this.HISTORY_TABLE_LABELS[entry.table_name] || entry.table_name}</span>
+                        <span class="font-bold text-gray-800 truncate">${this.escapeHtml(subject)}</span>
+                    </div>
+                    <span class="text-gray-400 shrink-0">${this.escapeHtml(who)} · ${new Date(entry.changed_at).toLocaleString()}</span>
+                </div>
+                ${changes.map(c => `<div class="text-gray-600 break-all"><span class="font-bold">${this.escapeHtml(c.label)}</span>: <span class="line-through text-gray-400">${this.escapeHtml(c.before)}</span> → ${this.escapeHtml(c.after)}</div>`).join('')}
+                ${restoreBtn ? `<div class="text-right mt-1">${restoreBtn}</div>` : ''}
+            </div>`;
+    },
+
+    /**
+     * Write the "before" snapshot of a history entry back (restores an update, undeletes a delete).
+     * The restore itself goes through the triggers, so it shows up as a new history entry.
+     * Schedule references that no longer exist are cleared: a detached occurrence whose series was
+     * deleted comes back as a single event, a deleted department falls back to dept_name.
+     * entry.restoreNotes lists what was cleared (shown by the caller).
+     */
+    restoreHistoryVersion: async function (historyId) {
+        const supabase = window.SupabaseClient.supabase;
+        const { data: entry, error } = await supabase.from('change_history').select('*').eq('id', historyId).single();
+        if (error) throw error;
+        if (!entry.old_data) throw new Error('복원할 이전 버전이 없습니다.');
+
+        const snapshot = { ...entry.old_data };
+        delete snapshot.updated_at; // Set by trigger
+        entry.restoreNotes = [];
+
+        if (entry.table_name === 'schedules') {
+            const exists = async (table, id) => {
+                const { data, error: exErr } = await supabase.from(table).select('id').eq('id', id).maybeSingle();
+                if (exErr) throw exErr;
+                return !!data;
+            };
+            if (snapshot.series_id && !(await exists('schedules', snapshot.series_id))) {
+                snapshot.series_id = null;
+                snapshot.recurrence_date = null;
+                entry.restoreNotes.push('원래 반복 일정이 삭제되어 단일 일정으로 복원했습니다.');
+            }
+            if (snapshot.dept_id && !(await exists('departments', snapshot.dept_id))) {
+                snapshot.dept_id = null;
+                entry.restoreNotes.push(`부서가 삭제되어 부서 연결 없이 복원했습니다.${snapshot.dept_name ? ` (부서명 '${snapshot.dept_name}' 유지)` : ''}`);
+            }
+        }
+
+        const { error: upErr } = await supabase.from(entry.table_name).upsert(snapshot, { onConflict: 'id' });
+        if (upErr) throw upErr;
+
+        this.logAction('RESTORE', entry.table_name, entry.row_id, { history_id: entry.id, action: entry.action, notes: entry.restoreNotes });
+        // Data caches only: clearCache would also drop the signed-in user
+        if (entry.table_name === 'schedules') this.invalidateSchedules(entry.old_data, entry.new_data);
+        if (entry.table_name === 'departments') this.state.cache.departments = null;
+        if (entry.table_name === 'basic_schedules') this.state.cache.basicSchedules = {};
+        return entry;
+    },
+
+    // Per-event timeline in the schedule modal
+    bindScheduleHistory: function (schedule) {
+        const section = document.getElementById('schedule-history-section');
+        const toggle = document.getElementById('btn-toggle-history');
+        const list = document.getElementById('schedule-history-list');
+        if (!section || !toggle || !list) return;
+        section.classList.remove('hidden');
+
+        const canRestore = this.can('history.restore') && this.canEditSchedule(schedule);
+
+        const load = async () => {
+            list.innerHTML = "<p class='text-gray-400 text-center py-2'>이력 불러오는 중...</p>";
+            try {
+                const [entries, names] = await Promise.all([
+                    this.fetchChangeHistory({ table: 'schedules', rowId: schedule.id, limit: 50 }),
+                    this.loadUserNames()
+                ]);
+                list.innerHTML = entries.length > 0
+                    ? entries.map(e => this.renderHistoryEntry(e, names, canRestore)).join('')
+                    : "<p class='text-gray-400 text-center py-2'>기록된 변경 이력이 없습니다.</p>";
+            } catch (e) {
+                console.error('Failed to load schedule history:', e);
+                list.innerHTML = "<p class='text-red-400 text-center py-2'>이력 로딩 실패</p>";
+            }
+        };
+
+        toggle.onclick = () => {
+            const opening = list.classList.contains('hidden');
+            list.classList.toggle('hidden', !opening);
+            if (opening) load();
+        };
+
+        list.onclick = async (e) => {
+            const btn = e.target.closest('.btn-history-restore');
+            if (!btn) return;
+            if (!confirm('이 일정을 선택한 변경 이전 상태로 되돌리시겠습니까?')) return;
+            try {
+                const entry = await this.restoreHistoryVersion(btn.dataset.historyId);
+                if (entry.restoreNotes.length > 0) alert('복원되었습니다.\n\n' + entry.restoreNotes.join('\n'));
+                this.closeModal();
+                this.initCalendar();
+            } catch (err) {
+                console.error(err);
+                alert('복원 실패: ' + err.message);
+            }
+        };
+    },
+
+    // Admin screen: filterable history of all tracked tables
     loadAuditLogs: async function () {
         const auditList = document.getElementById('admin-audit-list');
-        if (auditList) {
-            try {
-                const { data: logs, error } = await window.SupabaseClient.supabase
-                    .from('audit_logs')
-                    .select('*')
-                    .order('timestamp', { ascending: false })
-                    .limit(20);
+        if (!auditList) return;
 
-                if (error) throw error;
+        const getVal = (id) => document.getElementById(id)?.value || null;
 
-                if (logs && logs.length > 0) {
-                    auditList.innerHTML = logs.map(log => `
-                        <div class="border-b last:border-0 pb-2 mb-2">
-                            <div class="flex justify-between items-center mb-1">
-                                <span class="font-bold text-gray-800 text-xs px-2 py-0.5 rounded bg-gray-100">${log.action_type}</span>
-                                <span class="text-xs text-gray-400">${new Date(log.timestamp).toLocaleString()}</span>
-                            </div>
-                            <div class="text-gray-600 truncate">${log.details ? JSON.stringify(JSON.parse(log.details)) : '-'}</div>
-                        </div>
-    `).join('');
-                } else {
-                    auditList.innerHTML = "<p class='text-gray-400 text-center py-4'>기록된 로그가 없습니다.</p>";
+        try {
+            const names = await this.loadUserNames();
+            const userSelect = document.getElementById('audit-filter-user');
+            if (userSelect && userSelect.options.length <= 1) {
+                Object.entries(names)
+                    .sort((a, b) => a[1].localeCompare(b[1]))
+                    .forEach(([id, name]) => userSelect.add(new Option(name, id)));
+            }
+
+            const btnSearch = document.getElementById('btn-audit-search');
+            if (btnSearch) btnSearch.onclick = () => this.loadAuditLogs();
+
+            auditList.onclick = async (e) => {
+                const btn = e.target.closest('.btn-history-restore');
+                if (!btn) return;
+                if (!confirm('선택한 변경 이전 상태로 되돌리시겠습니까?')) return;
+                try {
+                    const entry = await this.restoreHistoryVersion(btn.dataset.historyId);
+                    alert(['복원되었습니다.', ...entry.restoreNotes].join('\n'));
+                    if (entry.table_name !== 'schedules' && this.refreshAdminView) {
+                        await this.refreshAdminView(parseInt(document.getElementById('setting-academic-year')?.value) || this.state.currentYear);
+                    }
+                    await this.loadAuditLogs();
+                } catch (err) {
+                    console.error(err);
+                    alert('복원 실패: ' + err.message);
                 }
-            } catch (e) {
-                console.error("Failed to fetch audit logs:", e);
-                auditList.innerHTML = "<p class='text-red-400 text-center py-4'>로그 로딩 실패</p>";
+            };
+
+            const entries = await this.fetchChangeHistory({
+                userId: getVal('audit-filter-user'),
+                table: getVal('audit-filter-table'),
+                action: getVal('audit-filter-action'),
+                from: getVal('audit-filter-from'),
+                to: getVal('audit-filter-to')
+            });
+
+            auditList.innerHTML = entries.length > 0
+                ? entries.map(e => this.renderHistoryEntry(e, names, this.can('history.restore'))).join('')
+                : "<p class='text-gray-400 text-center py-4'>조건에 맞는 변경 이력이 없습니다.</p>";
+        } catch (e) {
+            console.error("Failed to fetch change history:", e);
+            auditList.innerHTML = "<p class='text-red-400 text-center py-4'>로그 로딩 실패</p>";
+        }
+    },
+    // Admin editor for role_permissions
+    loadPermissionMatrix: async function () {
+        const head = document.getElementById('permission-matrix-head');
+        const body = document.getElementById('permission-matrix-body');
+        if (!head || !body) return;
+
+        const grants = (await this.loadRolePermissions()) || this.DEFAULT_ROLE_PERMISSIONS;
+
+        head.innerHTML = `<tr>
+            <th class="text-left px-3 py-2">권한</th>
+            <th class="px-3 py-2 text-center">관리자</th>
+            ${this.PERMISSION_ROLES.map(r => `<th class="px-3 py-2 text-center">${r.label}</th>`).join('')}
+        </tr>`;
+        body.innerHTML = this.PERMISSIONS.map(p => `<tr>
+            <td class="px-3 py-2 text-gray-700">${p.label} <span class="text-xs text-gray-400 font-mono">${p.key}</span></td>
+            <td class="px-3 py-2 text-center"><input type="checkbox" checked disabled></td>
+            ${this.PERMISSION_ROLES.map(r => `<td class="px-3 py-2 text-center">
+                <input type="checkbox" class="permission-check rounded text-purple-600 focus:ring-purple-500"
+                    data-role="${r.key}" data-permission="${p.key}" ${(grants[r.key] || []).includes(p.key) ? 'checked' : ''}>
+            </td>`).join('')}
+        </tr>`).join('');
+
+        const btnSave = document.getElementById('btn-save-permissions');
+        if (btnSave) btnSave.onclick = () => this.savePermissionMatrix();
+    },
+
+    savePermissionMatrix: async function () {
+        const supabase = window.SupabaseClient.supabase;
+        const btnSave = document.getElementById('btn-save-permissions');
+        const originalBtnText = btnSave ? btnSave.innerHTML : '';
+        if (btnSave) {
+            btnSave.disabled = true;
+            btnSave.innerHTML = '<span class="material-symbols-outlined animate-spin">sync</span> 저장 중...';
+        }
+
+        try {
+            const { data: current, error } = await supabase.from('role_permissions').select('role, permission');
+            if (error) throw error;
+
+            const key = (r) => `${r.role}|${r.permission}`;
+            const before = new Set((current || []).map(key));
+            const wanted = new Set();
+            document.querySelectorAll('.permission-check').forEach(cb => {
+                if (cb.checked) wanted.add(`${cb.dataset.role}|${cb.dataset.permission}`);
+            });
+
+            const editable = this.PERMISSION_ROLES.map(r => r.key);
+            const toRow = (k) => ({ role: k.split('|')[0], permission: k.split('|')[1] });
+            const toInsert = [...wanted].filter(k => !before.has(k)).map(toRow);
+            const toDelete = [...before].filter(k => !wanted.has(k)).map(toRow).filter(r => editable.includes(r.role));
+
+            if (toInsert.length > 0) {
+                const { error: insErr } = await supabase.from('role_permissions').insert(toInsert);
+                if (insErr) throw insErr;
+            }
+            for (const row of toDelete) {
+                const { error: delErr } = await supabase
+                    .from('role_permissions')
+                    .delete()
+                    .eq('role', row.role)
+                    .eq('permission', row.permission);
+                if (delErr) throw delErr;
+            }
+
+            this.logAction('UPDATE_PERMISSIONS', 'role_permissions', null, {
+                granted: toInsert.map(r => `${r.role}:${r.permission}`),
+                revoked: toDelete.map(r => `${r.role}:${r.permission}`)
+            });
+            await this.loadPermissionMatrix();
+            alert('권한 설정이 저장되었습니다.');
+        } catch (err) {
+            console.error(err);
+            alert('저장 실패: ' + this.describeWriteError(err, 'role_permissions'));
+        } finally {
+            if (btnSave) {
+                btnSave.disabled = false;
+                btnSave.innerHTML = originalBtnText;
             }
         }
     },
+
     initCalendar: async function () {
         const calendarEl = document.getElementById('calendar');
         if (!calendarEl) return;
@@ -2753,6 +4823,12 @@ const App = {
             });
         }
 
+        // 4-1. Grade Filter (labels / red days change, so rebuild the cached maps)
+        this.bindGradeFilter('calendar-grade-filter', async () => {
+            await this.refreshCalendarData(calendar.view.activeStart, calendar.view.activeEnd);
+            this.distributeVerticalSpace();
+        });
+
         // 5. Week Expansion Listeners
         const chkPrev = document.getElementById('chk-add-prev-week');
         const chkNext = document.getElementById('chk-add-next-week');
@@ -2783,6 +4859,11 @@ const App = {
         if (btnPrint) {
             btnPrint.onclick = () => this.openPrintModal();
         }
+
+        const btnExport = document.getElementById('btn-export-ics');
+        if (btnExport) {
+            btnExport.onclick = () => this.openIcsExportModal();
+        }
     },
 
     // --- List View Logic ---
@@ -2963,6 +5044,8 @@ const App = {
         }
         updateToggleUI();
 
+        this.bindGradeFilter('list-grade-filter', () => this.renderListView());
+
         // 4. Render
         await this.renderListView();
     },
@@ -3032,7 +5115,9 @@ const App = {
         // [FIX] Determine Academic Year based on SYNCED DROPDOWN VALUE
         const targetAcademicYear = (currentViewMonth < 3) ? (currentViewYear - 1) : currentViewYear;
         const settings = await this.fetchSettings(targetAcademicYear);
-        const basicSchedules = settings.basic_schedules || [];
+        // Days off: school-wide rows + the selected grade's. Listed: every row the grade filter shows
+        const gradeBasics = (settings.basic_schedules || []).filter(b => this.appliesToGrade(b));
+        const basicSchedules = this.rowsForGrade(settings.basic_schedules);
         const sName = settings.full_name_kr || settings.school_name || "학교명 미설정";
 
         // Helper: Get Holiday String for a Date Range
@@ -3100,7 +5185,8 @@ const App = {
 
 
         // 2. Fetch Data
-        const schedules = await this.fetchSchedules();
+        const schedules = this.expandSchedules(await this.getSchedulesInRange(this.formatLocal(start), this.formatLocal(end)), this.formatLocal(start), this.formatLocal(end), basicSchedules);
+        this.prefetchSchedules(this.formatLocal(start), this.formatLocal(end));
         const departments = this.state.departments || [];
 
         // 3. Process Days
@@ -3136,26 +5222,9 @@ const App = {
                 const overlaps = checkOverlap(sStart, sEnd, dateStr);
                 if (!overlaps) return false;
 
-                // [DEPT SCOPING]
-                if (this.state.role === 'dept') {
-                    const isMyDept = (this.state.myDeptId && String(this.state.myDeptId) === String(s.dept_id));
-                    if (!isMyDept) return false;
-                }
-
-                // [STRICT PRIVATE CHECK]
-                if (s.visibility === 'private') {
-                    const isAdmin = this.state.role === 'admin';
-                    const isCreator = this.state.user && s.user_id && String(s.user_id) === String(this.state.user.id);
-                    if (!isAdmin && !isCreator) return false;
-                }
-
-                // [STRICT DEPT PRIVACY]
-                // If visibility is 'dept', ONLY Admin or Member of that Dept can see it.
-                if (s.visibility === 'dept') {
-                    const isAdmin = this.state.role === 'admin';
-                    const isMyDept = (this.state.role === 'dept' && this.state.myDeptId && String(this.state.myDeptId) === String(s.dept_id));
-                    if (!isAdmin && !isMyDept) return false; // HIDDEN
-                }
+                // Visibility (dept scoping / private / dept privacy)
+                if (!this.isScheduleVisible(s)) return false;
+                if (!this.appliesToGrade(s)) return false;
 
                 // Holiday/Weekend Filter:
                 // If it is a non-school day (Weekend or Holiday), 
@@ -3168,7 +5237,7 @@ const App = {
             });
 
             const dailyBasics = [];
-            basicSchedules.forEach(b => {
+            gradeBasics.forEach(b => {
                 if (b.type === 'term' || b.type === 'vacation') return;
                 const bStart = b.start_date;
                 const bEnd = b.end_date || b.start_date;
@@ -3181,7 +5250,7 @@ const App = {
             dailySchedules.forEach(s => {
                 const deptName = s.dept_name || '기타';
                 if (!groups[deptName]) groups[deptName] = [];
-                groups[deptName].push({ title: s.title, desc: s.description });
+                groups[deptName].push({ title: this.gradeTitle(s.title, s.grade), desc: s.description });
             });
 
             if (dailyBasics.length > 0) {
@@ -3193,9 +5262,10 @@ const App = {
                 const addedTitles = new Set();
 
                 dailyBasics.forEach(b => {
-                    let title = b.name || b.title;
-                    if (b.type === 'exam') title = `[고사] ${b.name} `; // [FIX] Use b.name instead of b.title
-                    if (b.is_holiday || b.type === 'holiday') title = `[공휴일] ${b.name} `;
+                    const name = this.gradeTitle(b.name, b.grade);
+                    let title = name || b.title;
+                    if (b.type === 'exam') title = `[고사] ${name} `; // [FIX] Use b.name instead of b.title
+                    if (b.is_holiday || b.type === 'holiday') title = `[${b.grade ? '휴업' : '공휴일'}] ${name} `;
 
                     if (!addedTitles.has(title)) {
                         groups[deptName].push({ title: title, desc: '' });
@@ -3330,7 +5400,18 @@ const App = {
             this.state.deptViewDate = new Date(t.getFullYear(), t.getMonth(), 1);
             this.initDeptListView();
         };
-        if (btnPrint) btnPrint.onclick = () => this.openPrintModal('dept_list');
+        if (btnPrint) {
+            btnPrint.classList.toggle('hidden', !this.can('print.dept_list'));
+            btnPrint.onclick = () => this.openPrintModal('dept_list');
+        }
+
+        this.bindGradeFilter('dept-grade-filter', () => this.renderDeptListView());
+
+        const btnCopy = document.getElementById('btn-dept-copy');
+        if (btnCopy) {
+            btnCopy.classList.toggle('hidden', !this.canAddSchedule());
+            btnCopy.onclick = () => this.openBulkCopyModal(ay);
+        }
 
         const selYear = document.getElementById('dept-nav-year');
         const selMonth = document.getElementById('dept-nav-month');
@@ -3416,18 +5497,13 @@ const App = {
         const startStr = this.formatLocal(finalStart);
         const endStr = this.formatLocal(finalEnd);
 
-        let query = window.SupabaseClient.supabase
-            .from('schedules')
-            .select('*')
-            .gte('start_date', startStr)
-            .lte('start_date', endStr);
-
-        // Guest visibility filter
-        if (!this.state.user) {
-            query = query.eq('visibility', 'public');
-        }
-
-        const { data: schedules } = await query;
+        // Recurring series may start before the range, so include every series started by its end
+        const rawSchedules = (await this.getSchedulesInRange(startStr, endStr)).filter(s => {
+            const sStart = s.start_date.split('T')[0];
+            return s.rrule ? sStart <= endStr : (sStart >= startStr && sStart <= endStr);
+        });
+        const schedules = this.expandSchedules(rawSchedules, startStr, endStr);
+        this.prefetchSchedules(startStr, endStr);
 
         const mm = month + 1;
         const ay = (mm < 3) ? year - 1 : year;
@@ -3462,12 +5538,9 @@ const App = {
                 let deptSchedules = (schedules || []).filter(s => {
                     if (s.start_date !== dateStr) return false;
 
-                    // [STRICT DEPT PRIVACY]
-                    if (s.visibility === 'dept') {
-                        const isAdmin = this.state.role === 'admin';
-                        const isMyDept = (this.state.role === 'dept' && this.state.myDeptId && String(this.state.myDeptId) === String(s.dept_id));
-                        if (!isAdmin && !isMyDept) return false;
-                    }
+                    // Visibility (private / dept privacy); the matrix shows other departments' columns to dept accounts too
+                    if (!this.isScheduleVisible(s, { ownDeptOnly: false })) return false;
+                    if (!this.appliesToGrade(s)) return false;
 
                     if (s.dept_id) return String(s.dept_id) == String(dept.id);
                     // Fallback: match by name if ID is missing
@@ -3512,7 +5585,7 @@ const App = {
                 // So we just skip adding `deptSchedules` to HTML if it's not my dept.
 
                 const isDeptUser = this.state.role === 'dept';
-                const isMyDept = isDeptUser ? (String(dept.id) === String(this.state.myDeptId)) : true; // Admin/Teacher sees all
+                const isMyDept = isDeptUser ? this.isMyDept(dept.id) : true; // Admin/Teacher sees all
 
                 // IMPORTANT: Virtual events (Kyomu Holidays, Science Env) should probably be visible to everyone?
                 // The user said "Basic School Schedule, Holidays/Events" should be visible.
@@ -3534,7 +5607,7 @@ const App = {
                 bodyHtml += `<td class="col-dept">`;
                 deptSchedules.forEach(s => {
                     const desc = s.description ? ` (${s.description})` : '';
-                    bodyHtml += `<div class="dept-event-item" style="border-left-color: ${dept.dept_color}">${s.title}${desc}</div>`;
+                    bodyHtml += `<div class="dept-event-item" style="border-left-color: ${dept.dept_color}">${this.gradeTitle(s.title, s.grade)}${desc}</div>`;
                 });
                 bodyHtml += `</td>`;
             });
@@ -3565,7 +5638,13 @@ const App = {
             query = query.order('academic_year', { ascending: false }).limit(1);
         }
 
-        const { data: settingsItems, error } = await query;
+        // Latest year: offline answer is the newest mirrored settings row
+        const { data: settingsItems, error } = await this.queryWithMirror('settings', query,
+            (r) => targetYear ? String(r.academic_year) === String(targetYear) : false,
+            (rows) => rows
+                .filter(r => !targetYear || String(r.academic_year) === String(targetYear))
+                .sort((a, b) => b.academic_year - a.academic_year)
+                .slice(0, 1));
         if (error) {
             console.error('Error fetching settings:', error);
             return {};
@@ -3577,13 +5656,16 @@ const App = {
 
         // [DYNAMIC TITLE] Update Header & Tab Title based on settings
         this.updateBrand(result);
+        if (result.grade_count) this.state.gradeCount = result.grade_count;
 
         // Fetch Basic Schedules (DB Refactor)
         if (result.academic_year) {
-            const { data: basicSchedules } = await window.SupabaseClient.supabase
-                .from('basic_schedules')
-                .select('*')
-                .eq('academic_year', result.academic_year);
+            const { data: basicSchedules } = await this.queryWithMirror('basic_schedules',
+                window.SupabaseClient.supabase
+                    .from('basic_schedules')
+                    .select('*')
+                    .eq('academic_year', result.academic_year),
+                (r) => String(r.academic_year) === String(result.academic_year));
 
             result.basic_schedules = basicSchedules || [];
         }
@@ -3594,12 +5676,16 @@ const App = {
     fetchDepartments: async function (year = null) {
         const targetYear = year || this.state.currentYear || new Date().getFullYear();
 
-        const { data: results, error } = await window.SupabaseClient.supabase
-            .from('departments')
-            .select('*')
-            .eq('academic_year', targetYear)
-            .eq('is_active', true)
-            .order('sort_order', { ascending: true });
+        const isTarget = (r) => String(r.academic_year) === String(targetYear) && r.is_active;
+        const { data: results, error } = await this.queryWithMirror('departments',
+            window.SupabaseClient.supabase
+                .from('departments')
+                .select('*')
+                .eq('academic_year', targetYear)
+                .eq('is_active', true)
+                .order('sort_order', { ascending: true }),
+            isTarget,
+            (rows) => rows.filter(isTarget).sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0)));
 
         if (error) {
             console.error('Error fetching departments:', error);
@@ -3635,29 +5721,307 @@ const App = {
         return await this.fetchDepartments(closestYear);
     },
 
-    fetchSchedules: async function () {
-        // Fetch all public schedules + visible internal ones
-        let query = window.SupabaseClient.supabase.from('schedules').select('*');
+    // Single schedules overlapping [startStr, endStr] (null on error so nothing gets cached)
+    fetchSchedules: async function (startStr, endStr) {
+        let query = window.SupabaseClient.supabase
+            .from('schedules')
+            .select('*')
+            .is('rrule', null)
+            .lte('start_date', endStr)
+            .gte('end_date', startStr);
 
         // Guest visibility filter
         if (!this.state.user) {
             query = query.eq('visibility', 'public');
         }
 
-        const { data, error } = await query;
+        const visible = (r) => !!this.state.user || r.visibility === 'public';
+        const { data, error } = await this.queryWithMirror('schedules', query,
+            (r) => !r.rrule && visible(r) && this.scheduleOverlaps(r, startStr, endStr));
+        if (error) {
+            console.error('Error fetching schedules:', error);
+            return null;
+        }
+        return data || [];
+    },
+
+    fetchScheduleSeries: async function () {
+        let query = window.SupabaseClient.supabase
+            .from('schedules')
+            .select('*')
+            .not('rrule', 'is', null);
 
-        if (error) console.error('Error fetching schedules:', error);
+        if (!this.state.user) {
+            query = query.eq('visibility', 'public');
+        }
+
+        const { data, error } = await this.queryWithMirror('schedules', query,
+            (r) => !!r.rrule && (!!this.state.user || r.visibility === 'public'));
+        if (error) {
+            console.error('Error fetching recurring schedules:', error);
+            return null;
+        }
         return data || [];
     },
 
+    // --- Schedule Store (month windows) ---
+
+    scheduleOverlaps: function (s, startStr, endStr) {
+        const sStart = s.start_date.split('T')[0];
+        const sEnd = (s.end_date || s.start_date).split('T')[0];
+        return sStart <= endStr && sEnd >= startStr;
+    },
+
+    // 'YYYY-MM' keys of every month touched by [startStr, endStr]
+    monthKeys: function (startStr, endStr) {
+        const keys = [];
+        const d = this.parseLocal(`${startStr.slice(0, 7)}-01`);
+        while (this.formatLocal(d).slice(0, 7) <= endStr.slice(0, 7)) {
+            keys.push(this.formatLocal(d).slice(0, 7));
+            d.setMonth(d.getMonth() + 1);
+        }
+        return keys;
+    },
+
+    monthRange: function (key) {
+        const [y, m] = key.split('-').map(Number);
+        return [`${key}-01`, this.formatLocal(new Date(y, m, 0))];
+    },
+
+    /**
+     * Schedules (single + recurring series, unexpanded) needed to render [startStr, endStr].
+     * Missing months are fetched in one query and cached per month; concurrent callers share requests.
+     */
+    getSchedulesInRange: async function (startStr, endStr) {
+        const cache = this.state.cache;
+        const pending = this.state._scheduleRequests;
+        const gen = this.state._scheduleGen;
+        const keys = this.monthKeys(startStr, endStr);
+        const missing = keys.filter(k => !cache.schedulesByMonth[k]);
+
+        const toFetch = missing.filter(k => !pending[k]);
+        if (toFetch.length > 0) {
+            const from = this.monthRange(toFetch[0])[0];
+            const to = this.monthRange(toFetch[toFetch.length - 1])[1];
+            const request = this.fetchSchedules(from, to).then(rows => {
+                if (gen !== this.state._scheduleGen) return;
+                toFetch.forEach(k => {
+                    delete pending[k];
+                    if (!rows) return;
+                    const [mStart, mEnd] = this.monthRange(k);
+                    cache.schedulesByMonth[k] = rows.filter(r => this.scheduleOverlaps(r, mStart, mEnd));
+                });
+            });
+            toFetch.forEach(k => pending[k] = request);
+        }
+        if (!cache.scheduleSeries && !pending.series) {
+            pending.series = this.fetchScheduleSeries().then(rows => {
+                if (gen !== this.state._scheduleGen) return;
+                delete pending.series;
+                if (rows) cache.scheduleSeries = rows;
+            });
+        }
+
+        await Promise.all([...new Set([...missing.map(k => pending[k]), pending.series].filter(Boolean))]);
+
+        // A schedule spanning several months sits in each of their buckets
+        const byId = new Map();
+        keys.forEach(k => (cache.schedulesByMonth[k] || []).forEach(r => {
+            if (this.scheduleOverlaps(r, startStr, endStr)) byId.set(String(r.id), r);
+        }));
+        const series = (cache.scheduleSeries || []).filter(r => r.start_date.split('T')[0] <= endStr);
+        return [...byId.values(), ...series];
+    },
+
+    // Warm the month before and after the visible range (fire and forget)
+    prefetchSchedules: function (startStr, endStr) {
+        const prev = this.parseLocal(startStr);
+        prev.setMonth(prev.getMonth() - 1, 1);
+        const next = this.parseLocal(endStr);
+        next.setMonth(next.getMonth() + 1, 1);
+        [prev, next].forEach(d => {
+            const [mStart, mEnd] = this.monthRange(this.formatLocal(d).slice(0, 7));
+            this.getSchedulesInRange(mStart, mEnd).catch(e => console.warn('Prefetch failed:', e));
+        });
+    },
+
+    findCachedSchedule: function (id) {
+        const match = (r) => String(r.id) === String(id);
+        const series = (this.state.cache.scheduleSeries || []).find(match);
+        if (series) return series;
+        for (const rows of Object.values(this.state.cache.schedulesByMonth)) {
+            const found = rows.find(match);
+            if (found) return found;
+        }
+        return null;
+    },
+
+    /**
+     * Surgical invalidation after a write: pass the old and new versions of the changed rows.
+     * Series drop the series list, single schedules drop the months they touch. No rows = drop everything.
+     */
+    invalidateSchedules: function (...rows) {
+        const cache = this.state.cache;
+        const known = rows.flat().filter(r => r && r.start_date);
+        if (known.length === 0) {
+            cache.schedulesByMonth = {};
+            cache.scheduleSeries = null;
+            return;
+        }
+        known.forEach(r => {
+            if (r.rrule) {
+                cache.scheduleSeries = null;
+                return;
+            }
+            this.monthKeys(r.start_date.split('T')[0], (r.end_date || r.start_date).split('T')[0])
+                .forEach(k => delete cache.schedulesByMonth[k]);
+        });
+    },
+
+    // Realtime: move a changed row into the loaded windows without refetching
+    patchScheduleStore: function (id, row) {
+        const cache = this.state.cache;
+        const notId = (r) => String(r.id) !== String(id);
+        if (cache.scheduleSeries) cache.scheduleSeries = cache.scheduleSeries.filter(notId);
+        Object.keys(cache.schedulesByMonth).forEach(k => {
+            cache.schedulesByMonth[k] = cache.schedulesByMonth[k].filter(notId);
+        });
+        if (!row) return;
+
+        if (row.rrule) {
+            if (cache.scheduleSeries) cache.scheduleSeries.push(row);
+            return;
+        }
+        Object.keys(cache.schedulesByMonth).forEach(k => {
+            const [mStart, mEnd] = this.monthRange(k);
+            if (this.scheduleOverlaps(row, mStart, mEnd)) cache.schedulesByMonth[k].push(row);
+        });
+    },
+
     // --- Data Transformation ---
 
-    transformEvents: function (schedules, settings, departments, basicSchedules) {
+    /**
+     * Expand recurring schedules (rrule + exdates) into concrete occurrences overlapping [rangeStart, rangeEnd].
+     * Occurrences keep the series id and carry occurrence_date; single schedules pass through untouched.
+     * Series with school-day options (recurrence_options) are resolved against basicSchedules (or the cache).
+     */
+    expandSchedules: function (schedules, rangeStart, rangeEnd, basicSchedules = null) {
+        const result = [];
+        const blockerCache = {};
+        (schedules || []).forEach(s => {
+            if (!s.rrule) {
+                result.push(s);
+                return;
+            }
+            const start = s.start_date.split('T')[0];
+            const span = this.diffDays(start, (s.end_date || s.start_date).split('T')[0]);
+            let dates;
+            if (this.isSchoolDayRule(s.recurrence_options)) {
+                const opts = s.recurrence_options;
+                const from = (rangeStart && rangeStart < start) ? rangeStart : start;
+                const to = rangeEnd || this.shiftDate(start, 730);
+                // Shifted dates may land after 'to', up to the end of its academic year
+                const blockersTo = this.formatLocal(new Date(this.academicYearOf(to) + 1, 2, 0));
+                const key = `${from}|${to}|${!!opts.exams}|${s.grade || ''}`;
+                if (!blockerCache[key]) blockerCache[key] = this.getSchoolDayBlockers(from, blockersTo, basicSchedules, !!opts.exams, s.grade);
+                dates = this.expandSchoolDaySeries(s, to, blockerCache[key])
+                    .filter(d => (!rangeStart || this.shiftDate(d, span) >= rangeStart) && (!rangeEnd || d <= rangeEnd));
+            } else {
+                dates = window.ICal.expandRRule(s.rrule, start, {
+                    from: rangeStart ? this.shiftDate(rangeStart, -span) : null,
+                    to: rangeEnd,
+                    exdates: s.exdates || []
+                });
+            }
+            dates.forEach(d => {
+                result.push({ ...s, start_date: d, end_date: this.shiftDate(d, span), occurrence_date: d });
+            });
+        });
+        return result;
+    },
+
+    // recurrence_options: { mode: 'calendar' | 'schoolday', policy: 'keep' | 'skip' | 'shift', exams: bool }
+    isSchoolDayRule: function (opts) {
+        return !!opts && (opts.mode === 'schoolday' || opts.policy === 'skip' || opts.policy === 'shift');
+    },
+
+    /**
+     * Non-school days for recurrence between two dates, in isSchoolDay's parsedHolidays shape.
+     * Holidays and vacations always block; exam periods only when includeExams is set.
+     * Years without basic schedules fall back to the calculated public holidays.
+     * Grade rows only block a series of that grade.
+     */
+    getSchoolDayBlockers: function (fromStr, toStr, basicSchedules = null, includeExams = false, grade = null) {
+        const blockers = [];
+        for (let ay = this.academicYearOf(fromStr); ay <= this.academicYearOf(toStr); ay++) {
+            let rows = (basicSchedules || []).filter(b => parseInt(b.academic_year) === ay);
+            if (rows.length === 0) rows = this.state.cache.basicSchedules[ay] || [];
+
+            if (rows.length > 0) {
+                this.rowsForGrade(rows, grade).forEach(b => {
+                    const blocks = b.is_holiday || b.type === 'holiday' || b.type === 'vacation' || (includeExams && b.type === 'exam');
+                    if (blocks && b.start_date) {
+                        blockers.push({ start_date: b.start_date, end_date: b.end_date || b.start_date, is_holiday: true });
+                    }
+                });
+            } else {
+                Object.keys(this.calculateMergedHolidays(ay)).forEach(dStr => {
+                    blockers.push({ start_date: dStr, end_date: dStr, is_holiday: true });
+                });
+            }
+        }
+        return blockers;
+    },
+
+    /**
+     * Occurrence dates of a school-day aware series up to toStr (see school_day_occurrences() in data/migrations/0018).
+     * mode 'schoolday' : every Nth school day counted from the series start (INTERVAL = N)
+     * otherwise        : the RRULE dates, skipped or moved to the next school day when they hit a day off
+     *                    (searching to the end of the academic year; dropped if there is none)
+     * Occurrences shifted onto the same day collapse into one, since occurrences are keyed by date.
+     * Exdates are matched against the final (shifted) dates.
+     */
+    expandSchoolDaySeries: function (s, toStr, blockers) {
+        const opts = s.recurrence_options || {};
+        const rule = window.ICal.parseRRule(s.rrule);
+        const start = s.start_date.split('T')[0];
+        const last = (rule.until && rule.until < toStr) ? rule.until : toStr;
+        const exdates = new Set(s.exdates || []);
+        const dates = [];
+
+        if (opts.mode === 'schoolday') {
+            const d = this.parseLocal(start);
+            const lastDate = this.parseLocal(last);
+            let n = 0;
+            while (d <= lastDate) {
+                if (this.isSchoolDay(d, blockers)) {
+                    const dStr = this.formatLocal(d);
+                    if (n % rule.interval === 0 && !exdates.has(dStr)) dates.push(dStr);
+                    n++;
+                }
+                d.setDate(d.getDate() + 1);
+            }
+            return dates;
+        }
+
+        window.ICal.expandRRule(s.rrule, start, { to: last, limit: 1000 }).forEach(dStr => {
+            let d = dStr;
+            if (!this.isSchoolDay(this.parseLocal(dStr), blockers)) {
+                if (opts.policy === 'skip') return;
+                if (opts.policy === 'shift') d = this.findNextSchoolDay(dStr, blockers);
+                if (!d) return;
+            }
+            if (!exdates.has(d) && !dates.includes(d)) dates.push(d);
+        });
+        return dates;
+    },
+
+    transformEvents: function (schedules, settings, departments, basicSchedules, range = null) {
         const events = [];
 
         // --- 1. Admin Event Deduplication Setup ---
         // We track all titles from Admin settings to skip duplicate DB schedules later.
-        const normalize = (s) => (s || '').normalize('NFC').replace(/[\s\(\)\[\]\{\}\-\.~!@#$%^&*_=+|;:'",.<>?/]/g, '').toLowerCase();
+        const normalize = (s) => this.normalizeTitle(s);
         const adminEventMap = {}; // { 'YYYY-MM-DD': Set(normalizedTitles) }
 
         const addAdminRef = (date, name) => {
@@ -3669,17 +6033,20 @@ const App = {
         // basicSchedules is array of { type, code, name, start_date, end_date, is_holiday, academic_year }
         if (basicSchedules && Array.isArray(basicSchedules)) {
             // A-0. Collect all holiday dates first to use for exam filtering
-            const holidayDates = new Set();
+            // { 'YYYY-MM-DD': [grade | null] } - a grade's holiday only blocks that grade's exams
+            const holidayDates = {};
+            const addHolidayDate = (date, grade) => { (holidayDates[date] = holidayDates[date] || []).push(grade ? parseInt(grade) : null); };
+            const isHolidayFor = (date, grade) => (holidayDates[date] || []).some(g => g === null || (grade && g === parseInt(grade)));
             basicSchedules.forEach(item => {
                 if (item.is_holiday || item.type === 'holiday') {
                     if (item.start_date === item.end_date || !item.end_date) {
-                        holidayDates.add(item.start_date);
+                        addHolidayDate(item.start_date, item.grade);
                     } else {
                         let curr = this.parseLocal(item.start_date);
                         const last = this.parseLocal(item.end_date);
                         let l = 0;
                         while (curr <= last && l < 366) {
-                            holidayDates.add(this.formatLocal(curr));
+                            addHolidayDate(this.formatLocal(curr), item.grade);
                             curr.setDate(curr.getDate() + 1);
                             l++;
                         }
@@ -3688,6 +6055,9 @@ const App = {
             });
 
             basicSchedules.forEach(item => {
+                // Other grades' rows are hidden while one grade is selected
+                if (!this.appliesToGrade(item)) return;
+
                 // --- 1.5 Academic Year Consistency Check ---
                 // Basic schedules must fall within their academic year (Mar 1 to Feb 29 of next year)
                 if (item.academic_year && item.start_date) {
@@ -3723,13 +6093,19 @@ const App = {
                     bgColor = 'transparent';
                 }
 
+                // One grade's holiday / vacation is not a day off for the whole school: label only
+                const label = this.gradeTitle(item.name, item.grade);
+                if (item.grade && !this.state.gradeFilter && (item.is_holiday || item.type === 'holiday' || item.type === 'vacation')) {
+                    className = 'event-term-text';
+                }
+
                 // Add to Reference Map
                 if (item.start_date === item.end_date || !item.end_date) {
                     // Filter: Skip exams on weekends/holidays
                     if (isExam) {
                         const d = this.parseLocal(item.start_date);
                         const day = d.getDay();
-                        if (day === 0 || day === 6 || holidayDates.has(item.start_date)) {
+                        if (day === 0 || day === 6 || isHolidayFor(item.start_date, item.grade)) {
                             return; // Don't show exam info on non-school days
                         }
                     }
@@ -3742,7 +6118,7 @@ const App = {
                         className: className,
                         backgroundColor: 'transparent', // Always transparent for FC, painted manually in renderer
                         allDay: true,
-                        extendedProps: { label: item.name }
+                        extendedProps: { label }
                     });
                 } else {
                     // Range Event (Exams, Multi-day Events)
@@ -3757,7 +6133,7 @@ const App = {
                         // Filter: Skip exams on weekends/holidays
                         if (isExam) {
                             const day = current.getDay();
-                            if (day === 0 || day === 6 || holidayDates.has(dStr)) {
+                            if (day === 0 || day === 6 || isHolidayFor(dStr, item.grade)) {
                                 current.setDate(current.getDate() + 1);
                                 loop++;
                                 continue;
@@ -3772,7 +6148,7 @@ const App = {
                             className: className,
                             backgroundColor: 'transparent', // Always transparent for FC, painted manually in renderer
                             allDay: true,
-                            extendedProps: { label: item.name }
+                            extendedProps: { label }
                         });
                         current.setDate(current.getDate() + 1);
                         loop++;
@@ -3847,42 +6223,23 @@ const App = {
         if (departments) departments.forEach(d => deptMap[String(d.id)] = d);
 
         if (schedules) {
-            schedules.forEach(s => {
+            // Recurring series -> concrete occurrences (default window: previous ~ next academic year)
+            const baseYear = this.state.currentYear || new Date().getFullYear();
+            const rangeStart = range ? range.start : `${baseYear - 1}-03-01`;
+            const rangeEnd = range ? range.end : `${baseYear + 2}-02-28`;
+
+            this.expandSchedules(schedules, rangeStart, rangeEnd, basicSchedules).forEach(s => {
                 // Deduplication
                 const normTitle = normalize(s.title);
                 const hasConflict = adminEventMap[s.start_date] && adminEventMap[s.start_date].has(normTitle);
 
                 if (hasConflict) return;
 
-                // GUEST VISIBILITY CHECK: Only show 'public'
-                if (!this.state.user && s.visibility !== 'public') return;
-
-                // [STRICT PRIVATE CHECK]
-                // If visibility is 'private', only Admin or Creator can see it.
-                if (s.visibility === 'private') {
-                    const isAdmin = this.state.role === 'admin';
-                    // We assume s.user_id is available from the fetch
-                    const isCreator = this.state.user && s.user_id && String(s.user_id) === String(this.state.user.id);
-                    if (!isAdmin && !isCreator) return;
-                }
+                // Visibility (guest / private / dept scoping)
+                if (!this.isScheduleVisible(s)) return;
+                if (!this.appliesToGrade(s)) return;
 
                 const deptIdKey = s.dept_id ? String(s.dept_id) : null;
-
-                // [STRICT DEPT SCOPING]
-                // For users with 'dept' role, ONLY show schedules belonging to their department.
-                // This applies to ALL visibility levels (internal, public, etc) for this role.
-                if (this.state.role === 'dept') {
-                    const isMyDept = (this.state.myDeptId && String(this.state.myDeptId) === deptIdKey);
-                    if (!isMyDept) return; // HIDDEN
-                }
-
-                // [STRICT DEPT PRIVACY]
-                // If visibility is 'dept', ONLY Admin or Member of that Dept can see it.
-                if (s.visibility === 'dept') {
-                    const isAdmin = this.state.role === 'admin';
-                    const isMyDept = (this.state.role === 'dept' && this.state.myDeptId && String(this.state.myDeptId) === deptIdKey);
-                    if (!isAdmin && !isMyDept) return; // HIDDEN
-                }
                 const deptNameKey = s.dept_name;
 
                 // 2-Step Mapping: 1. By ID, 2. By Name (Fallback for orphaned data)
@@ -3903,7 +6260,7 @@ const App = {
                 const finalDeptId = dept.id ? String(dept.id) : 'uncategorized';
                 events.push({
                     id: s.id,
-                    title: s.title,
+                    title: this.gradeTitle(s.title, s.grade),
                     start: s.start_date,
                     end: s.end_date,
                     backgroundColor: dept.dept_color || '#3788d8',
@@ -3914,7 +6271,10 @@ const App = {
                         description: s.description,
                         visibility: s.visibility,
                         isPrintable: s.is_printable,
-                        weekend: s.weekend
+                        weekend: s.weekend,
+                        occurrenceDate: s.occurrence_date || null,
+                        isRecurring: !!s.rrule,
+                        grade: s.grade || null
                     }
                 });
             });
@@ -3952,7 +6312,7 @@ const App = {
 
     // --- Modal & CRUD Logic ---
 
-    openScheduleModal: async function (eventId = null, defaultDate = null) {
+    openScheduleModal: async function (eventId = null, defaultDate = null, occurrenceDate = null) {
         // [SECURITY] Double check permissions for new events
         if (!eventId && !this.canAddSchedule()) {
             console.warn("[Security] Unauthorized attempt to open schedule modal");
@@ -3965,7 +6325,7 @@ const App = {
             return;
         }
 
-        const canEdit = this.state.role === 'admin' || this.state.role === 'head_teacher' || this.state.role === 'head' || (this.state.role === 'dept' && this.state.myDeptId);
+        const canEdit = eventId ? this.canEditSchedule(this.findCachedSchedule(eventId)) : this.canAddSchedule();
         if (!canEdit) {
             alert('일정 등록/수정 권한이 없습니다.');
             return;
@@ -3994,6 +6354,7 @@ const App = {
         const endInput = document.getElementById('sched-end');
         const deptSelect = document.getElementById('sched-dept');
         const visSelect = document.getElementById('sched-visibility');
+        const gradeSelect = document.getElementById('sched-grade');
         const descInput = document.getElementById('sched-desc');
         const printCheck = document.getElementById('sched-printable');
         const includeHolidaysCheck = document.getElementById('sched-include-holidays');
@@ -4007,11 +6368,21 @@ const App = {
         const recurOptions = document.getElementById('recurrence-options');
         const rFreq = document.getElementById('sched-freq');
         const rUntil = document.getElementById('sched-until');
+        const rInterval = document.getElementById('sched-interval');
+        const rPolicy = document.getElementById('sched-holiday-policy');
+        const rExams = document.getElementById('sched-skip-exams');
+        const scopeSection = document.getElementById('recurrence-scope-section');
+        const getScope = () => {
+            const checked = document.querySelector('input[name="recurrence-scope"]:checked');
+            return checked ? checked.value : 'all';
+        };
+        let recurDirty = false; // Keep the stored RRULE untouched unless the user edits recurrence
 
         // 4. Populate Departments (Filtered by Role)
+        const myDepts = this.myDepartments();
         let filteredDepts = this.state.departments;
-        if (this.state.role === 'dept' && this.state.myDeptId) {
-            filteredDepts = this.state.departments.filter(d => String(d.id) === String(this.state.myDeptId));
+        if (this.state.role === 'dept' && myDepts.length > 0) {
+            filteredDepts = myDepts; // Members of several departments choose among them
         }
 
         deptSelect.innerHTML = filteredDepts.map(d =>
@@ -4019,31 +6390,67 @@ const App = {
         ).join('');
 
         // [DEPT ROLE] Set default or locked state
-        if (this.state.role === 'dept' && this.state.myDeptId) {
-            deptSelect.value = this.state.myDeptId;
+        if (this.state.role === 'dept' && myDepts.length > 0) {
+            deptSelect.value = myDepts[0].id;
             // Default Visibility to 'dept' for NEW schedules, but allow change
             if (!eventId) visSelect.value = 'dept';
         }
+        // New schedules default to the grade being viewed
+        gradeSelect.innerHTML = this.gradeOptionsHtml(eventId ? null : this.state.gradeFilter);
 
         // 5. Load Data (Edit Mode) or Defaults
+        let schedule = null;
         if (eventId) {
             document.getElementById('modal-title').textContent = '일정 수정';
             btnDelete.classList.remove('hidden');
-            recurSection.classList.add('hidden'); // Hide recurrence on edit for simplicity in V1
+            recurSection.classList.add('hidden');
             includeHolidaysWrapper.classList.add('hidden'); // Hide include holidays on edit
 
-            const schedule = (this.state.cache.schedules || []).find(s => String(s.id) === String(eventId));
+            schedule = this.findCachedSchedule(eventId);
+            if (schedule && schedule._pending) {
+                alert('서버에 저장되기를 기다리는 일정입니다. 연결된 후 다시 수정해주세요.');
+                this.closeModal();
+                return;
+            }
             if (schedule) {
                 document.getElementById('schedule-id').value = eventId;
                 titleInput.value = schedule.title;
-                startInput.value = schedule.start_date;
-                endInput.value = schedule.end_date || schedule.start_date;
+
+                // Recurring series: the form shows the clicked occurrence
+                const span = this.diffDays(schedule.start_date, schedule.end_date || schedule.start_date);
+                const shownStart = (schedule.rrule && occurrenceDate) ? occurrenceDate : schedule.start_date;
+                startInput.value = shownStart;
+                endInput.value = this.shiftDate(shownStart, span);
+
+                if (schedule.rrule) {
+                    scopeSection.classList.remove('hidden');
+                    const rule = window.ICal.parseRRule(schedule.rrule);
+                    repeatCheck.checked = true;
+                    recurOptions.classList.remove('hidden');
+                    const opts = schedule.recurrence_options || {};
+                    if (opts.mode === 'schoolday') rFreq.value = 'schoolday';
+                    else if (rule.freq === 'MONTHLY') rFreq.value = 'monthly';
+                    else if (rule.freq === 'WEEKLY' && rule.interval === 2) rFreq.value = 'biweekly';
+                    else rFreq.value = 'weekly';
+                    rInterval.value = opts.mode === 'schoolday' ? rule.interval : 1;
+                    rPolicy.value = opts.policy || 'keep';
+                    rExams.checked = !!opts.exams;
+                    rUntil.value = rule.until || '';
+                } else if (!schedule.series_id) {
+                    // Single schedules may be turned into a series (detached occurrences may not)
+                    recurSection.classList.remove('hidden');
+                    repeatCheck.checked = false;
+                    recurOptions.classList.add('hidden');
+                }
 
                 deptSelect.value = schedule.dept_id;
                 visSelect.value = schedule.visibility;
+                gradeSelect.innerHTML = this.gradeOptionsHtml(schedule.grade);
                 descInput.value = schedule.description || '';
                 printCheck.checked = schedule.is_printable !== false;
                 includeHolidaysCheck.checked = schedule.weekend === 'on';
+
+                this.bindScheduleHistory(schedule);
             }
         } else {
             recurSection.classList.remove('hidden');
@@ -4076,7 +6483,29 @@ const App = {
         document.getElementById('btn-modal-close').onclick = () => this.closeModal();
         document.getElementById('btn-cancel').onclick = () => this.closeModal();
 
+        // Recurrence options only apply to 'following' / 'all' edits of a series
+        const applyScope = () => {
+            if (!schedule || !schedule.rrule) return;
+            recurSection.classList.toggle('hidden', getScope() === 'this');
+        };
+        document.querySelectorAll('input[name="recurrence-scope"]').forEach(r => r.onchange = applyScope);
+        applyScope();
+
+        // 'N 수업일마다' always skips days off, so the holiday policy only applies to calendar rules
+        const applyFreq = () => {
+            const isSchoolDayFreq = rFreq.value === 'schoolday';
+            document.getElementById('sched-interval-wrapper').classList.toggle('hidden', !isSchoolDayFreq);
+            document.getElementById('sched-holiday-policy-wrapper').classList.toggle('hidden', isSchoolDayFreq);
+            rExams.closest('label').classList.toggle('hidden', !isSchoolDayFreq && rPolicy.value === 'keep');
+        };
+        applyFreq();
+
+        rFreq.onchange = () => { recurDirty = true; applyFreq(); };
+        rPolicy.onchange = () => { recurDirty = true; applyFreq(); };
+        [rUntil, rInterval, rExams].forEach(el => el.onchange = () => { recurDirty = true; });
+
         repeatCheck.onchange = () => {
+            recurDirty = true;
             if (repeatCheck.checked) {
                 recurOptions.classList.remove('hidden');
                 if (!rUntil.value) {
@@ -4101,18 +6530,43 @@ const App = {
         visSelect.onchange();
 
         btnDelete.onclick = async () => {
-            if (confirm('정말 삭제하시겠습니까?')) {
-                const { error } = await window.SupabaseClient.supabase
-                    .from('schedules')
-                    .delete()
-                    .eq('id', document.getElementById('schedule-id').value);
+            const scheduleId = document.getElementById('schedule-id').value;
+            const isSeries = schedule && schedule.rrule;
+            const scope = isSeries ? getScope() : 'all';
+            const scopeLabels = { this: '이 일정만', following: '이후 모든 일정을', all: '전체 반복 일정을' };
+            const msg = isSeries ? `${scopeLabels[scope]} 삭제하시겠습니까?` : '정말 삭제하시겠습니까?';
+            const offlineOp = isSeries
+                ? { action: 'series_delete', base: schedule, scope, occurrenceDate: occurrenceDate || schedule.start_date }
+                : { action: 'delete', base: schedule || { id: scheduleId, title: titleInput.value } };
+
+            if (confirm(msg)) {
+                if (this.state.offline || !navigator.onLine) {
+                    if (await this.queueScheduleWrite(offlineOp)) this.closeModal();
+                    return;
+                }
+                try {
+                    if (isSeries) {
+                        await this.deleteRecurringSchedule(schedule, scope, occurrenceDate || schedule.start_date);
+                    } else {
+                        const { data: deleted, error } = await window.SupabaseClient.supabase
+                            .from('schedules')
+                            .delete()
+                            .eq('id', scheduleId)
+                            .select('id');
+                        if (error) throw error;
+                        this.assertRowsAffected(deleted);
+                    }
 
-                if (error) {
-                    alert('삭제 실패: ' + error.message);
-                } else {
-                    this.logAction('DELETE', 'schedules', document.getElementById('schedule-id').value, { title: titleInput.value });
+                    this.logAction('DELETE', 'schedules', scheduleId, { title: titleInput.value, scope: isSeries ? scope : undefined, occurrence: isSeries ? occurrenceDate : undefined });
                     this.closeModal();
+                    this.invalidateSchedules(schedule);
                     this.initCalendar();
+                } catch (error) {
+                    if (this.isNetworkError(error) && await this.queueScheduleWrite(offlineOp)) {
+                        this.closeModal();
+                        return;
+                    }
+                    alert('삭제 실패: ' + this.describeWriteError(error));
                 }
             }
         };
@@ -4129,106 +6583,232 @@ const App = {
                 dept_id: deptSelect.value,
                 dept_name: deptName, // Store name for recovery
                 visibility: visSelect.value,
+                grade: parseInt(gradeSelect.value) || null,
                 description: descInput.value,
                 is_printable: printCheck.checked,
                 weekend: includeHolidaysCheck.checked ? 'on' : null,
-                author_id: this.state.user.id
+                // Admins / heads may edit others' schedules: keep the original author
+                author_id: (schedule && schedule.author_id) || this.state.user.id
             };
 
             const startDateStr = startInput.value;
             const endDateStr = endInput.value;
 
-            // Recurrence Generation
-            const isRecurring = !scheduleId && repeatCheck.checked;
+            if (endDateStr < startDateStr) {
+                alert('종료일은 시작일 이후여야 합니다.');
+                return;
+            }
+
+            // Recurrence Rule (stored on the row, expanded at render time)
+            const isSeries = schedule && schedule.rrule;
+            const scope = isSeries ? getScope() : 'all';
+            const wantsRepeat = repeatCheck.checked && !recurSection.classList.contains('hidden');
+            let rrule = null;
+            let recurrenceOptions = null;
+            if (wantsRepeat) {
+                if (rUntil.value && rUntil.value <= startDateStr) {
+                    alert('반복 종료일은 시작일 이후여야 합니다.');
+                    return;
+                }
+                if (isSeries && !recurDirty) {
+                    rrule = schedule.rrule;
+                    recurrenceOptions = schedule.recurrence_options || null;
+                } else {
+                    const interval = parseInt(rInterval.value) || 1;
+                    if (rFreq.value === 'schoolday' && (interval < 1 || interval > 30)) {
+                        alert('수업일 간격은 1~30 사이로 입력해주세요.');
+                        return;
+                    }
+                    rrule = this.buildScheduleRRule(rFreq.value, rUntil.value, interval);
+                    recurrenceOptions = this.buildRecurrenceOptions(rFreq.value, rPolicy.value, rExams.checked);
+                }
+            }
+
+            const data = {
+                ...baseData,
+                start_date: startDateStr,
+                end_date: endDateStr,
+                rrule: rrule,
+                recurrence_options: recurrenceOptions
+            };
+
+            // Offline: queue the write and show it locally until it is replayed
+            const offlineOp = isSeries
+                ? { action: 'series_save', base: schedule, scope, occurrenceDate: occurrenceDate || schedule.start_date, data }
+                : (scheduleId ? { action: 'update', base: schedule || { id: scheduleId }, data } : { action: 'insert', data });
+            if (this.state.offline || !navigator.onLine) {
+                if (await this.queueScheduleWrite(offlineOp)) this.closeModal();
+                return;
+            }
 
             const btnSave = document.getElementById('btn-save');
             btnSave.disabled = true;
-            btnSave.textContent = isRecurring ? '반복 일정 생성 중...' : '저장 중...';
-
-            let batchData = [];
+            btnSave.textContent = '저장 중...';
 
-            if (isRecurring) {
-                const untilStr = rUntil.value;
-                const freq = rFreq.value;
+            try {
+                let savedId = scheduleId;
+                let saved = data;
+                if (isSeries) {
+                    savedId = await this.saveScheduleWithConflicts(schedule, data, (base, payload) => {
+                        saved = payload;
+                        return this.saveRecurringSchedule(base, scope, occurrenceDate || schedule.start_date, payload);
+                    }, true);
+                } else if (scheduleId) {
+                    // UPDATE (Single) - only if nobody saved since the modal was opened
+                    savedId = await this.saveScheduleWithConflicts(schedule || { id: scheduleId }, data, async (base, payload) => {
+                        saved = payload;
+                        await this.updateVersioned('schedules', scheduleId, base.updated_at, payload);
+                        return scheduleId;
+                    });
+                } else {
+                    // INSERT
+                    const { data: inserted, error } = await window.SupabaseClient.supabase
+                        .from('schedules')
+                        .insert([data])
+                        .select();
+                    if (error) throw error;
+                    savedId = inserted[0].id;
+                }
 
-                if (untilStr <= startDateStr) {
-                    alert('반복 종료일은 시작일 이후여야 합니다.');
+                if (!savedId) {
+                    // Conflict dialog cancelled (or the row was deleted meanwhile)
                     btnSave.disabled = false;
+                    btnSave.textContent = '저장';
+                    this.invalidateSchedules(schedule);
+                    this.initCalendar();
                     return;
                 }
 
-                // Calculate Duration
-                const d1 = new Date(startDateStr);
-                const d2 = new Date(endDateStr);
-                const durationMs = d2 - d1;
+                const action = scheduleId ? 'UPDATE' : 'INSERT';
+                this.logAction(action, 'schedules', savedId, {
+                    title: baseData.title,
+                    dept: baseData.dept_id,
+                    rrule: rrule || undefined,
+                    scope: isSeries ? scope : undefined
+                });
+
+                this.closeModal();
+                this.invalidateSchedules(schedule, saved);
+                this.initCalendar();
+            } catch (error) {
+                console.error(error);
+                if (this.isNetworkError(error) && await this.queueScheduleWrite(offlineOp)) {
+                    this.closeModal();
+                    return;
+                }
+                alert('저장 실패: ' + this.describeWriteError(error));
+                btnSave.disabled = false;
+                btnSave.textContent = '저장';
+            }
+        };
+    },
 
-                let curr = new Date(startDateStr);
-                const until = new Date(untilStr);
-                let limit = 0;
+    // --- Recurring Schedules (RRULE) ---
+
+    // Modal frequency options -> RRULE (UNTIL inclusive, date form)
+    // 'schoolday' is stored as FREQ=DAILY;INTERVAL=N and counted in school days via recurrence_options
+    buildScheduleRRule: function (freq, untilStr, interval = 1) {
+        const parts = {
+            weekly: ['FREQ=WEEKLY'],
+            biweekly: ['FREQ=WEEKLY', 'INTERVAL=2'],
+            monthly: ['FREQ=MONTHLY'],
+            schoolday: ['FREQ=DAILY', `INTERVAL=${interval}`]
+        }[freq] || ['FREQ=WEEKLY'];
+        return window.ICal.setRRuleUntil(parts.join(';'), untilStr || null);
+    },
 
-                while (curr <= until && limit < 52) { // Safety limit 52 (1 year weekly)
-                    const loopStart = curr.toISOString().split('T')[0];
-                    const loopEnd = new Date(curr.getTime() + durationMs).toISOString().split('T')[0];
+    // Plain calendar rules that ignore days off need no options (null keeps them RFC 5545 exportable)
+    buildRecurrenceOptions: function (freq, policy, skipExams) {
+        if (freq === 'schoolday') return { mode: 'schoolday', policy: 'skip', exams: !!skipExams };
+        if (policy !== 'skip' && policy !== 'shift') return null;
+        return { mode: 'calendar', policy: policy, exams: !!skipExams };
+    },
 
-                    batchData.push({
-                        ...baseData,
-                        start_date: loopStart,
-                        end_date: loopEnd
-                    });
+    /**
+     * Save an edit of a recurring series.
+     * scope 'this'      : exclude the occurrence from the series and store a detached copy (series_id / recurrence_date)
+     * scope 'following' : end the series the day before and start a new series from the edited occurrence
+     * scope 'all'       : update the series itself (moving the occurrence shifts the whole series)
+     * Returns the id of the row that now holds the edit.
+     */
+    saveRecurringSchedule: async function (master, scope, occurrenceDate, data) {
+        const supabase = window.SupabaseClient.supabase;
+        const exdates = master.exdates || [];
+        const delta = this.diffDays(occurrenceDate, data.start_date);
+
+        // Series rows are updated against the updated_at the user loaded (see updateVersioned)
+        if (scope === 'this') {
+            // Exclude first: a conflict here must not leave a stray detached copy behind
+            await this.updateVersioned('schedules', master.id, master.updated_at, {
+                exdates: [...new Set([...exdates, occurrenceDate])]
+            });
 
-                    // Next Step
-                    if (freq === 'weekly') curr.setDate(curr.getDate() + 7);
-                    else if (freq === 'biweekly') curr.setDate(curr.getDate() + 14);
-                    else if (freq === 'monthly') curr.setMonth(curr.getMonth() + 1);
+            const { data: inserted, error: insErr } = await supabase
+                .from('schedules')
+                .insert([{ ...data, rrule: null, recurrence_options: null, exdates: [], series_id: master.id, recurrence_date: occurrenceDate }])
+                .select();
+            if (insErr) throw insErr;
+            return inserted[0].id;
+        }
 
-                    limit++;
-                }
+        if (scope === 'following' && occurrenceDate > master.start_date) {
+            // 1. Close the original series the day before
+            await this.updateVersioned('schedules', master.id, master.updated_at, {
+                rrule: window.ICal.setRRuleUntil(master.rrule, this.shiftDate(occurrenceDate, -1)),
+                exdates: exdates.filter(d => d < occurrenceDate)
+            });
 
-                if (batchData.length === 0) batchData.push({ ...baseData, start_date: startDateStr, end_date: endDateStr });
+            // 2. New series from the edited occurrence onwards
+            const { data: inserted, error: insErr } = await supabase
+                .from('schedules')
+                .insert([{
+                    ...data,
+                    exdates: data.rrule ? exdates.filter(d => d >= occurrenceDate).map(d => this.shiftDate(d, delta)) : []
+                }])
+                .select();
+            if (insErr) throw insErr;
+            return inserted[0].id;
+        }
 
-            } else {
-                batchData.push({
-                    ...baseData,
-                    start_date: startDateStr,
-                    end_date: endDateStr
-                });
-            }
+        // 'all' (or 'following' from the first occurrence)
+        const span = this.diffDays(data.start_date, data.end_date);
+        const newStart = this.shiftDate(master.start_date, delta);
+        await this.updateVersioned('schedules', master.id, master.updated_at, {
+            ...data,
+            start_date: newStart,
+            end_date: this.shiftDate(newStart, span),
+            exdates: data.rrule ? exdates.map(d => this.shiftDate(d, delta)) : []
+        });
+        return master.id;
+    },
 
-            let result;
-            if (scheduleId) {
-                // UPDATE (Single)
-                result = await window.SupabaseClient.supabase
-                    .from('schedules')
-                    .update(batchData[0])
-                    .eq('id', scheduleId)
-                    .select();
-            } else {
-                // INSERT (Maybe Batch)
-                result = await window.SupabaseClient.supabase
-                    .from('schedules')
-                    .insert(batchData)
-                    .select();
-            }
+    deleteRecurringSchedule: async function (master, scope, occurrenceDate) {
+        const supabase = window.SupabaseClient.supabase;
+        let result;
 
-            if (result.error) {
-                console.error(result.error);
-                alert('저장 실패: ' + result.error.message);
-                btnSave.disabled = false;
-                btnSave.textContent = '저장';
-            } else {
-                const action = scheduleId ? 'UPDATE' : 'INSERT';
-                // Log only first ID or special bulk log
-                if (batchData.length > 1) {
-                    this.logAction('RECUR_INSERT', 'schedules', null, { count: batchData.length, title: baseData.title });
-                } else {
-                    const id = scheduleId || result.data[0].id;
-                    this.logAction(action, 'schedules', id, { title: baseData.title, dept: baseData.dept_id });
-                }
+        if (scope === 'this') {
+            result = await supabase
+                .from('schedules')
+                .update({ exdates: [...new Set([...(master.exdates || []), occurrenceDate])] })
+                .eq('id', master.id)
+                .select('id');
+        } else if (scope === 'following' && occurrenceDate > master.start_date) {
+            result = await supabase
+                .from('schedules')
+                .update({ rrule: window.ICal.setRRuleUntil(master.rrule, this.shiftDate(occurrenceDate, -1)) })
+                .eq('id', master.id)
+                .select('id');
+        } else {
+            // Whole series (detached occurrences are removed by ON DELETE CASCADE)
+            result = await supabase
+                .from('schedules')
+                .delete()
+                .eq('id', master.id)
+                .select('id');
+        }
 
-                this.closeModal();
-                this.initCalendar();
-            }
-        };
+        if (result.error) throw result.error;
+        this.assertRowsAffected(result.data);
     },
 
     closeModal: function () {
@@ -4237,6 +6817,172 @@ const App = {
         modalContainer.innerHTML = '';
     },
 
+    // --- Conflict Detection (updated_at) ---
+
+    /**
+     * Update a row only if it still carries the updated_at the client loaded.
+     * Throws an Error with conflict = true and server = current row (null if deleted) when someone saved first.
+     */
+    updateVersioned: async function (table, id, version, changes) {
+        const supabase = window.SupabaseClient.supabase;
+        let query = supabase.from(table).update(changes).eq('id', id);
+        if (version) query = query.eq('updated_at', version);
+
+        const { data, error } = await query.select();
+        if (error) throw error;
+        if (data && data.length > 0) return data[0];
+
+        // Nothing updated: changed, deleted, or not permitted by RLS
+        const { data: rows, error: readErr } = await supabase.from(table).select('*').eq('id', id).limit(1);
+        if (readErr) throw readErr;
+        const server = (rows && rows[0]) || null;
+        if (server && server.updated_at === version) this.assertRowsAffected([], table);
+
+        const conflict = new Error(server ? '다른 사용자가 먼저 수정했습니다.' : '다른 사용자가 삭제한 항목입니다.');
+        conflict.conflict = true;
+        conflict.server = server;
+        throw conflict;
+    },
+
+    /**
+     * Side-by-side diff of the server version and the local edit.
+     * rows: [{ key, label, server, local, prefer: 'server' | 'local' }] (display strings)
+     * Resolves to null (cancel), { mode: 'overwrite' } or { mode: 'merge', picks: { [key]: 'server' | 'local' } }.
+     */
+    openConflictModal: async function ({ title, message, rows }) {
+        const container = document.getElementById('conflict-modal-container');
+        try {
+            if (!this.state.templates['conflict']) {
+                const response = await fetch('pages/modal-conflict.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                this.state.templates['conflict'] = await response.text();
+            }
+            container.innerHTML = this.state.templates['conflict'];
+            container.classList.remove('invisible');
+        } catch (e) {
+            console.error('Failed to load conflict modal', e);
+            // Without the diff view, never overwrite silently
+            return confirm(`${message}\n\n확인: 내 변경으로 덮어쓰기 / 취소: 저장 취소`) ? { mode: 'overwrite' } : null;
+        }
+
+        document.getElementById('conflict-title').textContent = title || '저장 충돌';
+        document.getElementById('conflict-message').textContent = message || '';
+
+        const cell = (row, i, side) => {
+            const checked = row.prefer === side ? 'checked' : '';
+            const value = row[side] === '' ? '<span class="text-gray-400">(비어 있음)</span>' : this.escapeHtml(row[side]);
+            return `<td class="px-3 py-2 border-l align-top">
+                <label class="flex items-start gap-2 cursor-pointer">
+                    <input type="radio" name="conflict-pick-${i}" value="${side}" ${checked} class="mt-0.5">
+                    <span class="break-all whitespace-pre-wrap">${value}</span>
+                </label>
+            </td>`;
+        };
+        document.getElementById('conflict-diff-body').innerHTML = rows.map((row, i) => `
+            <tr>
+                <td class="px-3 py-2 font-bold text-gray-600 align-top">${this.escapeHtml(row.label)}</td>
+                ${cell(row, i, 'server')}
+                ${cell(row, i, 'local')}
+            </tr>`).join('');
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                container.classList.add('invisible');
+                container.innerHTML = '';
+                resolve(result);
+            };
+            document.getElementById('btn-conflict-close').onclick = () => finish(null);
+            document.getElementById('btn-conflict-cancel').onclick = () => finish(null);
+            document.getElementById('btn-conflict-overwrite').onclick = () => finish({ mode: 'overwrite' });
+            document.getElementById('btn-conflict-merge').onclick = () => {
+                const picks = {};
+                rows.forEach((row, i) => {
+                    const checked = document.querySelector(`input[name="conflict-pick-${i}"]:checked`);
+                    picks[row.key] = checked ? checked.value : row.prefer;
+                });
+                finish({ mode: 'merge', picks });
+            };
+        });
+    },
+
+    SCHEDULE_CONFLICT_FIELDS: [
+        { key: 'title', label: '제목' },
+        { key: 'start_date', label: '시작일' },
+        { key: 'end_date', label: '종료일' },
+        { key: 'dept_id', label: '부서' },
+        { key: 'visibility', label: '공개 범위' },
+        { key: 'grade', label: '학년' },
+        { key: 'description', label: '설명' },
+        { key: 'is_printable', label: '인쇄' },
+        { key: 'weekend', label: '휴일 표시' },
+        { key: 'rrule', label: '반복' }
+    ],
+
+    /**
+     * Run save(base, changes) and let the user resolve updated_at conflicts until it succeeds.
+     * Returns save()'s result, or null if the user cancelled (or the row was deleted).
+     * Series edits skip the date rows: the form shows the occurrence, the server row the series start.
+     */
+    saveScheduleWithConflicts: async function (original, changes, save, isSeries = false) {
+        const fmt = (key, v) => {
+            if (v === null || v === undefined) return '';
+            if (key === 'dept_id') {
+                const dept = (this.state.allDepartmentsCached || this.state.departments || []).find(d => String(d.id) === String(v));
+                return dept ? dept.dept_name : String(v);
+            }
+            if (key === 'visibility') return { public: '전체 공개', internal: '교직원 공개', dept: '부서 공개', private: '비공개' }[v] || v;
+            if (key === 'is_printable') return v === false ? '인쇄 안 함' : '인쇄';
+            if (key === 'weekend') return v === 'on' ? '휴일에도 표시' : '';
+            if (key === 'grade') return `${v}학년`;
+            return String(v);
+        };
+        const fields = this.SCHEDULE_CONFLICT_FIELDS.filter(f => !(isSeries && (f.key === 'start_date' || f.key === 'end_date')));
+
+        let base = original;
+        let payload = changes;
+        for (;;) {
+            try {
+                return await save(base, payload);
+            } catch (e) {
+                if (!e.conflict) throw e;
+                if (!e.server) {
+                    alert('다른 사용자가 이 일정을 삭제하여 저장할 수 없습니다.');
+                    return null;
+                }
+
+                const server = e.server;
+                const rows = fields
+                    .map(f => ({
+                        key: f.key,
+                        label: f.label,
+                        server: fmt(f.key, server[f.key]),
+                        local: fmt(f.key, payload[f.key]),
+                        // Fields I did not touch default to the other user's value
+                        prefer: fmt(f.key, payload[f.key]) !== fmt(f.key, original[f.key]) ? 'local' : 'server'
+                    }))
+                    .filter(r => r.server !== r.local);
+
+                if (rows.length > 0) {
+                    const choice = await this.openConflictModal({
+                        title: '일정 저장 충돌',
+                        message: `편집하는 동안 다른 사용자가 '${server.title}' 일정을 수정했습니다. 저장할 내용을 선택해주세요.`,
+                        rows
+                    });
+                    if (!choice) return null;
+                    if (choice.mode === 'merge') {
+                        payload = { ...payload };
+                        Object.entries(choice.picks).forEach(([key, side]) => {
+                            if (side !== 'server') return;
+                            payload[key] = server[key];
+                            if (key === 'dept_id') payload.dept_name = server.dept_name;
+                        });
+                    }
+                }
+                base = server; // Retry against the version just reviewed
+            }
+        }
+    },
+
     // --- Print Logic ---
 
     openPrintModal: async function (mode = 'calendar') {
@@ -4441,78 +7187,326 @@ const App = {
             } else {
                 this.state.calendar.changeView('extendedMonth');
             }
-        }
+        }
+
+        // 3. Inject Print-Only Header (ONLY FOR CALENDAR VIEWS)
+        let printHeader = null;
+        if (viewType !== 'weekly_plan' && viewType !== 'dept_list') {
+            printHeader = document.querySelector('.print-only-header');
+            if (!printHeader) {
+                printHeader = document.createElement('div');
+                printHeader.className = 'print-only-header';
+                document.body.prepend(printHeader);
+            }
+
+            const calendarTitle = document.querySelector('.fc-toolbar-title')?.textContent || '';
+            printHeader.innerHTML = `
+                <div class="print-header-left">${calendarTitle}</div>
+                <div class="print-header-right">${schoolDisplayName}</div>
+            `;
+        }
+
+        // 4. Apply Classes to Body
+        const body = document.body;
+        const previousClasses = body.className;
+
+        body.classList.add('printing-mode');
+        body.classList.add(`print-${size.toLowerCase()}`);
+        if (isScale) body.classList.add('print-scale');
+
+        // 5. Inject @page Style Dynamically
+        const styleId = 'print-page-style';
+        let styleEl = document.getElementById(styleId);
+        if (!styleEl) {
+            styleEl = document.createElement('style');
+            styleEl.id = styleId;
+            document.head.appendChild(styleEl);
+        }
+        // USER REQUEST: margin 10mm
+        styleEl.textContent = `@page { size: ${size} ${orient}; margin: 10mm!important; } `;
+
+        // 6. Force Layout for Print: Expand fully without internal scroll
+        if (viewType !== 'weekly_plan' && viewType !== 'dept_list' && this.state.calendar) {
+            this.state.calendar.setOption('height', 'auto');
+            this.state.calendar.setOption('expandRows', false);
+            this.state.calendar.updateSize();
+        }
+
+        // 7. Print with sufficient delay for reflow
+        setTimeout(() => {
+            window.print();
+        }, 1000);
+
+        const cleanup = async () => {
+            body.className = previousClasses;
+            if (styleEl) styleEl.remove();
+            if (printHeader) printHeader.remove();
+
+            if (viewType === 'dept_list') {
+                await this.renderDeptListView(); // Restore original month view
+            }
+
+            if (this.state.calendar && viewType !== 'weekly_plan' && viewType !== 'dept_list') {
+                this.state.calendar.setOption('height', '100%');
+                this.state.calendar.setOption('expandRows', true);
+                if (viewType === 'list') {
+                    this.state.calendar.changeView(window.innerWidth < 768 ? 'listWeek' : 'extendedMonth');
+                }
+                this.state.calendar.updateSize();
+                this.distributeVerticalSpace(); // Recalculate if needed
+            }
+            window.removeEventListener('afterprint', cleanup);
+        };
+
+        window.addEventListener('afterprint', cleanup);
+    },
+
+    // --- Calendar Export (iCalendar) ---
+
+    /**
+     * Collect one academic year as iCalendar events, mirroring what transformEvents shows:
+     * basic schedules (or calculated holidays if the year is not saved yet), env events and
+     * user schedules filtered by isScheduleVisible. UIDs are derived from DB ids / dates so a
+     * re-import updates events instead of duplicating them.
+     */
+    buildCalendarExport: async function (academicYear, deptId = null, options = {}) {
+        const includeBasic = options.includeBasic !== false;
+        const includeEnv = options.includeEnv !== false;
+        const ay = parseInt(academicYear);
+        const ayStart = `${ay}-03-01`;
+        const ayEnd = this.formatLocal(new Date(ay + 1, 2, 0)); // Last day of February
+
+        const events = [];
+        const adminEventMap = {}; // { 'YYYY-MM-DD': Set(normalizedTitles) }
+        const addAdminRef = (date, name) => {
+            if (!date || !name) return;
+            if (!adminEventMap[date]) adminEventMap[date] = new Set();
+            adminEventMap[date].add(this.normalizeTitle(name));
+        };
+
+        // 1. Basic Schedules (DB is the source of truth once the year is saved)
+        if (includeBasic) {
+            let basics = this.state.cache.basicSchedules[ay];
+            if (!basics) {
+                const { data, error } = await window.SupabaseClient.supabase
+                    .from('basic_schedules')
+                    .select('*')
+                    .eq('academic_year', ay);
+                if (error) throw error;
+                basics = data || [];
+                this.state.cache.basicSchedules[ay] = basics;
+            }
+
+            if (basics.length > 0) {
+                basics.forEach(b => {
+                    if (!b.start_date || b.start_date < ayStart || b.start_date > ayEnd) return;
+                    const end = b.end_date || b.start_date;
+                    let curr = this.parseLocal(b.start_date);
+                    const last = this.parseLocal(end);
+                    while (curr <= last) {
+                        addAdminRef(this.formatLocal(curr), b.name);
+                        curr.setDate(curr.getDate() + 1);
+                    }
+                    events.push({
+                        uid: window.ICal.uid('basic', b.id),
+                        start: b.start_date,
+                        end: end,
+                        summary: b.name,
+                        categories: (b.is_holiday || b.type === 'holiday') ? '공휴일' : '학사일정'
+                    });
+                });
+            } else {
+                Object.entries(this.calculateMergedHolidays(ay)).forEach(([dateStr, name]) => {
+                    name.split(', ').forEach(n => addAdminRef(dateStr, n));
+                    events.push({
+                        uid: window.ICal.uid('holiday', window.ICal.formatDate(dateStr)),
+                        start: dateStr,
+                        summary: name,
+                        categories: '공휴일'
+                    });
+                });
+            }
+        }
+
+        // 2. Env Events (Fixed from App Constant)
+        if (includeEnv) {
+            Object.entries(this.FIXED_ENV_EVENTS || {}).forEach(([mmdd, name]) => {
+                const mm = parseInt(mmdd.split('-')[0]);
+                const dateStr = `${(mm < 3) ? ay + 1 : ay}-${mmdd}`;
+                addAdminRef(dateStr, name);
+                events.push({
+                    uid: window.ICal.uid('env', window.ICal.formatDate(dateStr)),
+                    start: dateStr,
+                    summary: name,
+                    categories: '환경 기념일'
+                });
+            });
+        }
+
+        // 3. User Schedules (Same visibility rules as the calendar)
+        const schedules = await this.getSchedulesInRange(ayStart, ayEnd);
+        const departments = this.state.cache.departments || await this.fetchDepartments(ay);
+        const deptMap = {};
+        departments.forEach(d => deptMap[String(d.id)] = d);
+
+        schedules.forEach(s => {
+            const start = (s.start_date || '').split('T')[0];
+            const end = (s.end_date || s.start_date || '').split('T')[0];
+            if (!start) return;
+            if (deptId && String(s.dept_id) !== String(deptId)) return;
+            if (!this.isScheduleVisible(s)) return;
+
+            const dept = deptMap[String(s.dept_id)];
+            if (s.rrule && this.isSchoolDayRule(s.recurrence_options)) {
+                // School-day rules have no RRULE equivalent, so each occurrence becomes its own VEVENT
+                this.expandSchedules([s], ayStart, ayEnd).forEach(occ => {
+                    events.push({
+                        uid: window.ICal.uid('schedule', `${s.id}-${window.ICal.formatDate(occ.start_date)}`),
+                        start: occ.start_date,
+                        end: occ.end_date,
+                        summary: s.title,
+                        description: s.description,
+                        categories: dept ? dept.dept_name : (s.dept_name || ''),
+                        visibility: s.visibility,
+                        lastModified: s.updated_at
+                    });
+                });
+                return;
+            }
 
-        // 3. Inject Print-Only Header (ONLY FOR CALENDAR VIEWS)
-        let printHeader = null;
-        if (viewType !== 'weekly_plan' && viewType !== 'dept_list') {
-            printHeader = document.querySelector('.print-only-header');
-            if (!printHeader) {
-                printHeader = document.createElement('div');
-                printHeader.className = 'print-only-header';
-                document.body.prepend(printHeader);
+            if (s.rrule) {
+                // Series are exported as one VEVENT with RRULE/EXDATE if any occurrence falls in the year
+                if (this.expandSchedules([s], ayStart, ayEnd).length === 0) return;
+            } else {
+                if (end < ayStart || start > ayEnd) return;
+                // Deduplication against admin events (same rule as transformEvents)
+                if (adminEventMap[start] && adminEventMap[start].has(this.normalizeTitle(s.title))) return;
             }
 
-            const calendarTitle = document.querySelector('.fc-toolbar-title')?.textContent || '';
-            printHeader.innerHTML = `
-                <div class="print-header-left">${calendarTitle}</div>
-                <div class="print-header-right">${schoolDisplayName}</div>
-            `;
-        }
+            events.push({
+                uid: window.ICal.uid('schedule', s.id),
+                start: start,
+                end: end,
+                summary: s.title,
+                description: s.description,
+                categories: dept ? dept.dept_name : (s.dept_name || ''),
+                visibility: s.visibility,
+                lastModified: s.updated_at,
+                rrule: s.rrule || null,
+                exdates: s.exdates || []
+            });
+        });
 
-        // 4. Apply Classes to Body
-        const body = document.body;
-        const previousClasses = body.className;
+        events.sort((a, b) => a.start.localeCompare(b.start));
+        return events;
+    },
 
-        body.classList.add('printing-mode');
-        body.classList.add(`print-${size.toLowerCase()}`);
-        if (isScale) body.classList.add('print-scale');
+    // Subscription URL for the public feed (see ics_feed() in data/schema.sql)
+    getIcsFeedUrl: function (academicYear, deptId = null, options = {}) {
+        const config = window.SUPABASE_CONFIG || {};
+        const params = new URLSearchParams({ p_year: academicYear });
+        if (deptId) params.set('p_dept_id', deptId);
+        if (options.includeBasic === false) params.set('p_basic', 'false');
+        if (options.includeEnv === false) params.set('p_env', 'false');
+        // Calendar apps cannot send headers, so the anon key travels as a query parameter
+        params.set('apikey', config.SUPABASE_ANON_KEY || '');
+        return `${config.SUPABASE_URL}/rest/v1/rpc/ics_feed?${params.toString()}`;
+    },
 
-        // 5. Inject @page Style Dynamically
-        const styleId = 'print-page-style';
-        let styleEl = document.getElementById(styleId);
-        if (!styleEl) {
-            styleEl = document.createElement('style');
-            styleEl.id = styleId;
-            document.head.appendChild(styleEl);
+    openIcsExportModal: async function () {
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['ics-export']) {
+                const response = await fetch('pages/modal-ics-export.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status} `);
+                this.state.templates['ics-export'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['ics-export'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load ics export modal", e);
+            alert('캘린더 내보내기 창을 불러올 수 없습니다. (' + e.message + ')');
+            return;
         }
-        // USER REQUEST: margin 10mm
-        styleEl.textContent = `@page { size: ${size} ${orient}; margin: 10mm!important; } `;
 
-        // 6. Force Layout for Print: Expand fully without internal scroll
-        if (viewType !== 'weekly_plan' && viewType !== 'dept_list' && this.state.calendar) {
-            this.state.calendar.setOption('height', 'auto');
-            this.state.calendar.setOption('expandRows', false);
-            this.state.calendar.updateSize();
+        const yearSelect = document.getElementById('ics-year-select');
+        const deptSelect = document.getElementById('ics-dept-select');
+        const chkBasic = document.getElementById('ics-include-basic');
+        const chkEnv = document.getElementById('ics-include-env');
+        const feedInput = document.getElementById('ics-feed-url');
+        const statusEl = document.getElementById('ics-export-status');
+        const btnDownload = document.getElementById('btn-ics-download');
+
+        document.getElementById('btn-ics-close').onclick = () => this.closeModal();
+        document.getElementById('btn-ics-cancel').onclick = () => this.closeModal();
+
+        // Year Options (Default: academic year currently on screen)
+        const baseYear = this.state.viewAcademicYear || this.state.currentYear || new Date().getFullYear();
+        yearSelect.innerHTML = '';
+        for (let i = -2; i <= 1; i++) {
+            const y = baseYear + i;
+            const opt = document.createElement('option');
+            opt.value = y;
+            opt.text = `${y} 학년도`;
+            if (i === 0) opt.selected = true;
+            yearSelect.appendChild(opt);
         }
 
-        // 7. Print with sufficient delay for reflow
-        setTimeout(() => {
-            window.print();
-        }, 1000);
+        const getOptions = () => ({ includeBasic: chkBasic.checked, includeEnv: chkEnv.checked });
+        const updateFeedUrl = () => {
+            feedInput.value = this.getIcsFeedUrl(yearSelect.value, deptSelect.value || null, getOptions());
+        };
 
-        const cleanup = async () => {
-            body.className = previousClasses;
-            if (styleEl) styleEl.remove();
-            if (printHeader) printHeader.remove();
+        const loadDepts = async () => {
+            const depts = await this.fetchDepartments(parseInt(yearSelect.value));
+            deptSelect.innerHTML = '<option value="">전체 부서</option>' +
+                depts.map(d => `<option value="${d.id}">${d.dept_name}</option>`).join('');
 
-            if (viewType === 'dept_list') {
-                await this.renderDeptListView(); // Restore original month view
+            // Dept users export their own department by default
+            const mine = this.myDepartments(depts);
+            if (this.state.role === 'dept' && mine.length > 0) {
+                deptSelect.value = String(mine[0].id);
             }
+            updateFeedUrl();
+        };
 
-            if (this.state.calendar && viewType !== 'weekly_plan' && viewType !== 'dept_list') {
-                this.state.calendar.setOption('height', '100%');
-                this.state.calendar.setOption('expandRows', true);
-                if (viewType === 'list') {
-                    this.state.calendar.changeView(window.innerWidth < 768 ? 'listWeek' : 'extendedMonth');
-                }
-                this.state.calendar.updateSize();
-                this.distributeVerticalSpace(); // Recalculate if needed
+        yearSelect.onchange = loadDepts;
+        deptSelect.onchange = updateFeedUrl;
+        chkBasic.onchange = updateFeedUrl;
+        chkEnv.onchange = updateFeedUrl;
+
+        document.getElementById('btn-ics-copy').onclick = async () => {
+            try {
+                await navigator.clipboard.writeText(feedInput.value);
+                alert('구독 주소가 복사되었습니다.');
+            } catch (e) {
+                feedInput.select(); // Fallback: let the user copy manually
             }
-            window.removeEventListener('afterprint', cleanup);
         };
 
-        window.addEventListener('afterprint', cleanup);
+        btnDownload.onclick = async () => {
+            const ay = parseInt(yearSelect.value);
+            const deptId = deptSelect.value || null;
+            const deptName = deptId ? deptSelect.options[deptSelect.selectedIndex].text : '';
+
+            btnDownload.disabled = true;
+            statusEl.textContent = '일정을 모으는 중...';
+            try {
+                const events = await this.buildCalendarExport(ay, deptId, getOptions());
+                const calName = `${document.title} ${ay}학년도${deptName ? ' ' + deptName : ''}`;
+                const ics = window.ICal.buildCalendar(events, { name: calName });
+                window.ICal.download(`학사일정_${ay}${deptName ? '_' + deptName : ''}.ics`, ics);
+                statusEl.textContent = `${events.length}건의 일정을 내보냈습니다.`;
+            } catch (err) {
+                console.error('ICS export failed:', err);
+                statusEl.textContent = '';
+                alert('내보내기 실패: ' + err.message);
+            } finally {
+                btnDownload.disabled = false;
+            }
+        };
+
+        await loadDepts();
     },
 
     // --- Excel Upload Logic ---
@@ -4546,6 +7540,7 @@ const App = {
         let parsedNormal = [];
         let excelCount = 0;
         let yearDepartments = [];
+        let yearTemplate = this.state.calendarTemplate || window.CalendarTemplates.resolve(null);
 
         // Populate Year Options (Do this first, synchronously)
         const currentYear = this.state.currentYear || new Date().getFullYear();
@@ -4567,27 +7562,34 @@ const App = {
         document.getElementById('btn-excel-close').onclick = close;
         document.getElementById('btn-excel-cancel').onclick = close;
 
-        // Template Download (Bind immediately)
+        // Template Download (Bind immediately): '기본' rows follow the selected year's calendar template
         document.getElementById('btn-download-template').onclick = () => {
             const wb = XLSX.utils.book_new();
             const ws_data = [
-                ['구분(기본/휴일/일반)', '부서명(일반인 경우)', '일정명', '시작일(YYYY-MM-DD)', '종료일(YYYY-MM-DD)', '내용', '공개범위(전체/교직원/부서)', '주말포함(on)'],
-                ['기본', '', '여름방학', '2026-07-22', '2026-08-12', '', '전체'],
-                ['기본', '', '겨울방학', '2026-01-07', '', '', '전체'],
-                ['기본', '', '봄방학', '', '', '', '전체'],
-                ['기본', '', '1학기 1차지필', '2026-04-24', '2026-04-29', '', '전체'],
-                ['기본', '', '1학기 2차지필', '2026-06-30', '2026-07-06', '', '전체'],
-                ['기본', '', '2학기 1차지필', '2026-09-30', '2026-10-06', '', '전체'],
-                ['기본', '', '2학기 2차지필', '2026-12-10', '2026-12-16', '', '전체'],
-                ['기본', '', '3학년 2학기 2차지필', '', '', '', '전체'],
+                ['구분(기본/휴일/일반)', '부서명(일반인 경우)', '일정명', '시작일(YYYY-MM-DD)', '종료일(YYYY-MM-DD)', '내용', '공개범위(전체/교직원/부서)', '주말포함(on)', '학년(비우면 전체)'],
+                ...yearTemplate.periods.filter(p => !p.auto).map(p => ['기본', '', p.name, '', '', '', '전체']),
                 ['휴일', '', '대체공휴일', '2026-05-06', '2026-05-06', '', '전체'],
-                ['일반', '교무기획부', '학부모총회', '2026-03-15', '2026-03-16', '강당', '전체']
+                ['일반', '교무기획부', '학부모총회', '2026-03-15', '2026-03-16', '강당', '전체'],
+                ['일반', '교무기획부', '수학여행', '2026-05-13', '2026-05-15', '', '교직원', '', '2']
             ];
             const ws = XLSX.utils.aoa_to_sheet(ws_data);
             XLSX.utils.book_append_sheet(wb, ws, '일정양식');
             XLSX.writeFile(wb, "학사일정_일괄등록_양식.xlsx");
         };
 
+        // Departments and calendar template of the selected year (a year without settings keeps the current template)
+        const refreshYearDepts = async () => {
+            const y = parseInt(yearSelect.value);
+            yearDepartments = await this.fetchDepartments(y);
+            const { data: yearSettings } = await window.SupabaseClient.supabase
+                .from('settings')
+                .select('calendar_template')
+                .eq('academic_year', y)
+                .limit(1);
+            const stored = yearSettings && yearSettings[0] && yearSettings[0].calendar_template;
+            yearTemplate = stored ? window.CalendarTemplates.resolve(stored) : (this.state.calendarTemplate || window.CalendarTemplates.resolve(null));
+        };
+
         // Async Refresh (Do this later)
         refreshYearDepts();
 
@@ -4620,28 +7622,8 @@ const App = {
                     return;
                 }
 
-                // Auto-Mapping Definition
-                const titleMap = {
-                    '1학기 개학일': { code: 'TERM1_START', type: 'term' },
-                    '여름방학식': { code: 'SUMMER_VAC_CEREMONY', type: 'event' },
-                    '여름방학': { code: 'SUMMER_VAC', type: 'vacation' }, // Range
-                    '여름방학 기간': { code: 'SUMMER_VAC', type: 'vacation' },
-                    '2학기 개학일': { code: 'TERM2_START', type: 'term' },
-                    '겨울방학식': { code: 'WINTER_VAC_CEREMONY', type: 'event' },
-                    '겨울방학': { code: 'WINTER_VAC', type: 'vacation' }, // Range
-                    '겨울방학 기간': { code: 'WINTER_VAC', type: 'vacation' },
-                    '봄 개학일': { code: 'SPRING_SEM_START', type: 'term' },
-                    '봄방학식': { code: 'SPRING_VAC_CEREMONY', type: 'event' },
-                    '봄방학': { code: 'SPRING_VAC', type: 'vacation' }, // Range
-                    '봄방학 기간': { code: 'SPRING_VAC', type: 'vacation' },
-
-                    // Exams (Range)
-                    '1학기 1차지필': { code: 'EXAM_1_1', type: 'exam' },
-                    '1학기 2차지필': { code: 'EXAM_1_2', type: 'exam' },
-                    '2학기 1차지필': { code: 'EXAM_2_1', type: 'exam' },
-                    '2학기 2차지필': { code: 'EXAM_2_2', type: 'exam' },
-                    '3학년 2학기 2차지필': { code: 'EXAM_3_2_2', type: 'exam' }
-                };
+                // Auto-Mapping Definition (template period names and aliases -> code)
+                const titleMap = window.CalendarTemplates.titleMap(yearTemplate);
 
                 const depts = yearDepartments;
                 parsedBasic = [];
@@ -4677,14 +7659,18 @@ const App = {
                     const desc = (row[5] || '').toString().trim();
                     const visibilityRaw = (row[6] || '').toString().trim();
                     const weekendRaw = (row[7] || '').toString().trim().toLowerCase(); // Column index 7
+                    const gradeRaw = parseInt((row[8] || '').toString().replace(/[^0-9]/g, '')) || null; // '3' or '3학년'
+                    if (gradeRaw && gradeRaw > this.state.gradeCount) {
+                        errors.push(`${idx + 2}행: 학년 오류('${row[8]}', 1~${this.state.gradeCount}학년)`);
+                        return;
+                    }
 
                     if (!title || !start) {
                         // Only skip if completely empty
                         if (!typeRaw && !title && !start) return;
 
-                        // Skip optional events if start date is missing without error
-                        // Using .includes for better matching
-                        if (title && !start && (title.includes('봄방학') || title.includes('2차지필'))) {
+                        // Template periods left blank (optional ones such as 봄방학) are skipped without error
+                        if (title && !start && titleMap[title]) {
                             return;
                         }
 
@@ -4705,7 +7691,8 @@ const App = {
                                 name: title,
                                 start_date: start,
                                 end_date: end || start, // Use merged date from row
-                                is_holiday: false
+                                is_holiday: mapInfo.type === 'holiday',
+                                grade: mapInfo.grade || gradeRaw
                             });
                         } else {
                             // Standard Basic Event (No Code)
@@ -4716,7 +7703,8 @@ const App = {
                                 name: title,
                                 start_date: start,
                                 end_date: end || start,
-                                is_holiday: typeRaw === '휴일'
+                                is_holiday: typeRaw === '휴일',
+                                grade: gradeRaw
                             });
                         }
                         excelCount++;
@@ -4755,6 +7743,7 @@ const App = {
                                 description: desc || '',
                                 dept_id: targetDept.id,
                                 visibility,
+                                grade: gradeRaw,
                                 author_id: this.state.user.id,
                                 is_printable: true,
                                 weekend: weekendRaw === 'on' ? 'on' : null
@@ -4775,7 +7764,7 @@ const App = {
 
                     const dStr = d.toISOString().split('T')[0];
                     // Check Parsed Holidays (Basic & Holiday type)
-                    const isParsedHoliday = parsedBasic.some(p => p.is_holiday && p.start_date <= dStr && p.end_date >= dStr);
+                    const isParsedHoliday = parsedBasic.some(p => p.is_holiday && !p.grade && p.start_date <= dStr && p.end_date >= dStr);
                     if (isParsedHoliday) return false;
 
                     return true;
@@ -4809,81 +7798,28 @@ const App = {
                 const hasCode = (code) => parsedBasic.some(p => p.code === code);
                 const getCodeItem = (code) => parsedBasic.find(p => p.code === code);
 
-                // 2. Summer Vac Ceremony (If missing, detected by VAC start)
-                const summerVac = getCodeItem('SUMMER_VAC');
-                if (summerVac && !hasCode('SUMMER_VAC_CEREMONY')) {
-                    const ceremonyDate = findPrevSchoolDay(summerVac.start_date);
-                    parsedBasic.push({
-                        academic_year: year,
-                        type: 'event',
-                        code: 'SUMMER_VAC_CEREMONY',
-                        name: '여름방학식',
-                        start_date: ceremonyDate,
-                        end_date: ceremonyDate,
-                        is_holiday: false
-                    });
-                }
-
-                // 3. Term 2 Start (If missing, detected by VAC end)
-                if (summerVac && !hasCode('TERM2_START')) {
-                    const term2Start = findNextSchoolDay(summerVac.end_date);
-                    parsedBasic.push({
-                        academic_year: year,
-                        type: 'term',
-                        code: 'TERM2_START',
-                        name: '2학기 개학일',
-                        start_date: term2Start,
-                        end_date: term2Start,
-                        is_holiday: false
-                    });
-                }
-
-                // 4. Winter Vac Ceremony (If missing, detected by Winter start)
-                const winterVac = getCodeItem('WINTER_VAC');
-                if (winterVac && !hasCode('WINTER_VAC_CEREMONY')) {
-                    const ceremonyDate = findPrevSchoolDay(winterVac.start_date);
-                    parsedBasic.push({
-                        academic_year: year,
-                        type: 'event',
-                        code: 'WINTER_VAC_CEREMONY',
-                        name: '겨울방학식',
-                        start_date: ceremonyDate,
-                        end_date: ceremonyDate,
-                        is_holiday: false
-                    });
-                }
-
-                // 5. Spring Sem Start (If missing, detected by Winter end)
-                if (winterVac && !hasCode('SPRING_SEM_START')) {
-                    const nextSchoolDay = findNextSchoolDay(winterVac.end_date);
-                    const nDate = this.parseLocal(nextSchoolDay);
-                    if (nDate.getMonth() !== 2) {
-                        parsedBasic.push({
-                            academic_year: year,
-                            type: 'term',
-                            code: 'SPRING_SEM_START',
-                            name: '봄 개학일',
-                            start_date: nextSchoolDay,
-                            end_date: nextSchoolDay,
-                            is_holiday: false
-                        });
-                    }
-                }
-
-                // 6. Spring Vac Ceremony (If missing, detected by Spring Vac start)
-                const springVac = getCodeItem('SPRING_VAC');
-                if (springVac && !hasCode('SPRING_VAC_CEREMONY')) {
-                    const ceremonyDate = findPrevSchoolDay(springVac.start_date);
+                // Template periods with an auto rule (방학식, 2학기 개학 ...) left out of the file:
+                // the school day before / after their source period, if that is still in this academic year
+                const ayStart = `${year}-03-01`;
+                const ayEnd = this.formatLocal(new Date(year + 1, 2, 0));
+                yearTemplate.periods.forEach(p => {
+                    if (!p.auto || hasCode(p.code)) return;
+                    const source = getCodeItem(p.auto.from);
+                    if (!source) return;
+                    const edgeDate = p.auto.edge === 'end' ? source.end_date : source.start_date;
+                    const date = p.auto.dir === 'next' ? findNextSchoolDay(edgeDate) : findPrevSchoolDay(edgeDate);
+                    if (date < ayStart || date > ayEnd) return;
                     parsedBasic.push({
                         academic_year: year,
-                        type: 'event',
-                        code: 'SPRING_VAC_CEREMONY',
-                        name: '봄방학식',
-                        start_date: ceremonyDate,
-                        end_date: ceremonyDate,
-                        is_holiday: false
+                        type: p.type,
+                        code: p.code,
+                        name: p.name,
+                        start_date: date,
+                        end_date: date,
+                        is_holiday: p.type === 'holiday',
+                        grade: p.grade || null
                     });
-                }
+                });
                 // --- Auto-Calculation Logic End ---
                 statusArea.classList.remove('hidden');
 
@@ -4960,24 +7896,528 @@ const App = {
                     if (err2) throw err2;
                 }
 
-                this.logAction('BULK_INSERT', 'mixed', null, { basic: parsedBasic.length, normal: parsedNormal.length });
-                alert(`총 ${parsedBasic.length + parsedNormal.length}건의 일정이 등록되었습니다.`);
-                close();
+                this.logAction('BULK_INSERT', 'mixed', null, { basic: parsedBasic.length, normal: parsedNormal.length });
+                alert(`총 ${parsedBasic.length + parsedNormal.length}건의 일정이 등록되었습니다.`);
+                close();
+
+                // Auto-refresh Admin View if available
+                if (this.refreshAdminView) {
+                    await this.refreshAdminView(parseInt(selectedYear));
+                }
+
+                if (this.state.calendar) this.initCalendar();
+
+            } catch (e) {
+                console.error(e);
+                alert('업로드 실패: ' + e.message);
+                btnUpload.disabled = false;
+                btnUpload.textContent = '업로드';
+            }
+        };
+    },
+
+    // --- Bulk Copy ---
+
+    // Copy single schedules (by department / date range / title) into another academic year or N days later
+    openBulkCopyModal: async function (sourceYear = null) {
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['bulk-copy']) {
+                const response = await fetch('pages/modal-bulk-copy.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                this.state.templates['bulk-copy'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['bulk-copy'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load bulk copy modal", e);
+            alert('일정 복사 창을 불러올 수 없습니다. (' + e.message + ')');
+            return;
+        }
+
+        const supabase = window.SupabaseClient.supabase;
+        const sourceYearSelect = document.getElementById('bulk-copy-source-year');
+        const targetYearSelect = document.getElementById('bulk-copy-target-year');
+        const deptSelect = document.getElementById('bulk-copy-dept');
+        const fromInput = document.getElementById('bulk-copy-from');
+        const toInput = document.getElementById('bulk-copy-to');
+        const keywordInput = document.getElementById('bulk-copy-keyword');
+        const daysInput = document.getElementById('bulk-copy-days');
+        const previewBody = document.getElementById('bulk-copy-preview');
+        const chkAll = document.getElementById('bulk-copy-all');
+        const btnSubmit = document.getElementById('btn-bulk-copy-submit');
+
+        document.getElementById('btn-bulk-copy-close').onclick = () => this.closeModal();
+        document.getElementById('btn-bulk-copy-cancel').onclick = () => this.closeModal();
+
+        const baseYear = sourceYear || this.state.currentYear || new Date().getFullYear();
+        for (let y = baseYear - 2; y <= baseYear + 2; y++) {
+            sourceYearSelect.add(new Option(`${y}학년도`, y, false, y === baseYear));
+            targetYearSelect.add(new Option(`${y}학년도`, y, false, y === baseYear + 1));
+        }
+
+        const ayRange = (ay) => [`${ay}-03-01`, this.formatLocal(new Date(ay + 1, 2, 0))];
+        const getMode = () => document.querySelector('input[name="bulk-copy-mode"]:checked').value;
+        // Dept accounts may only write their own departments (0010 insert policy)
+        const restrictToMine = this.state.role === 'dept';
+        let sourceDepts = [];
+        let previewRows = [];
+        let previewSeq = 0;
+
+        const loadSourceDepts = async () => {
+            const ay = parseInt(sourceYearSelect.value);
+            sourceDepts = await this.fetchDepartments(ay);
+            const options = restrictToMine ? this.myDepartments(sourceDepts) : sourceDepts;
+            deptSelect.innerHTML = (restrictToMine ? '' : '<option value="">전체 부서</option>') +
+                options.map(d => `<option value="${d.id}">${this.escapeHtml(d.dept_name)}</option>`).join('');
+            if (restrictToMine && options.length === 0) deptSelect.innerHTML = '<option value="">(내 부서 없음)</option>';
+
+            const [from, to] = ayRange(ay);
+            fromInput.value = from;
+            toInput.value = to;
+        };
+
+        const updateCount = () => {
+            const chosen = previewRows.filter(r => r.checked);
+            document.getElementById('bulk-copy-count').textContent = chosen.length;
+            document.getElementById('bulk-copy-conflict-count').textContent = chosen.filter(r => r.conflict).length;
+            const selectable = previewRows.filter(r => !r.blocked);
+            chkAll.checked = selectable.length > 0 && selectable.every(r => r.checked);
+            btnSubmit.disabled = chosen.length === 0;
+        };
+
+        const renderPreview = async () => {
+            const seq = ++previewSeq;
+            previewRows = [];
+            updateCount();
+
+            const sourceAy = parseInt(sourceYearSelect.value);
+            const targetAy = parseInt(targetYearSelect.value);
+            const [targetFrom, targetTo] = ayRange(targetAy);
+            const from = fromInput.value;
+            const to = toInput.value;
+            const keyword = this.normalizeTitle(keywordInput.value);
+            const mode = getMode();
+            const days = parseInt(daysInput.value) || 0;
+
+            const message = (text, cls = 'text-gray-400') => {
+                previewBody.innerHTML = `<tr><td colspan="6" class="px-2 py-3 text-center ${cls}">${text}</td></tr>`;
+            };
+            if (!from || !to || from > to) return message('기간을 확인하세요.');
+            if (restrictToMine && !deptSelect.value) return message('복사할 수 있는 부서가 없습니다.');
+            message('불러오는 중...');
+
+            let query = supabase
+                .from('schedules')
+                .select('*')
+                .is('rrule', null)
+                .is('series_id', null)
+                .gte('start_date', from)
+                .lte('start_date', to)
+                .order('start_date');
+            if (deptSelect.value) query = query.eq('dept_id', deptSelect.value);
+
+            const [sourceRes, basicRes, existingRes, targetDepts] = await Promise.all([
+                query,
+                supabase.from('basic_schedules').select('name, start_date, end_date, is_holiday').eq('academic_year', targetAy),
+                supabase.from('schedules').select('title, start_date, dept_id').gte('start_date', targetFrom).lte('start_date', targetTo),
+                this.fetchDepartments(targetAy)
+            ]);
+            if (seq !== previewSeq) return; // A newer filter change is already loading
+            const failed = [sourceRes, basicRes, existingRes].find(r => r.error);
+            if (failed) {
+                console.error('Bulk copy lookup failed:', failed.error);
+                return message('일정을 불러오지 못했습니다: ' + this.escapeHtml(failed.error.message), 'text-red-500');
+            }
+
+            // Target year holidays for isSchoolDay (calculated ones when that year has no basic schedules yet)
+            let holidays = (basicRes.data || []).filter(b => b.is_holiday);
+            if ((basicRes.data || []).length === 0) {
+                holidays = Object.entries(this.calculateMergedHolidays(targetAy))
+                    .map(([date, name]) => ({ name, start_date: date, end_date: date, is_holiday: true }));
+            }
+            const holidayName = (dateStr) => {
+                const h = holidays.find(p => p.start_date <= dateStr && (p.end_date || p.start_date) >= dateStr);
+                return h ? h.name : '주말';
+            };
+
+            const existing = new Set((existingRes.data || []).map(s => `${s.dept_id}|${s.start_date}|${this.normalizeTitle(s.title)}`));
+            const deptByName = {};
+            targetDepts.forEach(d => { deptByName[(d.dept_name || '').trim()] = d; });
+            const myTargetIds = new Set(this.myDepartments(targetDepts).map(d => String(d.id)));
+
+            previewRows = (sourceRes.data || [])
+                .filter(s => !keyword || this.normalizeTitle(s.title).includes(keyword))
+                .map(s => {
+                    const length = this.diffDays(s.start_date, s.end_date || s.start_date);
+                    const start = mode === 'weekday'
+                        ? this.shiftToYear(s.start_date, s.academic_year || sourceAy, targetAy)
+                        : this.shiftDate(s.start_date, days);
+                    const end = this.shiftDate(start, length);
+
+                    // Same department name in the target year (as repairOrphanedSchedules re-links)
+                    const sourceDept = sourceDepts.find(d => String(d.id) === String(s.dept_id));
+                    const deptName = ((sourceDept && sourceDept.dept_name) || s.dept_name || '').trim();
+                    const dept = deptByName[deptName] || null;
+
+                    const row = { source: s, start_date: start, end_date: end, deptName, dept, note: '' };
+                    const offDay = [...new Set([start, end])].find(d => !this.isSchoolDay(this.parseLocal(d), holidays));
+                    if (offDay) row.conflict = `${offDay.slice(5)} ${holidayName(offDay)}`;
+
+                    if (start < targetFrom || start > targetTo) row.blocked = '대상 학년도 밖';
+                    else if (restrictToMine && !(dept && myTargetIds.has(String(dept.id)))) row.blocked = '내 부서 아님';
+                    else if (existing.has(`${dept ? dept.id : null}|${start}|${this.normalizeTitle(s.title)}`)) row.blocked = '이미 있음';
+                    row.checked = !row.blocked;
+                    return row;
+                });
+
+            if (previewRows.length === 0) return message('조건에 맞는 일정이 없습니다.');
+
+            previewBody.innerHTML = previewRows.map((r, i) => `
+                <tr class="${r.blocked ? 'text-gray-400' : ''}">
+                    <td class="px-2 py-1"><input type="checkbox" data-idx="${i}" class="bulk-copy-check rounded text-purple-600" ${r.checked ? 'checked' : ''} ${r.blocked ? 'disabled' : ''}></td>
+                    <td class="px-2 py-1">${this.escapeHtml(r.source.title)}</td>
+                    <td class="px-2 py-1 text-gray-400">${r.source.start_date}${r.source.end_date !== r.source.start_date ? ' ~ ' + r.source.end_date : ''}</td>
+                    <td class="px-2 py-1 ${r.conflict ? 'text-red-500 font-bold' : ''}">${r.start_date}${r.end_date !== r.start_date ? ' ~ ' + r.end_date : ''}</td>
+                    <td class="px-2 py-1">${r.dept ? this.escapeHtml(r.dept.dept_name) : `<span class="text-orange-500">${this.escapeHtml(r.deptName || '미지정')}${r.deptName ? ' (부서 없음)' : ''}</span>`}</td>
+                    <td class="px-2 py-1">${r.blocked ? r.blocked : (r.conflict ? `<span class="text-red-500">${this.escapeHtml(r.conflict)}</span>` : '')}</td>
+                </tr>`).join('');
+
+            previewBody.querySelectorAll('.bulk-copy-check').forEach(cb => {
+                cb.onchange = () => {
+                    previewRows[cb.dataset.idx].checked = cb.checked;
+                    updateCount();
+                };
+            });
+            updateCount();
+        };
+
+        chkAll.onchange = () => {
+            previewRows.forEach((r, i) => {
+                if (r.blocked) return;
+                r.checked = chkAll.checked;
+                const cb = previewBody.querySelector(`.bulk-copy-check[data-idx="${i}"]`);
+                if (cb) cb.checked = chkAll.checked;
+            });
+            updateCount();
+        };
+
+        let keywordTimer = null;
+        keywordInput.oninput = () => {
+            clearTimeout(keywordTimer);
+            keywordTimer = setTimeout(renderPreview, 300);
+        };
+        sourceYearSelect.onchange = async () => {
+            await loadSourceDepts();
+            await renderPreview();
+        };
+        [targetYearSelect, deptSelect, fromInput, toInput, daysInput].forEach(el => { el.onchange = renderPreview; });
+        document.querySelectorAll('input[name="bulk-copy-mode"]').forEach(radio => {
+            radio.onchange = () => {
+                // N days usually stays within the same academic year
+                targetYearSelect.value = getMode() === 'days'
+                    ? sourceYearSelect.value
+                    : parseInt(sourceYearSelect.value) + 1;
+                renderPreview();
+            };
+        });
+
+        btnSubmit.onclick = async () => {
+            const chosen = previewRows.filter(r => r.checked);
+            if (chosen.length === 0) return;
+            const targetAy = parseInt(targetYearSelect.value);
+            const conflicts = chosen.filter(r => r.conflict).length;
+            if (!confirm(`일정 ${chosen.length}건을 ${targetAy}학년도로 복사하시겠습니까?` +
+                (conflicts ? `\n휴일·주말과 겹치는 일정 ${conflicts}건이 포함되어 있습니다.` : ''))) return;
+
+            const rows = chosen.map(r => {
+                const startDay = this.parseLocal(r.start_date).getDay();
+                return {
+                    title: r.source.title,
+                    start_date: r.start_date,
+                    end_date: r.end_date,
+                    description: r.source.description || '',
+                    dept_id: r.dept ? r.dept.id : null,
+                    dept_name: r.dept ? r.dept.dept_name : (r.deptName || null), // repairOrphanedSchedules links it once the dept exists
+                    visibility: r.source.visibility,
+                    grade: r.source.grade || null,
+                    author_id: this.state.user.id,
+                    is_printable: r.source.is_printable !== false,
+                    weekend: (startDay === 0 || startDay === 6) ? 'on' : null
+                };
+            });
+
+            btnSubmit.disabled = true;
+            try {
+                const { error } = await supabase.from('schedules').insert(rows);
+                if (error) throw error;
+
+                this.logAction('BULK_COPY', 'schedules', null, {
+                    count: rows.length,
+                    from_year: parseInt(sourceYearSelect.value),
+                    to_year: targetAy,
+                    mode: getMode(),
+                    days: getMode() === 'days' ? parseInt(daysInput.value) || 0 : null
+                });
+                alert(`일정 ${rows.length}건을 복사했습니다.`);
+                this.closeModal();
+
+                this.invalidateSchedules(rows);
+                if (document.getElementById('dept-view-title')) this.initDeptListView();
+            } catch (e) {
+                console.error("Bulk Copy Error:", e);
+                alert('복사 실패: ' + this.describeWriteError(e, 'schedules'));
+                btnSubmit.disabled = false;
+            }
+        };
+
+        await loadSourceDepts();
+        await renderPreview();
+    },
+
+    // --- iCalendar Import Logic ---
+
+    openIcsImportModal: async function () {
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['ics-import']) {
+                const response = await fetch('pages/modal-ics-import.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status} `);
+                this.state.templates['ics-import'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['ics-import'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load ics import modal", e);
+            alert('캘린더 가져오기 창을 불러올 수 없습니다. (' + e.message + ')');
+            return;
+        }
+
+        // Bind Elements
+        const yearSelect = document.getElementById('ics-import-year');
+        const deptSelect = document.getElementById('ics-import-dept');
+        const visSelect = document.getElementById('ics-import-visibility');
+        const fileInput = document.getElementById('ics-file-input');
+        const fileNameDisplay = document.getElementById('ics-file-name');
+        const statusArea = document.getElementById('ics-status-area');
+        const previewCount = document.getElementById('ics-preview-count');
+        const duplicateCount = document.getElementById('ics-duplicate-count');
+        const previewList = document.getElementById('ics-preview-list');
+        const errorList = document.getElementById('ics-error-list');
+        const btnSubmit = document.getElementById('btn-ics-import-submit');
+
+        let rawEvents = null;
+        let parsedRows = [];
+
+        document.getElementById('btn-ics-import-close').onclick = () => this.closeModal();
+        document.getElementById('btn-ics-import-cancel').onclick = () => this.closeModal();
+
+        // Populate Year Options
+        const currentYear = this.state.currentYear || new Date().getFullYear();
+        yearSelect.innerHTML = '';
+        for (let i = -2; i <= 2; i++) {
+            const y = currentYear + i;
+            const opt = document.createElement('option');
+            opt.value = y;
+            opt.text = `${y} 학년도`;
+            if (y === currentYear) opt.selected = true;
+            yearSelect.appendChild(opt);
+        }
+
+        const refreshDepts = async () => {
+            const depts = await this.fetchDepartments(parseInt(yearSelect.value));
+            deptSelect.innerHTML = depts.map(d => `<option value="${d.id}">${this.escapeHtml(d.dept_name)}</option>`).join('');
+            if (depts.length === 0) {
+                deptSelect.innerHTML = '<option value="">(등록된 부서 없음)</option>';
+            }
+            // Dept users can only import into their own department(s)
+            const mine = this.myDepartments(depts);
+            if (this.state.role === 'dept' && mine.length > 0) {
+                deptSelect.innerHTML = mine.map(d => `<option value="${d.id}">${this.escapeHtml(d.dept_name)}</option>`).join('');
+                deptSelect.disabled = mine.length === 1;
+            }
+        };
+
+        const renderPreview = async () => {
+            if (!rawEvents) return;
+
+            const ay = parseInt(yearSelect.value);
+            const ayStart = `${ay}-03-01`;
+            const ayEnd = this.formatLocal(new Date(ay + 1, 2, 0));
+            const deptId = deptSelect.value;
+            const deptOption = deptSelect.options[deptSelect.selectedIndex];
+            const deptName = deptId && deptOption ? deptOption.text : '';
+            const errors = [];
+            parsedRows = [];
+            btnSubmit.disabled = true;
+
+            // 1. Flatten VEVENTs (RRULEs expanded inside the academic year)
+            rawEvents.filter(ev => !ev.dtstart).forEach(ev => {
+                errors.push(`'${ev.summary || ev.uid || '제목 없음'}': 시작일(DTSTART) 누락`);
+            });
+            const allRows = window.ICal.toOccurrences(rawEvents, { to: ayEnd });
+            const rows = allRows.filter(r => r.end >= ayStart);
+            if (allRows.length > rows.length) {
+                errors.push(`${ay}학년도 기간 밖의 일정 ${allRows.length - rows.length}건은 제외됩니다.`);
+            }
+            if (!deptId) errors.push('등록할 부서를 선택하세요.');
+
+            // 2. Existing titles per date (same normalization as transformEvents admin-event dedup)
+            const existing = {}; // { 'YYYY-MM-DD': Set(normalizedTitles) }
+            const addRef = (date, name) => {
+                if (!date || !name) return;
+                if (!existing[date]) existing[date] = new Set();
+                existing[date].add(this.normalizeTitle(name));
+            };
+
+            try {
+                const [basicRes, schedRes] = await Promise.all([
+                    window.SupabaseClient.supabase
+                        .from('basic_schedules')
+                        .select('name, start_date, end_date')
+                        .eq('academic_year', ay),
+                    window.SupabaseClient.supabase
+                        .from('schedules')
+                        .select('title, start_date')
+                        .eq('dept_id', deptId || 0)
+                        .gte('end_date', ayStart)
+                        .lte('start_date', ayEnd)
+                ]);
+                if (basicRes.error) throw basicRes.error;
+                if (schedRes.error) throw schedRes.error;
+
+                const basics = basicRes.data || [];
+                basics.forEach(b => {
+                    if (!b.start_date) return;
+                    let curr = this.parseLocal(b.start_date);
+                    const last = this.parseLocal(b.end_date || b.start_date);
+                    while (curr <= last) {
+                        addRef(this.formatLocal(curr), b.name);
+                        curr.setDate(curr.getDate() + 1);
+                    }
+                });
+                if (basics.length === 0) {
+                    Object.entries(this.calculateMergedHolidays(ay)).forEach(([dateStr, name]) => {
+                        name.split(', ').forEach(n => addRef(dateStr, n));
+                    });
+                }
+                Object.entries(this.FIXED_ENV_EVENTS || {}).forEach(([mmdd, name]) => {
+                    const mm = parseInt(mmdd.split('-')[0]);
+                    addRef(`${(mm < 3) ? ay + 1 : ay}-${mmdd}`, name);
+                });
+                (schedRes.data || []).forEach(s => addRef(s.start_date, s.title));
+            } catch (err) {
+                console.error('ICS dedup lookup failed:', err);
+                errors.push('기존 일정 조회 실패: ' + err.message);
+            }
+
+            // 3. Build insert rows (skipping duplicates, also within the file)
+            let dupCount = 0;
+            rows.forEach(r => {
+                if (!r.summary) {
+                    errors.push(`${r.start}: 제목이 없는 일정은 건너뜁니다.`);
+                    return;
+                }
+                if (existing[r.start] && existing[r.start].has(this.normalizeTitle(r.summary))) {
+                    dupCount++;
+                    return;
+                }
+                addRef(r.start, r.summary);
+
+                const startDay = this.parseLocal(r.start).getDay();
+                parsedRows.push({
+                    title: r.summary,
+                    start_date: r.start,
+                    end_date: r.end,
+                    description: r.description || '',
+                    dept_id: deptId ? parseInt(deptId) : null,
+                    dept_name: deptName, // Store name for recovery
+                    visibility: visSelect.value,
+                    author_id: this.state.user.id,
+                    is_printable: true,
+                    weekend: (startDay === 0 || startDay === 6) ? 'on' : null
+                });
+            });
+
+            // 4. Render
+            statusArea.classList.remove('hidden');
+            previewCount.textContent = parsedRows.length;
+            duplicateCount.textContent = dupCount;
+
+            const PREVIEW_LIMIT = 50;
+            previewList.innerHTML = parsedRows.slice(0, PREVIEW_LIMIT).map(r => `
+                <li class="px-2 py-1 flex justify-between gap-2">
+                    <span class="truncate">${this.escapeHtml(r.title)}</span>
+                    <span class="text-gray-400 flex-shrink-0">${r.start_date}${r.end_date !== r.start_date ? ' ~ ' + r.end_date : ''}</span>
+                </li>`).join('') +
+                (parsedRows.length > PREVIEW_LIMIT ? `<li class="px-2 py-1 text-gray-400 text-center">외 ${parsedRows.length - PREVIEW_LIMIT}건</li>` : '');
+
+            if (errors.length > 0) {
+                errorList.innerHTML = errors.map(e => `<li>${this.escapeHtml(e)}</li>`).join('');
+                errorList.classList.remove('hidden');
+            } else {
+                errorList.innerHTML = '';
+                errorList.classList.add('hidden');
+            }
+
+            btnSubmit.disabled = !(deptId && parsedRows.length > 0);
+        };
+
+        // File Select & Parse
+        fileInput.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            fileNameDisplay.textContent = file.name;
+
+            const reader = new FileReader();
+            reader.onload = async (evt) => {
+                rawEvents = window.ICal.parse(evt.target.result);
+                if (rawEvents.length === 0) {
+                    alert('파일에서 일정(VEVENT)을 찾을 수 없습니다.');
+                    rawEvents = null;
+                    return;
+                }
+                await renderPreview();
+            };
+            reader.readAsText(file, 'utf-8');
+        };
+
+        yearSelect.onchange = async () => {
+            await refreshDepts();
+            await renderPreview();
+        };
+        deptSelect.onchange = renderPreview;
+        visSelect.onchange = renderPreview;
+
+        // Import Action
+        btnSubmit.onclick = async () => {
+            if (parsedRows.length === 0) return;
+            const deptName = deptSelect.options[deptSelect.selectedIndex].text;
+            if (!confirm(`${deptName} 일정 ${parsedRows.length}건을 등록하시겠습니까?`)) return;
 
-                // Auto-refresh Admin View if available
-                if (this.refreshAdminView) {
-                    await this.refreshAdminView(parseInt(selectedYear));
-                }
+            btnSubmit.disabled = true;
+            btnSubmit.textContent = '등록 중...';
+            try {
+                const { error } = await window.SupabaseClient.supabase
+                    .from('schedules')
+                    .insert(parsedRows);
+                if (error) throw error;
 
-                if (this.state.calendar) this.initCalendar();
+                this.logAction('ICS_IMPORT', 'schedules', null, { count: parsedRows.length, dept_id: parsedRows[0].dept_id });
+                alert(`총 ${parsedRows.length}건의 일정이 등록되었습니다.`);
+                this.closeModal();
 
+                this.invalidateSchedules(parsedRows);
+                if (this.state.calendar) this.initCalendar();
             } catch (e) {
                 console.error(e);
-                alert('업로드 실패: ' + e.message);
-                btnUpload.disabled = false;
-                btnUpload.textContent = '업로드';
+                alert('가져오기 실패: ' + e.message);
+                btnSubmit.disabled = false;
+                btnSubmit.textContent = '가져오기';
             }
         };
+
+        await refreshDepts();
     },
 
     openDeptImportModal: async function () {
@@ -5101,6 +8541,7 @@ const App = {
                     academic_year: toYear,
                     dept_name: d.dept_name,
                     dept_short: d.dept_short,
+                    dept_id_en: d.dept_id_en,
                     dept_color: d.dept_color,
                     sort_order: d.sort_order,
                     is_active: d.is_active,
@@ -5140,14 +8581,533 @@ const App = {
         }
     },
 
+    // --- Academic Year Rollover (새 학년도 시작 마법사) ---
+
+    // Same month/day in toYear moved to the nearest day with the original weekday, kept inside that academic year
+    shiftToYear: function (dateStr, fromYear, toYear) {
+        const src = this.parseLocal(dateStr);
+        const d = new Date(src.getFullYear() + (toYear - fromYear), src.getMonth(), src.getDate());
+        let delta = (src.getDay() - d.getDay() + 7) % 7;
+        if (delta > 3) delta -= 7;
+        d.setDate(d.getDate() + delta);
+
+        let shifted = this.formatLocal(d);
+        if (shifted < `${toYear}-03-01`) shifted = this.shiftDate(shifted, 7);
+        if (shifted > this.formatLocal(new Date(toYear + 1, 2, 0))) shifted = this.shiftDate(shifted, -7);
+        return shifted;
+    },
+
+    /**
+     * Everything the wizard would create for toYear, built from fromYear's data.
+     * Throws when fromYear has no settings or toYear is already set up.
+     */
+    buildRolloverPlan: async function (fromYear, toYear) {
+        const supabase = window.SupabaseClient.supabase;
+        const results = await Promise.all([
+            supabase.from('settings').select('*').eq('academic_year', fromYear).limit(1),
+            supabase.from('settings').select('id').eq('academic_year', toYear).limit(1),
+            supabase.from('departments').select('id').eq('academic_year', toYear).limit(1),
+            supabase.from('basic_schedules').select('*').eq('academic_year', fromYear),
+            supabase.from('departments').select('*').eq('academic_year', fromYear).order('sort_order', { ascending: true }),
+            supabase.from('schedules').select('*').eq('academic_year', fromYear).is('rrule', null).is('series_id', null).order('start_date'),
+            supabase.from('schedules').select('title, start_date').eq('academic_year', toYear)
+        ]);
+        const failed = results.find(r => r.error);
+        if (failed) throw failed.error;
+        const [srcSettings, dstSettings, dstDepts, srcBasics, srcDepts, srcSchedules, dstSchedules] = results.map(r => r.data || []);
+
+        if (srcSettings.length === 0) throw new Error(`${fromYear}학년도 학교 정보가 없습니다.`);
+        if (dstSettings.length > 0 || dstDepts.length > 0) {
+            throw new Error(`${toYear}학년도는 이미 설정되어 있습니다. 학교 정보·부서 설정 화면에서 수정하세요.`);
+        }
+
+        const shiftRange = (row) => {
+            const start = this.shiftToYear(row.start_date, fromYear, toYear);
+            return { start_date: start, end_date: this.shiftDate(start, this.diffDays(row.start_date, row.end_date || row.start_date)) };
+        };
+
+        const holidays = this.calculateMergedHolidays(toYear);
+        const { sem1Start, winterEnd } = this.computeYearStartDates(toYear, holidays);
+
+        // Terms, vacations, exams and ceremonies (coded rows); the 1학기 start is the template's first semester period,
+        // and the vacation that ended the previous year ends on the last day of February again
+        const template = window.CalendarTemplates.resolve(srcSettings[0].calendar_template);
+        const firstSemester = template.periods.find(p => p.semester);
+        const yearEndVac = window.CalendarTemplates.yearEndVacation(template, code => srcBasics.some(b => b.code === code));
+        const basics = srcBasics
+            .filter(b => b.code)
+            .sort((a, b) => (a.start_date || '').localeCompare(b.start_date || ''))
+            .map(b => {
+                const row = { type: b.type, code: b.code, name: b.name, is_holiday: !!b.is_holiday, grade: b.grade || null, prev_start: b.start_date, prev_end: b.end_date, ...shiftRange(b) };
+                if (firstSemester && b.code === firstSemester.code) row.start_date = row.end_date = sem1Start;
+                if (yearEndVac && b.code === yearEndVac.code) row.end_date = winterEnd;
+                return row;
+            });
+
+        const depts = srcDepts.map(d => ({ source: d, action: d.is_active ? 'keep' : 'drop', name: d.dept_name, mergeInto: null }));
+
+        // Carry-over candidates: last year's major events, plus schedules titled like one of them pre-selected
+        const majorEvents = srcBasics.filter(b => b.type === 'event' && !b.code);
+        const majorTitles = new Set(majorEvents.map(b => this.normalizeTitle(b.name)));
+        const existing = new Set(dstSchedules.map(s => `${s.start_date}|${this.normalizeTitle(s.title)}`));
+        const events = [
+            ...majorEvents.map(b => ({ kind: 'basic', source: b, title: b.name, checked: true, prev_start: b.start_date, ...shiftRange(b) })),
+            ...srcSchedules.map(s => ({ kind: 'schedule', source: s, title: s.title, checked: majorTitles.has(this.normalizeTitle(s.title)), prev_start: s.start_date, ...shiftRange(s) }))
+        ];
+        events.forEach(ev => {
+            if (ev.kind === 'schedule' && existing.has(`${ev.start_date}|${this.normalizeTitle(ev.title)}`)) {
+                ev.duplicate = true;
+                ev.checked = false;
+            }
+        });
+
+        return { fromYear, toYear, settings: srcSettings[0], holidays, basics, depts, events };
+    },
+
+    // Department entry a source department ends up in (null = dropped)
+    resolveRolloverDept: function (plan, srcDeptId) {
+        const entry = plan.depts.find(p => String(p.source.id) === String(srcDeptId));
+        if (!entry || entry.action === 'drop') return null;
+        return entry.action === 'merge' ? plan.depts[entry.mergeInto] : entry;
+    },
+
+    openRolloverModal: async function () {
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['rollover']) {
+                const response = await fetch('pages/modal-rollover.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                this.state.templates['rollover'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['rollover'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load rollover modal", e);
+            alert('모달을 불러올 수 없습니다. (' + e.message + ')');
+            return;
+        }
+
+        const $ = (id) => document.getElementById(id);
+        const fromSelect = $('rollover-from-year');
+        const toSelect = $('rollover-to-year');
+        const btnPrev = $('btn-rollover-prev');
+        const btnNext = $('btn-rollover-next');
+        const btnCommit = $('btn-rollover-commit');
+        const yearMessage = $('rollover-year-message');
+        const LAST_STEP = 5;
+        let step = 1;
+        let plan = null;
+
+        $('btn-rollover-close').onclick = () => this.closeModal();
+        $('btn-rollover-cancel').onclick = () => this.closeModal();
+
+        const currentYear = new Date().getFullYear();
+        const viewedYear = parseInt(document.getElementById('setting-academic-year')?.value) || currentYear;
+        for (let y = currentYear - 5; y <= currentYear + 5; y++) {
+            fromSelect.add(new Option(`${y}학년도`, y, false, y === viewedYear));
+            toSelect.add(new Option(`${y}학년도`, y, false, y === viewedYear + 1));
+        }
+        // Year choice changed -> rebuild on the next "다음"
+        fromSelect.onchange = toSelect.onchange = () => { plan = null; };
+
+        const isOffDay = (dateStr) => {
+            const d = this.parseLocal(dateStr);
+            return !d || d.getDay() === 0 || d.getDay() === 6 || !!plan.holidays[dateStr];
+        };
+        const dateCell = (value, attrs, flag) =>
+            `<input type="date" value="${value || ''}" ${attrs} class="border rounded px-1 py-0.5 ${flag ? 'text-red-500 border-red-300' : ''}">`;
+
+        // --- Step 2: Basic Schedules ---
+        const renderBasics = () => {
+            $('rollover-basic-body').innerHTML = plan.basics.map((b, i) => {
+                const ranged = b.type === 'vacation' || b.type === 'exam' || b.prev_start !== b.prev_end;
+                // Vacations may start or end on a weekend; only a holiday start is worth a look
+                const flagged = b.type === 'vacation' ? !!plan.holidays[b.start_date] : isOffDay(b.start_date);
+                return `
+                <tr>
+                    <td class="px-2 py-1">${this.escapeHtml(b.name)}</td>
+                    <td class="px-2 py-1 text-gray-400">${b.prev_start}${b.prev_end && b.prev_end !== b.prev_start ? ' ~ ' + b.prev_end : ''}</td>
+                    <td class="px-2 py-1">${dateCell(b.start_date, `data-idx="${i}" data-field="start_date"`, flagged)}</td>
+                    <td class="px-2 py-1">${ranged ? dateCell(b.end_date, `data-idx="${i}" data-field="end_date"`, false) : ''}</td>
+                </tr>`;
+            }).join('') || '<tr><td colspan="4" class="px-2 py-2 text-gray-400">작년 학사일정이 없습니다.</td></tr>';
+
+            $('rollover-basic-body').querySelectorAll('input[type="date"]').forEach(inp => {
+                inp.onchange = () => {
+                    const row = plan.basics[inp.dataset.idx];
+                    const ranged = row.type === 'vacation' || row.type === 'exam' || row.prev_start !== row.prev_end;
+                    row[inp.dataset.field] = inp.value;
+                    if (!ranged || row.end_date < row.start_date) row.end_date = row.start_date;
+                    renderBasics();
+                };
+            });
+
+            const holidayEntries = Object.entries(plan.holidays).sort(([a], [b]) => a.localeCompare(b));
+            $('rollover-holiday-count').textContent = holidayEntries.length;
+            $('rollover-holiday-list').innerHTML = holidayEntries
+                .map(([date, name]) => `<li>${date} ${this.escapeHtml(name)}</li>`).join('');
+        };
+
+        // --- Step 3: Departments ---
+        const renderDepts = () => {
+            const targets = plan.depts.map((d, i) => ({ d, i })).filter(({ d }) => d.action === 'keep' || d.action === 'rename');
+            $('rollover-dept-body').innerHTML = plan.depts.map((d, i) => {
+                let detail = '<span class="text-gray-400">-</span>';
+                if (d.action === 'rename') {
+                    detail = `<input type="text" value="${this.escapeHtml(d.name)}" data-idx="${i}" class="rollover-dept-name border rounded px-2 py-0.5 w-40">`;
+                } else if (d.action === 'merge') {
+                    detail = `<select data-idx="${i}" class="rollover-dept-merge border rounded px-1 py-0.5 bg-white">
+                        <option value="">통합할 부서 선택</option>
+                        ${targets.filter(t => t.i !== i).map(t => `<option value="${t.i}" ${d.mergeInto === t.i ? 'selected' : ''}>${this.escapeHtml(t.d.name)}</option>`).join('')}
+                    </select>`;
+                }
+                return `
+                <tr class="${d.action === 'drop' ? 'text-gray-400' : ''}">
+                    <td class="px-2 py-1">${this.escapeHtml(d.source.dept_name)}${d.source.is_active ? '' : ' (사용 안 함)'}</td>
+                    <td class="px-2 py-1">
+                        <select data-idx="${i}" class="rollover-dept-action border rounded px-1 py-0.5 bg-white">
+                            <option value="keep" ${d.action === 'keep' ? 'selected' : ''}>그대로</option>
+                            <option value="rename" ${d.action === 'rename' ? 'selected' : ''}>이름 변경</option>
+                            <option value="merge" ${d.action === 'merge' ? 'selected' : ''}>통합</option>
+                            <option value="drop" ${d.action === 'drop' ? 'selected' : ''}>가져오지 않음</option>
+                        </select>
+                    </td>
+                    <td class="px-2 py-1">${detail}</td>
+                </tr>`;
+            }).join('') || '<tr><td colspan="3" class="px-2 py-2 text-gray-400">작년 부서가 없습니다.</td></tr>';
+
+            const body = $('rollover-dept-body');
+            body.querySelectorAll('.rollover-dept-action').forEach(sel => {
+                sel.onchange = () => {
+                    const d = plan.depts[sel.dataset.idx];
+                    d.action = sel.value;
+                    if (d.action !== 'rename') d.name = d.source.dept_name;
+                    if (d.action !== 'merge') d.mergeInto = null;
+                    renderDepts();
+                };
+            });
+            body.querySelectorAll('.rollover-dept-name').forEach(inp => {
+                inp.oninput = () => { plan.depts[inp.dataset.idx].name = inp.value.trim(); };
+            });
+            body.querySelectorAll('.rollover-dept-merge').forEach(sel => {
+                sel.onchange = () => { plan.depts[sel.dataset.idx].mergeInto = sel.value === '' ? null : parseInt(sel.value); };
+            });
+        };
+
+        const validateDepts = () => {
+            const names = new Set();
+            for (const d of plan.depts) {
+                if (d.action === 'keep' || d.action === 'rename') {
+                    if (!d.name) return `'${d.source.dept_name}'의 새 이름을 입력하세요.`;
+                    if (names.has(d.name)) return `부서 이름 '${d.name}'이(가) 중복됩니다.`;
+                    names.add(d.name);
+                }
+            }
+            for (const d of plan.depts) {
+                if (d.action !== 'merge') continue;
+                const target = plan.depts[d.mergeInto];
+                if (!target || (target.action !== 'keep' && target.action !== 'rename')) {
+                    return `'${d.source.dept_name}'을(를) 통합할 부서를 선택하세요.`;
+                }
+            }
+            return null;
+        };
+
+        // --- Step 4: Annual Events ---
+        const renderEvents = () => {
+            const keyword = this.normalizeTitle($('rollover-event-filter').value);
+            const visible = plan.events.map((ev, i) => ({ ev, i })).filter(({ ev }) => !keyword || this.normalizeTitle(ev.title).includes(keyword));
+
+            $('rollover-event-body').innerHTML = visible.map(({ ev, i }) => {
+                let deptLabel = '주요 행사';
+                if (ev.kind === 'schedule') {
+                    const target = ev.source.dept_id ? this.resolveRolloverDept(plan, ev.source.dept_id) : null;
+                    deptLabel = target ? target.name : (ev.source.dept_name || '미지정');
+                }
+                return `
+                <tr class="${ev.duplicate ? 'text-gray-400' : ''}">
+                    <td class="px-2 py-1"><input type="checkbox" data-idx="${i}" class="rollover-event-check rounded text-purple-600" ${ev.checked ? 'checked' : ''} ${ev.duplicate ? 'disabled' : ''}></td>
+                    <td class="px-2 py-1">${this.escapeHtml(ev.title)}${ev.duplicate ? ' (이미 있음)' : ''}</td>
+                    <td class="px-2 py-1 text-gray-400">${ev.prev_start}</td>
+                    <td class="px-2 py-1">${dateCell(ev.start_date, `data-idx="${i}"`, isOffDay(ev.start_date))}</td>
+                    <td class="px-2 py-1">${this.escapeHtml(deptLabel)}</td>
+                </tr>`;
+            }).join('') || '<tr><td colspan="5" class="px-2 py-2 text-gray-400">옮길 수 있는 일정이 없습니다.</td></tr>';
+
+            const body = $('rollover-event-body');
+            body.querySelectorAll('.rollover-event-check').forEach(cb => {
+                cb.onchange = () => { plan.events[cb.dataset.idx].checked = cb.checked; };
+            });
+            body.querySelectorAll('input[type="date"]').forEach(inp => {
+                inp.onchange = () => {
+                    const ev = plan.events[inp.dataset.idx];
+                    if (!inp.value) return renderEvents();
+                    const length = this.diffDays(ev.start_date, ev.end_date);
+                    ev.start_date = inp.value;
+                    ev.end_date = this.shiftDate(inp.value, length);
+                    renderEvents();
+                };
+            });
+
+            const selectable = visible.filter(({ ev }) => !ev.duplicate);
+            $('rollover-event-all').checked = selectable.length > 0 && selectable.every(({ ev }) => ev.checked);
+            $('rollover-event-all').onchange = (e) => {
+                selectable.forEach(({ ev }) => { ev.checked = e.target.checked; });
+                renderEvents();
+            };
+        };
+        $('rollover-event-filter').oninput = renderEvents;
+
+        // --- Step 5: Summary ---
+        const renderSummary = () => {
+            const kept = plan.depts.filter(d => d.action === 'keep' || d.action === 'rename');
+            const renamed = plan.depts.filter(d => d.action === 'rename' && d.name !== d.source.dept_name);
+            const merged = plan.depts.filter(d => d.action === 'merge');
+            const dropped = plan.depts.filter(d => d.action === 'drop');
+            const chosen = plan.events.filter(ev => ev.checked);
+            const offDays = chosen.filter(ev => isOffDay(ev.start_date)).length;
+
+            $('rollover-summary-year').textContent = plan.toYear;
+            $('rollover-summary').innerHTML = [
+                `학교 정보: ${this.escapeHtml(plan.settings.full_name_kr || plan.settings.school_name || '-')}`,
+                `학사일정 ${plan.basics.length}건, 공휴일 ${Object.keys(plan.holidays).length}일`,
+                `부서 ${kept.length}개` +
+                    (renamed.length ? ` · 이름 변경 ${renamed.map(d => `${this.escapeHtml(d.source.dept_name)} → ${this.escapeHtml(d.name)}`).join(', ')}` : '') +
+                    (merged.length ? ` · 통합 ${merged.map(d => `${this.escapeHtml(d.source.dept_name)} → ${this.escapeHtml(plan.depts[d.mergeInto].name)}`).join(', ')}` : '') +
+                    (dropped.length ? ` · 제외 ${dropped.length}개` : ''),
+                `주요 행사 ${chosen.filter(ev => ev.kind === 'basic').length}건, 부서 일정 ${chosen.filter(ev => ev.kind === 'schedule').length}건 이월` +
+                    (offDays ? ` <span class="text-red-500">(주말·공휴일 ${offDays}건)</span>` : '')
+            ].map(t => `<li>${t}</li>`).join('');
+            $('rollover-status').textContent = '';
+        };
+
+        const showStep = (n) => {
+            step = n;
+            document.querySelectorAll('.rollover-step').forEach(sec => sec.classList.toggle('hidden', parseInt(sec.dataset.step) !== n));
+            document.querySelectorAll('#rollover-steps li').forEach(li => {
+                const active = parseInt(li.dataset.step) === n;
+                li.classList.toggle('font-bold', active);
+                li.classList.toggle('text-purple-700', active);
+                li.classList.toggle('bg-white', active);
+            });
+            btnPrev.disabled = n === 1;
+            btnNext.classList.toggle('hidden', n === LAST_STEP);
+            btnCommit.classList.toggle('hidden', n !== LAST_STEP);
+
+            if (n === 2) renderBasics();
+            if (n === 3) renderDepts();
+            if (n === 4) renderEvents();
+            if (n === 5) renderSummary();
+        };
+
+        btnPrev.onclick = () => showStep(step - 1);
+        btnNext.onclick = async () => {
+            if (step === 1) {
+                const fy = parseInt(fromSelect.value);
+                const ty = parseInt(toSelect.value);
+                if (ty <= fy) {
+                    yearMessage.className = 'text-sm text-red-600';
+                    yearMessage.textContent = '새 학년도는 이전 학년도보다 뒤여야 합니다.';
+                    return;
+                }
+                if (!plan) {
+                    btnNext.disabled = true;
+                    yearMessage.className = 'text-sm text-gray-500';
+                    yearMessage.textContent = '작년 자료를 불러오는 중...';
+                    try {
+                        plan = await this.buildRolloverPlan(fy, ty);
+                        yearMessage.textContent = '';
+                    } catch (e) {
+                        console.error("Rollover Plan Error:", e);
+                        yearMessage.className = 'text-sm text-red-600';
+                        yearMessage.textContent = e.message;
+                        return;
+                    } finally {
+                        btnNext.disabled = false;
+                    }
+                }
+            }
+            if (step === 2 && plan.basics.some(b => !b.start_date)) {
+                alert('날짜가 비어 있는 학사일정이 있습니다.');
+                return;
+            }
+            if (step === 3) {
+                const problem = validateDepts();
+                if (problem) {
+                    alert(problem);
+                    return;
+                }
+            }
+            showStep(step + 1);
+        };
+
+        btnCommit.onclick = async () => {
+            if (!confirm(`${plan.toYear}학년도를 시작하시겠습니까?`)) return;
+            btnCommit.disabled = true;
+            btnPrev.disabled = true;
+            try {
+                const warnings = await this.commitRollover(plan, (msg) => { $('rollover-status').textContent = msg; });
+                this.closeModal();
+                alert(`${plan.toYear}학년도를 시작했습니다.` + (warnings.length ? `\n\n${warnings.join('\n')}` : ''));
+
+                const yearSelect = document.getElementById('setting-academic-year');
+                if (yearSelect) {
+                    if (![...yearSelect.options].some(o => parseInt(o.value) === plan.toYear)) {
+                        yearSelect.add(new Option(`${plan.toYear}학년도`, plan.toYear));
+                    }
+                    yearSelect.value = plan.toYear;
+                }
+                if (this.refreshAdminView) await this.refreshAdminView(plan.toYear);
+            } catch (e) {
+                console.error("Rollover Error:", e);
+                $('rollover-status').textContent = '';
+                alert('새 학년도 시작 실패: ' + this.describeWriteError(e, 'settings'));
+                btnCommit.disabled = false;
+                btnPrev.disabled = false;
+            }
+        };
+
+        showStep(1);
+    },
+
+    /**
+     * Writes a rollover plan. The target year was empty, so a failure part-way deletes what was
+     * already created instead of leaving a half-set-up year. Returns non-fatal warnings.
+     */
+    commitRollover: async function (plan, onProgress = () => { }) {
+        const supabase = window.SupabaseClient.supabase;
+        const { fromYear, toYear } = plan;
+        const created = [];
+        const insert = async (table, rows, columns = 'id') => {
+            if (rows.length === 0) return [];
+            const { data, error } = await supabase.from(table).insert(rows).select(columns);
+            if (error) throw error;
+            created.push({ table, ids: data.map(r => r.id) });
+            return data;
+        };
+
+        try {
+            onProgress('학교 정보를 복사하는 중...');
+            const s = plan.settings;
+            await insert('settings', [{
+                academic_year: toYear,
+                school_name: s.school_name,
+                full_name_kr: s.full_name_kr,
+                name_en: s.name_en,
+                level_kr: s.level_kr,
+                level_en: s.level_en,
+                session_persistence: s.session_persistence || 'choice',
+                idle_timeout_minutes: s.idle_timeout_minutes || 0,
+                min_instruction_days: s.min_instruction_days || 190,
+                grade_count: s.grade_count || 3,
+                calendar_template: s.calendar_template || null
+            }]);
+
+            onProgress('부서를 만드는 중...');
+            const kept = plan.depts.filter(d => d.action === 'keep' || d.action === 'rename');
+            const insertedDepts = await insert('departments', kept.map((d, i) => ({
+                academic_year: toYear,
+                dept_name: d.name,
+                dept_short: d.source.dept_short,
+                dept_id_en: d.source.dept_id_en,
+                dept_color: d.source.dept_color,
+                sort_order: d.source.sort_order ?? i,
+                is_active: true,
+                is_printable: d.source.is_printable !== undefined ? d.source.is_printable : true
+            })), 'id, dept_name, dept_id_en');
+            kept.forEach(d => { d.created = insertedDepts.find(r => r.dept_name === d.name); });
+
+            onProgress('학사일정을 등록하는 중...');
+            const basicRows = [
+                ...plan.basics.map(b => ({ academic_year: toYear, type: b.type, code: b.code, name: b.name, start_date: b.start_date, end_date: b.end_date || b.start_date, is_holiday: b.is_holiday, grade: b.grade || null })),
+                ...Object.entries(plan.holidays).map(([date, name]) => ({ academic_year: toYear, type: 'holiday', code: null, name, start_date: date, end_date: date, is_holiday: true })),
+                ...plan.events.filter(ev => ev.checked && ev.kind === 'basic').map(ev => ({ academic_year: toYear, type: 'event', code: null, name: ev.title, start_date: ev.start_date, end_date: ev.end_date, is_holiday: false, grade: ev.source.grade || null }))
+            ];
+            await insert('basic_schedules', basicRows);
+
+            onProgress('연간 행사를 옮기는 중...');
+            const scheduleRows = plan.events.filter(ev => ev.checked && ev.kind === 'schedule').map(ev => {
+                const target = ev.source.dept_id ? this.resolveRolloverDept(plan, ev.source.dept_id) : null;
+                const startDay = this.parseLocal(ev.start_date).getDay();
+                return {
+                    title: ev.source.title,
+                    start_date: ev.start_date,
+                    end_date: ev.end_date,
+                    description: ev.source.description || '',
+                    dept_id: target && target.created ? target.created.id : null,
+                    dept_name: target ? target.name : ev.source.dept_name,
+                    visibility: ev.source.visibility,
+                    grade: ev.source.grade || null,
+                    author_id: ev.source.author_id || this.state.user.id,
+                    is_printable: ev.source.is_printable !== false,
+                    weekend: (startDay === 0 || startDay === 6) ? 'on' : null
+                };
+            });
+            await insert('schedules', scheduleRows);
+        } catch (e) {
+            for (const { table, ids } of created.reverse()) {
+                const { error } = await supabase.from(table).delete().in('id', ids);
+                if (error) console.error(`Rollover cleanup failed (${table}):`, error);
+            }
+            throw e;
+        }
+
+        // Renamed / merged departments get a new code; members of the old code join it too (old rows stay for past years)
+        const warnings = [];
+        const codeMoves = [];
+        plan.depts.forEach(d => {
+            const target = d.action === 'merge' ? plan.depts[d.mergeInto] : d;
+            if (d.action === 'drop' || !target.created) return;
+            const from = this.deptCode(d.source);
+            const to = this.deptCode(target.created);
+            if (from && to && from !== to) codeMoves.push({ from, to });
+        });
+        if (codeMoves.length > 0) {
+            onProgress('부서 구성원을 옮기는 중...');
+            const { data: members, error } = await supabase
+                .from('department_members')
+                .select('user_id, dept_code')
+                .in('dept_code', codeMoves.map(m => m.from));
+            const memberRows = (members || []).flatMap(m => codeMoves
+                .filter(move => move.from === m.dept_code)
+                .map(move => ({ user_id: m.user_id, dept_code: move.to })));
+            let memberErr = error;
+            if (!memberErr && memberRows.length > 0) {
+                ({ error: memberErr } = await supabase.from('department_members').upsert(memberRows));
+            }
+            if (memberErr) warnings.push('부서 구성원 이동 실패: ' + this.describeWriteError(memberErr, 'department_members'));
+        }
+
+        this.logAction('ROLLOVER', 'settings', null, {
+            from_year: fromYear,
+            to_year: toYear,
+            departments: plan.depts.map(d => ({ from: d.source.dept_name, action: d.action, to: d.action === 'merge' ? plan.depts[d.mergeInto].name : d.name })),
+            events: plan.events.filter(ev => ev.checked).length
+        });
+
+        this.invalidateSchedules();
+        this.state.cache.departments = null;
+        this.state.cache.basicSchedules = {};
+        return warnings;
+    },
+
 
     bindCalendarSearch: function () {
         const searchInput = document.getElementById('search-schedule');
         const searchResults = document.getElementById('search-results');
         if (!searchInput) return;
 
-        searchInput.addEventListener('input', (e) => {
+        const ayRange = (ay) => [`${ay}-03-01`, this.formatLocal(new Date(ay + 1, 2, 0))];
+        let searchSeq = 0; // Ignore results of superseded keystrokes
+
+        // Load the viewed academic year into the shared store before the first keystroke
+        searchInput.addEventListener('focus', () => {
+            if (this.state.viewAcademicYear) this.getSchedulesInRange(...ayRange(this.state.viewAcademicYear));
+        });
+
+        searchInput.addEventListener('input', async (e) => {
             const query = e.target.value.toLowerCase().trim();
+            const seq = ++searchSeq;
             if (query.length < 2) {
                 searchResults.classList.add('hidden');
                 return;
@@ -5173,8 +9133,17 @@ const App = {
                 });
             }
 
+            // Whole viewed academic year from the shared store; series are searched per occurrence
+            let searchSchedules = this.state.schedules || [];
+            if (activeAY) {
+                const [ayStart, ayEnd] = ayRange(activeAY);
+                const rows = await this.getSchedulesInRange(ayStart, ayEnd);
+                if (seq !== searchSeq) return;
+                searchSchedules = this.expandSchedules(rows, ayStart, ayEnd, this.state.basicSchedules);
+            }
+
             const allSource = [
-                ...(this.state.schedules || []).map(s => {
+                ...searchSchedules.map(s => {
                     const deptIdKey = s.dept_id ? String(s.dept_id) : null;
                     const deptNameKey = s.dept_name;
 
@@ -5268,6 +9237,348 @@ const App = {
         });
     },
 
+    // --- Offline Mode ---
+
+    initOffline: function () {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js').catch(e => console.warn('Service worker registration failed:', e));
+        }
+
+        window.addEventListener('offline', () => this.setOfflineMode(true));
+        window.addEventListener('online', () => this.handleReconnect());
+
+        if (navigator.onLine) this.replayOfflineQueue();
+        else this.setOfflineMode(true);
+    },
+
+    // Network failures (not RLS / validation errors) switch reads to the IndexedDB mirror
+    isNetworkError: function (error) {
+        if (!navigator.onLine) return true;
+        const msg = String((error && error.message) || error || '');
+        return /Failed to fetch|NetworkError|Load failed|Network request failed/i.test(msg);
+    },
+
+    // Best effort: the app keeps working without IndexedDB
+    mirror: function (task) {
+        if (!window.OfflineStore) return;
+        Promise.resolve().then(task).catch(e => console.warn('Offline mirror failed:', e));
+    },
+
+    /**
+     * Run a read query through the offline mirror.
+     * Success: the mirrored rows matching `covers` are replaced by the result.
+     * Network failure: answer from the mirror (offlineRows(allRows), default: rows matching covers).
+     */
+    queryWithMirror: async function (table, query, covers, offlineRows = null) {
+        const result = await query;
+        if (!window.OfflineStore) return result;
+
+        if (!result.error) {
+            const rows = (result.data || []).map(r => ({ ...r })); // Callers may decorate the originals
+            this.mirror(async () => {
+                await window.OfflineStore.replace(table, rows, covers);
+                await window.OfflineStore.setMeta('lastSync', new Date().toISOString());
+            });
+            return result;
+        }
+        if (!this.isNetworkError(result.error)) return result;
+
+        try {
+            const all = await window.OfflineStore.getAll(table);
+            this.setOfflineMode(true);
+            return { data: offlineRows ? offlineRows(all) : all.filter(covers), error: null };
+        } catch (e) {
+            console.warn('Offline mirror unavailable:', e);
+            return result;
+        }
+    },
+
+    setOfflineMode: function (on) {
+        if (this.state.offline === on) return;
+        this.state.offline = on;
+        const banner = document.getElementById('offline-banner');
+        if (banner) banner.classList.toggle('hidden', !on);
+        if (on) this.updateOfflineBanner();
+    },
+
+    updateOfflineBanner: async function () {
+        const text = document.getElementById('offline-banner-text');
+        if (!text || !window.OfflineStore) return;
+        try {
+            const [lastSync, queue] = await Promise.all([
+                window.OfflineStore.getMeta('lastSync'),
+                window.OfflineStore.getQueue()
+            ]);
+            let msg = '오프라인 상태입니다. 마지막으로 동기화된 일정을 표시합니다.';
+            if (lastSync) msg += ` (동기화: ${new Date(lastSync).toLocaleString('ko-KR')})`;
+            if (queue.length > 0) msg += ` · 저장 대기 ${queue.length}건`;
+            text.textContent = msg;
+        } catch (e) {
+            console.warn('Offline banner update failed:', e);
+        }
+    },
+
+    /**
+     * Queue a schedule write made offline (openScheduleModal) and show it locally.
+     * op: { action: 'insert' | 'update' | 'delete' | 'series_save' | 'series_delete', base, data, scope, occurrenceDate }
+     * base is the row as loaded; replayOfflineQueue compares its updated_at with the server.
+     */
+    queueScheduleWrite: async function (op) {
+        if (!window.OfflineStore) {
+            alert('이 브라우저에서는 오프라인 저장을 사용할 수 없습니다.');
+            return false;
+        }
+
+        let qid;
+        try {
+            qid = await window.OfflineStore.enqueue({
+                ...op,
+                title: (op.data || op.base || {}).title || '',
+                user_id: this.state.user.id
+            });
+        } catch (e) {
+            alert('오프라인 저장 실패: ' + e.message);
+            return false;
+        }
+
+        // Local preview until the replay refetches the real rows (series changes are not previewed)
+        let localId = null;
+        let localRow = null;
+        if (op.action === 'insert') {
+            localId = `offline-${qid}`;
+            localRow = { ...op.data, id: localId, _pending: true };
+        } else if (op.action === 'update') {
+            localId = op.base.id;
+            localRow = { ...op.base, ...op.data, _pending: true };
+        } else if (op.action === 'delete' || (op.action === 'series_delete' && op.scope === 'all')) {
+            localId = op.base.id;
+        }
+        if (localId !== null) {
+            this.patchScheduleStore(localId, localRow);
+            this.mirror(() => localRow
+                ? window.OfflineStore.put('schedules', localRow)
+                : window.OfflineStore.delete('schedules', localId));
+        }
+
+        this.setOfflineMode(true);
+        this.updateOfflineBanner();
+        this.renderRealtimeView();
+        alert(op.action.startsWith('series')
+            ? '오프라인 상태입니다. 반복 일정 변경은 연결되면 반영됩니다.'
+            : '오프라인 상태입니다. 연결되면 자동으로 저장됩니다.');
+        return true;
+    },
+
+    /**
+     * Replay queued writes in order. Rows changed or deleted on the server since they were
+     * loaded are not overwritten; they are reported as conflicts and dropped from the queue.
+     */
+    replayOfflineQueue: async function () {
+        if (this._replayingQueue || !window.OfflineStore || !this.state.user) return;
+        this._replayingQueue = true; // Before any await: sign-in and startup may both start a replay
+
+        let ops;
+        try {
+            ops = (await window.OfflineStore.getQueue()).filter(op => op.user_id === this.state.user.id);
+        } catch (e) {
+            console.warn('Offline queue unavailable:', e);
+            ops = [];
+        }
+        if (ops.length === 0) {
+            this._replayingQueue = false;
+            return;
+        }
+
+        const supabase = window.SupabaseClient.supabase;
+        const conflicts = [];
+        let applied = 0;
+
+        for (const op of ops) {
+            try {
+                let current = null;
+                if (op.base) {
+                    const { data: rows, error } = await supabase.from('schedules').select('*').eq('id', op.base.id).limit(1);
+                    if (error) throw error;
+                    current = rows && rows[0];
+
+                    if (!current) {
+                        if (!op.action.endsWith('delete')) conflicts.push({ op, reason: '서버에서 이미 삭제된 일정입니다.' });
+                        await window.OfflineStore.dequeue(op.qid);
+                        continue;
+                    }
+                    if (op.base.updated_at && current.updated_at !== op.base.updated_at) {
+                        conflicts.push({ op, reason: '오프라인 중에 다른 사용자가 수정했습니다.' });
+                        await window.OfflineStore.dequeue(op.qid);
+                        continue;
+                    }
+                }
+
+                // Same checks as the online save: a write RLS filtered out is a conflict, not applied
+                let result = null;
+                if (op.action === 'insert') {
+                    result = await supabase.from('schedules').insert([op.data]).select('id');
+                } else if (op.action === 'update') {
+                    result = await supabase.from('schedules').update(op.data).eq('id', current.id).select('id');
+                } else if (op.action === 'delete') {
+                    result = await supabase.from('schedules').delete().eq('id', current.id).select('id');
+                } else if (op.action === 'series_save') {
+                    await this.saveRecurringSchedule(current, op.scope, op.occurrenceDate, op.data);
+                } else if (op.action === 'series_delete') {
+                    await this.deleteRecurringSchedule(current, op.scope, op.occurrenceDate);
+                }
+                if (result) {
+                    if (result.error) throw result.error;
+                    this.assertRowsAffected(result.data);
+                }
+
+                const actionName = { insert: 'INSERT', update: 'UPDATE', delete: 'DELETE', series_save: 'UPDATE', series_delete: 'DELETE' }[op.action];
+                this.logAction(actionName, 'schedules', current ? current.id : null, { title: op.title, offline: true, queued_at: op.queued_at });
+                await window.OfflineStore.dequeue(op.qid);
+                applied++;
+            } catch (e) {
+                // Still unreachable: keep this and the following writes for the next reconnect
+                if (this.isNetworkError(e)) break;
+                conflicts.push({ op, reason: this.describeWriteError(e) });
+                await window.OfflineStore.dequeue(op.qid);
+            }
+        }
+        this._replayingQueue = false;
+
+        conflicts.forEach(c => this.logAction('OFFLINE_CONFLICT', 'schedules', c.op.base ? c.op.base.id : null, {
+            title: c.op.title, action: c.op.action, reason: c.reason, data: c.op.data
+        }));
+
+        if (conflicts.length > 0) {
+            alert(`오프라인 중 변경한 일정 ${applied}건을 저장했습니다.\n\n다음 ${conflicts.length}건은 반영하지 못했습니다. 내용을 확인하고 다시 입력해주세요:\n`
+                + conflicts.map(c => `- ${c.op.title || '(제목 없음)'}: ${c.reason}`).join('\n'));
+        } else if (applied > 0) {
+            alert(`오프라인 중 변경한 일정 ${applied}건을 저장했습니다.`);
+        }
+
+        if (applied > 0 || conflicts.length > 0) {
+            this.invalidateSchedules();
+            this.renderRealtimeView();
+        }
+    },
+
+    handleReconnect: async function () {
+        await this.replayOfflineQueue();
+
+        // Everything read while offline came from the mirror: resync the visible view
+        this.state.cache.basicSchedules = {};
+        this.state.cache.departments = null;
+        this.invalidateSchedules();
+        this.setOfflineMode(false);
+        this.renderRealtimeView();
+    },
+
+    // Every sign-out (logout, idle timeout, gating): mirrored internal schedules and the user's pending writes go.
+    // keepQueue: the idle timeout keeps queued writes for their author's next login (see replayOfflineQueue);
+    // other users' kept writes are never touched. Call it before signOut, while state.user is still set.
+    clearOfflineData: async function (keepQueue = false) {
+        if (!window.OfflineStore) return;
+        try {
+            await window.OfflineStore.clear('schedules');
+            if (keepQueue || !this.state.user) return;
+            const queue = await window.OfflineStore.getQueue();
+            await Promise.all(queue.filter(op => op.user_id === this.state.user.id).map(op => window.OfflineStore.dequeue(op.qid)));
+        } catch (e) {
+            console.warn('Offline data cleanup failed:', e);
+        }
+    },
+
+    // This user's schedule writes waiting in the offline queue
+    countQueuedWrites: async function () {
+        if (!window.OfflineStore || !this.state.user) return 0;
+        const queue = await window.OfflineStore.getQueue().catch(() => []);
+        return queue.filter(op => op.user_id === this.state.user.id).length;
+    },
+
+    // --- Realtime Sync ---
+
+    initRealtime: function () {
+        if (this.state._realtimeReady) return;
+        this.state._realtimeReady = true;
+
+        ['schedules', 'basic_schedules', 'departments'].forEach(table => {
+            window.SupabaseClient.subscribe(table, (payload) => this.applyRealtimeChange(table, payload));
+        });
+    },
+
+    // After sign-out: drop the channels joined with the old session and rejoin as a guest
+    resetRealtime: async function () {
+        await window.SupabaseClient.unsubscribeAll();
+        this.state._realtimeReady = false;
+        this.initRealtime();
+    },
+
+    /**
+     * Apply one realtime change to the caches without refetching.
+     * Caches that are not loaded yet are left alone (the next render fetches them anyway).
+     */
+    applyRealtimeChange: function (table, payload) {
+        const row = (payload.eventType !== 'DELETE' && payload.new) ? payload.new : null;
+        const id = (row || payload.old || {}).id;
+        if (id === undefined || id === null) return;
+
+        // Replace / append / remove by id; keep decides whether the new row belongs in the list
+        const patch = (list, keep) => {
+            const idx = list.findIndex(r => String(r.id) === String(id));
+            if (row && keep) {
+                if (idx !== -1) list[idx] = row;
+                else list.push(row);
+            } else if (idx !== -1) {
+                list.splice(idx, 1);
+            }
+        };
+
+        if (table === 'schedules') {
+            // Guests only ever hold public schedules (same filter as fetchSchedules)
+            this.patchScheduleStore(id, (row && (this.state.user || row.visibility === 'public')) ? row : null);
+        } else if (table === 'basic_schedules') {
+            const cache = this.state.cache.basicSchedules;
+            Object.keys(cache).forEach(ay => patch(cache[ay], row && String(row.academic_year) === String(ay)));
+        } else if (table === 'departments') {
+            const bySortOrder = (a, b) => (a.sort_order || 0) - (b.sort_order || 0);
+            if (this.state.cache.departments) {
+                patch(this.state.cache.departments, true);
+                this.state.cache.departments.sort(bySortOrder);
+            }
+            // Active departments of the year currently shown by the list / dept views
+            const viewed = this.state.departments || [];
+            const viewedYear = viewed.length > 0 ? viewed[0].academic_year : this.state.viewAcademicYear;
+            patch(viewed, row && row.is_active && String(row.academic_year) === String(viewedYear));
+            viewed.sort(bySortOrder);
+        } else {
+            return;
+        }
+
+        this.scheduleRealtimeRender();
+    },
+
+    // Bursts (e.g. an Excel import) re-render once
+    scheduleRealtimeRender: function () {
+        clearTimeout(this._realtimeTimer);
+        this._realtimeTimer = setTimeout(() => this.renderRealtimeView(), 300);
+    },
+
+    renderRealtimeView: async function () {
+        const mode = this.state.viewMode;
+        try {
+            if (mode === 'calendar' && this.state.calendar && document.getElementById('calendar')) {
+                const view = this.state.calendar.view;
+                await this.refreshCalendarData(view.activeStart, view.activeEnd);
+                this.distributeVerticalSpace();
+            } else if (mode === 'list' && document.getElementById('list-view-container')) {
+                await this.renderListView();
+            } else if (mode === 'dept_list' && document.getElementById('dept-view-tbody')) {
+                await this.renderDeptListView();
+            }
+        } catch (e) {
+            console.error('Realtime render failed:', e);
+        }
+    },
+
     refreshCalendarData: async function (start, end) {
         const fetchId = ++this.state._lastFetchId;
 
@@ -5281,17 +9592,21 @@ const App = {
         // 1. Check & Fetch missing data
         const missingAYs = academicYears.filter(ay => !this.state.cache.basicSchedules[ay]);
         const needsDepts = !this.state.cache.departments;
-        const needsSchedules = !this.state.cache.schedules;
+        const rangeStart = this.formatLocal(start);
+        const rangeEnd = this.formatLocal(end);
 
         const promises = [];
-        if (missingAYs.length > 0) promises.push(window.SupabaseClient.supabase.from('basic_schedules').select('*').in('academic_year', missingAYs));
-        else promises.push(Promise.resolve({ data: [] }));
+        if (missingAYs.length > 0) {
+            promises.push(this.queryWithMirror('basic_schedules',
+                window.SupabaseClient.supabase.from('basic_schedules').select('*').in('academic_year', missingAYs),
+                (r) => missingAYs.includes(parseInt(r.academic_year))));
+        } else promises.push(Promise.resolve({ data: [] }));
 
-        if (needsDepts) promises.push(window.SupabaseClient.supabase.from('departments').select('*'));
+        if (needsDepts) promises.push(this.queryWithMirror('departments', window.SupabaseClient.supabase.from('departments').select('*'), () => true));
         else promises.push(Promise.resolve({ data: this.state.cache.departments }));
 
-        if (needsSchedules) promises.push(this.fetchSchedules());
-        else promises.push(Promise.resolve(this.state.cache.schedules));
+        // Only the visible window (cached per month)
+        promises.push(this.getSchedulesInRange(rangeStart, rangeEnd));
 
         const [basicRes, departmentsRes, schedulesData] = await Promise.all(promises);
 
@@ -5311,7 +9626,6 @@ const App = {
             });
         }
         if (needsDepts) this.state.cache.departments = departmentsRes.data || [];
-        if (needsSchedules) this.state.cache.schedules = schedulesData || [];
 
         // 3. Assemble data from Cache
         const allBasicSchedules = [];
@@ -5320,7 +9634,7 @@ const App = {
             if (yearData) allBasicSchedules.push(...yearData);
         });
         const allDepartments = this.state.cache.departments;
-        const schedules = this.state.cache.schedules;
+        const schedules = schedulesData;
 
         // [SEARCH] Identify "Active" Academic Year for Scoping
         const midDate = new Date(start.getTime() + (end.getTime() - start.getTime()) / 2);
@@ -5346,7 +9660,10 @@ const App = {
             departments: allDepartments
         };
 
-        const allEvents = this.transformEvents(schedules, {}, allDepartments, allBasicSchedules);
+        const allEvents = this.transformEvents(schedules, {}, allDepartments, allBasicSchedules, {
+            start: rangeStart,
+            end: rangeEnd
+        });
 
         allEvents.forEach(e => {
             const dateKey = e.start;
@@ -5411,12 +9728,14 @@ const App = {
         this.state.calendarData = data;
         this.state.calendar.setOption('events', data.backgroundEvents);
         // REMOVED: this.state.calendar.render(); // Redundant and causes freeze due to full re-render
+
+        this.prefetchSchedules(rangeStart, rangeEnd);
     },
 
     renderCalendarCell: function (arg) {
         const dateStr = this.formatLocal(arg.date);
         const data = this.state.calendarData || { holidayMap: {}, redDayMap: {}, scheduleMap: {}, departments: [] };
-        const canEdit = this.state.role === 'admin' || this.state.role === 'head_teacher' || this.state.role === 'head';
+        const canEdit = this.can('print.select');
 
         const container = document.createElement('div');
         container.className = "flex flex-col w-full justify-start items-stretch";
@@ -5604,8 +9923,6 @@ const App = {
                         evDiv.classList.add('no-print');
                     }
 
-                    const canEdit = this.state.role === 'admin' || this.state.role === 'head_teacher' || this.state.role === 'head';
-
                     if (canEdit) {
                         const checkbox = document.createElement('input');
                         checkbox.type = 'checkbox';
@@ -5639,7 +9956,7 @@ const App = {
                     evDiv.title = titleText.replace(/<[^>]*>?/gm, ''); // [FIX] Strip tags for tooltip
                     evDiv.onclick = (e) => {
                         e.stopPropagation();
-                        this.openScheduleModal(ev.id);
+                        this.openScheduleModal(ev.id, null, ev.extendedProps.occurrenceDate);
                     };
                     deptDiv.appendChild(evDiv);
                 });
@@ -5767,7 +10084,7 @@ const App = {
             action_type: action,
             target_table: table,
             target_id: targetId,
-            changes: JSON.stringify(details)
+            details: details || null
         }]).then(({ error }) => {
             if (error) console.error("Audit Log Error:", error);
         });
@@ -0,0 +1,135 @@
+/**
+ * Basic Schedule Templates (기본 학사 일정 구조)
+ * The named periods a school enters on the admin form. settings.calendar_template keeps the school's own
+ * (edited) copy; NULL means presets.high. The admin form, the Excel title mapping and the instructional day
+ * counter are generated from it; the calendar renders the saved rows by their type.
+ *
+ * periods[]:
+ *   group    section heading on the admin form (periods with the same group are shown together)
+ *   code     basic_schedules.code, unique (A-Z, 0-9, _)
+ *   name     basic_schedules.name, also the Excel 일정명
+ *   type     'term' (개학) | 'vacation' (방학) | 'event' (행사) | 'exam' (고사) | 'holiday' (휴업일, shown red)
+ *   range    start ~ end instead of a single date
+ *   semester starts a 학기: 수업일수 is counted per 학기 from the first one
+ *   grade    only this grade (optional)
+ *   aliases  other Excel titles for the period (optional)
+ *   auto     { from, edge: 'start' | 'end', dir: 'prev' | 'next', lock } - filled with the school day before / after
+ *            another period's start or end (left empty when that falls outside the academic year);
+ *            lock = read-only until the admin chooses to enter it by hand
+ *   untilYearEnd  range end defaults to the last day of the academic year once the start is entered;
+ *                 the first such vacation is where the year-end vacation search starts (yearEndVacation)
+ */
+window.CalendarTemplates = {
+    TYPES: { term: '개학', vacation: '방학', event: '행사', exam: '고사', holiday: '휴업일' },
+
+    presets: {
+        high: {
+            name: '고등학교 (2학기제 · 봄방학)',
+            periods: [
+                { group: '1학기 & 여름방학', code: 'TERM1_START', name: '1학기 개학', type: 'term', semester: true, aliases: ['1학기 개학일'] },
+                { group: '1학기 & 여름방학', code: 'SUMMER_VAC_CEREMONY', name: '여름방학식', type: 'event', auto: { from: 'SUMMER_VAC', edge: 'start', dir: 'prev', lock: true } },
+                { group: '1학기 & 여름방학', code: 'SUMMER_VAC', name: '여름방학', type: 'vacation', range: true, aliases: ['여름방학 기간'] },
+                { group: '2학기 & 겨울방학', code: 'TERM2_START', name: '2학기 개학', type: 'term', semester: true, aliases: ['2학기 개학일'], auto: { from: 'SUMMER_VAC', edge: 'end', dir: 'next', lock: true } },
+                { group: '2학기 & 겨울방학', code: 'WINTER_VAC_CEREMONY', name: '겨울방학식', type: 'event', auto: { from: 'WINTER_VAC', edge: 'start', dir: 'prev', lock: true } },
+                { group: '2학기 & 겨울방학', code: 'WINTER_VAC', name: '겨울방학', type: 'vacation', range: true, untilYearEnd: true, aliases: ['겨울방학 기간'] },
+                { group: '봄방학 (선택입력)', code: 'SPRING_SEM_START', name: '봄 개학', type: 'term', aliases: ['봄 개학일'], auto: { from: 'WINTER_VAC', edge: 'end', dir: 'next', lock: true } },
+                { group: '봄방학 (선택입력)', code: 'SPRING_VAC_CEREMONY', name: '봄방학식', type: 'event', auto: { from: 'SPRING_VAC', edge: 'start', dir: 'prev', lock: true } },
+                { group: '봄방학 (선택입력)', code: 'SPRING_VAC', name: '봄방학', type: 'vacation', range: true, untilYearEnd: true, aliases: ['봄방학 기간'] },
+                { group: '고사기간 (지필평가)', code: 'EXAM_1_1', name: '1학기 1차지필', type: 'exam', range: true },
+                { group: '고사기간 (지필평가)', code: 'EXAM_1_2', name: '1학기 2차지필', type: 'exam', range: true },
+                { group: '고사기간 (지필평가)', code: 'EXAM_2_1', name: '2학기 1차지필', type: 'exam', range: true },
+                { group: '고사기간 (지필평가)', code: 'EXAM_2_2', name: '2학기 2차지필', type: 'exam', range: true },
+                { group: '고사기간 (지필평가)', code: 'EXAM_3_2_2', name: '3학년 2학기 2차지필', type: 'exam', range: true, grade: 3 }
+            ]
+        },
+
+        middle: {
+            name: '중학교 (2학기제 · 봄방학 없음)',
+            periods: [
+                { group: '1학기 & 여름방학', code: 'TERM1_START', name: '1학기 개학', type: 'term', semester: true, aliases: ['1학기 개학일'] },
+                { group: '1학기 & 여름방학', code: 'SUMMER_VAC_CEREMONY', name: '여름방학식', type: 'event', auto: { from: 'SUMMER_VAC', edge: 'start', dir: 'prev', lock: true } },
+                { group: '1학기 & 여름방학', code: 'SUMMER_VAC', name: '여름방학', type: 'vacation', range: true, aliases: ['여름방학 기간'] },
+                { group: '2학기 & 겨울방학', code: 'TERM2_START', name: '2학기 개학', type: 'term', semester: true, aliases: ['2학기 개학일'], auto: { from: 'SUMMER_VAC', edge: 'end', dir: 'next', lock: true } },
+                { group: '2학기 & 겨울방학', code: 'WINTER_VAC_CEREMONY', name: '겨울방학식', type: 'event', auto: { from: 'WINTER_VAC', edge: 'start', dir: 'prev', lock: true } },
+                { group: '2학기 & 겨울방학', code: 'WINTER_VAC', name: '겨울방학', type: 'vacation', range: true, untilYearEnd: true, aliases: ['겨울방학 기간'] },
+                { group: '고사기간 (지필평가)', code: 'EXAM_1_1', name: '1학기 1차지필', type: 'exam', range: true },
+                { group: '고사기간 (지필평가)', code: 'EXAM_1_2', name: '1학기 2차지필', type: 'exam', range: true },
+                { group: '고사기간 (지필평가)', code: 'EXAM_2_1', name: '2학기 1차지필', type: 'exam', range: true },
+                { group: '고사기간 (지필평가)', code: 'EXAM_2_2', name: '2학기 2차지필', type: 'exam', range: true }
+            ]
+        },
+
+        elementary: {
+            name: '초등학교 (2학기제 · 고사 없음)',
+            periods: [
+                { group: '1학기 & 여름방학', code: 'TERM1_START', name: '1학기 개학', type: 'term', semester: true, aliases: ['1학기 개학일'] },
+                { group: '1학기 & 여름방학', code: 'SUMMER_VAC_CEREMONY', name: '여름방학식', type: 'event', auto: { from: 'SUMMER_VAC', edge: 'start', dir: 'prev', lock: true } },
+                { group: '1학기 & 여름방학', code: 'SUMMER_VAC', name: '여름방학', type: 'vacation', range: true, aliases: ['여름방학 기간'] },
+                { group: '2학기 & 겨울방학', code: 'TERM2_START', name: '2학기 개학', type: 'term', semester: true, aliases: ['2학기 개학일'], auto: { from: 'SUMMER_VAC', edge: 'end', dir: 'next', lock: true } },
+                { group: '2학기 & 겨울방학', code: 'GRADUATION', name: '졸업식', type: 'event', grade: 6 },
+                { group: '2학기 & 겨울방학', code: 'WINTER_VAC_CEREMONY', name: '종업식', type: 'event', aliases: ['겨울방학식'], auto: { from: 'WINTER_VAC', edge: 'start', dir: 'prev', lock: true } },
+                { group: '2학기 & 겨울방학', code: 'WINTER_VAC', name: '겨울방학', type: 'vacation', range: true, untilYearEnd: true, aliases: ['겨울방학 기간'] }
+            ]
+        },
+
+        trimester: {
+            name: '3학기제',
+            periods: [
+                { group: '1학기', code: 'TERM1_START', name: '1학기 개학', type: 'term', semester: true, aliases: ['1학기 개학일'] },
+                { group: '1학기', code: 'EXAM_1', name: '1학기 고사', type: 'exam', range: true },
+                { group: '1학기', code: 'SUMMER_VAC', name: '여름방학', type: 'vacation', range: true, aliases: ['여름방학 기간'] },
+                { group: '2학기', code: 'TERM2_START', name: '2학기 개학', type: 'term', semester: true, aliases: ['2학기 개학일'], auto: { from: 'SUMMER_VAC', edge: 'end', dir: 'next' } },
+                { group: '2학기', code: 'EXAM_2', name: '2학기 고사', type: 'exam', range: true },
+                { group: '2학기', code: 'WINTER_VAC', name: '겨울방학', type: 'vacation', range: true, aliases: ['겨울방학 기간'] },
+                { group: '3학기', code: 'TERM3_START', name: '3학기 개학', type: 'term', semester: true, aliases: ['3학기 개학일'], auto: { from: 'WINTER_VAC', edge: 'end', dir: 'next' } },
+                { group: '3학기', code: 'EXAM_3', name: '3학기 고사', type: 'exam', range: true },
+                { group: '3학기', code: 'SPRING_VAC', name: '봄방학', type: 'vacation', range: true, untilYearEnd: true, aliases: ['봄방학 기간'] }
+            ]
+        }
+    },
+
+    // settings.calendar_template -> a usable template (invalid / missing: the high school preset)
+    resolve: function (stored) {
+        const valid = stored && Array.isArray(stored.periods) && stored.periods.length > 0 &&
+            stored.periods.every(p => p && /^[A-Z0-9_]+$/.test(p.code || '') && p.name && this.TYPES[p.type]);
+        return JSON.parse(JSON.stringify(valid ? stored : this.presets.high));
+    },
+
+    // Problems that keep an edited template from being used: [message]
+    validate: function (template) {
+        const errors = [];
+        const codes = new Set();
+        (template.periods || []).forEach((p, i) => {
+            const at = `${i + 1}번째 항목`;
+            if (!p.name) errors.push(`${at}: 이름이 없습니다.`);
+            if (!/^[A-Z0-9_]+$/.test(p.code || '')) errors.push(`${at}: 코드는 영문 대문자·숫자·_ 만 쓸 수 있습니다.`);
+            else if (codes.has(p.code)) errors.push(`${at}: 코드 ${p.code}가 중복됩니다.`);
+            codes.add(p.code);
+            if (!this.TYPES[p.type]) errors.push(`${at}: 구분이 올바르지 않습니다.`);
+        });
+        if (!(template.periods || []).some(p => p.semester)) errors.push('학기 시작 항목이 하나 이상 있어야 합니다.');
+        return errors;
+    },
+
+    // The vacation that runs to the last day of February. Candidates are the vacations from the first
+    // untilYearEnd one on (the last vacation if none is marked); the last candidate in use (inUse(code))
+    // wins, else the first candidate. A mid-year break before them (3학기제 겨울방학) is never picked.
+    yearEndVacation: function (template, inUse = () => false) {
+        const vacations = (template.periods || []).filter(p => p.type === 'vacation' && p.range);
+        const from = vacations.findIndex(p => p.untilYearEnd);
+        const candidates = vacations.slice(from >= 0 ? from : Math.max(vacations.length - 1, 0));
+        const used = candidates.filter(p => inUse(p.code));
+        return used[used.length - 1] || candidates[0] || null;
+    },
+
+    // Excel 일정명 -> { code, type, grade }
+    titleMap: function (template) {
+        const map = {};
+        template.periods.forEach(p => {
+            [p.name, ...(p.aliases || [])].forEach(title => {
+                map[title] = { code: p.code, type: p.type, grade: p.grade || null };
+            });
+        });
+        return map;
+    }
+};
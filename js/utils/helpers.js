@@ -1,4 +1,75 @@
 /**
  * Helper Functions
  */
-// Generic helpers will go here
+window.Helpers = {
+    // File bytes -> text. Excel on Korean Windows saves "CSV" as CP949 (EUC-KR) unless UTF-8 is chosen.
+    decodeText: function (buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+        } catch (e) {
+            return new TextDecoder('euc-kr').decode(buffer);
+        }
+    },
+
+    // CSV text -> array of rows (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+    parseCsv: function (text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        // Drop blank lines
+        return rows.filter(r => r.some(v => String(v).trim() !== ''));
+    },
+
+    toCsv: function (rows) {
+        const escape = (v) => {
+            const s = v === null || v === undefined ? '' : String(v);
+            return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        };
+        return rows.map(r => r.map(escape).join(',')).join('\r\n');
+    },
+
+    // BOM so Excel opens the UTF-8 file with Korean intact
+    downloadCsv: function (filename, rows) {
+        const blob = new Blob(['\uFEFF' + this.toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * National Holiday Rules (관공서의 공휴일에 관한 규정)
+ * Read by HolidayEngine (js/utils/holidays.js). A law change or a one-off holiday is a data edit here.
+ *
+ * holidays[]:
+ *   date: 'MM-DD' solar | lunar: 'MM-DD' lunar (converted per year)
+ *   span: [daysBefore, daysAfter] around the main day, named spanName (default '<name> 연휴')
+ *   from / until: 'YYYY-MM-DD' period the holiday exists
+ *   official: false - a school day off that is not a 공휴일 under the 규정 (tests/holidays.test.js skips it)
+ *   substitute: { policy, since } - 대체공휴일 on the next day that is neither a weekend nor a holiday
+ *     'weekend'            Saturday or Sunday
+ *     'weekend_or_overlap' Saturday, Sunday or another holiday on the same day
+ *     'sunday_or_overlap'  Sunday or another holiday on the same day (설날 / 추석 spans)
+ * overrides[calendarYear]: add { 'YYYY-MM-DD': name } (elections, 임시공휴일), remove ['YYYY-MM-DD']
+ */
+window.HolidayRules = {
+    holidays: [
+        { name: '삼일절', date: '03-01', substitute: { policy: 'weekend', since: '2021-08-04' } },
+        { name: '근로자의날', date: '05-01', official: false },
+        { name: '어린이날', date: '05-05', substitute: { policy: 'weekend_or_overlap', since: '2014-01-01' } },
+        { name: '현충일', date: '06-06' },
+        { name: '제헌절', date: '07-17', official: false },
+        { name: '광복절', date: '08-15', substitute: { policy: 'weekend', since: '2021-08-04' } },
+        { name: '개천절', date: '10-03', substitute: { policy: 'weekend', since: '2021-08-04' } },
+        { name: '한글날', date: '10-09', substitute: { policy: 'weekend', since: '2021-08-04' } },
+        { name: '성탄절', date: '12-25', substitute: { policy: 'weekend', since: '2023-05-04' } },
+        { name: '신정', date: '01-01' },
+        { name: '부처님오신날', lunar: '04-08', substitute: { policy: 'weekend', since: '2023-05-04' } },
+        { name: '설날', lunar: '01-01', span: [1, 1], substitute: { policy: 'sunday_or_overlap', since: '2014-01-01' } },
+        { name: '추석', lunar: '08-15', span: [1, 1], substitute: { policy: 'sunday_or_overlap', since: '2014-01-01' } }
+    ],
+
+    overrides: {
+        2015: { add: { '2015-08-14': '임시공휴일' } },
+        2016: { add: { '2016-04-13': '국회의원선거일', '2016-05-06': '임시공휴일' } },
+        2017: { add: { '2017-05-09': '대통령선거일', '2017-10-02': '임시공휴일' } },
+        2018: { add: { '2018-06-13': '전국동시지방선거일' } },
+        2020: { add: { '2020-04-15': '국회의원선거일', '2020-08-17': '임시공휴일' } },
+        2022: { add: { '2022-03-09': '대통령선거일', '2022-06-01': '전국동시지방선거일' } },
+        2023: { add: { '2023-10-02': '임시공휴일' } },
+        2024: { add: { '2024-04-10': '국회의원선거일', '2024-10-01': '임시공휴일(국군의날)' } },
+        2025: { add: { '2025-01-27': '임시공휴일', '2025-06-03': '대통령선거일' } },
+        2026: { add: { '2026-06-03': '전국동시지방선거일' } }
+    }
+};
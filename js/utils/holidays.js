@@ -0,0 +1,88 @@
+/**
+ * National Holiday Engine
+ * Turns window.HolidayRules (js/utils/holiday-rules.js) into { 'YYYY-MM-DD': name } for one
+ * academic year (March - February). Lunar dates go through the caller's lunarToSolar(year, 'MMDD').
+ */
+window.HolidayEngine = {
+    // 'YYYY-MM-DD' arithmetic in local time
+    shift: function (dateStr, days) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        const date = new Date(y, m - 1, d + days);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    weekday: function (dateStr) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        return new Date(y, m - 1, d).getDay();
+    },
+
+    // Every rule's days in one calendar year: [{ date, name, rule }]
+    occurrences: function (year, lunarToSolar, rules) {
+        const list = [];
+        rules.holidays.forEach(rule => {
+            const main = rule.lunar ? lunarToSolar(year, rule.lunar.replace('-', '')) : `${year}-${rule.date}`;
+            if (!main) return;
+            if ((rule.from && main < rule.from) || (rule.until && main > rule.until)) return;
+
+            const [before, after] = rule.span || [0, 0];
+            for (let i = -before; i <= after; i++) {
+                list.push({ date: this.shift(main, i), name: i === 0 ? rule.name : (rule.spanName || `${rule.name} 연휴`), rule });
+            }
+        });
+        return list;
+    },
+
+    needsSubstitute: function (policy, dateStr, overlap) {
+        const day = this.weekday(dateStr);
+        if (policy === 'weekend') return day === 0 || day === 6;
+        if (policy === 'weekend_or_overlap') return day === 0 || day === 6 || overlap;
+        if (policy === 'sunday_or_overlap') return day === 0 || overlap;
+        return false;
+    },
+
+    calculate: function (academicYear, lunarToSolar, rules = window.HolidayRules) {
+        const year = parseInt(academicYear);
+        const ayStart = `${year}-03-01`;
+        const ayEnd = this.shift(`${year + 1}-03-01`, -1);
+
+        // Both calendar years in full, so a substitute that crosses into March / out of February is still found
+        const days = {}; // date -> [{ name, rule }]
+        [year, year + 1].forEach(y => {
+            this.occurrences(y, lunarToSolar, rules).forEach(o => {
+                (days[o.date] = days[o.date] || []).push({ name: o.name, rule: o.rule });
+            });
+            const override = (rules.overrides || {})[y] || {};
+            Object.entries(override.add || {}).forEach(([date, name]) => {
+                (days[date] = days[date] || []).push({ name, rule: null });
+            });
+            (override.remove || []).forEach(date => { delete days[date]; });
+        });
+
+        // 대체공휴일: next day that is neither a weekend, a holiday nor an earlier substitute
+        const substitutes = {};
+        const isOff = (date) => {
+            const day = this.weekday(date);
+            return day === 0 || day === 6 || !!days[date] || !!substitutes[date];
+        };
+        Object.keys(days).sort().forEach(date => {
+            const entries = days[date];
+            entries.forEach(({ name, rule }) => {
+                const sub = rule && rule.substitute;
+                if (!sub || (sub.since && date < sub.since)) return;
+                if (!this.needsSubstitute(sub.policy, date, entries.length > 1)) return;
+
+                let next = this.shift(date, 1);
+                for (let safety = 0; safety < 30 && isOff(next); safety++) next = this.shift(next, 1);
+                substitutes[next] = `대체공휴일(${name})`;
+            });
+        });
+
+        const result = {};
+        const all = { ...substitutes };
+        Object.entries(days).forEach(([date, entries]) => { all[date] = entries.map(e => e.name).join(', '); });
+        Object.keys(all).sort().forEach(date => {
+            if (date >= ayStart && date <= ayEnd) result[date] = all[date];
+        });
+        return result;
+    }
+};
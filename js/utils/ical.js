@@ -0,0 +1,392 @@
+/**
+ * iCalendar (RFC 5545) Helpers
+ * All-day events only: GOELink stores dates (YYYY-MM-DD), never times.
+ * Timed events are imported by their (local) date.
+ */
+window.ICal = {
+    PRODID: '-//GOELink//School Calendar//KO',
+    // UID domain is fixed (not location.host) so UIDs stay stable across deployments
+    UID_DOMAIN: 'goelink',
+
+    uid: function (prefix, key) {
+        return `${prefix}-${key}@${this.UID_DOMAIN}`;
+    },
+
+    escapeText: function (s) {
+        return String(s == null ? '' : s)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    // 'YYYY-MM-DD' -> 'YYYYMMDD'
+    formatDate: function (dateStr) {
+        return String(dateStr).split('T')[0].replace(/-/g, '');
+    },
+
+    // Date -> 'YYYYMMDDTHHMMSSZ' (UTC)
+    formatStamp: function (d) {
+        return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    // Timezone safe day arithmetic on 'YYYY-MM-DD'
+    addDays: function (dateStr, n) {
+        const [y, m, d] = String(dateStr).split('T')[0].split('-').map(Number);
+        const dt = new Date(y, m - 1, d + n);
+        return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}`;
+    },
+
+    // Fold at 75 octets (UTF-8), continuation lines start with a single space
+    foldLine: function (line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let chunk = '';
+        let size = 0;
+        let limit = 75;
+        for (const ch of line) {
+            const len = encoder.encode(ch).length;
+            if (size + len > limit) {
+                parts.push(chunk);
+                chunk = '';
+                size = 0;
+                limit = 74; // Leading space counts toward the limit
+            }
+            chunk += ch;
+            size += len;
+        }
+        parts.push(chunk);
+        return parts.join('\r\n ');
+    },
+
+    /**
+     * Build a VCALENDAR document.
+     * @param {Array} events - [{ uid, start, end, summary, description, categories, visibility, lastModified, rrule, exdates }]
+     *                         start/end are inclusive 'YYYY-MM-DD' dates.
+     * @param {Object} options - { name, description }
+     */
+    buildCalendar: function (events, options = {}) {
+        const stamp = this.formatStamp(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (options.name) lines.push(`X-WR-CALNAME:${this.escapeText(options.name)}`);
+        if (options.description) lines.push(`X-WR-CALDESC:${this.escapeText(options.description)}`);
+        lines.push('X-WR-TIMEZONE:Asia/Seoul');
+
+        events.forEach(ev => {
+            const end = ev.end || ev.start;
+            lines.push('BEGIN:VEVENT');
+            lines.push(`UID:${ev.uid}`);
+            lines.push(`DTSTAMP:${stamp}`);
+            lines.push(`DTSTART;VALUE=DATE:${this.formatDate(ev.start)}`);
+            // DTEND is exclusive for all-day events
+            lines.push(`DTEND;VALUE=DATE:${this.formatDate(this.addDays(end, 1))}`);
+            lines.push(`SUMMARY:${this.escapeText(ev.summary)}`);
+            if (ev.description) lines.push(`DESCRIPTION:${this.escapeText(ev.description)}`);
+            if (ev.categories) lines.push(`CATEGORIES:${this.escapeText(ev.categories)}`);
+            if (ev.rrule) lines.push(`RRULE:${ev.rrule}`);
+            if (ev.exdates && ev.exdates.length > 0) {
+                lines.push(`EXDATE;VALUE=DATE:${ev.exdates.map(d => this.formatDate(d)).join(',')}`);
+            }
+            if (ev.lastModified) lines.push(`LAST-MODIFIED:${this.formatStamp(new Date(ev.lastModified))}`);
+            lines.push(`CLASS:${ev.visibility && ev.visibility !== 'public' ? 'PRIVATE' : 'PUBLIC'}`);
+            lines.push('TRANSP:TRANSPARENT');
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(l => this.foldLine(l)).join('\r\n') + '\r\n';
+    },
+
+    // --- Parsing ---
+
+    unescapeText: function (s) {
+        return String(s || '').replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N') ? '\n' : c);
+    },
+
+    toDateStr: function (d) {
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * DATE / DATE-TIME value -> { date: 'YYYY-MM-DD', allDay, time: 'HHMMSS'|null }
+     * UTC values (...Z) are converted to the browser's local date; TZID / floating values keep their wall clock.
+     */
+    parseDateValue: function (value, params = {}) {
+        const v = String(value || '').trim();
+        const m = v.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!m) return null;
+        if (!m[4] || params.VALUE === 'DATE') {
+            return { date: `${m[1]}-${m[2]}-${m[3]}`, allDay: true, time: null };
+        }
+        if (m[7]) {
+            const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]));
+            const time = `${String(d.getHours()).padStart(2, '0')}${String(d.getMinutes()).padStart(2, '0')}${String(d.getSeconds()).padStart(2, '0')}`;
+            return { date: this.toDateStr(d), allDay: false, time };
+        }
+        return { date: `${m[1]}-${m[2]}-${m[3]}`, allDay: false, time: `${m[4]}${m[5]}${m[6]}` };
+    },
+
+    // Whole days of an ISO 8601 duration (P1W, P2D, P1DT12H ...)
+    parseDurationDays: function (value) {
+        const m = String(value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!m) return 0;
+        const days = (parseInt(m[2]) || 0) * 7 + (parseInt(m[3]) || 0) + Math.floor((parseInt(m[4]) || 0) / 24);
+        return m[1] === '-' ? -days : days;
+    },
+
+    /**
+     * Parse an iCalendar document into raw VEVENT objects.
+     * Each event: { uid, summary, description, location, status, dtstart, dtend, duration, rrule, exdates[], recurrenceId }
+     */
+    parse: function (text) {
+        // 1. Unfold continuation lines
+        const lines = String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+        const events = [];
+        let current = null;
+        let depth = 0; // Nested components inside VEVENT (VALARM) are ignored
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+
+            // 2. NAME;PARAM=VALUE;...:VALUE (colon inside quoted params is allowed)
+            const match = line.match(/^([^:;]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+            if (!match) return;
+            const name = match[1].toUpperCase();
+            const value = match[3];
+            const params = {};
+            (match[2].match(/;[^:;=]+=(?:"[^"]*"|[^:;]*)/g) || []).forEach(p => {
+                const idx = p.indexOf('=');
+                params[p.slice(1, idx).toUpperCase()] = p.slice(idx + 1).replace(/^"|"$/g, '');
+            });
+
+            if (name === 'BEGIN') {
+                if (value.toUpperCase() === 'VEVENT' && !current) {
+                    current = { exdates: [] };
+                } else if (current) {
+                    depth++;
+                }
+                return;
+            }
+            if (name === 'END') {
+                if (current && depth > 0) {
+                    depth--;
+                } else if (current && value.toUpperCase() === 'VEVENT') {
+                    events.push(current);
+                    current = null;
+                }
+                return;
+            }
+            if (!current || depth > 0) return;
+
+            switch (name) {
+                case 'UID': current.uid = value.trim(); break;
+                case 'SUMMARY': current.summary = this.unescapeText(value).trim(); break;
+                case 'DESCRIPTION': current.description = this.unescapeText(value).trim(); break;
+                case 'LOCATION': current.location = this.unescapeText(value).trim(); break;
+                case 'STATUS': current.status = value.trim().toUpperCase(); break;
+                case 'DTSTART': current.dtstart = this.parseDateValue(value, params); break;
+                case 'DTEND': current.dtend = this.parseDateValue(value, params); break;
+                case 'DURATION': current.duration = value.trim(); break;
+                case 'RRULE': current.rrule = value.trim(); break;
+                case 'RECURRENCE-ID': current.recurrenceId = this.parseDateValue(value, params); break;
+                case 'EXDATE':
+                    value.split(',').forEach(v => {
+                        const d = this.parseDateValue(v, params);
+                        if (d) current.exdates.push(d.date);
+                    });
+                    break;
+            }
+        });
+
+        return events;
+    },
+
+    // --- Recurrence (RRULE) ---
+
+    WEEKDAYS: { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 },
+
+    parseRRule: function (str) {
+        const raw = {};
+        String(str || '').replace(/^RRULE:/i, '').split(';').forEach(part => {
+            const idx = part.indexOf('=');
+            if (idx > 0) raw[part.slice(0, idx).toUpperCase()] = part.slice(idx + 1).trim();
+        });
+        const list = (v) => v ? v.split(',').map(x => x.trim()).filter(Boolean) : [];
+        return {
+            freq: (raw.FREQ || '').toUpperCase(),
+            interval: Math.max(1, parseInt(raw.INTERVAL) || 1),
+            count: raw.COUNT ? parseInt(raw.COUNT) : null,
+            until: raw.UNTIL ? (this.parseDateValue(raw.UNTIL) || {}).date || null : null,
+            byDay: list(raw.BYDAY).map(v => {
+                const m = v.toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+                return m ? { n: m[1] ? parseInt(m[1]) : null, wd: this.WEEKDAYS[m[2]] } : null;
+            }).filter(Boolean),
+            byMonthDay: list(raw.BYMONTHDAY).map(Number).filter(n => !isNaN(n) && n !== 0),
+            byMonth: list(raw.BYMONTH).map(Number).filter(n => n >= 1 && n <= 12),
+            raw
+        };
+    },
+
+    // Replace UNTIL / COUNT of an RRULE with a new last date (null = open-ended)
+    setRRuleUntil: function (rruleStr, dateStr) {
+        const parts = String(rruleStr || '').split(';').filter(p => p && !/^(UNTIL|COUNT)=/i.test(p));
+        if (dateStr) parts.push(`UNTIL=${this.formatDate(dateStr)}`);
+        return parts.join(';');
+    },
+
+    // Candidate dates of one month for MONTHLY / YEARLY rules
+    monthCandidates: function (year, monthIdx, rule, dtstartDay) {
+        const lastDay = new Date(year, monthIdx + 1, 0).getDate();
+        const days = [];
+        if (rule.byMonthDay.length > 0) {
+            rule.byMonthDay.forEach(n => {
+                const day = n > 0 ? n : lastDay + n + 1;
+                if (day >= 1 && day <= lastDay) days.push(day);
+            });
+        } else if (rule.byDay.length > 0) {
+            rule.byDay.forEach(({ n, wd }) => {
+                const matches = [];
+                for (let day = 1; day <= lastDay; day++) {
+                    if (new Date(year, monthIdx, day).getDay() === wd) matches.push(day);
+                }
+                if (n === null) days.push(...matches);
+                else {
+                    const pick = n > 0 ? matches[n - 1] : matches[matches.length + n];
+                    if (pick) days.push(pick);
+                }
+            });
+        } else if (dtstartDay <= lastDay) {
+            days.push(dtstartDay);
+        }
+        return [...new Set(days)].sort((a, b) => a - b).map(day => this.toDateStr(new Date(year, monthIdx, day)));
+    },
+
+    /**
+     * Expand an RRULE into occurrence start dates ('YYYY-MM-DD').
+     * @param {string} rruleStr - e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20260715'
+     * @param {string} dtstart - First occurrence
+     * @param {Object} options - { from, to: window of dates to return, exdates: [], limit }
+     */
+    expandRRule: function (rruleStr, dtstart, options = {}) {
+        const rule = this.parseRRule(rruleStr);
+        const limit = options.limit || 500;
+        const exdates = new Set(options.exdates || []);
+        const results = [];
+        if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) return [dtstart];
+
+        const [sy, sm, sd] = dtstart.split('-').map(Number);
+        const start = new Date(sy, sm - 1, sd);
+        const mondayOffset = (start.getDay() + 6) % 7;
+        let count = 0;
+
+        for (let period = 0; period < 5000; period++) {
+            let candidates = [];
+            if (rule.freq === 'DAILY') {
+                candidates = [this.addDays(dtstart, period * rule.interval)];
+            } else if (rule.freq === 'WEEKLY') {
+                const weekStart = this.addDays(dtstart, period * rule.interval * 7 - mondayOffset);
+                const weekdays = rule.byDay.length > 0 ? rule.byDay.map(b => b.wd) : [start.getDay()];
+                candidates = [...new Set(weekdays)]
+                    .map(wd => this.addDays(weekStart, (wd + 6) % 7))
+                    .sort();
+            } else if (rule.freq === 'MONTHLY') {
+                const d = new Date(sy, sm - 1 + period * rule.interval, 1);
+                candidates = this.monthCandidates(d.getFullYear(), d.getMonth(), rule, sd);
+            } else if (rule.freq === 'YEARLY') {
+                const year = sy + period * rule.interval;
+                const months = rule.byMonth.length > 0 ? rule.byMonth : [sm];
+                months.sort((a, b) => a - b).forEach(mo => {
+                    candidates.push(...this.monthCandidates(year, mo - 1, rule, sd));
+                });
+            }
+
+            if (rule.byMonth.length > 0 && rule.freq !== 'YEARLY') {
+                candidates = candidates.filter(c => rule.byMonth.includes(parseInt(c.split('-')[1])));
+            }
+            // DTSTART is always the first instance (RFC 5545 3.8.5.3)
+            if (period === 0 && !candidates.includes(dtstart)) candidates.unshift(dtstart);
+
+            for (const c of candidates) {
+                if (c < dtstart) continue;
+                if (rule.until && c > rule.until) return results;
+                if (options.to && c > options.to) return results;
+                count++;
+                if (rule.count && count > rule.count) return results;
+                if (options.from && c < options.from) continue; // Counts toward COUNT, not returned
+                if (!exdates.has(c)) results.push(c);
+                if (results.length >= limit) return results;
+            }
+        }
+        return results;
+    },
+
+    /**
+     * Flatten parsed VEVENTs into concrete all-day rows { uid, summary, description, start, end, recurrence }.
+     * End dates are inclusive. Recurring events are expanded (RECURRENCE-ID overrides replace their instance).
+     */
+    toOccurrences: function (events, options = {}) {
+        const rows = [];
+        const overrides = {}; // { uid: Set(originalDates) }
+        events.forEach(ev => {
+            if (ev.uid && ev.recurrenceId) {
+                if (!overrides[ev.uid]) overrides[ev.uid] = new Set();
+                overrides[ev.uid].add(ev.recurrenceId.date);
+            }
+        });
+
+        events.forEach(ev => {
+            if (!ev.dtstart || ev.status === 'CANCELLED') return;
+
+            // Inclusive span in days
+            const start = ev.dtstart.date;
+            let end = start;
+            if (ev.dtend) {
+                const endsAtMidnight = ev.dtend.allDay || ev.dtend.time === '000000';
+                end = endsAtMidnight ? this.addDays(ev.dtend.date, -1) : ev.dtend.date;
+            } else if (ev.duration) {
+                const days = this.parseDurationDays(ev.duration);
+                end = this.addDays(start, Math.max(0, ev.dtstart.allDay ? days - 1 : days));
+            }
+            if (end < start) end = start;
+            const spanDays = Math.round((new Date(end) - new Date(start)) / 86400000);
+
+            const base = {
+                uid: ev.uid || null,
+                summary: ev.summary || '',
+                description: [ev.description, ev.location].filter(Boolean).join('\n'),
+                recurrence: !!ev.rrule
+            };
+
+            if (ev.rrule && !ev.recurrenceId) {
+                const exdates = [...ev.exdates, ...(overrides[ev.uid] || [])];
+                const from = options.from ? this.addDays(options.from, -spanDays) : null;
+                this.expandRRule(ev.rrule, start, { from, to: options.to, exdates, limit: options.limit }).forEach(d => {
+                    rows.push({ ...base, start: d, end: this.addDays(d, spanDays) });
+                });
+            } else {
+                rows.push({ ...base, start, end });
+            }
+        });
+
+        return rows.filter(r => (!options.from || r.end >= options.from) && (!options.to || r.start <= options.to));
+    },
+
+    download: function (filename, text) {
+        const blob = new Blob([text], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
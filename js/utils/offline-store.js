@@ -0,0 +1,115 @@
+/**
+ * Offline Store (IndexedDB)
+ * Mirror of the last synced settings / basic_schedules / departments / schedules
+ * plus a queue of schedule writes made while offline (replayed by App.replayOfflineQueue).
+ */
+window.OfflineStore = {
+    DB_NAME: 'pogoklink-offline',
+    DB_VERSION: 1,
+    TABLES: ['settings', 'basic_schedules', 'departments', 'schedules'],
+    db: null,
+
+    open: function () {
+        if (this.db) return Promise.resolve(this.db);
+        if (!window.indexedDB) return Promise.reject(new Error('IndexedDB not supported'));
+
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                this.TABLES.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+                });
+                if (!db.objectStoreNames.contains('queue')) db.createObjectStore('queue', { keyPath: 'qid', autoIncrement: true });
+                if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+            };
+            req.onsuccess = () => {
+                this.db = req.result;
+                resolve(this.db);
+            };
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    // Run fn(store) in one transaction; resolves with the last request's result
+    run: async function (storeName, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    getAll: function (storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    },
+
+    get: function (storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    },
+
+    put: function (storeName, row) {
+        return this.run(storeName, 'readwrite', store => store.put(row));
+    },
+
+    delete: function (storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    },
+
+    clear: function (storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    },
+
+    /**
+     * Replace the mirrored rows a query covered: rows matching `covers` that the server
+     * no longer returned are removed (deleted server-side), then the fresh rows are stored.
+     */
+    replace: async function (storeName, rows, covers) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            const fresh = new Set(rows.map(r => String(r.id)));
+            store.openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) {
+                    rows.forEach(r => store.put(r));
+                    return;
+                }
+                if (covers(cursor.value) && !fresh.has(String(cursor.value.id))) cursor.delete();
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    // --- Write Queue ---
+
+    enqueue: function (op) {
+        return this.run('queue', 'readwrite', store => store.add({ ...op, queued_at: new Date().toISOString() }));
+    },
+
+    getQueue: async function () {
+        const ops = await this.getAll('queue');
+        return ops.sort((a, b) => a.qid - b.qid);
+    },
+
+    dequeue: function (qid) {
+        return this.delete('queue', qid);
+    },
+
+    // --- Meta (last sync time etc.) ---
+
+    setMeta: function (key, value) {
+        return this.put('meta', { key, value });
+    },
+
+    getMeta: async function (key) {
+        const row = await this.get('meta', key);
+        return row ? row.value : null;
+    }
+};
@@ -3,6 +3,35 @@
  */
 window.SupabaseClient = {
     supabase: null,
+    channels: [], // Active realtime channels
+    PERSIST_KEY: 'pogok_auth_persist', // '1' = session kept in localStorage ("로그인 상태 유지")
+
+    isPersistent: function () {
+        return localStorage.getItem(this.PERSIST_KEY) === '1';
+    },
+
+    // Switch where the auth session lives; an existing session moves along so nobody is signed out
+    setPersistent: function (on) {
+        if (on === this.isPersistent()) return;
+        const from = on ? sessionStorage : localStorage;
+        const to = on ? localStorage : sessionStorage;
+        Object.keys(from).filter(k => k.startsWith('sb-')).forEach(k => {
+            to.setItem(k, from.getItem(k));
+            from.removeItem(k);
+        });
+        if (on) localStorage.setItem(this.PERSIST_KEY, '1');
+        else localStorage.removeItem(this.PERSIST_KEY);
+    },
+
+    // Auth storage that follows the persistence mode chosen at login
+    authStorage: {
+        getItem: (key) => (window.SupabaseClient.isPersistent() ? localStorage : sessionStorage).getItem(key),
+        setItem: (key, value) => (window.SupabaseClient.isPersistent() ? localStorage : sessionStorage).setItem(key, value),
+        removeItem: (key) => {
+            localStorage.removeItem(key);
+            sessionStorage.removeItem(key);
+        }
+    },
 
     init: async function () {
         // [SECURE] Read from window.SUPABASE_CONFIG (loaded from js/config.js)
@@ -18,7 +47,7 @@ window.SupabaseClient = {
         try {
             this.supabase = window.supabase.createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
                 auth: {
-                    storage: sessionStorage,
+                    storage: this.authStorage,
                 },
             });
             console.log("🔌 Supabase Client Initialized");
@@ -27,5 +56,29 @@ window.SupabaseClient = {
             console.error("❌ Failed to create Supabase client:", error);
             return false;
         }
+    },
+
+    // Realtime: forward INSERT / UPDATE / DELETE of a public table to onChange(payload)
+    // payload = { eventType, new, old } (old only carries the primary key unless REPLICA IDENTITY FULL)
+    subscribe: function (table, onChange) {
+        if (!this.supabase) return null;
+
+        const channel = this.supabase
+            .channel(`realtime:${table}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: table }, onChange)
+            .subscribe((status) => {
+                if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    console.warn(`⚠️ Realtime channel for ${table}: ${status}`);
+                }
+            });
+        this.channels.push(channel);
+        return channel;
+    },
+
+    unsubscribeAll: async function () {
+        if (!this.supabase) return;
+        const channels = this.channels;
+        this.channels = [];
+        await Promise.all(channels.map(c => this.supabase.removeChannel(c)));
     }
 };
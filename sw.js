@@ -0,0 +1,79 @@
+/**
+ * Service Worker: keeps the app shell (HTML / CSS / JS / CDN libraries) available offline.
+ * Data is NOT cached here - Supabase requests always go to the network and the app falls back
+ * to its IndexedDB mirror (js/utils/offline-store.js) when they fail.
+ */
+const CACHE_NAME = 'pogoklink-shell-v1';
+
+const SHELL_URLS = [
+    './',
+    'index.html',
+    'css/styles.css?v=3.18',
+    'css/styles_mobile.css?v=3.18',
+    'js/config.js?v=3.18',
+    'js/utils/supabase.js?v=3.18',
+    'js/utils/helpers.js?v=3.18',
+    'js/utils/ical.js?v=3.18',
+    'js/utils/offline-store.js?v=3.18',
+    'js/utils/holiday-rules.js?v=3.18',
+    'js/utils/holidays.js?v=3.18',
+    'js/utils/calendar-templates.js?v=3.18',
+    'js/app.js?v=2.0.3',
+    'pages/calendar.html',
+    'pages/list.html',
+    'pages/dept-list.html',
+    'pages/login.html',
+    'pages/signup.html',
+    'pages/password-reset.html',
+    'pages/pending.html',
+    'pages/modal-schedule.html',
+    'pages/modal-print.html',
+    'pages/modal-ics-export.html'
+];
+
+// Supabase API / auth / realtime traffic is never cached
+const isSupabaseRequest = (url) => /\/(rest|auth|realtime|storage|functions)\/v1\//.test(url.pathname);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            // One missing file (e.g. config.js not deployed) must not fail the whole install
+            Promise.allSettled(SHELL_URLS.map(url => cache.add(url)))
+        ).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first (deploys show up immediately), cache as the offline fallback
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (!url.protocol.startsWith('http') || isSupabaseRequest(url)) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response && (response.ok || response.type === 'opaque')) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(async () => {
+                const cached = await caches.match(request);
+                if (cached) return cached;
+                if (request.mode === 'navigate') return caches.match('index.html');
+                // Version query strings change between deploys
+                return caches.match(request, { ignoreSearch: true });
+            })
+    );
+});
@@ -0,0 +1,65 @@
+/**
+ * [Test] HolidayEngine vs. the official 공휴일 lists (tests/official-holidays.json)
+ * The fixture holds every 공휴일 per calendar year as published (월력요항 / 관공서의 공휴일에 관한 규정),
+ * including 대체공휴일, election days and 임시공휴일. Rules marked official: false are left out.
+ *
+ * Run from the repository root:
+ *   npm install --no-save korean-lunar-calendar@0.3.6   (same version index.html loads)
+ *   node tests/holidays.test.js
+ * Exits non-zero and prints the differing dates on a mismatch.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+let KoreanLunarCalendar;
+try {
+    KoreanLunarCalendar = require('korean-lunar-calendar');
+} catch (e) {
+    console.error('korean-lunar-calendar is missing: npm install --no-save korean-lunar-calendar@0.3.6');
+    process.exit(2);
+}
+
+const context = {};
+context.window = context;
+vm.createContext(context);
+['js/utils/holiday-rules.js', 'js/utils/holidays.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+});
+const { HolidayEngine, HolidayRules } = context;
+
+// Same conversion as App.getSolarFromLunar
+const lunarToSolar = (year, mmdd) => {
+    const converter = new KoreanLunarCalendar();
+    converter.setLunarDate(parseInt(year), parseInt(mmdd.substring(0, 2)), parseInt(mmdd.substring(2, 4)), false);
+    const solar = converter.getSolarCalendar();
+    if (!solar.year || !solar.month || !solar.day) return null;
+    return `${solar.year}-${String(solar.month).padStart(2, '0')}-${String(solar.day).padStart(2, '0')}`;
+};
+
+const rules = { ...HolidayRules, holidays: HolidayRules.holidays.filter(rule => rule.official !== false) };
+const expected = JSON.parse(fs.readFileSync(path.join(__dirname, 'official-holidays.json'), 'utf8'));
+
+let failures = 0;
+Object.keys(expected).forEach(year => {
+    // calculate() covers March - February, so a calendar year spans two academic years
+    const y = parseInt(year);
+    const all = { ...HolidayEngine.calculate(y - 1, lunarToSolar, rules), ...HolidayEngine.calculate(y, lunarToSolar, rules) };
+    const actual = Object.keys(all).filter(date => date.startsWith(`${year}-`));
+
+    const missing = Object.keys(expected[year]).filter(date => !(date in all));
+    const extra = actual.filter(date => !(date in expected[year]));
+
+    if (missing.length || extra.length) {
+        failures++;
+        console.log(`FAIL ${year}`);
+        missing.forEach(date => console.log(`  missing ${date} ${expected[year][date]}`));
+        extra.forEach(date => console.log(`  extra   ${date} ${all[date]}`));
+    } else {
+        console.log(`ok   ${year} (${actual.length} days)`);
+    }
+});
+
+process.exit(failures ? 1 : 0);